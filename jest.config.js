@@ -3,6 +3,7 @@ module.exports = {
   coverageDirectory: "coverage",
   collectCoverageFrom: ["src/**/*.js", "!src/database/db.js", "!src/index.js"],
   testMatch: ["**/tests/**/*.test.js"],
+  setupFiles: ["<rootDir>/tests/setup.js"],
   verbose: true,
   testTimeout: 10000,
   clearMocks: true,
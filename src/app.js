@@ -0,0 +1,82 @@
+const express = require("express");
+const cors = require("cors");
+const { config } = require("./config");
+const { createRepositories } = require("./repositories");
+const ProjectController = require("./controllers/projectController");
+const BoardController = require("./controllers/boardController");
+const TaskController = require("./controllers/taskController");
+const ActivityController = require("./controllers/activityController");
+const AuthController = require("./controllers/authController");
+const MemberController = require("./controllers/memberController");
+const ApiTokenController = require("./controllers/apiTokenController");
+const LabelController = require("./controllers/labelController");
+const createProjectRoutes = require("./routes/projectRoutes");
+const createBoardRoutes = require("./routes/boardRoutes");
+const createTaskRoutes = require("./routes/taskRoutes");
+const createSearchRoutes = require("./routes/searchRoutes");
+const createActivityRoutes = require("./routes/activityRoutes");
+const createAuthRoutes = require("./routes/authRoutes");
+const createApiTokenRoutes = require("./routes/apiTokenRoutes");
+const createMeRoutes = require("./routes/meRoutes");
+const { createAuthenticate } = require("./middleware/authenticate");
+const { notFoundHandler, errorHandler } = require("./middleware/errorHandler");
+
+/**
+ * Buat Express app beserta controller dan route-nya
+ * Repository di-inject ke controller, sehingga app yang sama bisa berjalan
+ * di atas SQLite maupun storage in-memory
+ * @param {Object} options - { repositories?: Object (default: createRepositories()) }
+ * @returns {express.Application} Express app
+ */
+const createApp = ({ repositories = createRepositories() } = {}) => {
+  // Role member project dicek di setiap controller data
+  const access = { members: repositories.members };
+  const controllers = {
+    projectController: new ProjectController(repositories.projects, access),
+    boardController: new BoardController(repositories.boards, access),
+    taskController: new TaskController(repositories.tasks, access),
+    activityController: new ActivityController(repositories.activity, access),
+    authController: new AuthController(repositories.users),
+    memberController: new MemberController(repositories.members, {
+      users: repositories.users,
+    }),
+    apiTokenController: new ApiTokenController(repositories.apiTokens),
+    labelController: new LabelController(repositories.labels, access),
+  };
+  // Semua route data butuh access token atau API token; /api/auth dan
+  // /api/health public
+  const authenticate = createAuthenticate(
+    repositories.users,
+    config.auth,
+    repositories.apiTokens
+  );
+
+  const app = express();
+
+  // Middleware
+  app.use(cors(config.cors));
+  app.use(express.json());
+
+  // Routes
+  app.use("/api/auth", createAuthRoutes(controllers));
+  app.use("/api/tokens", authenticate, createApiTokenRoutes(controllers));
+  app.use("/api/projects", authenticate, createProjectRoutes(controllers));
+  app.use("/api/columns", authenticate, createBoardRoutes(controllers));
+  app.use("/api/tasks", authenticate, createTaskRoutes(controllers));
+  app.use("/api/search", authenticate, createSearchRoutes(controllers));
+  app.use("/api/activity", authenticate, createActivityRoutes(controllers));
+  app.use("/api/me", authenticate, createMeRoutes(controllers));
+
+  // Health check endpoint
+  app.get("/api/health", (req, res) => {
+    res.status(200).json({ status: "OK", storage: repositories.storage });
+  });
+
+  // Error handling - harus dipasang setelah semua route
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = { createApp };
@@ -0,0 +1,44 @@
+const crypto = require("crypto");
+
+// Awalan API token: membedakannya dari JWT di header Authorization dan
+// memudahkan secret scanner mengenali token yang bocor
+const TOKEN_PREFIX = "tm_";
+const TOKEN_BYTES = 32;
+// Potongan awal token yang disimpan apa adanya untuk ditampilkan di daftar
+const DISPLAY_LENGTH = 10;
+
+/**
+ * Hash API token untuk disimpan dan dicari di database
+ * Token berisi 256 bit acak, jadi SHA-256 tanpa salt sudah cukup dan hash
+ * yang sama bisa dicari lewat index (berbeda dengan password)
+ * @param {string} token - API token asli
+ * @returns {string} Hash hex
+ */
+const hashApiToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Buat API token baru
+ * @returns {Object} { token, prefix, hash } - token asli hanya ditampilkan
+ *   sekali ke user; yang disimpan hanya prefix dan hash
+ */
+const generateApiToken = () => {
+  const token = `${TOKEN_PREFIX}${crypto
+    .randomBytes(TOKEN_BYTES)
+    .toString("base64url")}`;
+  return {
+    token,
+    prefix: token.slice(0, DISPLAY_LENGTH),
+    hash: hashApiToken(token),
+  };
+};
+
+/**
+ * Apakah credential dari header berbentuk API token (bukan JWT)
+ * @param {string} token - Credential dari header Authorization
+ * @returns {boolean} true jika diawali TOKEN_PREFIX
+ */
+const isApiToken = (token) =>
+  typeof token === "string" && token.startsWith(TOKEN_PREFIX);
+
+module.exports = { TOKEN_PREFIX, hashApiToken, generateApiToken, isApiToken };
@@ -0,0 +1,26 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Context per request: user yang sedang login (diisi middleware authenticate)
+const storage = new AsyncLocalStorage();
+
+/**
+ * Jalankan fn dengan user tertentu sebagai actor
+ * Semua kode async yang dipanggil dari fn (termasuk transaction repository)
+ * melihat actor yang sama lewat currentUserId()
+ * @param {number} userId - ID user yang login
+ * @param {Function} fn - Fungsi yang dijalankan
+ * @returns {*} Hasil fn
+ */
+const runAsUser = (userId, fn) => storage.run({ userId }, fn);
+
+/**
+ * ID user untuk request yang sedang berjalan
+ * @returns {number|null} User ID, atau null di luar request yang terautentikasi
+ *   (misal script atau test repository)
+ */
+const currentUserId = () => {
+  const context = storage.getStore();
+  return context ? context.userId : null;
+};
+
+module.exports = { runAsUser, currentUserId };
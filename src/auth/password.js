@@ -0,0 +1,45 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+// Panjang salt dan hasil scrypt (byte)
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+
+/**
+ * Hash password dengan scrypt dan salt acak
+ * Hasil berbentuk "scrypt$<salt>$<hash>" (base64) sehingga salt ikut
+ * tersimpan di kolom password_hash yang sama
+ * @param {string} password - Password asli
+ * @returns {Promise<string>} Password hash
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, KEY_BYTES);
+  return `scrypt$${salt.toString("base64")}$${key.toString("base64")}`;
+};
+
+/**
+ * Cocokkan password dengan hash dari hashPassword
+ * Perbandingan memakai timingSafeEqual supaya waktunya tidak membocorkan hash
+ * @param {string} password - Password yang dikirim user
+ * @param {string} stored - Nilai password_hash
+ * @returns {Promise<boolean>} Apakah password cocok
+ */
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, "base64");
+  const key = await scrypt(
+    password,
+    Buffer.from(salt, "base64"),
+    expected.length
+  );
+  return crypto.timingSafeEqual(key, expected);
+};
+
+module.exports = { hashPassword, verifyPassword };
@@ -0,0 +1,15 @@
+// Role member project, dari yang paling terbatas
+const ROLES = ["viewer", "editor", "owner"];
+
+/**
+ * Apakah role cukup untuk aksi yang butuh role minimal tertentu
+ * viewer hanya membaca, editor mengubah column dan task, owner juga
+ * mengelola project dan member-nya
+ * @param {string|null} role - Role user (null jika bukan member)
+ * @param {string} required - Role minimal
+ * @returns {boolean} true jika role >= required
+ */
+const hasRole = (role, required) =>
+  ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+module.exports = { ROLES, hasRole };
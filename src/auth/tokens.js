@@ -0,0 +1,109 @@
+const crypto = require("crypto");
+const { UnauthorizedError } = require("../errors");
+
+// Header JWT tetap: hanya HS256 yang diterbitkan dan diterima
+const HEADER = { alg: "HS256", typ: "JWT" };
+
+/**
+ * Encode object/buffer ke base64url
+ * @param {Object|Buffer} value - Payload atau signature
+ * @returns {string} String base64url
+ */
+const encode = (value) =>
+  (Buffer.isBuffer(value)
+    ? value
+    : Buffer.from(JSON.stringify(value))
+  ).toString("base64url");
+
+/**
+ * Hitung signature HMAC-SHA256 dari "<header>.<payload>"
+ * @param {string} data - Bagian token yang ditandatangani
+ * @param {string} secret - Secret JWT
+ * @returns {Buffer} Signature
+ */
+const sign = (data, secret) =>
+  crypto.createHmac("sha256", secret).update(data).digest();
+
+/**
+ * Buat JWT (HS256)
+ * @param {Object} claims - Claim tambahan, misal { sub, type }
+ * @param {Object} options - { secret: string, ttl: number (detik) }
+ * @returns {string} Token
+ */
+const signToken = (claims, { secret, ttl }) => {
+  const iat = Math.floor(Date.now() / 1000);
+  const data = `${encode(HEADER)}.${encode({
+    ...claims,
+    iat,
+    exp: iat + ttl,
+  })}`;
+  return `${data}.${encode(sign(data, secret))}`;
+};
+
+/**
+ * Verifikasi JWT dari signToken dan kembalikan claim-nya
+ * @param {string} token - Token dari client
+ * @param {Object} options - { secret: string, type: "access"|"refresh" }
+ * @returns {Object} Claim token
+ * @throws {UnauthorizedError} Token rusak, signature salah, beda type, atau expired
+ */
+const verifyToken = (token, { secret, type }) => {
+  const invalid = () =>
+    new UnauthorizedError("Invalid token", { code: "INVALID_TOKEN" });
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3) {
+    throw invalid();
+  }
+
+  const [header, payload, signature] = parts;
+  const expected = sign(`${header}.${payload}`, secret);
+  const actual = Buffer.from(signature, "base64url");
+  if (
+    actual.length !== expected.length ||
+    !crypto.timingSafeEqual(actual, expected)
+  ) {
+    throw invalid();
+  }
+
+  let alg;
+  let claims;
+  try {
+    ({ alg } = JSON.parse(Buffer.from(header, "base64url")));
+    claims = JSON.parse(Buffer.from(payload, "base64url"));
+  } catch (err) {
+    throw invalid();
+  }
+  if (
+    alg !== HEADER.alg ||
+    !claims ||
+    claims.type !== type ||
+    !Number.isInteger(claims.sub)
+  ) {
+    throw invalid();
+  }
+  if (!(claims.exp > Math.floor(Date.now() / 1000))) {
+    throw new UnauthorizedError("Token expired", { code: "TOKEN_EXPIRED" });
+  }
+  return claims;
+};
+
+/**
+ * Terbitkan pasangan access token dan refresh token untuk user
+ * @param {User} user - User yang login
+ * @param {Object} auth - config.auth { secret, accessTokenTtl, refreshTokenTtl }
+ * @returns {Object} { accessToken, refreshToken, tokenType, expiresIn }
+ */
+const issueTokens = (user, auth) => ({
+  accessToken: signToken(
+    { sub: user.getId(), type: "access" },
+    { secret: auth.secret, ttl: auth.accessTokenTtl }
+  ),
+  refreshToken: signToken(
+    { sub: user.getId(), type: "refresh" },
+    { secret: auth.secret, ttl: auth.refreshTokenTtl }
+  ),
+  tokenType: "Bearer",
+  expiresIn: auth.accessTokenTtl,
+});
+
+module.exports = { signToken, verifyToken, issueTokens };
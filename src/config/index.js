@@ -0,0 +1,56 @@
+const path = require("path");
+const crypto = require("crypto");
+
+// Nilai khusus sqlite3 untuk database yang hanya hidup di memory
+const IN_MEMORY = ":memory:";
+
+/**
+ * Baca konfigurasi aplikasi dari environment variable
+ *
+ * - PORT        : port HTTP server (default: 3000)
+ * - DB_PATH     : lokasi file SQLite, relatif terhadap working directory,
+ *                 atau ":memory:" (default: data/tasks.db di root project)
+ * - CORS_ORIGIN : origin yang diizinkan, pisahkan dengan koma (default: semua)
+ * - STORAGE     : "sqlite" (default) atau "memory" (tanpa SQLite, data hilang
+ *                 saat proses berhenti)
+ * - TRASH_RETENTION_DAYS : umur minimal (hari) item di trash yang dihapus
+ *                 permanen oleh endpoint purge (default: 30)
+ * - JWT_SECRET  : secret untuk menandatangani token login (default: acak per
+ *                 proses, sehingga semua token batal saat server restart)
+ * - ACCESS_TOKEN_TTL  : umur access token dalam detik (default: 900)
+ * - REFRESH_TOKEN_TTL : umur refresh token dalam detik (default: 604800)
+ *
+ * @param {Object} env - Sumber environment (default: process.env)
+ * @returns {Object} { port, storage, database: { path }, cors: { origin },
+ *   trash: { retentionDays }, auth: { secret, accessTokenTtl, refreshTokenTtl } }
+ */
+const loadConfig = (env = process.env) => {
+  const dbPath = env.DB_PATH
+    ? env.DB_PATH === IN_MEMORY
+      ? IN_MEMORY
+      : path.resolve(env.DB_PATH)
+    : path.join(__dirname, "../../data", "tasks.db");
+
+  const origins = env.CORS_ORIGIN
+    ? env.CORS_ORIGIN.split(",").map((origin) => origin.trim())
+    : "*";
+
+  const retentionDays = parseInt(env.TRASH_RETENTION_DAYS, 10);
+  const accessTokenTtl = parseInt(env.ACCESS_TOKEN_TTL, 10);
+  const refreshTokenTtl = parseInt(env.REFRESH_TOKEN_TTL, 10);
+
+  return {
+    port: parseInt(env.PORT, 10) || 3000,
+    storage: env.STORAGE || "sqlite",
+    database: { path: dbPath },
+    cors: { origin: origins },
+    trash: { retentionDays: retentionDays >= 0 ? retentionDays : 30 },
+    auth: {
+      secret: env.JWT_SECRET || crypto.randomBytes(32).toString("hex"),
+      accessTokenTtl: accessTokenTtl > 0 ? accessTokenTtl : 15 * 60,
+      refreshTokenTtl: refreshTokenTtl > 0 ? refreshTokenTtl : 7 * 24 * 60 * 60,
+    },
+  };
+};
+
+module.exports = { config: loadConfig(), loadConfig, IN_MEMORY };
@@ -1,3 +1,34 @@
+const {
+  AppError,
+  NotFoundError,
+  ForbiddenError,
+  UnauthorizedError,
+} = require("../errors");
+const { sendErrorResponse } = require("../middleware/errorHandler");
+const { config } = require("../config");
+const { hasRole } = require("../auth/roles");
+
+// Ukuran halaman untuk endpoint list yang mendukung pagination
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Baca bilangan bulat non-negatif dari query string
+ * @param {*} value - Nilai dari req.query
+ * @param {number} fallback - Nilai jika parameter tidak dikirim
+ * @returns {number|null} Angka, atau null jika formatnya salah
+ */
+const parseQueryInteger = (value, fallback) => {
+  if (value === undefined) {
+    return fallback;
+  }
+  return typeof value === "string" && /^\d+$/.test(value)
+    ? parseInt(value, 10)
+    : null;
+};
+
 /**
  * BaseController Class
  * Abstract base class untuk semua controllers
@@ -8,13 +39,18 @@ class BaseController {
   /**
    * Constructor
    * @param {IRepository} repository - Repository instance
+   * @param {string} entityName - Nama entity untuk pesan error (misal "Task")
+   * @param {Object} options - { members?: ProjectMemberRepository } - tanpa
+   *   members, pengecekan role dilewati (misal controller di unit test)
    */
-  constructor(repository) {
+  constructor(repository, entityName = "Entity", options = {}) {
     if (!repository) {
       throw new Error("Repository is required");
     }
     // Private repository
     this._repository = repository;
+    this._entityName = entityName;
+    this._members = options.members || null;
   }
 
   /**
@@ -30,15 +66,16 @@ class BaseController {
    * @param {Object} req - Express request
    * @param {Object} res - Express response
    */
-  create(req, res) {
+  async create(req, res) {
     const { body } = req;
 
-    this._repository.create(body, (err, entity) => {
-      if (err) {
-        return res.status(400).json({ error: err.message });
-      }
+    try {
+      await this.authorize(req, this.requiredRole("create"));
+      const entity = await this._repository.create(body);
       res.status(201).json(entity.toJSON());
-    });
+    } catch (err) {
+      this.handleError(res, err);
+    }
   }
 
   /**
@@ -46,13 +83,19 @@ class BaseController {
    * @param {Object} req - Express request
    * @param {Object} res - Express response
    */
-  getAll(req, res) {
-    this._repository.getAll((err, entities) => {
-      if (err) {
-        return res.status(500).json({ error: err.message });
-      }
-      res.status(200).json(entities.map((entity) => entity.toJSON()));
-    });
+  async getAll(req, res) {
+    try {
+      const entities = await this._repository.getAll();
+      const projectIds = await this.accessibleProjectIds(req);
+      const visible = projectIds
+        ? entities.filter((entity) =>
+            projectIds.includes(this.entityProjectId(entity))
+          )
+        : entities;
+      res.status(200).json(visible.map((entity) => entity.toJSON()));
+    } catch (err) {
+      this.handleError(res, err);
+    }
   }
 
   /**
@@ -60,18 +103,22 @@ class BaseController {
    * @param {Object} req - Express request
    * @param {Object} res - Express response
    */
-  getById(req, res) {
+  async getById(req, res) {
     const { id } = req.params;
 
-    this._repository.getById(id, (err, entity) => {
-      if (err) {
-        return res.status(500).json({ error: err.message });
-      }
+    try {
+      await this.authorize(req, this.requiredRole("getById"));
+      const entity = await this._repository.getById(id);
       if (!entity) {
-        return res.status(404).json({ error: "Entity not found" });
+        return this.handleError(
+          res,
+          new NotFoundError(`${this._entityName} not found`)
+        );
       }
       res.status(200).json(entity.toJSON());
-    });
+    } catch (err) {
+      this.handleError(res, err);
+    }
   }
 
   /**
@@ -79,16 +126,35 @@ class BaseController {
    * @param {Object} req - Express request
    * @param {Object} res - Express response
    */
-  update(req, res) {
+  async update(req, res) {
     const { id } = req.params;
     const { body } = req;
 
-    this._repository.update(id, body, (err, entity) => {
-      if (err) {
-        return res.status(400).json({ error: err.message });
-      }
+    try {
+      await this.authorize(req, this.requiredRole("update"));
+      const entity = await this._repository.update(id, body);
       res.status(200).json(entity.toJSON());
-    });
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Patch handler - update sebagian field (dapat di-override di child class)
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async patch(req, res) {
+    const { id } = req.params;
+    const { body } = req;
+
+    try {
+      await this.authorize(req, this.requiredRole("patch"));
+      const entity = await this._repository.patch(id, body);
+      res.status(200).json(entity.toJSON());
+    } catch (err) {
+      this.handleError(res, err);
+    }
   }
 
   /**
@@ -96,15 +162,136 @@ class BaseController {
    * @param {Object} req - Express request
    * @param {Object} res - Express response
    */
-  delete(req, res) {
+  async delete(req, res) {
     const { id } = req.params;
 
-    this._repository.delete(id, (err) => {
-      if (err) {
-        return res.status(500).json({ error: err.message });
-      }
-      res.status(200).json({ message: "Entity deleted successfully" });
-    });
+    try {
+      await this.authorize(req, this.requiredRole("delete"));
+      await this._repository.delete(id);
+      res
+        .status(200)
+        .json({ message: `${this._entityName} deleted successfully` });
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Role minimal untuk handler bawaan (dapat di-override di child class)
+   * @param {string} action - create, getById, update, patch atau delete
+   * @returns {string|null} Role minimal, null jika tidak perlu role
+   */
+  requiredRole(action) {
+    return action === "getById" ? "viewer" : "editor";
+  }
+
+  /**
+   * Project tempat entity pada request berada (dapat di-override di child
+   * class). null berarti entity tidak ditemukan; handler sendiri yang
+   * mengirim 404
+   * @param {Object} req - Express request
+   * @returns {Promise<number|null>} Project ID
+   */
+  async resolveProjectId(req) {
+    return null;
+  }
+
+  /**
+   * Project milik entity hasil getAll (dapat di-override di child class)
+   * @param {Entity} entity - Entity dari repository
+   * @returns {number|null} Project ID
+   */
+  entityProjectId(entity) {
+    return null;
+  }
+
+  /**
+   * Pastikan user yang login punya role minimal di sebuah project
+   * @param {Object} req - Express request (req.user dari middleware authenticate)
+   * @param {string|null} role - viewer, editor atau owner (null: selalu boleh)
+   * @param {number|null} projectId - Project ID (default: resolveProjectId)
+   * @throws {ForbiddenError} Bukan member, atau role kurang
+   */
+  async authorize(req, role, projectId) {
+    if (!this._members || !role) {
+      return;
+    }
+    const user = this.requireUser(req);
+    const id =
+      projectId === undefined ? await this.resolveProjectId(req) : projectId;
+    if (id === null || id === undefined) {
+      return;
+    }
+
+    const actual = await this._members.getRole(id, user.getId());
+    if (!actual) {
+      throw new ForbiddenError("You are not a member of this project", {
+        code: "NOT_A_MEMBER",
+      });
+    }
+    if (!hasRole(actual, role)) {
+      throw new ForbiddenError(`This action requires the ${role} role`);
+    }
+  }
+
+  /**
+   * authorize untuk project pemilik sebuah column
+   * @param {Object} req - Express request
+   * @param {string} role - Role minimal
+   * @param {number} boardId - Board ID
+   */
+  async authorizeBoard(req, role, boardId) {
+    if (this._members) {
+      await this.authorize(
+        req,
+        role,
+        await this._members.getProjectIdOfBoard(boardId)
+      );
+    }
+  }
+
+  /**
+   * authorize untuk project pemilik sebuah task
+   * @param {Object} req - Express request
+   * @param {string} role - Role minimal
+   * @param {number} taskId - Task ID
+   */
+  async authorizeTask(req, role, taskId) {
+    if (this._members) {
+      await this.authorize(
+        req,
+        role,
+        await this._members.getProjectIdOfTask(taskId)
+      );
+    }
+  }
+
+  /**
+   * ID project yang bisa diakses user, untuk membatasi endpoint list
+   * @param {Object} req - Express request
+   * @param {string} role - Role minimal (default: viewer)
+   * @returns {Promise<number[]|undefined>} undefined berarti tanpa filter
+   */
+  async accessibleProjectIds(req, role = "viewer") {
+    if (!this._members) {
+      return undefined;
+    }
+    return this._members.getProjectIds(this.requireUser(req).getId(), role);
+  }
+
+  /**
+   * User yang login (diisi middleware authenticate)
+   * @param {Object} req - Express request
+   * @returns {User} User
+   * @throws {UnauthorizedError} Route tidak melewati authenticate
+   */
+  requireUser(req) {
+    if (!req.user) {
+      throw new UnauthorizedError("Authentication required", {
+        code: "AUTH_REQUIRED",
+      });
+    }
+    return req.user;
   }
 
   /**
@@ -119,14 +306,86 @@ class BaseController {
     return { valid: true, errors: [] };
   }
 
+  /**
+   * Baca query limit & offset untuk endpoint list
+   * @param {Object} query - req.query
+   * @returns {Object} { limit: number, offset: number, errors: string[] }
+   */
+  parsePagination(query) {
+    const errors = [];
+    const limit = parseQueryInteger(query.limit, DEFAULT_LIMIT);
+    const offset = parseQueryInteger(query.offset, 0);
+
+    if (limit === null || limit < 1 || limit > MAX_LIMIT) {
+      errors.push(`limit harus berupa angka 1-${MAX_LIMIT}`);
+    }
+    if (offset === null) {
+      errors.push("offset harus berupa angka non-negatif");
+    }
+
+    return { limit, offset, errors };
+  }
+
+  /**
+   * Kirim satu halaman hasil list beserta metadata pagination
+   * nextOffset bernilai null jika tidak ada halaman berikutnya
+   * @param {Object} res - Express response
+   * @param {Entity[]} entities - Isi halaman
+   * @param {Object} page - { total, limit, offset }
+   * @param {Function} format - Ubah satu item ke JSON (default: toJSON())
+   */
+  sendPage(res, entities, { total, limit, offset }, format) {
+    this.sendSuccess(res, 200, {
+      data: entities.map(format || ((entity) => entity.toJSON())),
+      pagination: {
+        total,
+        limit,
+        offset,
+        nextOffset: offset + limit < total ? offset + limit : null,
+      },
+    });
+  }
+
+  /**
+   * Tentukan batas waktu purge trash dari ?olderThanDays=
+   * (default: TRASH_RETENTION_DAYS)
+   * @param {Object} query - req.query
+   * @returns {Object} { before: Date|null, errors: string[] }
+   */
+  parsePurgeCutoff(query) {
+    const days = parseQueryInteger(
+      query.olderThanDays,
+      config.trash.retentionDays
+    );
+    if (days === null) {
+      return {
+        before: null,
+        errors: ["olderThanDays harus berupa angka non-negatif"],
+      };
+    }
+    return { before: new Date(Date.now() - days * DAY_MS), errors: [] };
+  }
+
   /**
    * Handle error response (dapat di-override di child class)
    * @param {Object} res - Express response
    * @param {number} statusCode - HTTP status code
    * @param {string} message - Error message
+   * @param {string} code - Code error (default: sesuai status code)
+   */
+  sendError(res, statusCode, message, code) {
+    this.handleError(res, new AppError(message, statusCode, { code }));
+  }
+
+  /**
+   * Kirim error dari repository ke client
+   * NotFoundError -> 404, ValidationError -> 400, ConflictError -> 409,
+   * error lain -> 500
+   * @param {Object} res - Express response
+   * @param {Error} err - Error dari repository
    */
-  sendError(res, statusCode, message) {
-    res.status(statusCode).json({ error: message });
+  handleError(res, err) {
+    sendErrorResponse(res, err);
   }
 
   /**
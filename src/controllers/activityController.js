@@ -0,0 +1,133 @@
+const BaseController = require("./BaseController");
+const { Activity } = require("../models/Activity");
+
+// Aksi yang dicatat di activity log (untuk filter ?action=)
+const ACTIONS = [
+  "create",
+  "update",
+  "delete",
+  "restore",
+  "archive",
+  "unarchive",
+  "reorder",
+  "move",
+  "assign",
+  "unassign",
+  "label",
+  "unlabel",
+];
+
+/**
+ * ActivityController Class
+ * Controller read-only untuk activity log: feed global dan riwayat satu task
+ * Mewarisi dari BaseController (pagination, response helper)
+ * Demonstrasi: Inheritance, Polymorphism
+ */
+class ActivityController extends BaseController {
+  /**
+   * Constructor
+   * @param {IRepository} repository - Repository Activity (SQLite atau memory)
+   * @param {Object} options - { members?: ProjectMemberRepository }
+   */
+  constructor(repository, options = {}) {
+    super(repository, "Activity", options);
+    // Bind methods untuk mempertahankan context
+    this.getFeed = this.getFeed.bind(this);
+    this.getByTask = this.getByTask.bind(this);
+  }
+
+  /**
+   * Get Feed - semua activity terbaru lebih dulu (dengan pagination)
+   * Hanya activity dari project yang bisa diakses user
+   * Contoh: ?entity_type=task&action=move&limit=20
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async getFeed(req, res) {
+    const { limit, offset, errors } = this.parsePagination(req.query);
+    const filters = {};
+    const { entity_type, action } = req.query;
+
+    if (entity_type !== undefined) {
+      if (!Activity.ENTITY_TYPES.includes(entity_type)) {
+        errors.push(
+          `entity_type harus salah satu dari: ${Activity.ENTITY_TYPES.join(
+            ", "
+          )}`
+        );
+      } else {
+        filters.entity_type = entity_type;
+      }
+    }
+    if (action !== undefined) {
+      if (!ACTIONS.includes(action)) {
+        errors.push(`action harus salah satu dari: ${ACTIONS.join(", ")}`);
+      } else {
+        filters.action = action;
+      }
+    }
+    if (errors.length > 0) {
+      return this.sendError(res, 400, errors.join(", "));
+    }
+
+    try {
+      filters.project_id = await this.accessibleProjectIds(req);
+      const { entries, total } = await this._repository.find({
+        filters,
+        limit,
+        offset,
+      });
+      this.sendPage(res, entries, { total, limit, offset });
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Get by Task - riwayat satu task (termasuk setelah task dihapus)
+   * Dengan membership aktif, riwayat task yang sudah di-purge tidak bisa
+   * dibaca lagi karena project-nya tidak diketahui. Entry dari project lain
+   * (sebelum task dipindah) hanya terlihat oleh member project tersebut.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async getByTask(req, res) {
+    const taskId = parseInt(req.params.id, 10);
+    const { limit, offset, errors } = this.parsePagination(req.query);
+
+    if (!Number.isInteger(taskId) || taskId <= 0) {
+      errors.push("Task ID harus berupa angka positif");
+    }
+    if (errors.length > 0) {
+      return this.sendError(res, 400, errors.join(", "));
+    }
+
+    try {
+      if (this._members) {
+        const projectId = await this._members.getProjectIdOfTask(taskId);
+        if (projectId === null) {
+          return this.sendError(res, 404, "Task not found");
+        }
+        await this.authorize(req, "viewer", projectId);
+      }
+      const { entries, total } = await this._repository.find({
+        filters: {
+          entity_type: "task",
+          entity_id: taskId,
+          project_id: await this.accessibleProjectIds(req),
+        },
+        limit,
+        offset,
+      });
+      // Task yang pernah ada selalu punya minimal entry "create"
+      if (total === 0) {
+        return this.sendError(res, 404, "Task not found");
+      }
+      this.sendPage(res, entries, { total, limit, offset });
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+}
+
+module.exports = ActivityController;
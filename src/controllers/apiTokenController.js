@@ -0,0 +1,149 @@
+const BaseController = require("./BaseController");
+const { ApiToken } = require("../models/ApiToken");
+const { ForbiddenError } = require("../errors");
+
+/**
+ * ApiTokenController Class
+ * Buat, lihat dan cabut personal API token milik user yang login.
+ * Endpoint ini hanya bisa dipakai dengan access token (login biasa), supaya
+ * API token read-only tidak bisa membuat token baru yang lebih luas
+ * Mewarisi dari BaseController (response helper, error handling)
+ * Demonstrasi: Inheritance, Polymorphism
+ */
+class ApiTokenController extends BaseController {
+  /**
+   * Constructor
+   * @param {IRepository} repository - Repository ApiToken (SQLite atau memory)
+   */
+  constructor(repository) {
+    super(repository, "API token");
+    // Bind methods untuk mempertahankan context
+    this.create = this.create.bind(this);
+    this.getAll = this.getAll.bind(this);
+    this.revoke = this.revoke.bind(this);
+  }
+
+  /**
+   * Validate body token baru (Polymorphism - override dari parent)
+   * @param {Object} data - Request body { name, scope?, expires_at? }
+   * @returns {Object} { valid: boolean, errors: string[] }
+   */
+  validateRequest(data) {
+    const baseValidation = super.validateRequest(data);
+    if (!baseValidation.valid) {
+      return baseValidation;
+    }
+
+    const errors = [];
+    if (
+      typeof data.name !== "string" ||
+      data.name.trim() === "" ||
+      data.name.trim().length > ApiToken.MAX_NAME_LENGTH
+    ) {
+      errors.push(
+        `Name harus berupa string yang tidak kosong (maksimal ${ApiToken.MAX_NAME_LENGTH} karakter)`
+      );
+    }
+    if (data.scope !== undefined && !ApiToken.SCOPES.includes(data.scope)) {
+      errors.push(`Scope harus salah satu dari: ${ApiToken.SCOPES.join(", ")}`);
+    }
+    if (data.expires_at !== undefined && data.expires_at !== null) {
+      const expiresAt = new Date(data.expires_at);
+      if (
+        typeof data.expires_at !== "string" ||
+        Number.isNaN(expiresAt.getTime()) ||
+        expiresAt <= new Date()
+      ) {
+        errors.push(
+          "expires_at harus berupa tanggal ISO-8601 di masa depan atau null"
+        );
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Tolak request yang memakai API token
+   * @param {Object} req - Express request
+   * @returns {User} User yang login
+   * @throws {ForbiddenError} Request memakai API token
+   */
+  requireSession(req) {
+    const user = this.requireUser(req);
+    if (req.apiToken) {
+      throw new ForbiddenError("API tokens cannot manage API tokens", {
+        code: "SESSION_REQUIRED",
+      });
+    }
+    return user;
+  }
+
+  /**
+   * Create API token (Polymorphism - override dari parent)
+   * Token asli hanya ada di response ini; setelahnya hanya prefix-nya
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async create(req, res) {
+    const validation = this.validateRequest(req.body);
+    if (!validation.valid) {
+      return this.sendError(res, 400, validation.errors.join(", "));
+    }
+
+    try {
+      const user = this.requireSession(req);
+      const { apiToken, token } = await this._repository.create(
+        user.getId(),
+        req.body
+      );
+      this.sendSuccess(res, 201, { ...apiToken.toJSON(), token });
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Get all API tokens milik user (Polymorphism - override dari parent)
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async getAll(req, res) {
+    try {
+      const user = this.requireSession(req);
+      const tokens = await this._repository.getByUserId(user.getId());
+      this.sendSuccess(
+        res,
+        200,
+        tokens.map((token) => token.toJSON())
+      );
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Revoke API token - token langsung tidak bisa dipakai lagi
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async revoke(req, res) {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return this.sendError(res, 400, "Token ID harus berupa angka positif");
+    }
+
+    try {
+      const user = this.requireSession(req);
+      await this._repository.revoke(user.getId(), id);
+      this.sendSuccess(res, 200, { message: "API token revoked successfully" });
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+}
+
+module.exports = ApiTokenController;
@@ -0,0 +1,162 @@
+const BaseController = require("./BaseController");
+const { User } = require("../models/User");
+const { UnauthorizedError } = require("../errors");
+const { issueTokens, verifyToken } = require("../auth/tokens");
+const { config } = require("../config");
+
+/**
+ * AuthController Class
+ * Register, login dan refresh token. Setiap endpoint mengembalikan user
+ * beserta pasangan access token dan refresh token yang baru.
+ * Mewarisi dari BaseController (response helper, error handling)
+ * Demonstrasi: Inheritance, Polymorphism
+ */
+class AuthController extends BaseController {
+  /**
+   * Constructor
+   * @param {IRepository} repository - Repository User (SQLite atau memory)
+   * @param {Object} auth - Konfigurasi token (default: config.auth)
+   */
+  constructor(repository, auth = config.auth) {
+    super(repository, "User");
+    this._auth = auth;
+    // Bind methods untuk mempertahankan context
+    this.register = this.register.bind(this);
+    this.login = this.login.bind(this);
+    this.refresh = this.refresh.bind(this);
+  }
+
+  /**
+   * Validate body register/login (Polymorphism - override dari parent)
+   * @param {Object} data - Request body { email, password }
+   * @returns {Object} { valid: boolean, errors: string[] }
+   */
+  validateRequest(data) {
+    const baseValidation = super.validateRequest(data);
+    if (!baseValidation.valid) {
+      return baseValidation;
+    }
+
+    const errors = [];
+    if (typeof data.email !== "string" || data.email.trim() === "") {
+      errors.push("Email harus berupa string yang tidak kosong");
+    }
+    if (typeof data.password !== "string" || data.password === "") {
+      errors.push("Password harus berupa string yang tidak kosong");
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Kirim user beserta token baru
+   * @param {Object} res - Express response
+   * @param {number} statusCode - HTTP status code
+   * @param {User} user - User yang login
+   */
+  sendSession(res, statusCode, user) {
+    this.sendSuccess(res, statusCode, {
+      user: user.toJSON(),
+      ...issueTokens(user, this._auth),
+    });
+  }
+
+  /**
+   * Register - buat akun baru dan langsung login
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async register(req, res) {
+    const validation = this.validateRequest(req.body);
+    if (!validation.valid) {
+      return this.sendError(res, 400, validation.errors.join(", "));
+    }
+
+    const { email, password, name } = req.body;
+    const errors = [];
+    if (!User.EMAIL_PATTERN.test(email.trim())) {
+      errors.push("Email tidak valid");
+    }
+    if (password.length < User.MIN_PASSWORD_LENGTH) {
+      errors.push(`Password minimal ${User.MIN_PASSWORD_LENGTH} karakter`);
+    }
+    if (name !== undefined && name !== null && typeof name !== "string") {
+      errors.push("Name harus berupa string");
+    }
+    if (errors.length > 0) {
+      return this.sendError(res, 400, errors.join(", "));
+    }
+
+    try {
+      const user = await this._repository.create({ email, password, name });
+      this.sendSession(res, 201, user);
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Login dengan email dan password
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async login(req, res) {
+    const validation = this.validateRequest(req.body);
+    if (!validation.valid) {
+      return this.sendError(res, 400, validation.errors.join(", "));
+    }
+
+    try {
+      const user = await this._repository.verifyCredentials(
+        req.body.email,
+        req.body.password
+      );
+      // Pesan sama untuk email tidak terdaftar dan password salah
+      if (!user) {
+        throw new UnauthorizedError("Invalid email or password", {
+          code: "INVALID_CREDENTIALS",
+        });
+      }
+      this.sendSession(res, 200, user);
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Refresh - tukar refresh token dengan pasangan token baru
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async refresh(req, res) {
+    const { refreshToken } = req.body || {};
+    if (typeof refreshToken !== "string" || refreshToken === "") {
+      return this.sendError(
+        res,
+        400,
+        "refreshToken harus berupa string yang tidak kosong"
+      );
+    }
+
+    try {
+      const claims = verifyToken(refreshToken, {
+        secret: this._auth.secret,
+        type: "refresh",
+      });
+      const user = await this._repository.getById(claims.sub);
+      if (!user) {
+        throw new UnauthorizedError("Invalid token", {
+          code: "INVALID_TOKEN",
+        });
+      }
+      this.sendSession(res, 200, user);
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+}
+
+module.exports = AuthController;
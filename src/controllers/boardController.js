@@ -1,45 +1,75 @@
 const BaseController = require("./BaseController");
-const { BoardRepository } = require("../models/Board");
 
 /**
  * BoardController Class
  * Merepresentasikan controller untuk Board
  * Mewarisi dari BaseController dan meng-override method untuk custom behavior
+ * Dipakai di /api/columns dan /api/projects/:projectId/columns; pada route
+ * nested, semua operasi dibatasi ke project tersebut
  * Demonstrasi: Inheritance, Polymorphism, Method Overriding
  */
 class BoardController extends BaseController {
   /**
    * Constructor
+   * @param {IRepository} repository - Repository Board (SQLite atau memory)
+   * @param {Object} options - { members?: ProjectMemberRepository }
    */
-  constructor() {
-    super(new BoardRepository());
+  constructor(repository, options = {}) {
+    super(repository, "Board", options);
     // Bind methods untuk mempertahankan context
     this.create = this.create.bind(this);
     this.getAll = this.getAll.bind(this);
     this.getById = this.getById.bind(this);
     this.update = this.update.bind(this);
+    this.patch = this.patch.bind(this);
     this.delete = this.delete.bind(this);
+    this.reorder = this.reorder.bind(this);
+    this.reorderByPosition = this.reorderByPosition.bind(this);
+    this.setOrder = this.setOrder.bind(this);
+    this.getSnapshot = this.getSnapshot.bind(this);
+    this.getTrash = this.getTrash.bind(this);
+    this.restore = this.restore.bind(this);
+    this.purgeTrash = this.purgeTrash.bind(this);
+    this.checkProjectScope = this.checkProjectScope.bind(this);
   }
 
   /**
    * Validate Board request (Polymorphism - override dari parent)
    * @param {Object} data - Request body
+   * @param {Object} options - { partial: boolean } (untuk PATCH semua field opsional)
    * @returns {Object} { valid: boolean, errors: string[] }
    */
-  validateRequest(data) {
+  validateRequest(data, { partial = false } = {}) {
     const baseValidation = super.validateRequest(data);
     if (!baseValidation.valid) {
       return baseValidation;
     }
 
     const errors = [];
+    if (partial && data.title === undefined && data.position === undefined) {
+      errors.push("Minimal satu field harus dikirim: title, position");
+    }
     if (
-      !data.title ||
-      typeof data.title !== "string" ||
-      data.title.trim() === ""
+      (!partial || data.title !== undefined) &&
+      (!data.title ||
+        typeof data.title !== "string" ||
+        data.title.trim() === "")
     ) {
       errors.push("Title harus berupa string yang tidak kosong");
     }
+    if (
+      partial &&
+      data.position !== undefined &&
+      (!Number.isInteger(data.position) || data.position < 0)
+    ) {
+      errors.push("Position harus berupa angka non-negatif");
+    }
+    if (
+      data.project_id !== undefined &&
+      (!Number.isInteger(data.project_id) || data.project_id <= 0)
+    ) {
+      errors.push("Project ID harus berupa angka positif");
+    }
 
     return {
       valid: errors.length === 0,
@@ -47,6 +77,33 @@ class BoardController extends BaseController {
     };
   }
 
+  /**
+   * Project yang dituju request (Polymorphism - override dari parent)
+   * Board :id memakai project-nya sendiri; column baru memakai project di
+   * URL, body project_id, atau project default
+   * @param {Object} req - Express request
+   * @returns {Promise<number|null>} Project ID
+   */
+  async resolveProjectId(req) {
+    if (req.params.id) {
+      return this._members.getProjectIdOfBoard(req.params.id);
+    }
+    return (
+      this.getProjectId(req) ||
+      (req.body && req.body.project_id) ||
+      this._members.getDefaultProjectId()
+    );
+  }
+
+  /**
+   * Project pemilik board, untuk filter getAll
+   * @param {Board} board - Board
+   * @returns {number} Project ID
+   */
+  entityProjectId(board) {
+    return board.getProjectId();
+  }
+
   /**
    * Create Board (Polymorphism - override dari parent)
    * @param {Object} req - Express request
@@ -58,7 +115,89 @@ class BoardController extends BaseController {
       return this.sendError(res, 400, validation.errors.join(", "));
     }
 
-    super.create(req, res);
+    const projectId = this.getProjectId(req);
+    if (projectId) {
+      req.body.project_id = projectId;
+    }
+
+    return super.create(req, res);
+  }
+
+  /**
+   * Patch Board - hanya field yang dikirim (title, position) yang di-update
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  patch(req, res) {
+    const validation = this.validateRequest(req.body, { partial: true });
+    if (!validation.valid) {
+      return this.sendError(res, 400, validation.errors.join(", "));
+    }
+
+    return super.patch(req, res);
+  }
+
+  /**
+   * Get all Boards (Polymorphism - override dari parent)
+   * Pada route nested hanya board milik project tersebut yang dikembalikan
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async getAll(req, res) {
+    const projectId = this.getProjectId(req);
+    if (!projectId) {
+      return super.getAll(req, res);
+    }
+
+    try {
+      await this.authorize(req, "viewer", projectId);
+      const boards = await this._repository.getByProjectId(projectId);
+      this.sendSuccess(
+        res,
+        200,
+        boards.map((board) => board.toJSON())
+      );
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Get Snapshot - semua column beserta task-nya untuk render Kanban view
+   * dalam satu request. Di /api/columns project dipilih lewat ?project_id=
+   * (default: project default)
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async getSnapshot(req, res) {
+    let projectId = this.getProjectId(req);
+    if (!projectId && req.query.project_id !== undefined) {
+      projectId = Number(req.query.project_id);
+      if (!Number.isInteger(projectId) || projectId <= 0) {
+        return this.sendError(
+          res,
+          400,
+          "Project ID harus berupa angka positif"
+        );
+      }
+    }
+
+    try {
+      // Snapshot dimuat lebih dulu supaya project yang tidak ada tetap 404;
+      // tanpa project di URL/query, authorize memakai project default
+      const snapshot = await this._repository.getSnapshot(projectId);
+      await this.authorize(req, "viewer", snapshot.projectId);
+      this.sendSuccess(res, 200, {
+        project_id: snapshot.projectId,
+        columns: snapshot.columns.map(({ board, tasks }) => ({
+          ...board.toJSON(),
+          task_count: tasks.length,
+          tasks: tasks.map((task) => task.toJSON()),
+        })),
+      });
+    } catch (err) {
+      this.handleError(res, err);
+    }
   }
 
   /**
@@ -72,9 +211,258 @@ class BoardController extends BaseController {
       return this.sendError(res, 400, validation.errors.join(", "));
     }
 
-    super.update(req, res);
+    return super.update(req, res);
+  }
+
+  /**
+   * Delete Board (Polymorphism - override dari parent)
+   * Column berisi task ditolak (409) kecuali dikirim ?moveTo=<boardId>
+   * (task dipindah ke akhir column tersebut) atau ?cascade=true
+   * (task ikut dihapus)
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async delete(req, res) {
+    const { moveTo, cascade } = req.query;
+    const options = {};
+
+    if (moveTo !== undefined) {
+      options.moveTo = Number(moveTo);
+      if (!Number.isInteger(options.moveTo) || options.moveTo <= 0) {
+        return this.sendError(res, 400, "moveTo harus berupa angka positif");
+      }
+    }
+    if (cascade !== undefined) {
+      if (cascade !== "true" && cascade !== "false") {
+        return this.sendError(
+          res,
+          400,
+          "cascade harus bernilai true atau false"
+        );
+      }
+      options.cascade = cascade === "true";
+    }
+    if (options.moveTo && options.cascade) {
+      return this.sendError(
+        res,
+        400,
+        "moveTo dan cascade tidak boleh dipakai bersamaan"
+      );
+    }
+
+    try {
+      await this.authorize(req, "editor");
+      const result = await this._repository.delete(req.params.id, options);
+      this.sendSuccess(res, 200, {
+        message: "Board deleted successfully",
+        moved_to: result.movedTo,
+        moved_count: result.movedCount,
+      });
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Get Trash - daftar column yang sudah dihapus (soft delete)
+   * Pada route nested hanya column milik project tersebut, selain itu
+   * column dari semua project yang bisa diakses user
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async getTrash(req, res) {
+    try {
+      const boards = await this._repository.getTrash(
+        this.getProjectId(req) || (await this.accessibleProjectIds(req))
+      );
+      this.sendSuccess(
+        res,
+        200,
+        boards.map((board) => board.toJSON())
+      );
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Restore Column dari trash beserta task yang ikut terhapus bersamanya
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async restore(req, res) {
+    try {
+      await this.authorize(req, "editor");
+      const { board, restoredTasks } = await this._repository.restore(
+        req.params.id
+      );
+      this.sendSuccess(res, 200, {
+        ...board.toJSON(),
+        restored_tasks: restoredTasks,
+      });
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Purge Trash - hapus permanen column (dan task-nya) yang sudah lama
+   * di trash. Khusus owner: di /api/columns hanya project milik user
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async purgeTrash(req, res) {
+    const { before, errors } = this.parsePurgeCutoff(req.query);
+    if (errors.length > 0) {
+      return this.sendError(res, 400, errors.join(", "));
+    }
+
+    const projectId = this.getProjectId(req);
+
+    try {
+      await this.authorize(req, "owner", projectId);
+      const purged = await this._repository.purge(
+        before,
+        projectId || (await this.accessibleProjectIds(req, "owner"))
+      );
+      this.sendSuccess(res, 200, { purged, before: before.toISOString() });
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Reorder - Swap positions between two boards
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async reorder(req, res) {
+    const { boardId1, boardId2 } = req.body;
+
+    if (!boardId1 || !boardId2) {
+      return this.sendError(res, 400, "boardId1 dan boardId2 harus disediakan");
+    }
+
+    if (!Number.isInteger(boardId1) || !Number.isInteger(boardId2)) {
+      return this.sendError(
+        res,
+        400,
+        "boardId1 dan boardId2 harus berupa angka"
+      );
+    }
+
+    try {
+      await this.authorizeBoard(req, "editor", boardId1);
+      await this.authorizeBoard(req, "editor", boardId2);
+      await this._repository.reorder(boardId1, boardId2);
+      this.sendSuccess(res, 200, { message: "Boards reordered successfully" });
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Reorder by Position - Pindahkan board ke position baru
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async reorderByPosition(req, res) {
+    const id = parseInt(req.params.id, 10);
+    const { newPosition } = req.body;
+
+    if (!id || newPosition === undefined) {
+      return this.sendError(
+        res,
+        400,
+        "Board ID dan newPosition harus disediakan"
+      );
+    }
+
+    if (!Number.isInteger(newPosition) || newPosition < 0) {
+      return this.sendError(
+        res,
+        400,
+        "newPosition harus berupa angka non-negatif"
+      );
+    }
+
+    try {
+      await this.authorize(req, "editor");
+      await this._repository.reorderByPosition(id, newPosition);
+      this.sendSuccess(res, 200, {
+        message: "Board position updated successfully",
+      });
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Set Order - Simpan urutan lengkap semua board
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async setOrder(req, res) {
+    const { boardIds } = req.body || {};
+
+    if (
+      !Array.isArray(boardIds) ||
+      !boardIds.every((id) => Number.isInteger(id) && id > 0)
+    ) {
+      return this.sendError(
+        res,
+        400,
+        "boardIds harus berupa array berisi angka positif"
+      );
+    }
+
+    const projectId = this.getProjectId(req) || req.body.project_id;
+
+    try {
+      await this.authorize(req, "editor");
+      const boards = await this._repository.setOrder(projectId, boardIds);
+      this.sendSuccess(
+        res,
+        200,
+        boards.map((board) => board.toJSON())
+      );
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Ambil projectId dari route nested /api/projects/:projectId/columns
+   * @param {Object} req - Express request
+   * @returns {number|null} Project ID, atau null di route /api/columns
+   */
+  getProjectId(req) {
+    return req.params.projectId ? parseInt(req.params.projectId, 10) : null;
+  }
+
+  /**
+   * Middleware untuk route dengan :id - pada route nested pastikan board
+   * benar-benar milik project di URL, selain itu dianggap tidak ditemukan
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Function} next - Express next
+   */
+  async checkProjectScope(req, res, next) {
+    const projectId = this.getProjectId(req);
+    if (!projectId) {
+      return next();
+    }
+
+    // Error dari repository diteruskan Express 5 ke error handler terpusat.
+    // Board di trash ikut dicek supaya restore juga dibatasi ke project ini
+    const board = await this._repository.getById(req.params.id, {
+      includeDeleted: true,
+    });
+    if (!board || board.getProjectId() !== projectId) {
+      return this.sendError(res, 404, "Board not found");
+    }
+    next();
   }
 }
 
-// Export singleton instance
-module.exports = new BoardController();
+module.exports = BoardController;
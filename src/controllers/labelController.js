@@ -0,0 +1,177 @@
+const BaseController = require("./BaseController");
+const { Label } = require("../models/Label");
+
+/**
+ * LabelController Class
+ * Kelola label project di /api/projects/:projectId/labels. Semua member
+ * boleh melihat label; membuat, mengubah dan menghapus label butuh editor
+ * Mewarisi dari BaseController (authorize, response helper)
+ * Demonstrasi: Inheritance, Polymorphism
+ */
+class LabelController extends BaseController {
+  /**
+   * Constructor
+   * @param {IRepository} repository - Repository Label (SQLite atau memory)
+   * @param {Object} options - { members } untuk cek role member project
+   */
+  constructor(repository, options = {}) {
+    super(repository, "Label", options);
+    // Bind methods untuk mempertahankan context
+    this.getAll = this.getAll.bind(this);
+    this.create = this.create.bind(this);
+    this.update = this.update.bind(this);
+    this.delete = this.delete.bind(this);
+  }
+
+  /**
+   * Validate body label (Polymorphism - override dari parent)
+   * @param {Object} data - Request body { name, color? }
+   * @param {Object} options - { partial: boolean } (true untuk PATCH)
+   * @returns {Object} { valid: boolean, errors: string[] }
+   */
+  validateRequest(data, { partial = false } = {}) {
+    const baseValidation = super.validateRequest(data);
+    if (!baseValidation.valid) {
+      return baseValidation;
+    }
+
+    const errors = [];
+    if (
+      (!partial || data.name !== undefined) &&
+      (typeof data.name !== "string" ||
+        data.name.trim() === "" ||
+        data.name.trim().length > Label.MAX_NAME_LENGTH)
+    ) {
+      errors.push(
+        `Name harus berupa string yang tidak kosong (maksimal ${Label.MAX_NAME_LENGTH} karakter)`
+      );
+    }
+    if (
+      data.color !== undefined &&
+      (typeof data.color !== "string" || !Label.COLOR_PATTERN.test(data.color))
+    ) {
+      errors.push("Color harus berupa warna hex, misal #ff0000");
+    }
+    if (partial && data.name === undefined && data.color === undefined) {
+      errors.push("Kirim minimal salah satu: name atau color");
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Project dari URL nested (Polymorphism - override dari parent)
+   * @param {Object} req - Express request
+   * @returns {Promise<number>} Project ID
+   */
+  async resolveProjectId(req) {
+    return parseInt(req.params.projectId, 10);
+  }
+
+  /**
+   * Ambil labelId dari URL /labels/:labelId
+   * @param {Object} req - Express request
+   * @returns {number|null} Label ID, null jika bukan angka positif
+   */
+  getLabelId(req) {
+    const labelId = Number(req.params.labelId);
+    return Number.isInteger(labelId) && labelId > 0 ? labelId : null;
+  }
+
+  /**
+   * Get all Labels (Polymorphism - override dari parent)
+   * Akses viewer sudah dicek oleh projectController.requireProject
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async getAll(req, res) {
+    try {
+      const labels = await this._repository.getByProjectId(
+        await this.resolveProjectId(req)
+      );
+      this.sendSuccess(
+        res,
+        200,
+        labels.map((label) => label.toJSON())
+      );
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Create Label (Polymorphism - override dari parent)
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async create(req, res) {
+    const validation = this.validateRequest(req.body);
+    if (!validation.valid) {
+      return this.sendError(res, 400, validation.errors.join(", "));
+    }
+
+    try {
+      await this.authorize(req, "editor");
+      const label = await this._repository.create(
+        await this.resolveProjectId(req),
+        req.body
+      );
+      this.sendSuccess(res, 201, label.toJSON());
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Update Label - ganti name dan/atau color (Polymorphism - override dari parent)
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async update(req, res) {
+    const labelId = this.getLabelId(req);
+    if (!labelId) {
+      return this.sendError(res, 400, "Label ID harus berupa angka positif");
+    }
+    const validation = this.validateRequest(req.body, { partial: true });
+    if (!validation.valid) {
+      return this.sendError(res, 400, validation.errors.join(", "));
+    }
+
+    try {
+      await this.authorize(req, "editor");
+      const label = await this._repository.update(
+        await this.resolveProjectId(req),
+        labelId,
+        req.body
+      );
+      this.sendSuccess(res, 200, label.toJSON());
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Delete Label - ikut dilepas dari semua task (Polymorphism - override dari parent)
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async delete(req, res) {
+    const labelId = this.getLabelId(req);
+    if (!labelId) {
+      return this.sendError(res, 400, "Label ID harus berupa angka positif");
+    }
+
+    try {
+      await this.authorize(req, "editor");
+      await this._repository.delete(await this.resolveProjectId(req), labelId);
+      this.sendSuccess(res, 200, { message: "Label deleted successfully" });
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+}
+
+module.exports = LabelController;
@@ -0,0 +1,184 @@
+const BaseController = require("./BaseController");
+const { ROLES } = require("../auth/roles");
+
+/**
+ * MemberController Class
+ * Kelola member project di /api/projects/:projectId/members. Semua member
+ * boleh melihat daftar member; menambah, mengubah role dan mengeluarkan
+ * member khusus owner (kecuali member yang keluar sendiri)
+ * Mewarisi dari BaseController (authorize, response helper)
+ * Demonstrasi: Inheritance, Polymorphism
+ */
+class MemberController extends BaseController {
+  /**
+   * Constructor
+   * @param {IRepository} repository - Repository ProjectMember (SQLite atau memory)
+   * @param {Object} options - { users: UserRepository } untuk cari user lewat email
+   */
+  constructor(repository, { users } = {}) {
+    super(repository, "Member", { members: repository });
+    this._users = users;
+    // Bind methods untuk mempertahankan context
+    this.getAll = this.getAll.bind(this);
+    this.add = this.add.bind(this);
+    this.updateRole = this.updateRole.bind(this);
+    this.remove = this.remove.bind(this);
+  }
+
+  /**
+   * Validate body tambah/ubah member (Polymorphism - override dari parent)
+   * @param {Object} data - Request body { email | user_id, role }
+   * @param {Object} options - { requireUser: boolean } (false untuk PATCH)
+   * @returns {Object} { valid: boolean, errors: string[] }
+   */
+  validateRequest(data, { requireUser = true } = {}) {
+    const baseValidation = super.validateRequest(data);
+    if (!baseValidation.valid) {
+      return baseValidation;
+    }
+
+    const errors = [];
+    if (requireUser) {
+      const hasEmail =
+        typeof data.email === "string" && data.email.trim() !== "";
+      const hasUserId = Number.isInteger(data.user_id) && data.user_id > 0;
+      if (hasEmail === hasUserId) {
+        errors.push("Kirim salah satu: email atau user_id (angka positif)");
+      }
+    }
+    if (!ROLES.includes(data.role)) {
+      errors.push(`Role harus salah satu dari: ${ROLES.join(", ")}`);
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Project dari URL nested (Polymorphism - override dari parent)
+   * @param {Object} req - Express request
+   * @returns {Promise<number>} Project ID
+   */
+  async resolveProjectId(req) {
+    return parseInt(req.params.projectId, 10);
+  }
+
+  /**
+   * Ambil userId dari URL /members/:userId
+   * @param {Object} req - Express request
+   * @returns {number|null} User ID, null jika bukan angka positif
+   */
+  getUserId(req) {
+    const userId = Number(req.params.userId);
+    return Number.isInteger(userId) && userId > 0 ? userId : null;
+  }
+
+  /**
+   * Get all Members (Polymorphism - override dari parent)
+   * Akses viewer sudah dicek oleh projectController.requireProject
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async getAll(req, res) {
+    try {
+      const members = await this._repository.getByProjectId(
+        await this.resolveProjectId(req)
+      );
+      this.sendSuccess(
+        res,
+        200,
+        members.map((member) => member.toJSON())
+      );
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Add Member - lewat email atau user_id
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async add(req, res) {
+    const validation = this.validateRequest(req.body);
+    if (!validation.valid) {
+      return this.sendError(res, 400, validation.errors.join(", "));
+    }
+
+    const { email, role } = req.body;
+
+    try {
+      await this.authorize(req, "owner");
+      let userId = req.body.user_id;
+      if (email !== undefined) {
+        const user = await this._users.getByEmail(email);
+        if (!user) {
+          return this.sendError(res, 404, "User not found");
+        }
+        userId = user.getId();
+      }
+
+      const member = await this._repository.add(
+        await this.resolveProjectId(req),
+        { user_id: userId, role }
+      );
+      this.sendSuccess(res, 201, member.toJSON());
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Update Role member
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async updateRole(req, res) {
+    const userId = this.getUserId(req);
+    if (!userId) {
+      return this.sendError(res, 400, "User ID harus berupa angka positif");
+    }
+    const validation = this.validateRequest(req.body, { requireUser: false });
+    if (!validation.valid) {
+      return this.sendError(res, 400, validation.errors.join(", "));
+    }
+
+    try {
+      await this.authorize(req, "owner");
+      const member = await this._repository.updateRole(
+        await this.resolveProjectId(req),
+        userId,
+        req.body.role
+      );
+      this.sendSuccess(res, 200, member.toJSON());
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Remove Member - owner mengeluarkan member, atau member keluar sendiri
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async remove(req, res) {
+    const userId = this.getUserId(req);
+    if (!userId) {
+      return this.sendError(res, 400, "User ID harus berupa angka positif");
+    }
+
+    try {
+      if (userId !== req.user.getId()) {
+        await this.authorize(req, "owner");
+      }
+      await this._repository.remove(await this.resolveProjectId(req), userId);
+      this.sendSuccess(res, 200, { message: "Member removed successfully" });
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+}
+
+module.exports = MemberController;
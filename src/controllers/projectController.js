@@ -0,0 +1,139 @@
+const BaseController = require("./BaseController");
+
+/**
+ * ProjectController Class
+ * Merepresentasikan controller untuk Project
+ * Mewarisi dari BaseController dan meng-override method untuk custom behavior
+ * Demonstrasi: Inheritance, Polymorphism, Method Overriding
+ */
+class ProjectController extends BaseController {
+  /**
+   * Constructor
+   * @param {IRepository} repository - Repository Project (SQLite atau memory)
+   * @param {Object} options - { members?: ProjectMemberRepository }
+   */
+  constructor(repository, options = {}) {
+    super(repository, "Project", options);
+    // Bind methods untuk mempertahankan context
+    this.create = this.create.bind(this);
+    this.getAll = this.getAll.bind(this);
+    this.getById = this.getById.bind(this);
+    this.update = this.update.bind(this);
+    this.delete = this.delete.bind(this);
+    this.requireProject = this.requireProject.bind(this);
+  }
+
+  /**
+   * Validate Project request (Polymorphism - override dari parent)
+   * @param {Object} data - Request body
+   * @returns {Object} { valid: boolean, errors: string[] }
+   */
+  validateRequest(data) {
+    const baseValidation = super.validateRequest(data);
+    if (!baseValidation.valid) {
+      return baseValidation;
+    }
+
+    const errors = [];
+    if (
+      !data.title ||
+      typeof data.title !== "string" ||
+      data.title.trim() === ""
+    ) {
+      errors.push("Title harus berupa string yang tidak kosong");
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Role minimal per aksi (Polymorphism - override dari parent)
+   * Semua user boleh membuat project; ubah/hapus project khusus owner
+   * @param {string} action - Nama handler
+   * @returns {string|null} Role minimal
+   */
+  requiredRole(action) {
+    if (action === "create") {
+      return null;
+    }
+    return action === "getById" ? "viewer" : "owner";
+  }
+
+  /**
+   * Project yang dituju request (Polymorphism - override dari parent)
+   * @param {Object} req - Express request
+   * @returns {Promise<number|null>} Project ID
+   */
+  async resolveProjectId(req) {
+    const projectId = parseInt(req.params.id ?? req.params.projectId, 10);
+    return Number.isInteger(projectId) ? projectId : null;
+  }
+
+  /**
+   * Project ID sebuah project adalah ID-nya sendiri
+   * @param {Project} project - Project
+   * @returns {number} Project ID
+   */
+  entityProjectId(project) {
+    return project.getId();
+  }
+
+  /**
+   * Create Project (Polymorphism - override dari parent)
+   * User yang membuat project otomatis menjadi owner-nya
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  create(req, res) {
+    const validation = this.validateRequest(req.body);
+    if (!validation.valid) {
+      return this.sendError(res, 400, validation.errors.join(", "));
+    }
+
+    delete req.body.owner_id;
+    if (this._members && req.user) {
+      req.body.owner_id = req.user.getId();
+    }
+    return super.create(req, res);
+  }
+
+  /**
+   * Update Project (Polymorphism - override dari parent)
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  update(req, res) {
+    const validation = this.validateRequest(req.body);
+    if (!validation.valid) {
+      return this.sendError(res, 400, validation.errors.join(", "));
+    }
+
+    return super.update(req, res);
+  }
+
+  /**
+   * Middleware untuk route nested /:projectId/... - tolak project yang tidak
+   * ada dan user yang bukan member (minimal viewer)
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Function} next - Express next
+   */
+  async requireProject(req, res, next) {
+    const projectId = parseInt(req.params.projectId, 10);
+    if (!Number.isInteger(projectId) || projectId <= 0) {
+      return this.sendError(res, 400, "Project ID harus berupa angka positif");
+    }
+
+    const project = await this._repository.getById(projectId);
+    if (!project) {
+      return this.sendError(res, 404, "Project not found");
+    }
+    await this.authorize(req, "viewer", projectId);
+    next();
+  }
+}
+
+module.exports = ProjectController;
@@ -1,5 +1,26 @@
 const BaseController = require("./BaseController");
-const { TaskRepository } = require("../models/Task");
+const { Task } = require("../models/Task");
+
+// Field yang boleh dikirim lewat PATCH
+const PATCHABLE_FIELDS = [
+  "title",
+  "position",
+  "board_id",
+  ...Task.DETAIL_FIELDS,
+];
+
+// Pesan validasi untuk field detail task yang opsional
+const DETAIL_ERRORS = {
+  description: "Description harus berupa string atau null",
+  due_date: "Due date harus berupa tanggal ISO-8601 (YYYY-MM-DD) atau null",
+  priority: `Priority harus salah satu dari: ${Task.PRIORITIES.join(
+    ", "
+  )} atau null`,
+  estimate: "Estimate harus berupa angka non-negatif atau null",
+};
+
+// Format tanggal untuk filter due_from / due_to dan archived_from / archived_to
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
 /**
  * TaskController Class
@@ -10,27 +31,45 @@ const { TaskRepository } = require("../models/Task");
 class TaskController extends BaseController {
   /**
    * Constructor
+   * @param {IRepository} repository - Repository Task (SQLite atau memory)
+   * @param {Object} options - { members?: ProjectMemberRepository }
    */
-  constructor() {
-    super(new TaskRepository());
+  constructor(repository, options = {}) {
+    super(repository, "Task", options);
     // Bind methods untuk mempertahankan context
     this.create = this.create.bind(this);
     this.getAll = this.getAll.bind(this);
     this.getById = this.getById.bind(this);
     this.getByBoardId = this.getByBoardId.bind(this);
+    this.search = this.search.bind(this);
+    this.getTrash = this.getTrash.bind(this);
+    this.restore = this.restore.bind(this);
+    this.purgeTrash = this.purgeTrash.bind(this);
+    this.getArchived = this.getArchived.bind(this);
+    this.archive = this.archive.bind(this);
+    this.unarchive = this.unarchive.bind(this);
     this.update = this.update.bind(this);
+    this.patch = this.patch.bind(this);
     this.delete = this.delete.bind(this);
     this.reorder = this.reorder.bind(this);
     this.reorderByPosition = this.reorderByPosition.bind(this);
     this.move = this.move.bind(this);
+    this.setColumnOrder = this.setColumnOrder.bind(this);
+    this.addAssignee = this.addAssignee.bind(this);
+    this.removeAssignee = this.removeAssignee.bind(this);
+    this.getMine = this.getMine.bind(this);
+    this.addLabel = this.addLabel.bind(this);
+    this.removeLabel = this.removeLabel.bind(this);
   }
 
   /**
    * Validate Task request (Polymorphism - override dari parent)
    * @param {Object} data - Request body
+   * @param {Object} options - { requirePosition: boolean (default: true),
+   *   partial: boolean (default: false, untuk PATCH semua field opsional) }
    * @returns {Object} { valid: boolean, errors: string[] }
    */
-  validateRequest(data) {
+  validateRequest(data, { requirePosition = true, partial = false } = {}) {
     const baseValidation = super.validateRequest(data);
     if (!baseValidation.valid) {
       return baseValidation;
@@ -38,45 +77,284 @@ class TaskController extends BaseController {
 
     const errors = [];
     if (
-      !data.title ||
-      typeof data.title !== "string" ||
-      data.title.trim() === ""
+      partial &&
+      !PATCHABLE_FIELDS.some((field) => data[field] !== undefined)
+    ) {
+      errors.push(
+        `Minimal satu field harus dikirim: ${PATCHABLE_FIELDS.join(", ")}`
+      );
+    }
+    if (
+      (!partial || data.title !== undefined) &&
+      (!data.title ||
+        typeof data.title !== "string" ||
+        data.title.trim() === "")
     ) {
       errors.push("Title harus berupa string yang tidak kosong");
     }
     if (
-      data.position === undefined ||
-      !Number.isInteger(data.position) ||
-      data.position < 0
+      ((requirePosition && !partial) || data.position !== undefined) &&
+      (!Number.isInteger(data.position) || data.position < 0)
     ) {
       errors.push("Position harus berupa angka non-negatif");
     }
     if (
-      !data.board_id ||
-      typeof data.board_id !== "number" ||
-      data.board_id <= 0
+      (!partial || data.board_id !== undefined) &&
+      (!data.board_id ||
+        typeof data.board_id !== "number" ||
+        data.board_id <= 0)
     ) {
       errors.push("Board ID harus berupa angka positif");
     }
 
+    // Detail opsional divalidasi dengan setter milik Task
+    const probe = new Task();
+    Task.DETAIL_FIELDS.forEach((field) => {
+      if (data[field] === undefined) {
+        return;
+      }
+      try {
+        probe.applyDetails({ [field]: data[field] });
+      } catch (err) {
+        errors.push(DETAIL_ERRORS[field]);
+      }
+    });
+
     return {
       valid: errors.length === 0,
       errors,
     };
   }
 
+  /**
+   * Project yang dituju request (Polymorphism - override dari parent)
+   * Task :id memakai project column-nya; task baru memakai column di body
+   * @param {Object} req - Express request
+   * @returns {Promise<number|null>} Project ID
+   */
+  async resolveProjectId(req) {
+    if (req.params.id) {
+      return this._members.getProjectIdOfTask(req.params.id);
+    }
+    return req.body && req.body.board_id
+      ? this._members.getProjectIdOfBoard(req.body.board_id)
+      : null;
+  }
+
+  /**
+   * Batasi filter project_id ke project yang bisa diakses user
+   * project_id dari query dicek role-nya; tanpa project_id dipakai semua
+   * project yang bisa diakses
+   * @param {Object} req - Express request
+   * @param {number|undefined} projectId - project_id dari query
+   * @returns {Promise<number|number[]|undefined>} Filter project_id
+   */
+  async scopeProjectId(req, projectId) {
+    if (projectId !== undefined) {
+      await this.authorize(req, "viewer", projectId);
+      return projectId;
+    }
+    return this.accessibleProjectIds(req);
+  }
+
+  /**
+   * Baca query GET /api/tasks menjadi query untuk repository.find
+   * Contoh: ?board_id=2&title=login&priority=high,urgent&sort=-due_date,title
+   * @param {Object} query - req.query
+   * @param {number|null} userId - User yang login (untuk ?assignee=me)
+   * @returns {Object} { query: Object, errors: string[] }
+   */
+  parseListQuery(query, userId = null) {
+    const { limit, offset, errors } = this.parsePagination(query);
+    const filters = {};
+
+    ["board_id", "project_id"].forEach((field) => {
+      if (query[field] === undefined) {
+        return;
+      }
+      const value = Number(query[field]);
+      if (!Number.isInteger(value) || value <= 0) {
+        errors.push(`${field} harus berupa angka positif`);
+        return;
+      }
+      filters[field] = value;
+    });
+
+    if (query.assignee !== undefined) {
+      const assignee =
+        query.assignee === "me" && userId ? userId : Number(query.assignee);
+      if (!Number.isInteger(assignee) || assignee <= 0) {
+        errors.push("assignee harus berupa user ID atau me");
+      } else {
+        filters.assignee_id = assignee;
+      }
+    }
+
+    if (query.title !== undefined) {
+      if (typeof query.title !== "string") {
+        errors.push("title harus berupa string");
+      } else if (query.title.trim() !== "") {
+        filters.title = query.title.trim();
+      }
+    }
+
+    if (query.priority !== undefined) {
+      const priorities =
+        typeof query.priority === "string" ? query.priority.split(",") : [];
+      if (
+        priorities.length === 0 ||
+        !priorities.every((priority) => Task.PRIORITIES.includes(priority))
+      ) {
+        errors.push(
+          `priority harus berisi salah satu dari: ${Task.PRIORITIES.join(", ")}`
+        );
+      } else {
+        filters.priority = priorities;
+      }
+    }
+
+    if (query.label !== undefined) {
+      const labelIds =
+        typeof query.label === "string"
+          ? query.label.split(",").map(Number)
+          : [];
+      if (
+        labelIds.length === 0 ||
+        !labelIds.every((labelId) => Number.isInteger(labelId) && labelId > 0)
+      ) {
+        errors.push("label harus berisi label ID (angka positif) dipisah koma");
+      } else {
+        filters.label_ids = labelIds;
+      }
+    }
+
+    ["due_from", "due_to"].forEach((field) => {
+      if (query[field] === undefined) {
+        return;
+      }
+      if (
+        typeof query[field] !== "string" ||
+        !DATE_PATTERN.test(query[field])
+      ) {
+        errors.push(`${field} harus berupa tanggal YYYY-MM-DD`);
+        return;
+      }
+      filters[field] = query[field];
+    });
+
+    const sortValue = query.sort === undefined ? "position" : query.sort;
+    const sort = (
+      typeof sortValue === "string" ? sortValue.split(",") : [""]
+    ).map((key) => ({
+      field: key.replace(/^-/, ""),
+      direction: key.startsWith("-") ? "desc" : "asc",
+    }));
+    if (!sort.every(({ field }) => Task.SORT_FIELDS.includes(field))) {
+      errors.push(
+        `sort harus berisi salah satu dari: ${Task.SORT_FIELDS.join(
+          ", "
+        )} (awali dengan - untuk urutan menurun)`
+      );
+    }
+
+    return { query: { filters, sort, limit, offset }, errors };
+  }
+
+  /**
+   * Get all Tasks (Polymorphism - override dari parent)
+   * Mendukung filter, sort dan pagination lewat query string
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async getAll(req, res) {
+    const { query, errors } = this.parseListQuery(
+      req.query,
+      req.user ? req.user.getId() : null
+    );
+    if (errors.length > 0) {
+      return this.sendError(res, 400, errors.join(", "));
+    }
+
+    try {
+      query.filters.project_id = await this.scopeProjectId(
+        req,
+        query.filters.project_id
+      );
+      const { tasks, total } = await this._repository.find(query);
+      this.sendPage(res, tasks, {
+        total,
+        limit: query.limit,
+        offset: query.offset,
+      });
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Search Tasks - pencarian full-text untuk GET /api/search?q=
+   * Setiap hasil berisi task, judul column-nya dan potongan teks yang cocok
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async search(req, res) {
+    const { q, project_id, include_archived } = req.query;
+    const { limit, offset, errors } = this.parsePagination(req.query);
+
+    if (typeof q !== "string" || q.trim() === "") {
+      errors.push("q harus berupa string yang tidak kosong");
+    }
+    const projectId = project_id === undefined ? undefined : Number(project_id);
+    if (
+      projectId !== undefined &&
+      (!Number.isInteger(projectId) || projectId <= 0)
+    ) {
+      errors.push("project_id harus berupa angka positif");
+    }
+    if (
+      include_archived !== undefined &&
+      include_archived !== "true" &&
+      include_archived !== "false"
+    ) {
+      errors.push("include_archived harus bernilai true atau false");
+    }
+    if (errors.length > 0) {
+      return this.sendError(res, 400, errors.join(", "));
+    }
+
+    try {
+      const { hits, total } = await this._repository.search({
+        q,
+        project_id: await this.scopeProjectId(req, projectId),
+        include_archived: include_archived === "true",
+        limit,
+        offset,
+      });
+      this.sendPage(res, hits, { total, limit, offset }, (hit) => ({
+        ...hit.task.toJSON(),
+        board_title: hit.boardTitle,
+        highlight: hit.highlight,
+      }));
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
   /**
    * Create Task (Polymorphism - override dari parent)
+   * Position boleh dikosongkan; task akan ditaruh di akhir column
    * @param {Object} req - Express request
    * @param {Object} res - Express response
    */
   create(req, res) {
-    const validation = this.validateRequest(req.body);
+    const validation = this.validateRequest(req.body, {
+      requirePosition: false,
+    });
     if (!validation.valid) {
       return this.sendError(res, 400, validation.errors.join(", "));
     }
 
-    super.create(req, res);
+    return super.create(req, res);
   }
 
   /**
@@ -84,13 +362,51 @@ class TaskController extends BaseController {
    * @param {Object} req - Express request
    * @param {Object} res - Express response
    */
-  update(req, res) {
+  async update(req, res) {
     const validation = this.validateRequest(req.body);
     if (!validation.valid) {
       return this.sendError(res, 400, validation.errors.join(", "));
     }
 
-    super.update(req, res);
+    return this.withTargetBoard(req, res, req.body.board_id, () =>
+      super.update(req, res)
+    );
+  }
+
+  /**
+   * Patch Task - hanya field yang dikirim yang di-update
+   * Perubahan position/board_id diproses seperti reorder & move
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async patch(req, res) {
+    const validation = this.validateRequest(req.body, { partial: true });
+    if (!validation.valid) {
+      return this.sendError(res, 400, validation.errors.join(", "));
+    }
+
+    return this.withTargetBoard(req, res, req.body.board_id, () =>
+      super.patch(req, res)
+    );
+  }
+
+  /**
+   * Jalankan handler setelah memastikan user editor di column tujuan
+   * (task yang pindah column bisa pindah project)
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {number|undefined} boardId - Column tujuan, undefined jika tetap
+   * @param {Function} handler - Handler lanjutan
+   */
+  async withTargetBoard(req, res, boardId, handler) {
+    try {
+      if (boardId !== undefined) {
+        await this.authorizeBoard(req, "editor", boardId);
+      }
+    } catch (err) {
+      return this.handleError(res, err);
+    }
+    return handler();
   }
 
   /**
@@ -98,23 +414,24 @@ class TaskController extends BaseController {
    * @param {Object} req - Express request
    * @param {Object} res - Express response
    */
-  getByBoardId(req, res) {
+  async getByBoardId(req, res) {
     const { board_id } = req.params;
 
     if (!board_id || typeof parseInt(board_id) !== "number") {
       return this.sendError(res, 400, "Board ID harus berupa angka");
     }
 
-    this._repository.getByBoardId(board_id, (err, entities) => {
-      if (err) {
-        return this.sendError(res, 500, err.message);
-      }
+    try {
+      await this.authorizeBoard(req, "viewer", board_id);
+      const entities = await this._repository.getByBoardId(board_id);
       this.sendSuccess(
         res,
         200,
         entities.map((entity) => entity.toJSON())
       );
-    });
+    } catch (err) {
+      this.handleError(res, err);
+    }
   }
 
   /**
@@ -122,7 +439,7 @@ class TaskController extends BaseController {
    * @param {Object} req - Express request
    * @param {Object} res - Express response
    */
-  reorder(req, res) {
+  async reorder(req, res) {
     const { taskId1, taskId2 } = req.body;
 
     if (!taskId1 || !taskId2) {
@@ -133,12 +450,14 @@ class TaskController extends BaseController {
       return this.sendError(res, 400, "taskId1 dan taskId2 harus berupa angka");
     }
 
-    this._repository.reorder(taskId1, taskId2, (err) => {
-      if (err) {
-        return this.sendError(res, 400, err.message);
-      }
+    try {
+      await this.authorizeTask(req, "editor", taskId1);
+      await this.authorizeTask(req, "editor", taskId2);
+      await this._repository.reorder(taskId1, taskId2);
       this.sendSuccess(res, 200, { message: "Tasks reordered successfully" });
-    });
+    } catch (err) {
+      this.handleError(res, err);
+    }
   }
 
   /**
@@ -146,8 +465,8 @@ class TaskController extends BaseController {
    * @param {Object} req - Express request
    * @param {Object} res - Express response
    */
-  reorderByPosition(req, res) {
-    const { id } = req.params;
+  async reorderByPosition(req, res) {
+    const id = parseInt(req.params.id, 10);
     const { newPosition } = req.body;
 
     if (!id || newPosition === undefined) {
@@ -170,22 +489,24 @@ class TaskController extends BaseController {
       return this.sendError(res, 400, "newPosition harus non-negatif");
     }
 
-    this._repository.reorderByPosition(id, newPosition, (err) => {
-      if (err) {
-        return this.sendError(res, 400, err.message);
-      }
+    try {
+      await this.authorize(req, "editor");
+      await this._repository.reorderByPosition(id, newPosition);
       this.sendSuccess(res, 200, {
         message: "Task position updated successfully",
       });
-    });
+    } catch (err) {
+      this.handleError(res, err);
+    }
   }
 
   /**
    * Move Task to Different Board
+   * Response berisi task yang dipindah beserta urutan akhir column asal & tujuan
    * @param {Object} req - Express request
    * @param {Object} res - Express response
    */
-  move(req, res) {
+  async move(req, res) {
     const { taskId, newBoardId, newPosition } = req.body;
 
     if (!taskId || !newBoardId) {
@@ -210,19 +531,386 @@ class TaskController extends BaseController {
       }
     }
 
-    this._repository.moveToBoard(
-      taskId,
-      newBoardId,
-      newPosition,
-      (err, updatedTask) => {
-        if (err) {
-          return this.sendError(res, 400, err.message);
-        }
-        this.sendSuccess(res, 200, updatedTask.toJSON());
+    try {
+      await this.authorizeTask(req, "editor", taskId);
+      await this.authorizeBoard(req, "editor", newBoardId);
+      const result = await this._repository.moveToBoard(
+        taskId,
+        newBoardId,
+        newPosition
+      );
+      this.sendSuccess(res, 200, {
+        task: result.task.toJSON(),
+        source: this.formatColumn(result.source),
+        target: this.formatColumn(result.target),
+      });
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Set Column Order - Simpan urutan lengkap task dalam satu column
+   * Dipakai frontend drag-and-drop: kirim semua task ID sesuai urutan akhir
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async setColumnOrder(req, res) {
+    const boardId = parseInt(req.params.id, 10);
+    const { taskIds } = req.body || {};
+
+    if (!Number.isInteger(boardId) || boardId <= 0) {
+      return this.sendError(res, 400, "Board ID harus berupa angka positif");
+    }
+
+    if (
+      !Array.isArray(taskIds) ||
+      !taskIds.every((id) => Number.isInteger(id) && id > 0)
+    ) {
+      return this.sendError(
+        res,
+        400,
+        "taskIds harus berupa array berisi angka positif"
+      );
+    }
+
+    try {
+      await this.authorizeBoard(req, "editor", boardId);
+      const column = await this._repository.setOrder(boardId, taskIds);
+      this.sendSuccess(res, 200, this.formatColumn(column));
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Add Assignee - tugaskan user ke task
+   * User harus bisa membaca project task tersebut (member dengan role apa
+   * pun)
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async addAssignee(req, res) {
+    const { user_id } = req.body || {};
+
+    if (!Number.isInteger(user_id) || user_id <= 0) {
+      return this.sendError(res, 400, "user_id harus berupa angka positif");
+    }
+
+    try {
+      const projectId = this._members
+        ? await this._members.getProjectIdOfTask(req.params.id)
+        : null;
+      await this.authorize(req, "editor", projectId);
+      if (
+        projectId !== null &&
+        !(await this._members.getRole(projectId, user_id))
+      ) {
+        return this.sendError(
+          res,
+          400,
+          "Assignee harus menjadi member project task ini"
+        );
+      }
+
+      const task = await this._repository.addAssignee(req.params.id, user_id);
+      this.sendSuccess(res, 200, task.toJSON());
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Remove Assignee - lepaskan user dari task
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async removeAssignee(req, res) {
+    const userId = Number(req.params.userId);
+
+    if (!Number.isInteger(userId) || userId <= 0) {
+      return this.sendError(res, 400, "User ID harus berupa angka positif");
+    }
+
+    try {
+      await this.authorize(req, "editor");
+      const task = await this._repository.removeAssignee(req.params.id, userId);
+      this.sendSuccess(res, 200, task.toJSON());
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Add Label - pasang label project ke task
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async addLabel(req, res) {
+    const { label_id } = req.body || {};
+
+    if (!Number.isInteger(label_id) || label_id <= 0) {
+      return this.sendError(res, 400, "label_id harus berupa angka positif");
+    }
+
+    try {
+      await this.authorize(req, "editor");
+      const task = await this._repository.addLabel(req.params.id, label_id);
+      this.sendSuccess(res, 200, task.toJSON());
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Remove Label - lepaskan label dari task
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async removeLabel(req, res) {
+    const labelId = Number(req.params.labelId);
+
+    if (!Number.isInteger(labelId) || labelId <= 0) {
+      return this.sendError(res, 400, "Label ID harus berupa angka positif");
+    }
+
+    try {
+      await this.authorize(req, "editor");
+      const task = await this._repository.removeLabel(req.params.id, labelId);
+      this.sendSuccess(res, 200, task.toJSON());
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Get Mine - task milik user yang login di semua column, dikelompokkan per
+   * column (untuk GET /api/me/tasks, opsional ?project_id=)
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async getMine(req, res) {
+    const { project_id } = req.query;
+    const projectId = project_id === undefined ? undefined : Number(project_id);
+
+    if (
+      projectId !== undefined &&
+      (!Number.isInteger(projectId) || projectId <= 0)
+    ) {
+      return this.sendError(res, 400, "project_id harus berupa angka positif");
+    }
+
+    try {
+      const user = this.requireUser(req);
+      const columns = await this._repository.getAssigned(
+        user.getId(),
+        await this.scopeProjectId(req, projectId)
+      );
+      this.sendSuccess(res, 200, {
+        total: columns.reduce((sum, column) => sum + column.tasks.length, 0),
+        columns: columns.map((column) => ({
+          id: column.boardId,
+          title: column.boardTitle,
+          project_id: column.projectId,
+          task_count: column.tasks.length,
+          tasks: column.tasks.map((task) => task.toJSON()),
+        })),
+      });
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Get Trash - daftar task yang sudah dihapus (soft delete) dari project
+   * yang bisa diakses user
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async getTrash(req, res) {
+    try {
+      const tasks = await this._repository.getTrash(
+        await this.accessibleProjectIds(req)
+      );
+      this.sendSuccess(
+        res,
+        200,
+        tasks.map((task) => task.toJSON())
+      );
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Restore Task dari trash
+   * Body opsional { board_id, position }; tanpa body task kembali ke column
+   * dan position asalnya
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async restore(req, res) {
+    const { board_id, position } = req.body || {};
+
+    if (
+      board_id !== undefined &&
+      (!Number.isInteger(board_id) || board_id <= 0)
+    ) {
+      return this.sendError(res, 400, "Board ID harus berupa angka positif");
+    }
+    if (
+      position !== undefined &&
+      (!Number.isInteger(position) || position < 0)
+    ) {
+      return this.sendError(
+        res,
+        400,
+        "Position harus berupa angka non-negatif"
+      );
+    }
+
+    try {
+      await this.authorize(req, "editor");
+      if (board_id !== undefined) {
+        await this.authorizeBoard(req, "editor", board_id);
       }
-    );
+      const task = await this._repository.restore(req.params.id, {
+        board_id,
+        position,
+      });
+      this.sendSuccess(res, 200, task.toJSON());
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Purge Trash - hapus permanen task yang sudah lama di trash
+   * Hanya task di project yang dimiliki (owner) user
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async purgeTrash(req, res) {
+    const { before, errors } = this.parsePurgeCutoff(req.query);
+    if (errors.length > 0) {
+      return this.sendError(res, 400, errors.join(", "));
+    }
+
+    try {
+      const purged = await this._repository.purge(
+        before,
+        await this.accessibleProjectIds(req, "owner")
+      );
+      this.sendSuccess(res, 200, { purged, before: before.toISOString() });
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Get Archived - daftar task yang diarsipkan (dengan pagination)
+   * Contoh: ?board_id=3&archived_from=2024-01-01&archived_to=2024-01-31
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async getArchived(req, res) {
+    const { limit, offset, errors } = this.parsePagination(req.query);
+    const filters = {};
+
+    if (req.query.board_id !== undefined) {
+      const boardId = Number(req.query.board_id);
+      if (!Number.isInteger(boardId) || boardId <= 0) {
+        errors.push("board_id harus berupa angka positif");
+      } else {
+        filters.board_id = boardId;
+      }
+    }
+    ["archived_from", "archived_to"].forEach((field) => {
+      if (req.query[field] === undefined) {
+        return;
+      }
+      if (
+        typeof req.query[field] !== "string" ||
+        !DATE_PATTERN.test(req.query[field])
+      ) {
+        errors.push(`${field} harus berupa tanggal YYYY-MM-DD`);
+        return;
+      }
+      filters[field] = req.query[field];
+    });
+    if (errors.length > 0) {
+      return this.sendError(res, 400, errors.join(", "));
+    }
+
+    try {
+      filters.project_id = await this.accessibleProjectIds(req);
+      const { tasks, total } = await this._repository.getArchived({
+        filters,
+        limit,
+        offset,
+      });
+      this.sendPage(res, tasks, { total, limit, offset });
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Archive Task - keluarkan task dari column tanpa menghapusnya
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async archive(req, res) {
+    try {
+      await this.authorize(req, "editor");
+      const task = await this._repository.archive(req.params.id);
+      this.sendSuccess(res, 200, task.toJSON());
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Unarchive Task - kembalikan task ke akhir column
+   * Body opsional { board_id }; tanpa body task kembali ke column asalnya
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async unarchive(req, res) {
+    const { board_id } = req.body || {};
+
+    if (
+      board_id !== undefined &&
+      (!Number.isInteger(board_id) || board_id <= 0)
+    ) {
+      return this.sendError(res, 400, "Board ID harus berupa angka positif");
+    }
+
+    try {
+      await this.authorize(req, "editor");
+      if (board_id !== undefined) {
+        await this.authorizeBoard(req, "editor", board_id);
+      }
+      const task = await this._repository.unarchive(req.params.id, {
+        board_id,
+      });
+      this.sendSuccess(res, 200, task.toJSON());
+    } catch (err) {
+      this.handleError(res, err);
+    }
+  }
+
+  /**
+   * Format urutan satu column untuk response
+   * @param {Object} column - { boardId, tasks: Task[] }
+   * @returns {Object} { board_id, tasks: Object[] }
+   */
+  formatColumn(column) {
+    return {
+      board_id: column.boardId,
+      tasks: column.tasks.map((task) => task.toJSON()),
+    };
   }
 }
 
-// Export singleton instance
-module.exports = new TaskController();
+module.exports = TaskController;
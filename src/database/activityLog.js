@@ -0,0 +1,142 @@
+/**
+ * Helper activity log (table Activity, lihat migration 009)
+ * Activity bersifat append-only: repository Task dan Board menambah satu
+ * entry untuk setiap create, update, delete, reorder dan move di dalam
+ * transaction yang sama dengan perubahannya. Entry tidak pernah diubah
+ * atau dihapus, termasuk saat row aslinya di-purge.
+ * project_id dicatat saat entry ditulis (lihat migration 015), jadi riwayat
+ * task yang pindah project tetap milik project lamanya.
+ */
+const { currentUserId } = require("../auth/context");
+
+// Kolom yang tidak dicatat di before/after karena tidak bermakna untuk user
+const IGNORED_FIELDS = ["id", "created_at", "updated_at", "deleted_with_board"];
+
+/**
+ * Ambil field row yang dicatat
+ * @param {Object|null} row - Row table
+ * @returns {Object|null} Salinan row tanpa IGNORED_FIELDS
+ */
+const recordedFields = (row) => {
+  if (!row) {
+    return null;
+  }
+  return Object.fromEntries(
+    Object.entries(row).filter(([field]) => !IGNORED_FIELDS.includes(field))
+  );
+};
+
+/**
+ * Hitung nilai before/after untuk entry
+ * Jika keduanya ada hanya field yang berubah yang disimpan; create hanya
+ * punya after dan delete hanya punya before
+ * @param {Object|null} before - Row sebelum perubahan
+ * @param {Object|null} after - Row setelah perubahan
+ * @returns {Object} { before: Object|null, after: Object|null }
+ */
+const diffRows = (before, after) => {
+  const old = recordedFields(before);
+  const current = recordedFields(after);
+  if (!old || !current) {
+    return { before: old, after: current };
+  }
+
+  const changed = Object.keys(current).filter(
+    (field) => old[field] !== current[field]
+  );
+  return {
+    before: Object.fromEntries(changed.map((field) => [field, old[field]])),
+    after: Object.fromEntries(changed.map((field) => [field, current[field]])),
+  };
+};
+
+/**
+ * Susun row Activity dari sebuah perubahan
+ * Untuk task, from/to_board_id berisi column sebelum dan sesudah;
+ * from/to_position berisi position task (atau position column untuk board).
+ * actor_id adalah user yang login di request ini (null di luar request).
+ * project_id masih null kecuali dikirim; recordActivity mengisinya dari
+ * column/task (lihat activityBoardId)
+ * @param {Object} entry - { entityType: "task"|"board", entityId: number,
+ *   action: string, before?: Object, after?: Object, projectId?: number }
+ * @param {string} now - Timestamp created_at
+ * @returns {Object} Row Activity (before/after masih berupa object)
+ */
+const activityRow = (entry, now) => {
+  const {
+    entityType,
+    entityId,
+    action,
+    before = null,
+    after = null,
+    projectId = null,
+  } = entry;
+  const diff = diffRows(before, after);
+  const boardOf = (row) =>
+    row && entityType === "task" ? row.board_id ?? null : null;
+
+  return {
+    entity_type: entityType,
+    entity_id: entityId,
+    action,
+    actor_id: currentUserId(),
+    before: diff.before,
+    after: diff.after,
+    from_board_id: boardOf(before),
+    to_board_id: boardOf(after),
+    from_position: before ? before.position ?? null : null,
+    to_position: after ? after.position ?? null : null,
+    project_id: projectId,
+    created_at: now,
+  };
+};
+
+/**
+ * Column yang menentukan project sebuah entry: board itu sendiri, atau
+ * column task setelah perubahan (sebelumnya untuk delete). Move antar
+ * project dicatat di project tujuan.
+ * @param {Object} row - Row Activity dari activityRow
+ * @returns {number|null} Board ID, null jika entry tidak membawa column
+ *   (misal assign/label; project diambil dari column task saat ini)
+ */
+const activityBoardId = (row) =>
+  row.entity_type === "board"
+    ? row.entity_id
+    : row.to_board_id ?? row.from_board_id;
+
+/**
+ * Tambah satu entry ke table Activity
+ * @param {Object} tx - Transaction dari withTransaction
+ * @param {Object} entry - Lihat activityRow
+ * @param {string} now - Timestamp created_at
+ */
+const recordActivity = (tx, entry, now) => {
+  const row = activityRow(entry, now);
+  return tx.run(
+    `INSERT INTO Activity (entity_type, entity_id, action, actor_id, before,
+      after, from_board_id, to_board_id, from_position, to_position,
+      project_id, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?,
+        (SELECT project_id FROM Board WHERE id = ?),
+        (SELECT b.project_id FROM Task t JOIN Board b ON b.id = t.board_id
+          WHERE t.id = ?)), ?)`,
+    [
+      row.entity_type,
+      row.entity_id,
+      row.action,
+      row.actor_id,
+      row.before && JSON.stringify(row.before),
+      row.after && JSON.stringify(row.after),
+      row.from_board_id,
+      row.to_board_id,
+      row.from_position,
+      row.to_position,
+      row.project_id,
+      activityBoardId(row),
+      row.entity_type === "task" ? row.entity_id : null,
+      row.created_at,
+    ]
+  );
+};
+
+module.exports = { activityRow, activityBoardId, recordActivity };
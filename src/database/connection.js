@@ -0,0 +1,48 @@
+const fs = require("fs");
+const path = require("path");
+const sqlite3 = require("sqlite3").verbose();
+const { config, IN_MEMORY } = require("../config");
+const { promisifyConnection } = require("./promisify");
+
+/**
+ * Buat connection SQLite baru
+ *
+ * Setiap pemanggilan menghasilkan connection yang terpisah, sehingga
+ * database ":memory:" dari dua connection juga saling terisolasi.
+ * Folder untuk file database dibuat otomatis bila belum ada.
+ *
+ * @param {string} filename - Path file database atau ":memory:"
+ *   (default: config.database.path)
+ * @returns {sqlite3.Database} Connection dengan runAsync/getAsync/allAsync
+ */
+const createConnection = (filename = config.database.path) => {
+  if (filename !== IN_MEMORY) {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const connection = new sqlite3.Database(filename, (err) => {
+    if (err) {
+      console.error("Error opening database:", err);
+    } else if (filename !== IN_MEMORY) {
+      console.log(`Connected to SQLite database at ${filename}`);
+    }
+  });
+
+  // Enable foreign keys (berlaku per connection)
+  connection.run("PRAGMA foreign_keys = ON");
+
+  return promisifyConnection(connection);
+};
+
+/**
+ * Tutup connection
+ * @param {sqlite3.Database} connection - Connection yang akan ditutup
+ * @returns {Promise<void>}
+ */
+const closeConnection = (connection) => {
+  return new Promise((resolve, reject) => {
+    connection.close((err) => (err ? reject(err) : resolve()));
+  });
+};
+
+module.exports = { createConnection, closeConnection };
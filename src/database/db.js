@@ -1,17 +1,7 @@
-const sqlite3 = require("sqlite3").verbose();
-const path = require("path");
+const { createConnection } = require("./connection");
 
-const dbPath = path.join(__dirname, "../../data", "tasks.db");
-
-const db = new sqlite3.Database(dbPath, (err) => {
-  if (err) {
-    console.error("Error opening database:", err);
-  } else {
-    console.log("Connected to SQLite database");
-  }
-});
-
-// Enable foreign keys
-db.run("PRAGMA foreign_keys = ON");
+// Connection aplikasi - lokasi database diatur lewat DB_PATH (lihat src/config)
+// db.runAsync / db.getAsync / db.allAsync tersedia untuk dipakai dengan await
+const db = createConnection();
 
 module.exports = db;
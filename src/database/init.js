@@ -1,40 +1,22 @@
-const db = require("./db");
+const { migrate, rollback } = require("./migrator");
 
-const initializeDatabase = () => {
-  return new Promise((resolve, reject) => {
-    // Create Board table
-    db.run(
-      `CREATE TABLE IF NOT EXISTS Board (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        title TEXT NOT NULL
-      )`,
-      (err) => {
-        if (err) {
-          reject(err);
-        } else {
-          console.log("Board table created/verified");
-          // Create Task table
-          db.run(
-            `CREATE TABLE IF NOT EXISTS Task (
-              id INTEGER PRIMARY KEY AUTOINCREMENT,
-              title TEXT NOT NULL,
-              position INTEGER NOT NULL,
-              board_id INTEGER NOT NULL,
-              FOREIGN KEY (board_id) REFERENCES Board(id) ON DELETE CASCADE
-            )`,
-            (err) => {
-              if (err) {
-                reject(err);
-              } else {
-                console.log("Task table created/verified");
-                resolve();
-              }
-            }
-          );
-        }
-      }
-    );
-  });
+/**
+ * Initialize database
+ * Menjalankan semua migration yang belum diterapkan (lihat src/database/migrations)
+ * @param {sqlite3.Database} connection - Database connection (default: db aplikasi)
+ * @returns {Promise<string[]>} Nama migration yang baru dijalankan
+ */
+const initializeDatabase = (connection = require("./db")) => {
+  return migrate(connection);
 };
 
-module.exports = { initializeDatabase };
+/**
+ * Rollback migration terakhir pada database aplikasi
+ * @param {number} steps - Jumlah migration yang di-rollback
+ * @returns {Promise<string[]>} Nama migration yang di-rollback
+ */
+const rollbackDatabase = (steps = 1) => {
+  return rollback(require("./db"), { steps });
+};
+
+module.exports = { initializeDatabase, rollbackDatabase };
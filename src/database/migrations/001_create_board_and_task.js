@@ -0,0 +1,26 @@
+/**
+ * Migration 001 - Create Board dan Task tables
+ * Schema awal aplikasi. Memakai IF NOT EXISTS supaya database lama
+ * (sebelum ada sistem migration) tetap bisa di-adopsi tanpa kehilangan data.
+ */
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS Board (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS Task (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      board_id INTEGER NOT NULL,
+      FOREIGN KEY (board_id) REFERENCES Board(id) ON DELETE CASCADE
+    );
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS Task;
+    DROP TABLE IF EXISTS Board;
+  `,
+};
@@ -0,0 +1,27 @@
+/**
+ * Migration 002 - Tambah kolom created_at dan updated_at
+ * Timestamp disimpan sebagai ISO-8601 (UTC). Row lama di-backfill dengan
+ * waktu migration karena waktu pembuatan aslinya tidak pernah tercatat.
+ */
+module.exports = {
+  up: `
+    ALTER TABLE Board ADD COLUMN created_at TEXT;
+    ALTER TABLE Board ADD COLUMN updated_at TEXT;
+    UPDATE Board
+      SET created_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now'),
+          updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+
+    ALTER TABLE Task ADD COLUMN created_at TEXT;
+    ALTER TABLE Task ADD COLUMN updated_at TEXT;
+    UPDATE Task
+      SET created_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now'),
+          updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+  `,
+
+  down: `
+    ALTER TABLE Task DROP COLUMN updated_at;
+    ALTER TABLE Task DROP COLUMN created_at;
+    ALTER TABLE Board DROP COLUMN updated_at;
+    ALTER TABLE Board DROP COLUMN created_at;
+  `,
+};
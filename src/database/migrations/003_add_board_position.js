@@ -0,0 +1,15 @@
+/**
+ * Migration 003 - Tambah kolom position pada Board
+ * Column yang sudah ada diberi urutan 0..n-1 berdasarkan urutan pembuatan (id).
+ */
+module.exports = {
+  up: `
+    ALTER TABLE Board ADD COLUMN position INTEGER NOT NULL DEFAULT 0;
+    UPDATE Board
+      SET position = (SELECT COUNT(*) FROM Board AS earlier WHERE earlier.id < Board.id);
+  `,
+
+  down: `
+    ALTER TABLE Board DROP COLUMN position;
+  `,
+};
@@ -0,0 +1,65 @@
+/**
+ * Migration 004 - Tambah Project di atas Board (column)
+ * Semua column yang sudah ada dipindahkan ke "Default Project". Table Board
+ * di-rebuild karena SQLite tidak bisa menambah kolom foreign key NOT NULL
+ * lewat ALTER TABLE. Position column sekarang berlaku per project.
+ */
+module.exports = {
+  up: `
+    CREATE TABLE Project (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      created_at TEXT,
+      updated_at TEXT
+    );
+
+    INSERT INTO Project (title, created_at, updated_at)
+      VALUES (
+        'Default Project',
+        strftime('%Y-%m-%dT%H:%M:%fZ', 'now'),
+        strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+      );
+
+    CREATE TABLE Board_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      position INTEGER NOT NULL DEFAULT 0,
+      project_id INTEGER NOT NULL,
+      created_at TEXT,
+      updated_at TEXT,
+      FOREIGN KEY (project_id) REFERENCES Project(id) ON DELETE CASCADE
+    );
+
+    INSERT INTO Board_new (id, title, position, project_id, created_at, updated_at)
+      SELECT id, title, position, (SELECT MIN(id) FROM Project), created_at, updated_at
+      FROM Board;
+
+    DROP TABLE Board;
+    ALTER TABLE Board_new RENAME TO Board;
+
+    CREATE INDEX idx_board_project_position ON Board (project_id, position);
+  `,
+
+  down: `
+    CREATE TABLE Board_old (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      created_at TEXT,
+      updated_at TEXT,
+      position INTEGER NOT NULL DEFAULT 0
+    );
+
+    INSERT INTO Board_old (id, title, created_at, updated_at, position)
+      SELECT id, title, created_at, updated_at,
+        (SELECT COUNT(*) FROM Board AS earlier
+          WHERE earlier.project_id < Board.project_id
+            OR (earlier.project_id = Board.project_id
+              AND (earlier.position < Board.position
+                OR (earlier.position = Board.position AND earlier.id < Board.id))))
+      FROM Board;
+
+    DROP TABLE Board;
+    ALTER TABLE Board_old RENAME TO Board;
+    DROP TABLE Project;
+  `,
+};
@@ -0,0 +1,21 @@
+/**
+ * Migration 005 - Tambah detail task
+ * description (markdown), due_date (ISO-8601), priority (low/medium/high/urgent)
+ * dan estimate (story point). Semua kolom opsional.
+ */
+module.exports = {
+  up: `
+    ALTER TABLE Task ADD COLUMN description TEXT;
+    ALTER TABLE Task ADD COLUMN due_date TEXT;
+    ALTER TABLE Task ADD COLUMN priority TEXT
+      CHECK (priority IN ('low', 'medium', 'high', 'urgent'));
+    ALTER TABLE Task ADD COLUMN estimate REAL CHECK (estimate >= 0);
+  `,
+
+  down: `
+    ALTER TABLE Task DROP COLUMN estimate;
+    ALTER TABLE Task DROP COLUMN priority;
+    ALTER TABLE Task DROP COLUMN due_date;
+    ALTER TABLE Task DROP COLUMN description;
+  `,
+};
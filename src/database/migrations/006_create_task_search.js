@@ -0,0 +1,21 @@
+/**
+ * Migration 006 - Index full-text untuk pencarian task
+ * Virtual table FTS5 dengan rowid = Task.id; isinya dijaga oleh repository
+ * (lihat src/database/searchIndex.js). Task yang sudah ada langsung diindex.
+ */
+module.exports = {
+  up: `
+    CREATE VIRTUAL TABLE TaskSearch USING fts5(
+      title,
+      description,
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+
+    INSERT INTO TaskSearch (rowid, title, description)
+      SELECT id, title, COALESCE(description, '') FROM Task;
+  `,
+
+  down: `
+    DROP TABLE TaskSearch;
+  `,
+};
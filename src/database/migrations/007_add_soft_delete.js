@@ -0,0 +1,26 @@
+/**
+ * Migration 007 - Soft delete untuk Task dan Board
+ * deleted_at (ISO-8601) terisi berarti row ada di trash. Row di trash tidak
+ * ikut urutan position; position terakhirnya disimpan sebagai acuan restore.
+ * Task.deleted_with_board menandai task yang masuk trash karena board-nya
+ * dihapus (cascade), sehingga ikut kembali saat board di-restore.
+ */
+module.exports = {
+  up: `
+    ALTER TABLE Task ADD COLUMN deleted_at TEXT;
+    ALTER TABLE Task ADD COLUMN deleted_with_board INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE Board ADD COLUMN deleted_at TEXT;
+
+    CREATE INDEX idx_task_deleted_at ON Task (deleted_at);
+    CREATE INDEX idx_board_deleted_at ON Board (deleted_at);
+  `,
+
+  down: `
+    DROP INDEX idx_board_deleted_at;
+    DROP INDEX idx_task_deleted_at;
+
+    ALTER TABLE Board DROP COLUMN deleted_at;
+    ALTER TABLE Task DROP COLUMN deleted_with_board;
+    ALTER TABLE Task DROP COLUMN deleted_at;
+  `,
+};
@@ -0,0 +1,18 @@
+/**
+ * Migration 008 - Arsip task
+ * archived_at (ISO-8601) terisi berarti task diarsipkan: task tetap milik
+ * board-nya tetapi tidak ikut listing column maupun urutan position.
+ */
+module.exports = {
+  up: `
+    ALTER TABLE Task ADD COLUMN archived_at TEXT;
+
+    CREATE INDEX idx_task_archived_at ON Task (board_id, archived_at);
+  `,
+
+  down: `
+    DROP INDEX idx_task_archived_at;
+
+    ALTER TABLE Task DROP COLUMN archived_at;
+  `,
+};
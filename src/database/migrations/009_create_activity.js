@@ -0,0 +1,31 @@
+/**
+ * Migration 009 - Activity log
+ * Table append-only berisi riwayat perubahan Task dan Board. entity_id
+ * sengaja tanpa foreign key supaya riwayat tetap ada setelah row di-purge.
+ * before/after berisi JSON field yang berubah.
+ */
+module.exports = {
+  up: `
+    CREATE TABLE Activity (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      entity_type TEXT NOT NULL CHECK (entity_type IN ('task', 'board')),
+      entity_id INTEGER NOT NULL,
+      action TEXT NOT NULL,
+      actor_id INTEGER,
+      before TEXT,
+      after TEXT,
+      from_board_id INTEGER,
+      to_board_id INTEGER,
+      from_position INTEGER,
+      to_position INTEGER,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE INDEX idx_activity_entity ON Activity (entity_type, entity_id);
+  `,
+
+  down: `
+    DROP INDEX idx_activity_entity;
+    DROP TABLE Activity;
+  `,
+};
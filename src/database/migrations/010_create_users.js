@@ -0,0 +1,21 @@
+/**
+ * Migration 010 - User account untuk autentikasi
+ * Email unik tanpa membedakan huruf besar/kecil. password_hash berisi hasil
+ * scrypt beserta salt-nya (lihat src/auth/password.js), bukan password asli.
+ */
+module.exports = {
+  up: `
+    CREATE TABLE User (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      name TEXT,
+      password_hash TEXT NOT NULL,
+      created_at TEXT,
+      updated_at TEXT
+    );
+  `,
+
+  down: `
+    DROP TABLE User;
+  `,
+};
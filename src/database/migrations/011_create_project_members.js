@@ -0,0 +1,28 @@
+/**
+ * Migration 011 - Membership project dengan role
+ * Role berlaku untuk seluruh column dan task di dalam project. Project yang
+ * belum punya member sama sekali (data sebelum migration ini) mendapat owner
+ * di migration 016.
+ */
+module.exports = {
+  up: `
+    CREATE TABLE ProjectMember (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      project_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+      created_at TEXT,
+      updated_at TEXT,
+      UNIQUE (project_id, user_id),
+      FOREIGN KEY (project_id) REFERENCES Project(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX idx_project_member_user ON ProjectMember (user_id);
+  `,
+
+  down: `
+    DROP INDEX idx_project_member_user;
+    DROP TABLE ProjectMember;
+  `,
+};
@@ -0,0 +1,28 @@
+/**
+ * Migration 012 - Personal API token untuk script dan CI
+ * Token asli tidak pernah disimpan: hanya hash SHA-256 (untuk dicocokkan)
+ * dan beberapa karakter awalnya (untuk ditampilkan di daftar token).
+ */
+module.exports = {
+  up: `
+    CREATE TABLE ApiToken (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      token_prefix TEXT NOT NULL,
+      scope TEXT NOT NULL CHECK (scope IN ('read', 'write')),
+      expires_at TEXT,
+      last_used_at TEXT,
+      created_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX idx_api_token_user ON ApiToken (user_id);
+  `,
+
+  down: `
+    DROP INDEX idx_api_token_user;
+    DROP TABLE ApiToken;
+  `,
+};
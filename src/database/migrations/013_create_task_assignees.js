@@ -0,0 +1,24 @@
+/**
+ * Migration 013 - Assignee task (many-to-many Task <-> User)
+ * Satu task bisa punya beberapa assignee; row ikut terhapus saat task
+ * di-purge atau user dihapus.
+ */
+module.exports = {
+  up: `
+    CREATE TABLE TaskAssignee (
+      task_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      created_at TEXT,
+      PRIMARY KEY (task_id, user_id),
+      FOREIGN KEY (task_id) REFERENCES Task(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX idx_task_assignee_user ON TaskAssignee (user_id);
+  `,
+
+  down: `
+    DROP INDEX idx_task_assignee_user;
+    DROP TABLE TaskAssignee;
+  `,
+};
@@ -0,0 +1,40 @@
+/**
+ * Migration 014 - Label per project dan relasi many-to-many Task <-> Label
+ * Nama label unik per project tanpa membedakan huruf besar/kecil. Label
+ * ikut terhapus bersama project-nya, dan TaskLabel ikut terhapus saat task
+ * di-purge atau label dihapus.
+ */
+module.exports = {
+  up: `
+    CREATE TABLE Label (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      project_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      color TEXT NOT NULL,
+      created_at TEXT,
+      updated_at TEXT,
+      FOREIGN KEY (project_id) REFERENCES Project(id) ON DELETE CASCADE
+    );
+
+    CREATE UNIQUE INDEX idx_label_project_name
+      ON Label (project_id, name COLLATE NOCASE);
+
+    CREATE TABLE TaskLabel (
+      task_id INTEGER NOT NULL,
+      label_id INTEGER NOT NULL,
+      created_at TEXT,
+      PRIMARY KEY (task_id, label_id),
+      FOREIGN KEY (task_id) REFERENCES Task(id) ON DELETE CASCADE,
+      FOREIGN KEY (label_id) REFERENCES Label(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX idx_task_label_label ON TaskLabel (label_id);
+  `,
+
+  down: `
+    DROP INDEX idx_task_label_label;
+    DROP TABLE TaskLabel;
+    DROP INDEX idx_label_project_name;
+    DROP TABLE Label;
+  `,
+};
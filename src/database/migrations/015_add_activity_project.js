@@ -0,0 +1,27 @@
+/**
+ * Migration 015 - Project pada activity log
+ * project_id dicatat saat entry ditulis supaya feed tidak mengikuti project
+ * task saat ini (riwayat task yang dipindah tetap milik project lamanya).
+ * Entry lama diisi dari project column/task saat migration dijalankan.
+ */
+module.exports = {
+  up: `
+    ALTER TABLE Activity ADD COLUMN project_id INTEGER;
+
+    UPDATE Activity SET project_id = COALESCE(
+      (SELECT b.project_id FROM Board b WHERE b.id = CASE
+        WHEN Activity.entity_type = 'board' THEN Activity.entity_id
+        ELSE COALESCE(Activity.to_board_id, Activity.from_board_id) END),
+      (SELECT b.project_id FROM Task t JOIN Board b ON b.id = t.board_id
+        WHERE Activity.entity_type = 'task' AND t.id = Activity.entity_id)
+    );
+
+    CREATE INDEX idx_activity_project ON Activity (project_id);
+  `,
+
+  down: `
+    DROP INDEX idx_activity_project;
+
+    ALTER TABLE Activity DROP COLUMN project_id;
+  `,
+};
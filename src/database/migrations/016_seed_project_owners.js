@@ -0,0 +1,23 @@
+/**
+ * Migration 016 - Owner eksplisit untuk project tanpa member
+ * Project tanpa member tidak lagi terbuka untuk semua user, jadi project
+ * seperti itu (misal "Default Project") diberikan ke user pertama. Jika
+ * belum ada user, UserRepository.create mencatat user pertama sebagai owner.
+ */
+module.exports = {
+  up: `
+    INSERT INTO ProjectMember (project_id, user_id, role, created_at, updated_at)
+      SELECT p.id, (SELECT MIN(id) FROM User), 'owner',
+        strftime('%Y-%m-%dT%H:%M:%fZ', 'now'),
+        strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+      FROM Project p
+      WHERE EXISTS (SELECT 1 FROM User)
+        AND NOT EXISTS (SELECT 1 FROM ProjectMember WHERE project_id = p.id);
+  `,
+
+  // Owner yang sudah dicatat tidak bisa dibedakan dari member biasa, jadi
+  // rollback membiarkannya
+  down: `
+    SELECT 1;
+  `,
+};
@@ -0,0 +1,225 @@
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE_PATTERN = /^(\d+)_[\w-]+\.js$/;
+
+/**
+ * Jalankan satu atau lebih SQL statement (tanpa hasil)
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} sql - SQL statement(s)
+ * @returns {Promise<void>}
+ */
+const exec = (db, sql) => {
+  return new Promise((resolve, reject) => {
+    db.exec(sql, (err) => (err ? reject(err) : resolve()));
+  });
+};
+
+/**
+ * Jalankan satu SQL statement dengan parameter
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Query parameters
+ * @returns {Promise<void>}
+ */
+const run = (db, sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+  });
+};
+
+/**
+ * Jalankan query dan ambil semua row
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} sql - SQL query
+ * @param {Array} params - Query parameters
+ * @returns {Promise<Object[]>}
+ */
+const all = (db, sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+};
+
+/**
+ * Load semua migration file, diurutkan berdasarkan nomor versi
+ * Setiap file mengekspor { up: string, down: string }
+ * @param {string} dir - Folder migration
+ * @returns {Object[]} [{ version, name, up, down }]
+ */
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  return fs
+    .readdirSync(dir)
+    .filter((file) => MIGRATION_FILE_PATTERN.test(file))
+    .map((file) => {
+      const migration = require(path.join(dir, file));
+      if (typeof migration.up !== "string" || !migration.up.trim()) {
+        throw new Error(`Migration ${file} must export an "up" SQL string`);
+      }
+      return {
+        version: file.match(MIGRATION_FILE_PATTERN)[1],
+        name: path.basename(file, ".js"),
+        up: migration.up,
+        down: migration.down,
+      };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+};
+
+/**
+ * Pastikan tabel schema_migrations ada
+ * @param {sqlite3.Database} db - Database connection
+ */
+const ensureMigrationsTable = (db) => {
+  return exec(
+    db,
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+};
+
+/**
+ * Ambil daftar versi migration yang sudah dijalankan
+ * @param {sqlite3.Database} db - Database connection
+ * @returns {Promise<Object[]>} Row schema_migrations, urut dari yang terlama
+ */
+const getAppliedMigrations = async (db) => {
+  await ensureMigrationsTable(db);
+  return all(
+    db,
+    "SELECT version, name, applied_at FROM schema_migrations ORDER BY CAST(version AS INTEGER) ASC"
+  );
+};
+
+/**
+ * Jalankan SQL migration di dalam transaction
+ * Foreign key dimatikan selama migration supaya table rebuild
+ * (DROP/RENAME) tidak memicu ON DELETE CASCADE, lalu dicek ulang sebelum commit.
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} sql - SQL migration
+ * @param {Function} bookkeeping - async (db) untuk mencatat/menghapus versi migration
+ */
+const runInTransaction = async (db, sql, bookkeeping) => {
+  await exec(db, "PRAGMA foreign_keys = OFF");
+  try {
+    await exec(db, "BEGIN");
+    try {
+      await exec(db, sql);
+      await bookkeeping(db);
+      const violations = await all(db, "PRAGMA foreign_key_check");
+      if (violations.length > 0) {
+        throw new Error(
+          `Foreign key check failed on table ${violations[0].table}`
+        );
+      }
+      await exec(db, "COMMIT");
+    } catch (err) {
+      await exec(db, "ROLLBACK");
+      throw err;
+    }
+  } finally {
+    await exec(db, "PRAGMA foreign_keys = ON");
+  }
+};
+
+/**
+ * Jalankan semua migration yang belum pernah dijalankan (up)
+ * @param {sqlite3.Database} db - Database connection
+ * @param {Object} options - { migrations: Object[] } (default: folder migrations)
+ * @returns {Promise<string[]>} Nama migration yang baru dijalankan
+ */
+const migrate = async (db, { migrations = loadMigrations() } = {}) => {
+  const applied = new Set(
+    (await getAppliedMigrations(db)).map((row) => row.version)
+  );
+  const executed = [];
+
+  for (const migration of migrations) {
+    if (applied.has(migration.version)) {
+      continue;
+    }
+
+    await runInTransaction(db, migration.up, (tx) =>
+      run(tx, "INSERT INTO schema_migrations (version, name) VALUES (?, ?)", [
+        migration.version,
+        migration.name,
+      ])
+    );
+    console.log(`Migration applied: ${migration.name}`);
+    executed.push(migration.name);
+  }
+
+  return executed;
+};
+
+/**
+ * Rollback migration terakhir (down)
+ * @param {sqlite3.Database} db - Database connection
+ * @param {Object} options - { steps: number, migrations: Object[] }
+ * @returns {Promise<string[]>} Nama migration yang di-rollback
+ */
+const rollback = async (
+  db,
+  { steps = 1, migrations = loadMigrations() } = {}
+) => {
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error("steps must be a positive integer");
+  }
+
+  const byVersion = new Map(migrations.map((m) => [m.version, m]));
+  const applied = (await getAppliedMigrations(db)).reverse().slice(0, steps);
+  const reverted = [];
+
+  for (const row of applied) {
+    const migration = byVersion.get(row.version);
+    if (!migration) {
+      throw new Error(`Migration file for version ${row.version} not found`);
+    }
+    if (typeof migration.down !== "string" || !migration.down.trim()) {
+      throw new Error(`Migration ${migration.name} cannot be rolled back`);
+    }
+
+    await runInTransaction(db, migration.down, (tx) =>
+      run(tx, "DELETE FROM schema_migrations WHERE version = ?", [row.version])
+    );
+    console.log(`Migration rolled back: ${migration.name}`);
+    reverted.push(migration.name);
+  }
+
+  return reverted;
+};
+
+// CLI: node src/database/migrator.js [migrate|rollback] [steps]
+if (require.main === module) {
+  const db = require("./db");
+  const [command = "migrate", steps = "1"] = process.argv.slice(2);
+
+  if (command !== "migrate" && command !== "rollback") {
+    console.error(`Unknown command "${command}". Use migrate or rollback.`);
+    process.exit(1);
+  }
+
+  const task =
+    command === "rollback"
+      ? rollback(db, { steps: parseInt(steps, 10) })
+      : migrate(db);
+
+  task
+    .then((names) => {
+      if (names.length === 0) {
+        console.log("Nothing to do");
+      }
+      db.close();
+    })
+    .catch((err) => {
+      console.error("Migration failed:", err);
+      db.close();
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate, rollback, loadMigrations, getAppliedMigrations };
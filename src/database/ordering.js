@@ -0,0 +1,73 @@
+/**
+ * Helper urutan (position) untuk table yang diurutkan secara manual
+ * seperti Board dan Task. Position selalu 0-based dan rapat (0..n-1)
+ * di dalam satu scope (misalnya satu board). Semua helper dipanggil di
+ * dalam withTransaction.
+ */
+
+/**
+ * Tentukan index sisip yang valid untuk scope berisi `length` row
+ * Kosong atau melebihi jumlah row berarti akhir urutan
+ * @param {number} position - Position yang diminta
+ * @param {number} length - Jumlah row (tanpa row yang dipindah)
+ * @returns {number} Index 0..length
+ */
+const clampPosition = (position, length) => {
+  if (position === undefined || position === null || position > length) {
+    return length;
+  }
+  return position;
+};
+
+/**
+ * Ambil urutan row dalam satu scope
+ * @param {Object} tx - Transaction dari withTransaction
+ * @param {string} table - Nama table
+ * @param {string} where - Kondisi scope, misalnya "board_id = ?" (opsional)
+ * @param {Array} params - Parameter untuk kondisi scope
+ * @returns {Promise<Object[]>} Row { id, position } urut berdasarkan position
+ */
+const loadOrder = (tx, table, where = "", params = []) => {
+  return tx.all(
+    `SELECT id, position FROM ${table} ${
+      where ? `WHERE ${where}` : ""
+    } ORDER BY position ASC, id ASC`,
+    params
+  );
+};
+
+/**
+ * Tulis ulang position sesuai urutan array sehingga menjadi 0..n-1
+ * Hanya row yang position-nya berubah yang di-update
+ * @param {Object} tx - Transaction dari withTransaction
+ * @param {string} table - Nama table
+ * @param {Object[]} rows - Row { id, position } dalam urutan baru
+ * @param {string} now - Timestamp updated_at
+ */
+const writeOrder = async (tx, table, rows, now) => {
+  for (let index = 0; index < rows.length; index++) {
+    if (rows[index].position !== index) {
+      await tx.run(
+        `UPDATE ${table} SET position = ?, updated_at = ? WHERE id = ?`,
+        [index, now, rows[index].id]
+      );
+    }
+  }
+};
+
+/**
+ * Cek apakah daftar ID berisi tepat semua row dalam urutan saat ini
+ * @param {Object[]} current - Row { id, position } saat ini
+ * @param {number[]} ids - ID dalam urutan baru
+ * @returns {boolean} true jika tiap row muncul tepat satu kali
+ */
+const isSamePermutation = (current, ids) => {
+  const known = new Set(current.map((row) => row.id));
+  return (
+    new Set(ids).size === ids.length &&
+    ids.length === current.length &&
+    ids.every((id) => known.has(id))
+  );
+};
+
+module.exports = { clampPosition, loadOrder, writeOrder, isSamePermutation };
@@ -0,0 +1,36 @@
+/**
+ * Helper filter project untuk query list
+ * projectId boleh satu ID atau array ID (misal semua project yang bisa
+ * diakses user, lihat ProjectMemberRepository.getProjectIds). undefined
+ * atau null berarti tanpa filter.
+ */
+
+/**
+ * Kondisi SQL untuk filter project
+ * @param {string} column - Kolom project, misal "b.project_id"
+ * @param {number|number[]|null} projectId - Project ID atau daftar project ID
+ * @returns {Object|null} { sql, params }, atau null jika tanpa filter
+ */
+const projectCondition = (column, projectId) => {
+  if (projectId === undefined || projectId === null) {
+    return null;
+  }
+  const ids = [].concat(projectId);
+  return {
+    sql: `${column} IN (${ids.map(() => "?").join(", ")})`,
+    params: ids,
+  };
+};
+
+/**
+ * Padanan projectCondition untuk repository memory
+ * @param {number|number[]|null} projectId - Project ID atau daftar project ID
+ * @param {number} value - project_id milik row
+ * @returns {boolean} true jika row lolos filter
+ */
+const inProjectScope = (projectId, value) =>
+  projectId === undefined ||
+  projectId === null ||
+  [].concat(projectId).includes(value);
+
+module.exports = { projectCondition, inProjectScope };
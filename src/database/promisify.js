@@ -0,0 +1,72 @@
+// Antrian statement per connection (lihat enqueue)
+const queues = new WeakMap();
+
+/**
+ * Bungkus method sqlite3 (run/get/all) menjadi Promise
+ * @param {sqlite3.Database} connection - Database connection
+ * @param {string} method - "run" | "get" | "all"
+ * @returns {Function} (sql, params) => Promise
+ */
+const promisify = (connection, method) => {
+  return (sql, params = []) =>
+    new Promise((resolve, reject) => {
+      connection[method](sql, params, function (err, result) {
+        if (err) {
+          return reject(err);
+        }
+        // Untuk run, hasil ada di context statement (lastID, changes)
+        resolve(
+          method === "run"
+            ? { lastID: this.lastID, changes: this.changes }
+            : result
+        );
+      });
+    });
+};
+
+/**
+ * Jalankan task setelah semua pekerjaan sebelumnya di connection yang sama
+ * selesai
+ *
+ * Transaction SQLite berlaku untuk seluruh connection: statement yang
+ * dijalankan saat sebuah transaction terbuka ikut masuk ke transaction itu
+ * (dan ikut hilang jika di-ROLLBACK). Karena itu transaction (withTransaction)
+ * maupun statement tunggal (runAsync/getAsync/allAsync) memakai antrian yang
+ * sama.
+ *
+ * @param {sqlite3.Database} connection - Database connection
+ * @param {Function} task - async () => result
+ * @returns {Promise<*>} Hasil dari task
+ */
+const enqueue = (connection, task) => {
+  const previous = queues.get(connection) || Promise.resolve();
+  const result = previous.then(task);
+
+  // Task berikutnya tetap jalan walaupun yang ini gagal
+  queues.set(
+    connection,
+    result.catch(() => {})
+  );
+  return result;
+};
+
+/**
+ * Tambahkan runAsync/getAsync/allAsync ke connection sqlite3
+ * - runAsync(sql, params) resolve { lastID, changes }
+ * - getAsync(sql, params) resolve row (atau undefined)
+ * - allAsync(sql, params) resolve array of rows
+ * Setiap statement menunggu giliran di antrian connection, sehingga tidak
+ * pernah berjalan di tengah transaction lain
+ * @param {sqlite3.Database} connection - Database connection
+ * @returns {sqlite3.Database} Connection yang sama
+ */
+const promisifyConnection = (connection) => {
+  ["run", "get", "all"].forEach((method) => {
+    const execute = promisify(connection, method);
+    connection[`${method}Async`] = (sql, params) =>
+      enqueue(connection, () => execute(sql, params));
+  });
+  return connection;
+};
+
+module.exports = { promisify, enqueue, promisifyConnection };
@@ -0,0 +1,61 @@
+/**
+ * Helper index full-text (table FTS5 TaskSearch, lihat migration 006)
+ * rowid di TaskSearch sama dengan Task.id. Semua helper dipanggil di dalam
+ * withTransaction, bersama statement yang mengubah Task, sehingga index
+ * tidak pernah tertinggal dari data.
+ */
+
+// Kata dalam query pencarian: huruf, angka dan underscore (Unicode)
+const TERM_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+/**
+ * Pecah query pencarian menjadi kata (huruf kecil)
+ * Tanda baca dan operator FTS5 (AND, OR, NEAR, *, ", ...) diabaikan
+ * @param {string} text - Query dari user
+ * @returns {string[]} Kata pencarian
+ */
+const searchTerms = (text) => {
+  return (String(text).match(TERM_PATTERN) || []).map((term) =>
+    term.toLowerCase()
+  );
+};
+
+/**
+ * Ubah query user menjadi ekspresi MATCH FTS5 yang aman
+ * Setiap kata dicari sebagai prefix dan semua kata harus ada
+ * @param {string} text - Query dari user
+ * @returns {string|null} Ekspresi MATCH, null jika tidak ada kata
+ */
+const toMatchQuery = (text) => {
+  const terms = searchTerms(text);
+  return terms.length ? terms.map((term) => `"${term}"*`).join(" ") : null;
+};
+
+/**
+ * Index ulang satu task dari isi table Task saat ini
+ * @param {Object} tx - Transaction dari withTransaction
+ * @param {number} taskId - Task ID
+ */
+const indexTask = async (tx, taskId) => {
+  await tx.run("DELETE FROM TaskSearch WHERE rowid = ?", [taskId]);
+  await tx.run(
+    `INSERT INTO TaskSearch (rowid, title, description)
+      SELECT id, title, COALESCE(description, '') FROM Task WHERE id = ?`,
+    [taskId]
+  );
+};
+
+/**
+ * Hapus task dari index; panggil sebelum row Task dihapus
+ * @param {Object} tx - Transaction dari withTransaction
+ * @param {string} where - Kondisi pada table Task, misalnya "board_id = ?"
+ * @param {Array} params - Parameter untuk kondisi
+ */
+const removeFromIndex = (tx, where, params) => {
+  return tx.run(
+    `DELETE FROM TaskSearch WHERE rowid IN (SELECT id FROM Task WHERE ${where})`,
+    params
+  );
+};
+
+module.exports = { searchTerms, toMatchQuery, indexTask, removeFromIndex };
@@ -0,0 +1,67 @@
+/**
+ * Helper relasi task yang disimpan di table terpisah (TaskAssignee, TaskLabel)
+ * TaskRepository dan BoardRepository memanggil attachRelations untuk setiap
+ * Task yang dikembalikan, sehingga response task selalu berisi assignee dan
+ * label-nya. Setiap relasi dimuat dengan satu query untuk semua task, bukan
+ * satu query per task.
+ */
+
+/**
+ * Kelompokkan row relasi per task_id
+ * @param {number[]} ids - Task ID
+ * @param {Object[]} rows - Row hasil query, masing-masing berisi task_id
+ * @param {Function} pick - (row) => item yang disimpan
+ * @returns {Map<number, Object[]>} task_id => item (kosong jika tidak ada)
+ */
+const groupByTask = (ids, rows, pick) => {
+  const groups = new Map(ids.map((id) => [id, []]));
+  rows.forEach((row) => groups.get(row.task_id).push(pick(row)));
+  return groups;
+};
+
+/**
+ * Isi assignee dan label untuk sekumpulan Task
+ * @param {Function} all - (sql, params) => Promise<rows>, misal
+ *   db.allAsync atau tx.all
+ * @param {Task|Task[]|null} tasks - Task yang akan dilengkapi
+ * @returns {Promise<Task|Task[]|null>} Input yang sama (entity di-mutate)
+ */
+const attachRelations = async (all, tasks) => {
+  const list = [].concat(tasks || []);
+  if (list.length === 0) {
+    return tasks;
+  }
+
+  const ids = [...new Set(list.map((task) => task.getId()))];
+  const placeholders = ids.map(() => "?").join(", ");
+  const assignees = groupByTask(
+    ids,
+    await all(
+      `SELECT ta.task_id, u.id, u.email, u.name
+        FROM TaskAssignee ta JOIN User u ON u.id = ta.user_id
+        WHERE ta.task_id IN (${placeholders})
+        ORDER BY ta.created_at ASC, u.id ASC`,
+      ids
+    ),
+    ({ id, email, name }) => ({ id, email, name })
+  );
+  const labels = groupByTask(
+    ids,
+    await all(
+      `SELECT tl.task_id, l.id, l.name, l.color
+        FROM TaskLabel tl JOIN Label l ON l.id = tl.label_id
+        WHERE tl.task_id IN (${placeholders})
+        ORDER BY l.name COLLATE NOCASE ASC, l.id ASC`,
+      ids
+    ),
+    ({ id, name, color }) => ({ id, name, color })
+  );
+
+  list.forEach((task) => {
+    task.setAssignees(assignees.get(task.getId()));
+    task.setLabels(labels.get(task.getId()));
+  });
+  return tasks;
+};
+
+module.exports = { attachRelations };
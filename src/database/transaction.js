@@ -0,0 +1,58 @@
+const { promisify, enqueue } = require("./promisify");
+
+/**
+ * Jalankan beberapa statement sebagai satu SQLite transaction
+ *
+ * Satu connection SQLite hanya bisa memegang satu transaction, jadi
+ * transaction diantrikan bersama semua statement lain di connection yang sama
+ * (lihat enqueue di promisify.js). Selama transaction berjalan, runAsync/
+ * getAsync/allAsync dari request lain menunggu sampai COMMIT atau ROLLBACK,
+ * sehingga tidak ikut masuk ke transaction ini. Jika work melempar error,
+ * transaction di-ROLLBACK.
+ *
+ * Di dalam work, pakai hanya tx.run/get/all: memanggil connection.runAsync
+ * dan sejenisnya akan menunggu transaction ini sendiri selesai.
+ *
+ * @param {Function} work - async (tx) => result, tx punya run/get/all (Promise)
+ * @param {sqlite3.Database} connection - Database connection (default: db aplikasi)
+ * @returns {Promise<*>} Hasil dari work
+ */
+const withTransaction = (work, connection = require("./db")) => {
+  const tx = {
+    run: promisify(connection, "run"),
+    get: promisify(connection, "get"),
+    all: promisify(connection, "all"),
+  };
+
+  return enqueue(connection, async () => {
+    await tx.run("BEGIN IMMEDIATE");
+    try {
+      const value = await work(tx);
+      await tx.run("COMMIT");
+      return value;
+    } catch (err) {
+      await tx.run("ROLLBACK").catch(() => {});
+      throw err;
+    }
+  });
+};
+
+/**
+ * Teruskan hasil Promise ke callback Node-style (err, result)
+ * Tanpa callback, Promise dikembalikan apa adanya sehingga method repository
+ * bisa dipakai dengan callback lama maupun dengan await
+ * @param {Promise} promise - Operasi repository
+ * @param {Function} callback - Callback(err, result) (opsional)
+ * @returns {Promise|undefined} Promise jika callback tidak diberikan
+ */
+const toCallback = (promise, callback) => {
+  if (typeof callback !== "function") {
+    return promise;
+  }
+  promise.then(
+    (result) => callback(null, result),
+    (err) => callback(err, null)
+  );
+};
+
+module.exports = { withTransaction, toCallback };
@@ -0,0 +1,54 @@
+// Code default untuk setiap HTTP status yang dipakai aplikasi
+const DEFAULT_CODES = {
+  400: "VALIDATION_ERROR",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  500: "INTERNAL_ERROR",
+};
+
+/**
+ * AppError Class
+ * Base class untuk semua error aplikasi
+ * Setiap error membawa HTTP status dan code yang bisa dibaca mesin (frontend)
+ * Demonstrasi: Inheritance, Polymorphism
+ */
+class AppError extends Error {
+  /**
+   * Constructor
+   * @param {string} message - Pesan error
+   * @param {number} statusCode - HTTP status code
+   * @param {Object} options - { code?: string, details?: * }
+   */
+  constructor(message, statusCode = 500, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = options.code || AppError.codeForStatus(statusCode);
+    this.details = options.details;
+  }
+
+  /**
+   * Code default untuk HTTP status tertentu
+   * @param {number} statusCode - HTTP status code
+   * @returns {string} Code error
+   */
+  static codeForStatus(statusCode) {
+    return DEFAULT_CODES[statusCode] || DEFAULT_CODES[500];
+  }
+
+  /**
+   * Convert ke JSON - envelope error yang dikirim ke client
+   * @returns {Object} { error, code, details? }
+   */
+  toJSON() {
+    const body = { error: this.message, code: this.code };
+    if (this.details !== undefined) {
+      body.details = this.details;
+    }
+    return body;
+  }
+}
+
+module.exports = AppError;
@@ -0,0 +1,18 @@
+const AppError = require("./AppError");
+
+/**
+ * ConflictError Class
+ * Request valid tapi bertentangan dengan state data saat ini - HTTP 409
+ */
+class ConflictError extends AppError {
+  /**
+   * Constructor
+   * @param {string} message - Pesan error
+   * @param {Object} options - { code?: string, details?: * }
+   */
+  constructor(message = "Conflict", options = {}) {
+    super(message, 409, options);
+  }
+}
+
+module.exports = ConflictError;
@@ -0,0 +1,18 @@
+const AppError = require("./AppError");
+
+/**
+ * ForbiddenError Class
+ * User sudah login tapi role-nya tidak cukup untuk aksi ini - HTTP 403
+ */
+class ForbiddenError extends AppError {
+  /**
+   * Constructor
+   * @param {string} message - Pesan error
+   * @param {Object} options - { code?: string, details?: * }
+   */
+  constructor(message = "Forbidden", options = {}) {
+    super(message, 403, options);
+  }
+}
+
+module.exports = ForbiddenError;
@@ -0,0 +1,18 @@
+const AppError = require("./AppError");
+
+/**
+ * NotFoundError Class
+ * Record yang diminta (atau yang direferensikan) tidak ada - HTTP 404
+ */
+class NotFoundError extends AppError {
+  /**
+   * Constructor
+   * @param {string} message - Pesan error, misal "Task not found"
+   * @param {Object} options - { code?: string, details?: * }
+   */
+  constructor(message = "Resource not found", options = {}) {
+    super(message, 404, options);
+  }
+}
+
+module.exports = NotFoundError;
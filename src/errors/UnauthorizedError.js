@@ -0,0 +1,18 @@
+const AppError = require("./AppError");
+
+/**
+ * UnauthorizedError Class
+ * Request tanpa kredensial yang valid (token hilang, rusak atau expired) - HTTP 401
+ */
+class UnauthorizedError extends AppError {
+  /**
+   * Constructor
+   * @param {string} message - Pesan error
+   * @param {Object} options - { code?: string, details?: * }
+   */
+  constructor(message = "Authentication required", options = {}) {
+    super(message, 401, options);
+  }
+}
+
+module.exports = UnauthorizedError;
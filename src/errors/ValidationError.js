@@ -0,0 +1,18 @@
+const AppError = require("./AppError");
+
+/**
+ * ValidationError Class
+ * Data dari client tidak valid - HTTP 400
+ */
+class ValidationError extends AppError {
+  /**
+   * Constructor
+   * @param {string} message - Pesan error
+   * @param {Object} options - { code?: string, details?: * }
+   */
+  constructor(message = "Invalid data", options = {}) {
+    super(message, 400, options);
+  }
+}
+
+module.exports = ValidationError;
@@ -0,0 +1,59 @@
+const AppError = require("./AppError");
+const NotFoundError = require("./NotFoundError");
+const ValidationError = require("./ValidationError");
+const ConflictError = require("./ConflictError");
+const UnauthorizedError = require("./UnauthorizedError");
+const ForbiddenError = require("./ForbiddenError");
+
+/**
+ * Terjemahkan constraint error dari SQLite menjadi AppError
+ * @param {Error} err - Error dari sqlite3 (code SQLITE_CONSTRAINT)
+ * @returns {AppError} Error yang sudah bertipe
+ */
+const fromConstraintError = (err) => {
+  if (/FOREIGN KEY/.test(err.message)) {
+    return new ConflictError("Referenced record does not exist", {
+      code: "FOREIGN_KEY_VIOLATION",
+    });
+  }
+  if (/UNIQUE/.test(err.message)) {
+    return new ConflictError("Record already exists", {
+      code: "UNIQUE_VIOLATION",
+    });
+  }
+  return new ValidationError("Data violates a database constraint", {
+    code: "CONSTRAINT_VIOLATION",
+  });
+};
+
+/**
+ * Normalisasi error apapun menjadi AppError supaya bisa dipetakan
+ * ke HTTP status dan envelope JSON yang konsisten
+ * @param {Error} err - Error dari repository, SQLite, atau Express
+ * @returns {AppError} Error yang sudah bertipe
+ */
+const toAppError = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
+  if (err && err.code === "SQLITE_CONSTRAINT") {
+    return fromConstraintError(err);
+  }
+  // Body JSON yang rusak (dari express.json)
+  if (err && err.type === "entity.parse.failed") {
+    return new ValidationError("Request body must be valid JSON", {
+      code: "INVALID_JSON",
+    });
+  }
+  return new AppError("Internal server error", 500);
+};
+
+module.exports = {
+  AppError,
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  UnauthorizedError,
+  ForbiddenError,
+  toAppError,
+};
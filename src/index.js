@@ -1,31 +1,20 @@
-const express = require("express");
-const cors = require("cors");
+const { config } = require("./config");
+const { createApp } = require("./app");
 const { initializeDatabase } = require("./database/init");
-const boardRoutes = require("./routes/boardRoutes");
-const taskRoutes = require("./routes/taskRoutes");
 
-const app = express();
-const PORT = process.env.PORT || 3000;
+const app = createApp();
 
-// Middleware
-app.use(cors(corsOptions));
-app.use(express.json());
-
-// Routes
-app.use("/api/columns", boardRoutes);
-app.use("/api/tasks", taskRoutes);
-
-// Health check endpoint
-app.get("/api/health", (req, res) => {
-  res.status(200).json({ status: "OK" });
-});
-
-// Initialize database and start server
+// Initialize database (khusus storage SQLite) and start server
 if (require.main === module) {
-  initializeDatabase()
+  const ready =
+    config.storage === "sqlite" ? initializeDatabase() : Promise.resolve();
+
+  ready
     .then(() => {
-      app.listen(PORT, () => {
-        console.log(`Server running on port ${PORT}`);
+      app.listen(config.port, () => {
+        console.log(
+          `Server running on port ${config.port} (storage: ${config.storage})`
+        );
       });
     })
     .catch((err) => {
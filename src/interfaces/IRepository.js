@@ -1,12 +1,19 @@
 /**
  * IRepository Interface
  * Mendefinisikan contract untuk semua repository operations
+ *
+ * Setiap method menerima callback Node-style (err, result) sebagai argumen
+ * terakhir. Jika callback tidak diberikan, method mengembalikan Promise
+ * sehingga bisa dipakai dengan async/await:
+ *
+ *   const task = await repository.getById(id);
  */
 class IRepository {
   /**
    * Create new record
    * @param {Object} data - Data untuk di-create
-   * @param {Function} callback - Callback function
+   * @param {Function} callback - Callback function (opsional)
+   * @returns {Promise|undefined} Promise jika callback tidak diberikan
    */
   create(data, callback) {
     throw new Error("create() must be implemented");
@@ -14,7 +21,8 @@ class IRepository {
 
   /**
    * Get all records
-   * @param {Function} callback - Callback function
+   * @param {Function} callback - Callback function (opsional)
+   * @returns {Promise|undefined} Promise jika callback tidak diberikan
    */
   getAll(callback) {
     throw new Error("getAll() must be implemented");
@@ -23,7 +31,8 @@ class IRepository {
   /**
    * Get record by ID
    * @param {number} id - ID dari record
-   * @param {Function} callback - Callback function
+   * @param {Function} callback - Callback function (opsional)
+   * @returns {Promise|undefined} Promise jika callback tidak diberikan
    */
   getById(id, callback) {
     throw new Error("getById() must be implemented");
@@ -33,16 +42,29 @@ class IRepository {
    * Update record
    * @param {number} id - ID dari record
    * @param {Object} data - Data untuk di-update
-   * @param {Function} callback - Callback function
+   * @param {Function} callback - Callback function (opsional)
+   * @returns {Promise|undefined} Promise jika callback tidak diberikan
    */
   update(id, data, callback) {
     throw new Error("update() must be implemented");
   }
 
+  /**
+   * Update sebagian field record
+   * @param {number} id - ID dari record
+   * @param {Object} data - Field yang di-update (field lain tidak berubah)
+   * @param {Function} callback - Callback function (opsional)
+   * @returns {Promise|undefined} Promise jika callback tidak diberikan
+   */
+  patch(id, data, callback) {
+    throw new Error("patch() must be implemented");
+  }
+
   /**
    * Delete record
    * @param {number} id - ID dari record
-   * @param {Function} callback - Callback function
+   * @param {Function} callback - Callback function (opsional)
+   * @returns {Promise|undefined} Promise jika callback tidak diberikan
    */
   delete(id, callback) {
     throw new Error("delete() must be implemented");
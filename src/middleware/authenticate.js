@@ -0,0 +1,76 @@
+const { config } = require("../config");
+const { UnauthorizedError, ForbiddenError } = require("../errors");
+const { verifyToken } = require("../auth/tokens");
+const { isApiToken } = require("../auth/apiTokens");
+const { runAsUser } = require("../auth/context");
+
+/**
+ * Cocokkan personal API token dan catat waktu pemakaiannya
+ * Token dengan scope read hanya boleh dipakai untuk request yang tidak
+ * mengubah data
+ * @param {IRepository} apiTokens - Repository ApiToken
+ * @param {string} token - API token dari header
+ * @param {Object} req - Express request
+ * @returns {Promise<ApiToken>} Token yang cocok
+ */
+const verifyApiToken = async (apiTokens, token, req) => {
+  const apiToken = await apiTokens.findByToken(token);
+  if (!apiToken) {
+    throw new UnauthorizedError("Invalid token", { code: "INVALID_TOKEN" });
+  }
+  if (apiToken.isExpired()) {
+    throw new UnauthorizedError("Token expired", { code: "TOKEN_EXPIRED" });
+  }
+  if (!apiToken.allows(req.method)) {
+    throw new ForbiddenError("This API token is read-only", {
+      code: "INSUFFICIENT_SCOPE",
+    });
+  }
+
+  await apiTokens.touch(apiToken.getId());
+  return apiToken;
+};
+
+/**
+ * Buat middleware yang mewajibkan header "Authorization: Bearer <token>"
+ * Token berupa access token (JWT) atau personal API token (awalan "tm_").
+ * User yang login disimpan di req.user dan menjadi actor activity log
+ * untuk sisa request (lihat src/auth/context.js); API token yang dipakai
+ * disimpan di req.apiToken
+ * @param {IRepository} users - Repository User (SQLite atau memory)
+ * @param {Object} auth - Konfigurasi token (default: config.auth)
+ * @param {IRepository} apiTokens - Repository ApiToken (opsional; tanpa ini
+ *   hanya access token yang diterima)
+ * @returns {Function} Express middleware
+ */
+const createAuthenticate = (users, auth = config.auth, apiTokens = null) => {
+  return async (req, res, next) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "");
+    if (!match) {
+      throw new UnauthorizedError("Authentication required", {
+        code: "AUTH_REQUIRED",
+      });
+    }
+
+    let userId;
+    if (apiTokens && isApiToken(match[1])) {
+      req.apiToken = await verifyApiToken(apiTokens, match[1], req);
+      userId = req.apiToken.getUserId();
+    } else {
+      userId = verifyToken(match[1], {
+        secret: auth.secret,
+        type: "access",
+      }).sub;
+    }
+    // Token tetap ditolak jika user-nya sudah tidak ada
+    const user = await users.getById(userId);
+    if (!user) {
+      throw new UnauthorizedError("Invalid token", { code: "INVALID_TOKEN" });
+    }
+
+    req.user = user;
+    runAsUser(user.getId(), next);
+  };
+};
+
+module.exports = { createAuthenticate };
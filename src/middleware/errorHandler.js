@@ -0,0 +1,38 @@
+const { NotFoundError, toAppError } = require("../errors");
+
+/**
+ * Kirim error sebagai envelope JSON { error, code, details? }
+ * Error yang tidak dikenal dicatat dan dikirim sebagai 500 tanpa detail internal
+ * @param {Object} res - Express response
+ * @param {Error} err - Error apapun
+ */
+const sendErrorResponse = (res, err) => {
+  const appError = toAppError(err);
+  if (appError.statusCode >= 500) {
+    console.error(err);
+  }
+  res.status(appError.statusCode).json(appError);
+};
+
+/**
+ * Middleware untuk route yang tidak terdaftar
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.path} not found`));
+};
+
+/**
+ * Error-handling middleware terpusat (dipasang paling akhir)
+ * @param {Error} err - Error yang diteruskan lewat next(err)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+const errorHandler = (err, req, res, next) => {
+  sendErrorResponse(res, err);
+};
+
+module.exports = { sendErrorResponse, notFoundHandler, errorHandler };
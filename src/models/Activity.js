@@ -0,0 +1,226 @@
+const Entity = require("./Entity");
+const IRepository = require("../interfaces/IRepository");
+const { toCallback } = require("../database/transaction");
+const { projectCondition } = require("../database/projectScope");
+
+// Jenis entity yang dicatat di activity log
+const ENTITY_TYPES = ["task", "board"];
+
+/**
+ * Activity Class
+ * Satu entry activity log (read-only, ditulis lewat activityLog.js)
+ * Demonstrasi: Inheritance, Encapsulation
+ */
+class Activity extends Entity {
+  /**
+   * Constructor
+   * @param {number} id - Activity ID
+   * @param {Object} data - { entityType, entityId, action, actorId, before,
+   *   after, fromBoardId, toBoardId, fromPosition, toPosition }
+   * @param {Date} createdAt - Waktu perubahan
+   */
+  constructor(id = null, data = {}, createdAt = new Date()) {
+    super(id, createdAt, createdAt);
+    this._entityType = data.entityType;
+    this._entityId = data.entityId;
+    this._action = data.action;
+    this._actorId = data.actorId ?? null;
+    this._before = data.before ?? null;
+    this._after = data.after ?? null;
+    this._fromBoardId = data.fromBoardId ?? null;
+    this._toBoardId = data.toBoardId ?? null;
+    this._fromPosition = data.fromPosition ?? null;
+    this._toPosition = data.toPosition ?? null;
+  }
+
+  /**
+   * Buat Activity dari row database
+   * before/after di SQLite tersimpan sebagai JSON string, di memory store
+   * sebagai object
+   * @param {Object} row - Row dari table Activity
+   * @returns {Activity} Activity instance
+   */
+  static fromRow(row) {
+    const parse = (value) =>
+      typeof value === "string" ? JSON.parse(value) : value ?? null;
+    return new Activity(
+      row.id,
+      {
+        entityType: row.entity_type,
+        entityId: row.entity_id,
+        action: row.action,
+        actorId: row.actor_id,
+        before: parse(row.before),
+        after: parse(row.after),
+        fromBoardId: row.from_board_id,
+        toBoardId: row.to_board_id,
+        fromPosition: row.from_position,
+        toPosition: row.to_position,
+      },
+      Entity.parseTimestamp(row.created_at)
+    );
+  }
+
+  /**
+   * Get Entity Type (Getter)
+   * @returns {string} "task" atau "board"
+   */
+  getEntityType() {
+    return this._entityType;
+  }
+
+  /**
+   * Get Entity ID (Getter)
+   * @returns {number} ID task/board yang berubah
+   */
+  getEntityId() {
+    return this._entityId;
+  }
+
+  /**
+   * Get Action (Getter)
+   * @returns {string} create, update, delete, restore, archive, unarchive,
+   *   reorder, move, assign, unassign, label atau unlabel
+   */
+  getAction() {
+    return this._action;
+  }
+
+  /**
+   * Get Before (Getter)
+   * @returns {Object|null} Nilai field sebelum perubahan
+   */
+  getBefore() {
+    return this._before;
+  }
+
+  /**
+   * Get After (Getter)
+   * @returns {Object|null} Nilai field setelah perubahan
+   */
+  getAfter() {
+    return this._after;
+  }
+
+  /**
+   * Validate Activity (Polymorphism - override dari parent)
+   * @returns {boolean} Apakah activity valid
+   */
+  validate() {
+    return (
+      ENTITY_TYPES.includes(this._entityType) &&
+      this._entityId > 0 &&
+      Boolean(this._action)
+    );
+  }
+
+  /**
+   * Convert ke JSON (Polymorphism - override dari parent)
+   * Activity tidak pernah diubah, jadi updatedAt tidak ikut
+   * @returns {Object} Activity sebagai object
+   */
+  toJSON() {
+    const { id, createdAt } = super.toJSON();
+    return {
+      id,
+      entity_type: this._entityType,
+      entity_id: this._entityId,
+      action: this._action,
+      actor_id: this._actorId,
+      before: this._before,
+      after: this._after,
+      from_board_id: this._fromBoardId,
+      to_board_id: this._toBoardId,
+      from_position: this._fromPosition,
+      to_position: this._toPosition,
+      createdAt,
+    };
+  }
+
+  /**
+   * String representation (Polymorphism - override dari parent)
+   * @returns {string} String representation
+   */
+  toString() {
+    return `${super.toString()} ${this._action} ${this._entityType}#${
+      this._entityId
+    }`;
+  }
+}
+
+// Konstanta untuk validasi di controller
+Activity.ENTITY_TYPES = ENTITY_TYPES;
+
+/**
+ * ActivityRepository Class
+ * Baca activity log; entry ditulis oleh TaskRepository dan BoardRepository
+ * Demonstrasi: Interface Implementation, Encapsulation
+ */
+class ActivityRepository extends IRepository {
+  /**
+   * Constructor
+   * @param {sqlite3.Database} connection - Database connection (default: db aplikasi)
+   */
+  constructor(connection = require("../database/db")) {
+    super();
+    this._db = connection;
+  }
+
+  /**
+   * Find Activity - terbaru lebih dulu, dengan filter dan pagination
+   * Filter project_id memakai project yang dicatat saat entry ditulis, jadi
+   * riwayat task yang pindah project tidak ikut terlihat di project barunya
+   * @param {Object} query - { filters?: { entity_type?, entity_id?, action?,
+   *   project_id?: number|number[] }, limit?: number, offset?: number }
+   * @param {Function} callback - Callback(err, { entries, total })
+   */
+  find(query = {}, callback) {
+    const { filters = {}, limit, offset = 0 } = query;
+    const conditions = [];
+    const params = [];
+    ["entity_type", "entity_id", "action"].forEach((field) => {
+      if (filters[field] !== undefined) {
+        conditions.push(`${field} = ?`);
+        params.push(filters[field]);
+      }
+    });
+    const scope = projectCondition("project_id", filters.project_id);
+    if (scope) {
+      conditions.push(scope.sql);
+      params.push(...scope.params);
+    }
+    const from = `FROM Activity ${
+      conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""
+    }`;
+
+    const work = Promise.all([
+      this._db.getAsync(`SELECT COUNT(*) AS total ${from}`, params),
+      this._db.allAsync(`SELECT * ${from} ORDER BY id DESC LIMIT ? OFFSET ?`, [
+        ...params,
+        limit === undefined ? -1 : limit,
+        offset,
+      ]),
+    ]).then(([{ total }, rows]) => ({
+      entries: rows.map((row) => Activity.fromRow(row)),
+      total,
+    }));
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Get Activity by ID
+   * @param {number} id - Activity ID
+   * @param {Function} callback - Callback(err, activity)
+   */
+  getById(id, callback) {
+    const work = this._db
+      .getAsync("SELECT * FROM Activity WHERE id = ?", [id])
+      .then((row) => (row ? Activity.fromRow(row) : null));
+
+    return toCallback(work, callback);
+  }
+}
+
+// Export both class dan repository untuk flexibility
+module.exports = { Activity, ActivityRepository };
@@ -0,0 +1,294 @@
+const Entity = require("./Entity");
+const IRepository = require("../interfaces/IRepository");
+const { toCallback } = require("../database/transaction");
+const { generateApiToken, hashApiToken } = require("../auth/apiTokens");
+const { NotFoundError, ValidationError } = require("../errors");
+
+// read: hanya GET/HEAD/OPTIONS, write: semua method
+const SCOPES = ["read", "write"];
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * ApiToken Class
+ * Personal API token milik satu user, dipakai script/CI lewat header
+ * Authorization. Entity ini tidak pernah berisi token asli maupun hash-nya.
+ * Demonstrasi: Inheritance, Encapsulation, Polymorphism
+ */
+class ApiToken extends Entity {
+  /**
+   * Constructor
+   * @param {number} id - Token ID
+   * @param {Object} data - { userId, name, prefix, scope, expiresAt?,
+   *   lastUsedAt? }
+   * @param {Date} createdAt - Created timestamp
+   */
+  constructor(id = null, data = {}, createdAt = new Date()) {
+    super(id, createdAt, createdAt);
+    this._userId = data.userId;
+    this._name = data.name;
+    this._prefix = data.prefix;
+    this._scope = data.scope;
+    this._expiresAt = data.expiresAt ?? null;
+    this._lastUsedAt = data.lastUsedAt ?? null;
+  }
+
+  /**
+   * Buat ApiToken dari row database
+   * @param {Object} row - Row dari table ApiToken
+   * @returns {ApiToken} ApiToken instance
+   */
+  static fromRow(row) {
+    return new ApiToken(
+      row.id,
+      {
+        userId: row.user_id,
+        name: row.name,
+        prefix: row.token_prefix,
+        scope: row.scope,
+        expiresAt: Entity.parseTimestamp(row.expires_at) || null,
+        lastUsedAt: Entity.parseTimestamp(row.last_used_at) || null,
+      },
+      Entity.parseTimestamp(row.created_at)
+    );
+  }
+
+  /**
+   * Periksa data token baru (dipakai repository SQLite maupun memory)
+   * @param {Object} data - { name, scope?: "read"|"write" (default: read),
+   *   expires_at?: string|null }
+   * @returns {Object} { name, scope, expiresAt: string|null } siap disimpan
+   * @throws {ValidationError} Data tidak valid
+   */
+  static checkData(data) {
+    const { name, scope = "read", expires_at = null } = data || {};
+    if (
+      typeof name !== "string" ||
+      name.trim() === "" ||
+      name.trim().length > MAX_NAME_LENGTH
+    ) {
+      throw new ValidationError(
+        `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`
+      );
+    }
+    if (!SCOPES.includes(scope)) {
+      throw new ValidationError(`scope must be one of: ${SCOPES.join(", ")}`);
+    }
+    const expiresAt = expires_at === null ? null : new Date(expires_at);
+    if (
+      expiresAt !== null &&
+      (typeof expires_at !== "string" ||
+        Number.isNaN(expiresAt.getTime()) ||
+        expiresAt <= new Date())
+    ) {
+      throw new ValidationError("expires_at must be a future ISO-8601 date");
+    }
+
+    return {
+      name: name.trim(),
+      scope,
+      expiresAt: expiresAt && expiresAt.toISOString(),
+    };
+  }
+
+  /**
+   * Get User ID (Getter)
+   * @returns {number} Pemilik token
+   */
+  getUserId() {
+    return this._userId;
+  }
+
+  /**
+   * Get Scope (Getter)
+   * @returns {string} "read" atau "write"
+   */
+  getScope() {
+    return this._scope;
+  }
+
+  /**
+   * Apakah token sudah melewati expires_at
+   * @param {Date} now - Waktu acuan (default: sekarang)
+   * @returns {boolean} false untuk token tanpa expiry
+   */
+  isExpired(now = new Date()) {
+    return this._expiresAt !== null && this._expiresAt <= now;
+  }
+
+  /**
+   * Apakah scope token mengizinkan HTTP method ini
+   * @param {string} method - HTTP method request
+   * @returns {boolean} true jika boleh
+   */
+  allows(method) {
+    return this._scope === "write" || SAFE_METHODS.includes(method);
+  }
+
+  /**
+   * Validate ApiToken (Polymorphism - override dari parent)
+   * @returns {boolean} Apakah token valid
+   */
+  validate() {
+    return Boolean(this._name) && SCOPES.includes(this._scope);
+  }
+
+  /**
+   * Convert ke JSON (Polymorphism - override dari parent)
+   * Token tidak pernah diubah selain lastUsedAt, jadi updatedAt tidak ikut
+   * @returns {Object} ApiToken sebagai object (tanpa token/hash)
+   */
+  toJSON() {
+    const { id, createdAt } = super.toJSON();
+    return {
+      id,
+      name: this._name,
+      prefix: this._prefix,
+      scope: this._scope,
+      expiresAt: this._expiresAt,
+      lastUsedAt: this._lastUsedAt,
+      createdAt,
+    };
+  }
+
+  /**
+   * String representation (Polymorphism - override dari parent)
+   * @returns {string} String representation
+   */
+  toString() {
+    return `${super.toString()} "${this._name}" (${this._scope})`;
+  }
+}
+
+// Konstanta untuk validasi di controller
+ApiToken.SCOPES = SCOPES;
+ApiToken.MAX_NAME_LENGTH = MAX_NAME_LENGTH;
+
+/**
+ * ApiTokenRepository Class
+ * Simpan, cari dan cabut personal API token
+ * Demonstrasi: Interface Implementation, Encapsulation
+ */
+class ApiTokenRepository extends IRepository {
+  /**
+   * Constructor
+   * @param {sqlite3.Database} connection - Database connection (default: db aplikasi)
+   */
+  constructor(connection = require("../database/db")) {
+    super();
+    this._db = connection;
+  }
+
+  /**
+   * Create ApiToken - token asli hanya dikembalikan di sini
+   * @param {number} userId - Pemilik token
+   * @param {Object} data - { name, scope?, expires_at? }
+   * @param {Function} callback - Callback(err, { apiToken, token })
+   */
+  create(userId, data, callback) {
+    const work = Promise.resolve()
+      .then(() => ApiToken.checkData(data))
+      .then(async ({ name, scope, expiresAt }) => {
+        const user = await this._db.getAsync(
+          "SELECT id FROM User WHERE id = ?",
+          [userId]
+        );
+        if (!user) {
+          throw new NotFoundError("User not found");
+        }
+
+        const { token, prefix, hash } = generateApiToken();
+        const { lastID } = await this._db.runAsync(
+          `INSERT INTO ApiToken (user_id, name, token_hash, token_prefix, scope, expires_at, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [
+            userId,
+            name,
+            hash,
+            prefix,
+            scope,
+            expiresAt,
+            new Date().toISOString(),
+          ]
+        );
+        const row = await this._db.getAsync(
+          "SELECT * FROM ApiToken WHERE id = ?",
+          [lastID]
+        );
+        return { apiToken: ApiToken.fromRow(row), token };
+      });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Get semua token milik user (urut berdasarkan waktu dibuat)
+   * @param {number} userId - User ID
+   * @param {Function} callback - Callback(err, apiTokens)
+   */
+  getByUserId(userId, callback) {
+    const work = this._db
+      .allAsync("SELECT * FROM ApiToken WHERE user_id = ? ORDER BY id ASC", [
+        userId,
+      ])
+      .then((rows) => rows.map((row) => ApiToken.fromRow(row)));
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Cari token dari credential di header Authorization
+   * @param {string} token - API token asli
+   * @param {Function} callback - Callback(err, apiToken|null); token yang
+   *   expired tetap dikembalikan supaya pemanggil bisa membedakan errornya
+   */
+  findByToken(token, callback) {
+    const work = this._db
+      .getAsync("SELECT * FROM ApiToken WHERE token_hash = ?", [
+        hashApiToken(token),
+      ])
+      .then((row) => (row ? ApiToken.fromRow(row) : null));
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Catat waktu terakhir token dipakai
+   * @param {number} id - Token ID
+   * @param {Function} callback - Callback(err)
+   */
+  touch(id, callback) {
+    const work = this._db
+      .runAsync("UPDATE ApiToken SET last_used_at = ? WHERE id = ?", [
+        new Date().toISOString(),
+        id,
+      ])
+      .then(() => undefined);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Cabut (hapus) token; hanya pemiliknya yang bisa
+   * @param {number} userId - Pemilik token
+   * @param {number} id - Token ID
+   * @param {Function} callback - Callback(err)
+   */
+  revoke(userId, id, callback) {
+    const work = this._db
+      .runAsync("DELETE FROM ApiToken WHERE id = ? AND user_id = ?", [
+        id,
+        userId,
+      ])
+      .then(({ changes }) => {
+        if (changes === 0) {
+          throw new NotFoundError("API token not found");
+        }
+      });
+
+    return toCallback(work, callback);
+  }
+}
+
+// Export both class dan repository untuk flexibility
+module.exports = { ApiToken, ApiTokenRepository };
@@ -1,6 +1,18 @@
 const Entity = require("./Entity");
 const IRepository = require("../interfaces/IRepository");
-const db = require("../database/db");
+const { NotFoundError, ValidationError, ConflictError } = require("../errors");
+const { withTransaction, toCallback } = require("../database/transaction");
+const {
+  clampPosition,
+  loadOrder,
+  writeOrder,
+  isSamePermutation,
+} = require("../database/ordering");
+const { removeFromIndex } = require("../database/searchIndex");
+const { recordActivity } = require("../database/activityLog");
+const { projectCondition } = require("../database/projectScope");
+const { attachRelations } = require("../database/taskRelations");
+const { Task } = require("./Task");
 
 /**
  * Board Class
@@ -13,18 +25,42 @@ class Board extends Entity {
    * Constructor
    * @param {number} id - Board ID
    * @param {string} title - Board title
+   * @param {number} position - Urutan column dalam project (0-based)
+   * @param {number} project_id - Project ID reference
    * @param {Date} createdAt - Created timestamp
    * @param {Date} updatedAt - Updated timestamp
    */
   constructor(
     id = null,
     title = "",
+    position = 0,
+    project_id = null,
     createdAt = new Date(),
     updatedAt = new Date()
   ) {
     super(id, createdAt, updatedAt);
     // Private properties dengan encapsulation
     this._title = title;
+    this._position = position;
+    this._project_id = project_id;
+  }
+
+  /**
+   * Buat Board dari row database
+   * @param {Object} row - Row dari table Board
+   * @returns {Board} Board instance
+   */
+  static fromRow(row) {
+    const board = new Board(
+      row.id,
+      row.title,
+      row.position,
+      row.project_id,
+      Entity.parseTimestamp(row.created_at),
+      Entity.parseTimestamp(row.updated_at)
+    );
+    board.setDeletedAt(Entity.parseTimestamp(row.deleted_at) || null);
+    return board;
   }
 
   /**
@@ -41,17 +77,61 @@ class Board extends Entity {
    */
   setTitle(title) {
     if (typeof title !== "string" || title.trim() === "") {
-      throw new TypeError("Title must be a non-empty string");
+      throw new ValidationError("Title must be a non-empty string");
     }
     this._title = title.trim();
   }
 
+  /**
+   * Get Board position (Getter)
+   * Position 0-based dan rapat (0..n-1) antar column dalam satu project
+   * @returns {number} Board position
+   */
+  getPosition() {
+    return this._position;
+  }
+
+  /**
+   * Set Board position (Setter)
+   * @param {number} position - Board position
+   */
+  setPosition(position) {
+    if (!Number.isInteger(position) || position < 0) {
+      throw new ValidationError("Position must be a non-negative integer");
+    }
+    this._position = position;
+  }
+
+  /**
+   * Get Project ID (Getter)
+   * @returns {number} Project ID
+   */
+  getProjectId() {
+    return this._project_id;
+  }
+
+  /**
+   * Set Project ID (Setter)
+   * @param {number} project_id - Project ID
+   */
+  setProjectId(project_id) {
+    if (!Number.isInteger(project_id) || project_id <= 0) {
+      throw new ValidationError("Project ID must be a positive integer");
+    }
+    this._project_id = project_id;
+  }
+
   /**
    * Validate Board (Polymorphism - override dari parent)
    * @returns {boolean} Apakah board valid
    */
   validate() {
-    return this._title && this._title.trim() !== "";
+    return (
+      this._title &&
+      this._title.trim() !== "" &&
+      Number.isInteger(this._position) &&
+      this._position >= 0
+    );
   }
 
   /**
@@ -62,6 +142,8 @@ class Board extends Entity {
     return {
       ...super.toJSON(),
       title: this._title,
+      position: this._position,
+      project_id: this._project_id,
     };
   }
 
@@ -70,7 +152,9 @@ class Board extends Entity {
    * @returns {string} String representation
    */
   toString() {
-    return `${super.toString()} title: "${this._title}"`;
+    return `${super.toString()} title: "${this._title}" position: ${
+      this._position
+    }`;
   }
 }
 
@@ -80,70 +164,150 @@ class Board extends Entity {
  * Demonstrasi: Interface Implementation, Encapsulation
  */
 class BoardRepository extends IRepository {
+  /**
+   * Constructor
+   * @param {sqlite3.Database} connection - Database connection
+   *   (default: db aplikasi, baru dibuka saat repository pertama dibuat)
+   */
+  constructor(connection = require("../database/db")) {
+    super();
+    this._db = connection;
+  }
+
   /**
    * Create Board
-   * @param {Object} data - { title: string }
+   * Board disisipkan di position tujuan (0-based), default di akhir.
+   * Tanpa project_id, board masuk ke project default (project paling lama)
+   * @param {Object} data - { title: string, position?: number, project_id?: number }
    * @param {Function} callback - Callback(err, board)
    */
   create(data, callback) {
     if (!data || !data.title) {
-      return callback(new Error("title is required"), null);
+      return toCallback(
+        Promise.reject(new ValidationError("title is required")),
+        callback
+      );
     }
 
-    try {
-      const board = new Board(null, data.title);
+    const work = withTransaction(async (tx) => {
+      const board = new Board(null, data.title, data.position);
       if (!board.validate()) {
-        return callback(new Error("Invalid board data"), null);
-      }
-
-      db.run(
-        "INSERT INTO Board (title) VALUES (?)",
-        [board.getTitle()],
-        function (err) {
-          if (err) {
-            callback(err, null);
-          } else {
-            board.setId(this.lastID);
-            callback(null, board);
-          }
-        }
+        throw new ValidationError("Invalid board data");
+      }
+
+      const projectId = await this._resolveProjectId(tx, data.project_id);
+      const now = new Date().toISOString();
+      const order = await this._loadOrder(tx, projectId);
+      const index = clampPosition(data.position, order.length);
+      const { lastID } = await tx.run(
+        "INSERT INTO Board (title, position, project_id, created_at, updated_at) VALUES (?, ?, ?, ?, ?)",
+        [board.getTitle(), index, projectId, now, now]
       );
-    } catch (err) {
-      callback(err, null);
-    }
+
+      order.splice(index, 0, { id: lastID, position: index });
+      await this._writeOrder(tx, order, now);
+
+      const created = await this._getRow(tx, lastID);
+      await this._recordActivity(tx, "create", null, created, now);
+      return Board.fromRow(created);
+    }, this._db);
+
+    return toCallback(work, callback);
   }
 
   /**
-   * Get all Boards
+   * Get all Boards dari semua project (urut per project lalu position)
    * @param {Function} callback - Callback(err, boards)
    */
   getAll(callback) {
-    db.all("SELECT * FROM Board", [], (err, rows) => {
-      if (err) {
-        callback(err, null);
-      } else {
-        const boards = rows.map((row) => new Board(row.id, row.title));
-        callback(null, boards);
-      }
-    });
+    const work = this._db
+      .allAsync(
+        "SELECT * FROM Board WHERE deleted_at IS NULL ORDER BY project_id ASC, position ASC, id ASC"
+      )
+      .then((rows) => rows.map((row) => Board.fromRow(row)));
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Get Boards by Project ID (urut berdasarkan position)
+   * @param {number} project_id - Project ID
+   * @param {Function} callback - Callback(err, boards)
+   */
+  getByProjectId(project_id, callback) {
+    const work = this._db
+      .allAsync(
+        "SELECT * FROM Board WHERE project_id = ? AND deleted_at IS NULL ORDER BY position ASC, id ASC",
+        [project_id]
+      )
+      .then((rows) => rows.map((row) => Board.fromRow(row)));
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Get Snapshot - semua column satu project beserta task-nya
+   * Dibaca dengan dua query (board, lalu semua task project) di dalam satu
+   * transaction sehingga hasilnya konsisten
+   * @param {number} projectId - Project ID (opsional, default: project default)
+   * @param {Function} callback - Callback(err, { projectId, columns })
+   *   columns: [{ board: Board, tasks: Task[] }] urut berdasarkan position
+   */
+  getSnapshot(projectId, callback) {
+    const work = withTransaction(async (tx) => {
+      const resolvedId = await this._resolveProjectId(tx, projectId);
+      const boards = await tx.all(
+        "SELECT * FROM Board WHERE project_id = ? AND deleted_at IS NULL ORDER BY position ASC, id ASC",
+        [resolvedId]
+      );
+      const tasks = await tx.all(
+        `SELECT t.* FROM Task t JOIN Board b ON b.id = t.board_id
+          WHERE b.project_id = ? AND b.deleted_at IS NULL
+            AND t.deleted_at IS NULL AND t.archived_at IS NULL
+          ORDER BY t.position ASC, t.id ASC`,
+        [resolvedId]
+      );
+
+      const columns = new Map(
+        boards.map((row) => [row.id, { board: Board.fromRow(row), tasks: [] }])
+      );
+      tasks.forEach((row) =>
+        columns.get(row.board_id).tasks.push(Task.fromRow(row))
+      );
+      await attachRelations(
+        (sql, params) => tx.all(sql, params),
+        [...columns.values()].flatMap((column) => column.tasks)
+      );
+      return { projectId: resolvedId, columns: [...columns.values()] };
+    }, this._db);
+
+    return toCallback(work, callback);
   }
 
   /**
    * Get Board by ID
+   * Board di trash dianggap tidak ada, kecuali dengan includeDeleted
    * @param {number} id - Board ID
+   * @param {Object} options - { includeDeleted?: boolean } (opsional)
    * @param {Function} callback - Callback(err, board)
    */
-  getById(id, callback) {
-    db.get("SELECT * FROM Board WHERE id = ?", [id], (err, row) => {
-      if (err) {
-        callback(err, null);
-      } else if (!row) {
-        callback(null, null);
-      } else {
-        const board = new Board(row.id, row.title);
-        callback(null, board);
-      }
-    });
+  getById(id, options, callback) {
+    if (typeof options === "function") {
+      callback = options;
+      options = {};
+    }
+    const includeDeleted = Boolean(options && options.includeDeleted);
+
+    const work = this._db
+      .getAsync(
+        `SELECT * FROM Board WHERE id = ? ${
+          includeDeleted ? "" : "AND deleted_at IS NULL"
+        }`,
+        [id]
+      )
+      .then((row) => (row ? Board.fromRow(row) : null));
+
+    return toCallback(work, callback);
   }
 
   /**
@@ -154,44 +318,614 @@ class BoardRepository extends IRepository {
    */
   update(id, data, callback) {
     if (!data || !data.title) {
-      return callback(new Error("title is required"), null);
+      return toCallback(
+        Promise.reject(new ValidationError("title is required")),
+        callback
+      );
     }
 
-    try {
-      const board = new Board(id, data.title);
-      if (!board.validate()) {
-        return callback(new Error("Invalid board data"), null);
-      }
-
-      db.run(
-        "UPDATE Board SET title = ? WHERE id = ?",
-        [board.getTitle(), id],
-        function (err) {
-          if (err) {
-            callback(err, null);
-          } else {
-            callback(null, board);
-          }
-        }
+    const board = new Board(id, data.title);
+    if (!board.validate()) {
+      return toCallback(
+        Promise.reject(new ValidationError("Invalid board data")),
+        callback
       );
-    } catch (err) {
-      callback(err, null);
     }
+
+    const work = withTransaction(async (tx) => {
+      const row = await tx.get(
+        "SELECT * FROM Board WHERE id = ? AND deleted_at IS NULL",
+        [id]
+      );
+      if (!row) {
+        throw new NotFoundError("Board not found");
+      }
+
+      const now = new Date().toISOString();
+      await tx.run("UPDATE Board SET title = ?, updated_at = ? WHERE id = ?", [
+        board.getTitle(),
+        now,
+        row.id,
+      ]);
+
+      // Baca ulang supaya createdAt berasal dari database
+      const updated = await this._getRow(tx, row.id);
+      await this._recordActivity(tx, "update", row, updated, now);
+      return Board.fromRow(updated);
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Patch Board - Update sebagian field
+   * Perubahan position memakai logika yang sama dengan reorderByPosition
+   * @param {number} id - Board ID
+   * @param {Object} data - Sebagian dari { title, position }
+   * @param {Function} callback - Callback(err, board)
+   */
+  patch(id, data, callback) {
+    if (!data || typeof data !== "object") {
+      return toCallback(
+        Promise.reject(new ValidationError("Patch data is required")),
+        callback
+      );
+    }
+
+    const work = withTransaction(async (tx) => {
+      const row = await tx.get(
+        "SELECT * FROM Board WHERE id = ? AND deleted_at IS NULL",
+        [id]
+      );
+      if (!row) {
+        throw new NotFoundError("Board not found");
+      }
+
+      const board = Board.fromRow(row);
+      const now = new Date().toISOString();
+      if (data.title !== undefined) {
+        board.setTitle(data.title);
+        await tx.run(
+          "UPDATE Board SET title = ?, updated_at = ? WHERE id = ?",
+          [board.getTitle(), now, row.id]
+        );
+      }
+      if (data.position !== undefined) {
+        board.setPosition(data.position);
+        await this._placeBoard(tx, row, data.position, now);
+      }
+
+      const updated = await this._getRow(tx, row.id);
+      await this._recordActivity(
+        tx,
+        data.title === undefined ? "reorder" : "update",
+        row,
+        updated,
+        now
+      );
+      return Board.fromRow(updated);
+    }, this._db);
+
+    return toCallback(work, callback);
   }
 
   /**
    * Delete Board
+   * Board dipindah ke trash (soft delete). Board yang masih berisi task
+   * (termasuk task yang diarsipkan) ditolak (ConflictError), kecuali
+   * task-nya dipindah ke board lain (moveTo) atau ikut masuk trash (cascade, ditandai deleted_with_board) sehingga
+   * ikut kembali saat board di-restore.
+   * Position column lain dalam project yang sama dirapatkan kembali
+   * @param {number} id - Board ID
+   * @param {Object} options - { moveTo?: number, cascade?: boolean } (opsional)
+   * @param {Function} callback - Callback(err, { movedTo, movedCount })
+   */
+  delete(id, options, callback) {
+    if (typeof options === "function") {
+      callback = options;
+      options = {};
+    }
+    const { moveTo, cascade = false } = options || {};
+
+    const work = withTransaction(async (tx) => {
+      const board = await tx.get(
+        "SELECT * FROM Board WHERE id = ? AND deleted_at IS NULL",
+        [id]
+      );
+      if (!board) {
+        throw new NotFoundError("Board not found");
+      }
+
+      const tasks = await loadOrder(
+        tx,
+        "Task",
+        "board_id = ? AND deleted_at IS NULL AND archived_at IS NULL",
+        [board.id]
+      );
+      const { archived } = await tx.get(
+        "SELECT COUNT(*) AS archived FROM Task WHERE board_id = ? AND deleted_at IS NULL AND archived_at IS NOT NULL",
+        [board.id]
+      );
+      const taskCount = tasks.length + archived;
+      const now = new Date().toISOString();
+      let movedTo = null;
+      if (moveTo !== undefined && moveTo !== null) {
+        movedTo = await this._moveTasks(tx, board, moveTo, tasks, now);
+      } else if (taskCount > 0 && !cascade) {
+        throw new ConflictError(
+          `Board still contains ${taskCount} task(s); move them with moveTo or delete them with cascade`,
+          { details: { taskCount } }
+        );
+      }
+
+      const cascaded = await tx.all(
+        "SELECT * FROM Task WHERE board_id = ? AND deleted_at IS NULL",
+        [board.id]
+      );
+      await tx.run(
+        "UPDATE Task SET deleted_at = ?, deleted_with_board = 1, updated_at = ? WHERE board_id = ? AND deleted_at IS NULL",
+        [now, now, board.id]
+      );
+      for (const task of cascaded) {
+        await recordActivity(
+          tx,
+          {
+            entityType: "task",
+            entityId: task.id,
+            action: "delete",
+            before: task,
+          },
+          now
+        );
+      }
+      await tx.run(
+        "UPDATE Board SET deleted_at = ?, updated_at = ? WHERE id = ?",
+        [now, now, board.id]
+      );
+      await this._writeOrder(
+        tx,
+        await this._loadOrder(tx, board.project_id),
+        now
+      );
+      await this._recordActivity(tx, "delete", board, null, now);
+      return { movedTo, movedCount: movedTo ? taskCount : 0 };
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Get Trash - board yang sedang di trash, terbaru lebih dulu
+   * @param {number|number[]} projectId - Hanya board project ini (opsional)
+   * @param {Function} callback - Callback(err, boards)
+   */
+  getTrash(projectId, callback) {
+    const scope = projectCondition("project_id", projectId || null);
+    const work = this._db
+      .allAsync(
+        `SELECT * FROM Board WHERE deleted_at IS NOT NULL ${
+          scope ? `AND ${scope.sql}` : ""
+        } ORDER BY deleted_at DESC, id DESC`,
+        scope ? scope.params : []
+      )
+      .then((rows) => rows.map((row) => Board.fromRow(row)));
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Restore Board dari trash ke position terakhirnya (atau akhir project)
+   * Task yang masuk trash bersama board (deleted_with_board) ikut kembali
    * @param {number} id - Board ID
+   * @param {Function} callback - Callback(err, { board, restoredTasks })
+   */
+  restore(id, callback) {
+    const work = withTransaction(async (tx) => {
+      const board = await tx.get(
+        "SELECT * FROM Board WHERE id = ? AND deleted_at IS NOT NULL",
+        [id]
+      );
+      if (!board) {
+        throw new NotFoundError("Board not found in trash");
+      }
+
+      const now = new Date().toISOString();
+      const order = await this._loadOrder(tx, board.project_id);
+      order.splice(clampPosition(board.position, order.length), 0, {
+        id: board.id,
+        position: null,
+      });
+      await tx.run(
+        "UPDATE Board SET deleted_at = NULL, updated_at = ? WHERE id = ?",
+        [now, board.id]
+      );
+      await this._writeOrder(tx, order, now);
+
+      const trashed = await tx.all(
+        "SELECT * FROM Task WHERE board_id = ? AND deleted_with_board = 1",
+        [board.id]
+      );
+      await tx.run(
+        "UPDATE Task SET deleted_at = NULL, deleted_with_board = 0, updated_at = ? WHERE board_id = ? AND deleted_with_board = 1",
+        [now, board.id]
+      );
+      await writeOrder(
+        tx,
+        "Task",
+        await loadOrder(
+          tx,
+          "Task",
+          "board_id = ? AND deleted_at IS NULL AND archived_at IS NULL",
+          [board.id]
+        ),
+        now
+      );
+
+      for (const task of trashed) {
+        await recordActivity(
+          tx,
+          {
+            entityType: "task",
+            entityId: task.id,
+            action: "restore",
+            before: task,
+            after: await tx.get("SELECT * FROM Task WHERE id = ?", [task.id]),
+          },
+          now
+        );
+      }
+
+      const restored = await this._getRow(tx, board.id);
+      await this._recordActivity(tx, "restore", board, restored, now);
+      return {
+        board: Board.fromRow(restored),
+        restoredTasks: trashed.length,
+      };
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Purge - hapus permanen board yang masuk trash sebelum waktu tertentu,
+   * beserta semua task di dalamnya (ON DELETE CASCADE)
+   * @param {Date} before - Batas waktu deleted_at
+   * @param {number|number[]} projectId - Hanya board project ini (opsional)
+   * @param {Function} callback - Callback(err, purgedCount)
+   */
+  purge(before, projectId, callback) {
+    if (typeof projectId === "function") {
+      callback = projectId;
+      projectId = null;
+    }
+    const scope = projectCondition("project_id", projectId || null);
+    const where = `deleted_at IS NOT NULL AND deleted_at < ? ${
+      scope ? `AND ${scope.sql}` : ""
+    }`;
+    const params = [before.toISOString(), ...(scope ? scope.params : [])];
+
+    const work = withTransaction(async (tx) => {
+      await removeFromIndex(
+        tx,
+        `board_id IN (SELECT id FROM Board WHERE ${where})`,
+        params
+      );
+      const { changes } = await tx.run(
+        `DELETE FROM Board WHERE ${where}`,
+        params
+      );
+      return changes;
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Reorder Boards - Swap positions between two boards
+   * @param {number} boardId1 - First board ID
+   * @param {number} boardId2 - Second board ID
    * @param {Function} callback - Callback(err)
    */
-  delete(id, callback) {
-    db.run("DELETE FROM Board WHERE id = ?", [id], function (err) {
-      if (err) {
-        callback(err);
-      } else {
-        callback(null);
+  reorder(boardId1, boardId2, callback) {
+    if (!boardId1 || !boardId2) {
+      return toCallback(
+        Promise.reject(new ValidationError("Both board IDs are required")),
+        callback
+      );
+    }
+
+    const work = withTransaction(async (tx) => {
+      const board1 = await tx.get(
+        "SELECT * FROM Board WHERE id = ? AND deleted_at IS NULL",
+        [boardId1]
+      );
+      if (!board1) {
+        throw new NotFoundError("Board 1 not found");
+      }
+
+      const board2 = await tx.get(
+        "SELECT * FROM Board WHERE id = ? AND deleted_at IS NULL",
+        [boardId2]
+      );
+      if (!board2) {
+        throw new NotFoundError("Board 2 not found");
+      }
+      if (board1.project_id !== board2.project_id) {
+        throw new ValidationError("Boards must belong to the same project");
+      }
+
+      const now = new Date().toISOString();
+      await tx.run(
+        "UPDATE Board SET position = ?, updated_at = ? WHERE id = ?",
+        [board2.position, now, boardId1]
+      );
+      await tx.run(
+        "UPDATE Board SET position = ?, updated_at = ? WHERE id = ?",
+        [board1.position, now, boardId2]
+      );
+      await this._recordActivity(
+        tx,
+        "reorder",
+        board1,
+        { ...board1, position: board2.position },
+        now
+      );
+      await this._recordActivity(
+        tx,
+        "reorder",
+        board2,
+        { ...board2, position: board1.position },
+        now
+      );
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Reorder Board by Position - Pindahkan board ke position baru
+   * Board lain di antara posisi lama dan baru digeser
+   * @param {number} boardId - Board ID
+   * @param {number} newPosition - Position baru (0-based)
+   * @param {Function} callback - Callback(err)
+   */
+  reorderByPosition(boardId, newPosition, callback) {
+    if (!boardId || newPosition === undefined) {
+      return toCallback(
+        Promise.reject(
+          new ValidationError("Board ID and new position are required")
+        ),
+        callback
+      );
+    }
+
+    const work = withTransaction(async (tx) => {
+      const board = await tx.get(
+        "SELECT * FROM Board WHERE id = ? AND deleted_at IS NULL",
+        [boardId]
+      );
+      if (!board) {
+        throw new NotFoundError("Board not found");
+      }
+
+      const now = new Date().toISOString();
+      await this._placeBoard(tx, board, newPosition, now);
+      await this._recordActivity(
+        tx,
+        "reorder",
+        board,
+        await this._getRow(tx, board.id),
+        now
+      );
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Set Order - Tulis ulang urutan seluruh board dalam satu project
+   * boardIds harus berisi tepat semua board di project tersebut
+   * @param {number} projectId - Project ID (kosong: project default)
+   * @param {number[]} boardIds - Board ID dalam urutan baru
+   * @param {Function} callback - Callback(err, boards)
+   */
+  setOrder(projectId, boardIds, callback) {
+    if (!Array.isArray(boardIds)) {
+      return toCallback(
+        Promise.reject(new ValidationError("Board IDs are required")),
+        callback
+      );
+    }
+
+    const work = withTransaction(async (tx) => {
+      projectId = await this._resolveProjectId(tx, projectId);
+      const current = await this._loadOrder(tx, projectId);
+      if (!isSamePermutation(current, boardIds)) {
+        throw new ConflictError(
+          "boardIds must list every board in the project exactly once"
+        );
+      }
+
+      const byId = new Map(current.map((row) => [row.id, row]));
+      const now = new Date().toISOString();
+      await this._writeOrder(
+        tx,
+        boardIds.map((id) => byId.get(id)),
+        now
+      );
+      for (const [index, id] of boardIds.entries()) {
+        const { position } = byId.get(id);
+        if (position !== index) {
+          await this._recordActivity(
+            tx,
+            "reorder",
+            { id, position },
+            { id, position: index },
+            now
+          );
+        }
       }
-    });
+
+      const rows = await tx.all(
+        "SELECT * FROM Board WHERE project_id = ? AND deleted_at IS NULL ORDER BY position ASC, id ASC",
+        [projectId]
+      );
+      return rows.map((row) => Board.fromRow(row));
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Ambil row board apa adanya (termasuk yang di trash)
+   * @param {Object} tx - Transaction dari withTransaction
+   * @param {number} id - Board ID
+   * @returns {Promise<Object|undefined>} Row board
+   */
+  _getRow(tx, id) {
+    return tx.get("SELECT * FROM Board WHERE id = ?", [id]);
+  }
+
+  /**
+   * Catat perubahan satu board di activity log (di dalam transaction)
+   * @param {Object} tx - Transaction dari withTransaction
+   * @param {string} action - create, update, delete, restore atau reorder
+   * @param {Object|null} before - Row sebelum perubahan (null untuk create)
+   * @param {Object|null} after - Row setelah perubahan (null untuk delete)
+   * @param {string} now - Timestamp perubahan
+   */
+  _recordActivity(tx, action, before, after, now) {
+    return recordActivity(
+      tx,
+      {
+        entityType: "board",
+        entityId: (before || after).id,
+        action,
+        before,
+        after,
+      },
+      now
+    );
+  }
+
+  /**
+   * Tentukan project untuk board (di dalam transaction)
+   * Project yang diminta harus ada; tanpa project dipakai project default
+   * (project paling lama) supaya endpoint /api/columns lama tetap jalan
+   * @param {Object} tx - Transaction dari withTransaction
+   * @param {number} projectId - Project ID (opsional)
+   * @returns {Promise<number>} Project ID
+   */
+  async _resolveProjectId(tx, projectId) {
+    const row = projectId
+      ? await tx.get("SELECT id FROM Project WHERE id = ?", [projectId])
+      : await tx.get("SELECT MIN(id) AS id FROM Project");
+    if (!row || !row.id) {
+      throw new NotFoundError("Project not found");
+    }
+    return row.id;
+  }
+
+  /**
+   * Pindahkan semua task board yang akan dihapus ke akhir board tujuan,
+   * urutan task tetap sama (di dalam transaction). Task yang diarsipkan
+   * ikut pindah board tanpa mendapat position
+   * @param {Object} tx - Transaction dari withTransaction
+   * @param {Object} board - Row board yang akan dihapus
+   * @param {number} targetId - Board tujuan (harus di project yang sama)
+   * @param {Object[]} tasks - Row { id, position } task aktif board, urut
+   * @param {string} now - Timestamp updated_at
+   * @returns {Promise<number>} ID board tujuan
+   */
+  async _moveTasks(tx, board, targetId, tasks, now) {
+    if (targetId === board.id) {
+      throw new ValidationError("moveTo must be a different board");
+    }
+    const target = await tx.get(
+      "SELECT * FROM Board WHERE id = ? AND deleted_at IS NULL",
+      [targetId]
+    );
+    if (!target) {
+      throw new NotFoundError("Target board not found");
+    }
+    if (target.project_id !== board.project_id) {
+      throw new ValidationError("Boards must belong to the same project");
+    }
+
+    const { count } = await tx.get(
+      "SELECT COUNT(*) AS count FROM Task WHERE board_id = ? AND deleted_at IS NULL AND archived_at IS NULL",
+      [target.id]
+    );
+    const archived = await tx.all(
+      "SELECT * FROM Task WHERE board_id = ? AND deleted_at IS NULL AND archived_at IS NOT NULL",
+      [board.id]
+    );
+    const moves = [
+      ...tasks.map((task, index) => ({
+        before: { ...task, board_id: board.id },
+        after: { ...task, board_id: target.id, position: count + index },
+      })),
+      ...archived.map((task) => ({
+        before: task,
+        after: { ...task, board_id: target.id },
+      })),
+    ];
+    for (const { before, after } of moves) {
+      await tx.run(
+        "UPDATE Task SET board_id = ?, position = ?, updated_at = ? WHERE id = ?",
+        [after.board_id, after.position, now, after.id]
+      );
+      await recordActivity(
+        tx,
+        {
+          entityType: "task",
+          entityId: after.id,
+          action: "move",
+          before,
+          after,
+        },
+        now
+      );
+    }
+    return target.id;
+  }
+
+  /**
+   * Pindahkan board ke position baru di dalam project-nya (di dalam transaction)
+   * Board lain digeser sehingga position tetap rapat
+   * @param {Object} tx - Transaction dari withTransaction
+   * @param {Object} board - Row board saat ini
+   * @param {number} position - Position tujuan (0-based)
+   * @param {string} now - Timestamp updated_at
+   */
+  async _placeBoard(tx, board, position, now) {
+    const order = (await this._loadOrder(tx, board.project_id)).filter(
+      (row) => row.id !== board.id
+    );
+    order.splice(clampPosition(position, order.length), 0, board);
+    await this._writeOrder(tx, order, now);
+  }
+
+  /**
+   * Ambil urutan board dalam satu project
+   * @param {Object} tx - Transaction dari withTransaction
+   * @param {number} projectId - Project ID
+   * @returns {Promise<Object[]>} Row { id, position } urut berdasarkan position
+   */
+  _loadOrder(tx, projectId) {
+    return loadOrder(tx, "Board", "project_id = ? AND deleted_at IS NULL", [
+      projectId,
+    ]);
+  }
+
+  /**
+   * Tulis ulang position board sesuai urutan array (0..n-1)
+   * @param {Object} tx - Transaction dari withTransaction
+   * @param {Object[]} rows - Row { id, position } dalam urutan baru
+   * @param {string} now - Timestamp updated_at
+   */
+  _writeOrder(tx, rows, now) {
+    return writeOrder(tx, "Board", rows, now);
   }
 }
 
@@ -18,6 +18,8 @@ class Entity extends IEntity {
     this._id = id;
     this._createdAt = createdAt;
     this._updatedAt = updatedAt;
+    // Terisi jika entity ada di trash (soft delete)
+    this._deletedAt = null;
   }
 
   /**
@@ -77,6 +79,34 @@ class Entity extends IEntity {
     this._updatedAt = date;
   }
 
+  /**
+   * Get Deleted At (Getter)
+   * @returns {Date|null} Waktu dipindah ke trash, null jika tidak dihapus
+   */
+  getDeletedAt() {
+    return this._deletedAt;
+  }
+
+  /**
+   * Set Deleted At (Setter)
+   * @param {Date|null} date - Waktu dipindah ke trash, null untuk restore
+   */
+  setDeletedAt(date) {
+    if (!(date instanceof Date) && date !== null) {
+      throw new TypeError("deletedAt must be a Date object or null");
+    }
+    this._deletedAt = date;
+  }
+
+  /**
+   * Parse timestamp dari database (ISO-8601 string) menjadi Date
+   * @param {string|null} value - Timestamp dari database
+   * @returns {Date|undefined} Date, atau undefined supaya default constructor dipakai
+   */
+  static parseTimestamp(value) {
+    return value ? new Date(value) : undefined;
+  }
+
   /**
    * Validate entity (abstract method - harus diimplementasi di child class)
    * @returns {boolean} Apakah entity valid
@@ -94,6 +124,8 @@ class Entity extends IEntity {
       id: this._id,
       createdAt: this._createdAt,
       updatedAt: this._updatedAt,
+      // deletedAt hanya muncul untuk entity di trash
+      ...(this._deletedAt ? { deletedAt: this._deletedAt } : {}),
     };
   }
 
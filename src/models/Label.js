@@ -0,0 +1,311 @@
+const Entity = require("./Entity");
+const IRepository = require("../interfaces/IRepository");
+const { withTransaction, toCallback } = require("../database/transaction");
+const { recordActivity } = require("../database/activityLog");
+const { NotFoundError, ValidationError, ConflictError } = require("../errors");
+
+const MAX_NAME_LENGTH = 50;
+// Warna hex 6 digit, disimpan huruf kecil
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const DEFAULT_COLOR = "#6b7280";
+
+/**
+ * Label Class
+ * Label berwarna milik satu project (misal "bug", "frontend", "blocked")
+ * yang bisa dipasang ke task mana pun di project tersebut
+ * Demonstrasi: Inheritance, Encapsulation, Polymorphism
+ */
+class Label extends Entity {
+  /**
+   * Constructor
+   * @param {number} id - Label ID
+   * @param {Object} data - { projectId, name, color }
+   * @param {Date} createdAt - Created timestamp
+   * @param {Date} updatedAt - Updated timestamp
+   */
+  constructor(
+    id = null,
+    data = {},
+    createdAt = new Date(),
+    updatedAt = new Date()
+  ) {
+    super(id, createdAt, updatedAt);
+    this._projectId = data.projectId;
+    this._name = data.name;
+    this._color = data.color;
+  }
+
+  /**
+   * Buat Label dari row database
+   * @param {Object} row - Row dari table Label
+   * @returns {Label} Label instance
+   */
+  static fromRow(row) {
+    return new Label(
+      row.id,
+      { projectId: row.project_id, name: row.name, color: row.color },
+      Entity.parseTimestamp(row.created_at),
+      Entity.parseTimestamp(row.updated_at)
+    );
+  }
+
+  /**
+   * Periksa data label (dipakai repository SQLite maupun memory)
+   * @param {Object} data - { name?, color? }
+   * @param {Object} options - { partial: boolean } (true untuk update; hanya
+   *   field yang dikirim yang diperiksa)
+   * @returns {Object} Field siap disimpan ({ name, color } saat create)
+   * @throws {ValidationError} Data tidak valid
+   */
+  static checkData(data, { partial = false } = {}) {
+    const { name, color } = data || {};
+    const checked = {};
+
+    if (!partial || name !== undefined) {
+      if (
+        typeof name !== "string" ||
+        name.trim() === "" ||
+        name.trim().length > MAX_NAME_LENGTH
+      ) {
+        throw new ValidationError(
+          `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`
+        );
+      }
+      checked.name = name.trim();
+    }
+    if (color !== undefined || !partial) {
+      const value = color === undefined ? DEFAULT_COLOR : color;
+      if (typeof value !== "string" || !COLOR_PATTERN.test(value)) {
+        throw new ValidationError("color must be a hex color like #ff0000");
+      }
+      checked.color = value.toLowerCase();
+    }
+    if (Object.keys(checked).length === 0) {
+      throw new ValidationError("Nothing to update: send name or color");
+    }
+
+    return checked;
+  }
+
+  /**
+   * Get Project ID (Getter)
+   * @returns {number} Project pemilik label
+   */
+  getProjectId() {
+    return this._projectId;
+  }
+
+  /**
+   * Get Name (Getter)
+   * @returns {string} Nama label
+   */
+  getName() {
+    return this._name;
+  }
+
+  /**
+   * Get Color (Getter)
+   * @returns {string} Warna hex, misal #ff0000
+   */
+  getColor() {
+    return this._color;
+  }
+
+  /**
+   * Validate Label (Polymorphism - override dari parent)
+   * @returns {boolean} Apakah label valid
+   */
+  validate() {
+    return Boolean(this._name) && COLOR_PATTERN.test(this._color || "");
+  }
+
+  /**
+   * Convert ke JSON (Polymorphism - override dari parent)
+   * @returns {Object} Label sebagai object
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      project_id: this._projectId,
+      name: this._name,
+      color: this._color,
+    };
+  }
+
+  /**
+   * String representation (Polymorphism - override dari parent)
+   * @returns {string} String representation
+   */
+  toString() {
+    return `${super.toString()} "${this._name}" ${this._color}`;
+  }
+}
+
+// Konstanta untuk validasi di controller
+Label.MAX_NAME_LENGTH = MAX_NAME_LENGTH;
+Label.COLOR_PATTERN = COLOR_PATTERN;
+
+/**
+ * LabelRepository Class
+ * CRUD label per project. Memasang label ke task ada di TaskRepository
+ * (addLabel/removeLabel) karena ikut dicatat di activity log task.
+ * Demonstrasi: Interface Implementation, Encapsulation
+ */
+class LabelRepository extends IRepository {
+  /**
+   * Constructor
+   * @param {sqlite3.Database} connection - Database connection (default: db aplikasi)
+   */
+  constructor(connection = require("../database/db")) {
+    super();
+    this._db = connection;
+  }
+
+  /**
+   * Get semua label project (urut berdasarkan nama)
+   * @param {number} projectId - Project ID
+   * @param {Function} callback - Callback(err, labels)
+   */
+  getByProjectId(projectId, callback) {
+    const work = this._db
+      .allAsync(
+        "SELECT * FROM Label WHERE project_id = ? ORDER BY name COLLATE NOCASE ASC, id ASC",
+        [projectId]
+      )
+      .then((rows) => rows.map((row) => Label.fromRow(row)));
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Create Label
+   * @param {number} projectId - Project ID
+   * @param {Object} data - { name, color? (default: abu-abu) }
+   * @param {Function} callback - Callback(err, label)
+   */
+  create(projectId, data, callback) {
+    const work = withTransaction(async (tx) => {
+      const { name, color } = Label.checkData(data);
+      if (!(await tx.get("SELECT id FROM Project WHERE id = ?", [projectId]))) {
+        throw new NotFoundError("Project not found");
+      }
+      await this._assertUniqueName(tx, projectId, name);
+
+      const now = new Date().toISOString();
+      const { lastID } = await tx.run(
+        `INSERT INTO Label (project_id, name, color, created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?)`,
+        [projectId, name, color, now, now]
+      );
+      return Label.fromRow(await this._getRow(tx, projectId, lastID));
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Update Label - hanya field yang dikirim yang diubah
+   * @param {number} projectId - Project ID
+   * @param {number} id - Label ID
+   * @param {Object} data - { name?, color? }
+   * @param {Function} callback - Callback(err, label)
+   */
+  update(projectId, id, data, callback) {
+    const work = withTransaction(async (tx) => {
+      const changes = Label.checkData(data, { partial: true });
+      const row = await this._getRow(tx, projectId, id);
+      if (!row) {
+        throw new NotFoundError("Label not found");
+      }
+      if (changes.name !== undefined) {
+        await this._assertUniqueName(tx, projectId, changes.name, row.id);
+      }
+
+      const next = { ...row, ...changes };
+      await tx.run(
+        "UPDATE Label SET name = ?, color = ?, updated_at = ? WHERE id = ?",
+        [next.name, next.color, new Date().toISOString(), row.id]
+      );
+      return Label.fromRow(await this._getRow(tx, projectId, row.id));
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Delete Label - label ikut terlepas dari semua task; setiap task yang
+   * kehilangan label dicatat sebagai unlabel di activity log
+   * @param {number} projectId - Project ID
+   * @param {number} id - Label ID
+   * @param {Function} callback - Callback(err)
+   */
+  delete(projectId, id, callback) {
+    const work = withTransaction(async (tx) => {
+      const row = await this._getRow(tx, projectId, id);
+      if (!row) {
+        throw new NotFoundError("Label not found");
+      }
+
+      const links = await tx.all(
+        "SELECT task_id FROM TaskLabel WHERE label_id = ? ORDER BY task_id ASC",
+        [row.id]
+      );
+      const now = new Date().toISOString();
+      for (const { task_id } of links) {
+        await recordActivity(
+          tx,
+          {
+            entityType: "task",
+            entityId: task_id,
+            action: "unlabel",
+            before: { id: task_id, label_id: row.id },
+          },
+          now
+        );
+      }
+      await tx.run("DELETE FROM Label WHERE id = ?", [row.id]);
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Ambil row label milik project
+   * @param {Object} tx - Transaction dari withTransaction
+   * @param {number} projectId - Project ID
+   * @param {number} id - Label ID
+   * @returns {Promise<Object|undefined>} Row label
+   */
+  _getRow(tx, projectId, id) {
+    return tx.get("SELECT * FROM Label WHERE id = ? AND project_id = ?", [
+      id,
+      projectId,
+    ]);
+  }
+
+  /**
+   * Tolak nama yang sudah dipakai label lain di project yang sama
+   * @param {Object} tx - Transaction dari withTransaction
+   * @param {number} projectId - Project ID
+   * @param {string} name - Nama label
+   * @param {number} exceptId - Label yang sedang diubah (opsional)
+   * @throws {ConflictError} Nama sudah dipakai
+   */
+  async _assertUniqueName(tx, projectId, name, exceptId = null) {
+    const existing = await tx.get(
+      "SELECT id FROM Label WHERE project_id = ? AND name = ? COLLATE NOCASE AND id IS NOT ?",
+      [projectId, name, exceptId]
+    );
+    if (existing) {
+      throw new ConflictError(
+        `Label "${name}" already exists in this project`,
+        {
+          code: "LABEL_EXISTS",
+        }
+      );
+    }
+  }
+}
+
+// Export both class dan repository untuk flexibility
+module.exports = { Label, LabelRepository };
@@ -0,0 +1,239 @@
+const Entity = require("./Entity");
+const IRepository = require("../interfaces/IRepository");
+const { withTransaction, toCallback } = require("../database/transaction");
+const { removeFromIndex } = require("../database/searchIndex");
+const { NotFoundError, ValidationError } = require("../errors");
+
+/**
+ * Project Class
+ * Merepresentasikan Project (workspace) yang menampung beberapa Board/column
+ * Demonstrasi: Inheritance, Encapsulation, Polymorphism
+ */
+class Project extends Entity {
+  /**
+   * Constructor
+   * @param {number} id - Project ID
+   * @param {string} title - Project title
+   * @param {Date} createdAt - Created timestamp
+   * @param {Date} updatedAt - Updated timestamp
+   */
+  constructor(
+    id = null,
+    title = "",
+    createdAt = new Date(),
+    updatedAt = new Date()
+  ) {
+    super(id, createdAt, updatedAt);
+    // Private properties dengan encapsulation
+    this._title = title;
+  }
+
+  /**
+   * Buat Project dari row database
+   * @param {Object} row - Row dari table Project
+   * @returns {Project} Project instance
+   */
+  static fromRow(row) {
+    return new Project(
+      row.id,
+      row.title,
+      Entity.parseTimestamp(row.created_at),
+      Entity.parseTimestamp(row.updated_at)
+    );
+  }
+
+  /**
+   * Get Project title (Getter)
+   * @returns {string} Project title
+   */
+  getTitle() {
+    return this._title;
+  }
+
+  /**
+   * Set Project title (Setter)
+   * @param {string} title - Project title
+   */
+  setTitle(title) {
+    if (typeof title !== "string" || title.trim() === "") {
+      throw new ValidationError("Title must be a non-empty string");
+    }
+    this._title = title.trim();
+  }
+
+  /**
+   * Validate Project (Polymorphism - override dari parent)
+   * @returns {boolean} Apakah project valid
+   */
+  validate() {
+    return this._title && this._title.trim() !== "";
+  }
+
+  /**
+   * Convert ke JSON (Polymorphism - override dari parent)
+   * @returns {Object} Project sebagai object
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      title: this._title,
+    };
+  }
+
+  /**
+   * String representation (Polymorphism - override dari parent)
+   * @returns {string} String representation
+   */
+  toString() {
+    return `${super.toString()} title: "${this._title}"`;
+  }
+}
+
+/**
+ * ProjectRepository Class
+ * Mengimplementasi IRepository interface untuk Project CRUD operations
+ * Demonstrasi: Interface Implementation, Encapsulation
+ */
+class ProjectRepository extends IRepository {
+  /**
+   * Constructor
+   * @param {sqlite3.Database} connection - Database connection (default: db aplikasi)
+   */
+  constructor(connection = require("../database/db")) {
+    super();
+    this._db = connection;
+  }
+
+  /**
+   * Create Project
+   * owner_id (opsional) langsung dicatat sebagai owner project di
+   * transaction yang sama
+   * @param {Object} data - { title: string, owner_id?: number }
+   * @param {Function} callback - Callback(err, project)
+   */
+  create(data, callback) {
+    if (!data || !data.title) {
+      return toCallback(
+        Promise.reject(new ValidationError("title is required")),
+        callback
+      );
+    }
+
+    const now = new Date();
+    const project = new Project(null, data.title, now, now);
+    if (!project.validate()) {
+      return toCallback(
+        Promise.reject(new ValidationError("Invalid project data")),
+        callback
+      );
+    }
+
+    const work = withTransaction(async (tx) => {
+      const { lastID } = await tx.run(
+        "INSERT INTO Project (title, created_at, updated_at) VALUES (?, ?, ?)",
+        [project.getTitle(), now.toISOString(), now.toISOString()]
+      );
+      if (data.owner_id) {
+        await tx.run(
+          `INSERT INTO ProjectMember (project_id, user_id, role, created_at, updated_at)
+            VALUES (?, ?, 'owner', ?, ?)`,
+          [lastID, data.owner_id, now.toISOString(), now.toISOString()]
+        );
+      }
+      project.setId(lastID);
+      return project;
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Get all Projects
+   * @param {Function} callback - Callback(err, projects)
+   */
+  getAll(callback) {
+    const work = this._db
+      .allAsync("SELECT * FROM Project ORDER BY id ASC")
+      .then((rows) => rows.map((row) => Project.fromRow(row)));
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Get Project by ID
+   * @param {number} id - Project ID
+   * @param {Function} callback - Callback(err, project)
+   */
+  getById(id, callback) {
+    const work = this._db
+      .getAsync("SELECT * FROM Project WHERE id = ?", [id])
+      .then((row) => (row ? Project.fromRow(row) : null));
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Update Project
+   * @param {number} id - Project ID
+   * @param {Object} data - { title: string }
+   * @param {Function} callback - Callback(err, project)
+   */
+  update(id, data, callback) {
+    if (!data || !data.title) {
+      return toCallback(
+        Promise.reject(new ValidationError("title is required")),
+        callback
+      );
+    }
+
+    const project = new Project(id, data.title);
+    if (!project.validate()) {
+      return toCallback(
+        Promise.reject(new ValidationError("Invalid project data")),
+        callback
+      );
+    }
+
+    const work = withTransaction(async (tx) => {
+      const { changes } = await tx.run(
+        "UPDATE Project SET title = ?, updated_at = ? WHERE id = ?",
+        [project.getTitle(), new Date().toISOString(), id]
+      );
+      if (changes === 0) {
+        throw new NotFoundError("Project not found");
+      }
+      return Project.fromRow(
+        await tx.get("SELECT * FROM Project WHERE id = ?", [id])
+      );
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Delete Project
+   * Semua Board dan Task di dalamnya ikut terhapus (ON DELETE CASCADE)
+   * @param {number} id - Project ID
+   * @param {Function} callback - Callback(err)
+   */
+  delete(id, callback) {
+    const work = withTransaction(async (tx) => {
+      await removeFromIndex(
+        tx,
+        "board_id IN (SELECT id FROM Board WHERE project_id = ?)",
+        [id]
+      );
+      const { changes } = await tx.run("DELETE FROM Project WHERE id = ?", [
+        id,
+      ]);
+      if (changes === 0) {
+        throw new NotFoundError("Project not found");
+      }
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+}
+
+// Export both class dan repository untuk flexibility
+module.exports = { Project, ProjectRepository };
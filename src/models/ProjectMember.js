@@ -0,0 +1,403 @@
+const Entity = require("./Entity");
+const IRepository = require("../interfaces/IRepository");
+const { withTransaction, toCallback } = require("../database/transaction");
+const { ROLES, hasRole } = require("../auth/roles");
+const { NotFoundError, ValidationError, ConflictError } = require("../errors");
+
+/**
+ * ProjectMember Class
+ * Role seorang user di satu project; berlaku untuk semua column dan task
+ * di dalam project tersebut
+ * Demonstrasi: Inheritance, Encapsulation, Polymorphism
+ */
+class ProjectMember extends Entity {
+  /**
+   * Constructor
+   * @param {number} id - Membership ID
+   * @param {Object} data - { projectId, userId, role, email?, name? }
+   *   (email/name dari table User, hanya untuk ditampilkan)
+   * @param {Date} createdAt - Created timestamp
+   * @param {Date} updatedAt - Updated timestamp
+   */
+  constructor(
+    id = null,
+    data = {},
+    createdAt = new Date(),
+    updatedAt = new Date()
+  ) {
+    super(id, createdAt, updatedAt);
+    this._projectId = data.projectId;
+    this._userId = data.userId;
+    this._role = data.role;
+    this._email = data.email ?? null;
+    this._name = data.name ?? null;
+  }
+
+  /**
+   * Buat ProjectMember dari row database (row ProjectMember + email/name User)
+   * @param {Object} row - Row dari table ProjectMember
+   * @returns {ProjectMember} ProjectMember instance
+   */
+  static fromRow(row) {
+    return new ProjectMember(
+      row.id,
+      {
+        projectId: row.project_id,
+        userId: row.user_id,
+        role: row.role,
+        email: row.email,
+        name: row.name,
+      },
+      Entity.parseTimestamp(row.created_at),
+      Entity.parseTimestamp(row.updated_at)
+    );
+  }
+
+  /**
+   * Periksa role dari client
+   * @param {string} role - Role yang diminta
+   * @throws {ValidationError} Role tidak dikenal
+   */
+  static checkRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new ValidationError(`role must be one of: ${ROLES.join(", ")}`);
+    }
+  }
+
+  /**
+   * Get Project ID (Getter)
+   * @returns {number} Project ID
+   */
+  getProjectId() {
+    return this._projectId;
+  }
+
+  /**
+   * Get User ID (Getter)
+   * @returns {number} User ID
+   */
+  getUserId() {
+    return this._userId;
+  }
+
+  /**
+   * Get Role (Getter)
+   * @returns {string} owner, editor atau viewer
+   */
+  getRole() {
+    return this._role;
+  }
+
+  /**
+   * Validate ProjectMember (Polymorphism - override dari parent)
+   * @returns {boolean} Apakah membership valid
+   */
+  validate() {
+    return (
+      this._projectId > 0 && this._userId > 0 && ROLES.includes(this._role)
+    );
+  }
+
+  /**
+   * Convert ke JSON (Polymorphism - override dari parent)
+   * @returns {Object} ProjectMember sebagai object
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      project_id: this._projectId,
+      user_id: this._userId,
+      role: this._role,
+      email: this._email,
+      name: this._name,
+    };
+  }
+
+  /**
+   * String representation (Polymorphism - override dari parent)
+   * @returns {string} String representation
+   */
+  toString() {
+    return `${super.toString()} user#${this._userId} ${this._role} of project#${
+      this._projectId
+    }`;
+  }
+}
+
+// Konstanta untuk validasi di controller
+ProjectMember.ROLES = ROLES;
+
+/**
+ * ProjectMemberRepository Class
+ * Kelola member project dan jawab pertanyaan akses: role user di sebuah
+ * project, project mana saja yang bisa diakses, dan project pemilik
+ * sebuah column/task
+ *
+ * Hanya member yang bisa mengakses project; project tanpa member tertutup
+ * untuk semua user. Project seperti itu (misal Default Project) mendapat
+ * owner lewat migration 016 atau saat user pertama register.
+ * Demonstrasi: Interface Implementation, Encapsulation
+ */
+class ProjectMemberRepository extends IRepository {
+  /**
+   * Constructor
+   * @param {sqlite3.Database} connection - Database connection (default: db aplikasi)
+   */
+  constructor(connection = require("../database/db")) {
+    super();
+    this._db = connection;
+  }
+
+  /**
+   * Get semua member project (urut berdasarkan waktu bergabung)
+   * @param {number} projectId - Project ID
+   * @param {Function} callback - Callback(err, members)
+   */
+  getByProjectId(projectId, callback) {
+    const work = this._db
+      .allAsync(
+        `SELECT m.*, u.email, u.name FROM ProjectMember m
+          JOIN User u ON u.id = m.user_id
+          WHERE m.project_id = ? ORDER BY m.id ASC`,
+        [projectId]
+      )
+      .then((rows) => rows.map((row) => ProjectMember.fromRow(row)));
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Role user di sebuah project
+   * @param {number} projectId - Project ID
+   * @param {number} userId - User ID
+   * @param {Function} callback - Callback(err, role); role null jika bukan
+   *   member (project tanpa member tertutup untuk semua user)
+   */
+  getRole(projectId, userId, callback) {
+    const work = this._db
+      .getAsync(
+        "SELECT role FROM ProjectMember WHERE project_id = ? AND user_id = ?",
+        [projectId, userId]
+      )
+      .then((row) => (row ? row.role : null));
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * ID semua project yang bisa diakses user dengan role minimal tertentu
+   * @param {number} userId - User ID
+   * @param {string} role - Role minimal (default: viewer)
+   * @param {Function} callback - Callback(err, projectIds)
+   */
+  getProjectIds(userId, role, callback) {
+    if (typeof role === "function") {
+      callback = role;
+      role = "viewer";
+    }
+    const roles = ROLES.filter((candidate) =>
+      hasRole(candidate, role || "viewer")
+    );
+
+    const work = this._db
+      .allAsync(
+        `SELECT project_id AS id FROM ProjectMember
+          WHERE user_id = ? AND role IN (${roles.map(() => "?").join(", ")})
+          ORDER BY project_id ASC`,
+        [userId, ...roles]
+      )
+      .then((rows) => rows.map((row) => row.id));
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Tambah member ke project
+   * @param {number} projectId - Project ID
+   * @param {Object} data - { user_id: number, role: string }
+   * @param {Function} callback - Callback(err, member)
+   */
+  add(projectId, data, callback) {
+    const { user_id, role } = data || {};
+
+    const work = withTransaction(async (tx) => {
+      ProjectMember.checkRole(role);
+      await this._assertExists(tx, "Project", projectId, "Project not found");
+      await this._assertExists(tx, "User", user_id, "User not found");
+      if (await this._getRow(tx, projectId, user_id)) {
+        throw new ConflictError("User is already a member of this project", {
+          code: "ALREADY_MEMBER",
+        });
+      }
+
+      await this._insert(
+        tx,
+        projectId,
+        user_id,
+        role,
+        new Date().toISOString()
+      );
+      return ProjectMember.fromRow(await this._getRow(tx, projectId, user_id));
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Ubah role member
+   * @param {number} projectId - Project ID
+   * @param {number} userId - User ID
+   * @param {string} role - Role baru
+   * @param {Function} callback - Callback(err, member)
+   */
+  updateRole(projectId, userId, role, callback) {
+    const work = withTransaction(async (tx) => {
+      ProjectMember.checkRole(role);
+      const row = await this._getRow(tx, projectId, userId);
+      if (!row) {
+        throw new NotFoundError("Member not found");
+      }
+      if (row.role === "owner" && role !== "owner") {
+        await this._assertAnotherOwner(tx, projectId, userId);
+      }
+
+      await tx.run(
+        "UPDATE ProjectMember SET role = ?, updated_at = ? WHERE id = ?",
+        [role, new Date().toISOString(), row.id]
+      );
+      return ProjectMember.fromRow(await this._getRow(tx, projectId, userId));
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Keluarkan member dari project
+   * @param {number} projectId - Project ID
+   * @param {number} userId - User ID
+   * @param {Function} callback - Callback(err)
+   */
+  remove(projectId, userId, callback) {
+    const work = withTransaction(async (tx) => {
+      const row = await this._getRow(tx, projectId, userId);
+      if (!row) {
+        throw new NotFoundError("Member not found");
+      }
+      if (row.role === "owner") {
+        await this._assertAnotherOwner(tx, projectId, userId);
+      }
+      await tx.run("DELETE FROM ProjectMember WHERE id = ?", [row.id]);
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Project pemilik sebuah column (termasuk column di trash)
+   * @param {number} boardId - Board ID
+   * @param {Function} callback - Callback(err, projectId|null)
+   */
+  getProjectIdOfBoard(boardId, callback) {
+    const work = this._db
+      .getAsync("SELECT project_id FROM Board WHERE id = ?", [boardId])
+      .then((row) => (row ? row.project_id : null));
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Project pemilik sebuah task (termasuk task di trash atau arsip)
+   * @param {number} taskId - Task ID
+   * @param {Function} callback - Callback(err, projectId|null)
+   */
+  getProjectIdOfTask(taskId, callback) {
+    const work = this._db
+      .getAsync(
+        "SELECT b.project_id FROM Task t JOIN Board b ON b.id = t.board_id WHERE t.id = ?",
+        [taskId]
+      )
+      .then((row) => (row ? row.project_id : null));
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Project default, tujuan column baru tanpa project_id
+   * @param {Function} callback - Callback(err, projectId|null)
+   */
+  getDefaultProjectId(callback) {
+    const work = this._db
+      .getAsync("SELECT MIN(id) AS id FROM Project")
+      .then((row) => (row ? row.id : null));
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Ambil row membership beserta email/name user
+   * @param {Object} tx - Transaction dari withTransaction
+   * @param {number} projectId - Project ID
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|undefined>} Row membership
+   */
+  _getRow(tx, projectId, userId) {
+    return tx.get(
+      `SELECT m.*, u.email, u.name FROM ProjectMember m
+        JOIN User u ON u.id = m.user_id
+        WHERE m.project_id = ? AND m.user_id = ?`,
+      [projectId, userId]
+    );
+  }
+
+  /**
+   * Simpan satu membership (di dalam transaction)
+   * @param {Object} tx - Transaction dari withTransaction
+   * @param {number} projectId - Project ID
+   * @param {number} userId - User ID
+   * @param {string} role - Role
+   * @param {string} now - Timestamp created_at/updated_at
+   */
+  _insert(tx, projectId, userId, role, now) {
+    return tx.run(
+      `INSERT INTO ProjectMember (project_id, user_id, role, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?)`,
+      [projectId, userId, role, now, now]
+    );
+  }
+
+  /**
+   * Pastikan row dengan ID tertentu ada
+   * @param {Object} tx - Transaction dari withTransaction
+   * @param {string} table - "Project" atau "User"
+   * @param {number} id - Row ID
+   * @param {string} message - Pesan NotFoundError
+   */
+  async _assertExists(tx, table, id, message) {
+    const row = await tx.get(`SELECT id FROM ${table} WHERE id = ?`, [id]);
+    if (!row) {
+      throw new NotFoundError(message);
+    }
+  }
+
+  /**
+   * Tolak perubahan yang membuat project tanpa owner
+   * @param {Object} tx - Transaction dari withTransaction
+   * @param {number} projectId - Project ID
+   * @param {number} userId - Owner yang akan diturunkan/dikeluarkan
+   */
+  async _assertAnotherOwner(tx, projectId, userId) {
+    const { count } = await tx.get(
+      `SELECT COUNT(*) AS count FROM ProjectMember
+        WHERE project_id = ? AND role = 'owner' AND user_id != ?`,
+      [projectId, userId]
+    );
+    if (count === 0) {
+      throw new ConflictError("A project must keep at least one owner", {
+        code: "LAST_OWNER",
+      });
+    }
+  }
+}
+
+// Export both class dan repository untuk flexibility
+module.exports = { ProjectMember, ProjectMemberRepository };
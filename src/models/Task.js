@@ -1,6 +1,46 @@
 const Entity = require("./Entity");
 const IRepository = require("../interfaces/IRepository");
-const db = require("../database/db");
+const { NotFoundError, ValidationError, ConflictError } = require("../errors");
+const { withTransaction, toCallback } = require("../database/transaction");
+const {
+  clampPosition,
+  loadOrder,
+  writeOrder,
+  isSamePermutation,
+} = require("../database/ordering");
+const {
+  toMatchQuery,
+  indexTask,
+  removeFromIndex,
+} = require("../database/searchIndex");
+const { recordActivity } = require("../database/activityLog");
+const { projectCondition } = require("../database/projectScope");
+const { attachRelations } = require("../database/taskRelations");
+
+// Level prioritas task yang valid, urut dari yang paling rendah
+const PRIORITIES = ["low", "medium", "high", "urgent"];
+
+// Field detail opsional (nama kolom = nama field JSON)
+const DETAIL_FIELDS = ["description", "due_date", "priority", "estimate"];
+
+// Format due_date: tanggal (YYYY-MM-DD) atau tanggal + waktu ISO-8601
+const DUE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/;
+
+// Ekspresi ORDER BY untuk setiap sort key (alias: t = Task, b = Board).
+// "position" mengikuti urutan tampilan: column (per project) lalu card
+const SORT_COLUMNS = {
+  position: ["b.project_id", "b.position", "t.position"],
+  title: ["t.title COLLATE NOCASE"],
+  created_at: ["t.created_at"],
+  updated_at: ["t.updated_at"],
+  due_date: ["t.due_date"],
+  priority: [
+    `CASE t.priority ${PRIORITIES.map(
+      (priority, rank) => `WHEN '${priority}' THEN ${rank}`
+    ).join(" ")} END`,
+  ],
+  estimate: ["t.estimate"],
+};
 
 /**
  * Task Class
@@ -31,6 +71,39 @@ class Task extends Entity {
     this._title = title;
     this._position = position;
     this._board_id = board_id;
+    // Detail opsional, di-set lewat setter / applyDetails
+    this._description = null;
+    this._due_date = null;
+    this._priority = null;
+    this._estimate = null;
+    // Terisi jika task diarsipkan
+    this._archivedAt = null;
+    // User yang ditugaskan dan label, diisi repository (lihat taskRelations.js)
+    this._assignees = [];
+    this._labels = [];
+  }
+
+  /**
+   * Buat Task dari row database
+   * @param {Object} row - Row dari table Task
+   * @returns {Task} Task instance
+   */
+  static fromRow(row) {
+    const task = new Task(
+      row.id,
+      row.title,
+      row.position,
+      row.board_id,
+      Entity.parseTimestamp(row.created_at),
+      Entity.parseTimestamp(row.updated_at)
+    );
+    task._description = row.description ?? null;
+    task._due_date = row.due_date ?? null;
+    task._priority = row.priority ?? null;
+    task._estimate = row.estimate ?? null;
+    task.setDeletedAt(Entity.parseTimestamp(row.deleted_at) || null);
+    task.setArchivedAt(Entity.parseTimestamp(row.archived_at) || null);
+    return task;
   }
 
   /**
@@ -47,13 +120,14 @@ class Task extends Entity {
    */
   setTitle(title) {
     if (typeof title !== "string" || title.trim() === "") {
-      throw new TypeError("Title must be a non-empty string");
+      throw new ValidationError("Title must be a non-empty string");
     }
     this._title = title.trim();
   }
 
   /**
    * Get Task position (Getter)
+   * Position 0-based dan rapat (0..n-1) di dalam satu board
    * @returns {number} Task position
    */
   getPosition() {
@@ -66,7 +140,7 @@ class Task extends Entity {
    */
   setPosition(position) {
     if (!Number.isInteger(position) || position < 0) {
-      throw new TypeError("Position must be a non-negative integer");
+      throw new ValidationError("Position must be a non-negative integer");
     }
     this._position = position;
   }
@@ -85,11 +159,197 @@ class Task extends Entity {
    */
   setBoardId(board_id) {
     if (typeof board_id !== "number" || board_id <= 0) {
-      throw new TypeError("Board ID must be a positive number");
+      throw new ValidationError("Board ID must be a positive number");
     }
     this._board_id = board_id;
   }
 
+  /**
+   * Get Description (Getter)
+   * @returns {string|null} Deskripsi task (markdown)
+   */
+  getDescription() {
+    return this._description;
+  }
+
+  /**
+   * Set Description (Setter)
+   * @param {string|null} description - Deskripsi task (markdown), null untuk hapus
+   */
+  setDescription(description) {
+    if (description !== null && typeof description !== "string") {
+      throw new ValidationError("Description must be a string or null");
+    }
+    this._description = description === "" ? null : description;
+  }
+
+  /**
+   * Get Due Date (Getter)
+   * @returns {string|null} Due date (ISO-8601)
+   */
+  getDueDate() {
+    return this._due_date;
+  }
+
+  /**
+   * Set Due Date (Setter)
+   * Tanggal saja (YYYY-MM-DD) disimpan apa adanya, tanggal + waktu
+   * dinormalisasi ke UTC
+   * @param {string|null} due_date - Due date ISO-8601, null untuk hapus
+   */
+  setDueDate(due_date) {
+    if (due_date === null) {
+      this._due_date = null;
+      return;
+    }
+    if (
+      typeof due_date !== "string" ||
+      !DUE_DATE_PATTERN.test(due_date) ||
+      Number.isNaN(Date.parse(due_date))
+    ) {
+      throw new ValidationError(
+        "Due date must be an ISO-8601 date string or null"
+      );
+    }
+    this._due_date =
+      due_date.length === 10 ? due_date : new Date(due_date).toISOString();
+  }
+
+  /**
+   * Get Priority (Getter)
+   * @returns {string|null} Priority (low/medium/high/urgent)
+   */
+  getPriority() {
+    return this._priority;
+  }
+
+  /**
+   * Set Priority (Setter)
+   * @param {string|null} priority - Salah satu Task.PRIORITIES, null untuk hapus
+   */
+  setPriority(priority) {
+    if (priority !== null && !PRIORITIES.includes(priority)) {
+      throw new ValidationError(
+        `Priority must be one of ${PRIORITIES.join(", ")} or null`
+      );
+    }
+    this._priority = priority;
+  }
+
+  /**
+   * Get Estimate (Getter)
+   * @returns {number|null} Estimasi dalam story point
+   */
+  getEstimate() {
+    return this._estimate;
+  }
+
+  /**
+   * Set Estimate (Setter)
+   * @param {number|null} estimate - Story point non-negatif, null untuk hapus
+   */
+  setEstimate(estimate) {
+    if (
+      estimate !== null &&
+      (typeof estimate !== "number" ||
+        !Number.isFinite(estimate) ||
+        estimate < 0)
+    ) {
+      throw new ValidationError(
+        "Estimate must be a non-negative number or null"
+      );
+    }
+    this._estimate = estimate;
+  }
+
+  /**
+   * Get Archived At (Getter)
+   * @returns {Date|null} Waktu diarsipkan, null jika task aktif
+   */
+  getArchivedAt() {
+    return this._archivedAt;
+  }
+
+  /**
+   * Set Archived At (Setter)
+   * @param {Date|null} date - Waktu diarsipkan, null untuk unarchive
+   */
+  setArchivedAt(date) {
+    if (!(date instanceof Date) && date !== null) {
+      throw new TypeError("archivedAt must be a Date object or null");
+    }
+    this._archivedAt = date;
+  }
+
+  /**
+   * Get Assignees (Getter)
+   * @returns {Object[]} [{ id, email, name }] urut berdasarkan waktu ditugaskan
+   */
+  getAssignees() {
+    return this._assignees;
+  }
+
+  /**
+   * Set Assignees (Setter)
+   * @param {Object[]} assignees - [{ id, email, name }]
+   */
+  setAssignees(assignees) {
+    if (!Array.isArray(assignees)) {
+      throw new TypeError("assignees must be an array");
+    }
+    this._assignees = assignees;
+  }
+
+  /**
+   * Get Labels (Getter)
+   * @returns {Object[]} [{ id, name, color }] urut berdasarkan nama
+   */
+  getLabels() {
+    return this._labels;
+  }
+
+  /**
+   * Set Labels (Setter)
+   * @param {Object[]} labels - [{ id, name, color }]
+   */
+  setLabels(labels) {
+    if (!Array.isArray(labels)) {
+      throw new TypeError("labels must be an array");
+    }
+    this._labels = labels;
+  }
+
+  /**
+   * Set beberapa detail sekaligus; field yang tidak dikirim (undefined) dilewati
+   * @param {Object} data - { description?, due_date?, priority?, estimate? }
+   * @returns {string[]} Nama field yang di-set
+   */
+  applyDetails(data) {
+    const setters = {
+      description: (value) => this.setDescription(value),
+      due_date: (value) => this.setDueDate(value),
+      priority: (value) => this.setPriority(value),
+      estimate: (value) => this.setEstimate(value),
+    };
+
+    const applied = DETAIL_FIELDS.filter((field) => data[field] !== undefined);
+    applied.forEach((field) => setters[field](data[field]));
+    return applied;
+  }
+
+  /**
+   * Ambil semua detail sebagai object (nama field = nama kolom)
+   * @returns {Object} { description, due_date, priority, estimate }
+   */
+  getDetails() {
+    return {
+      description: this._description,
+      due_date: this._due_date,
+      priority: this._priority,
+      estimate: this._estimate,
+    };
+  }
+
   /**
    * Validate Task (Polymorphism - override dari parent)
    * @returns {boolean} Apakah task valid
@@ -114,6 +374,10 @@ class Task extends Entity {
       title: this._title,
       position: this._position,
       board_id: this._board_id,
+      ...this.getDetails(),
+      assignees: this._assignees,
+      labels: this._labels,
+      ...(this._archivedAt ? { archivedAt: this._archivedAt } : {}),
     };
   }
 
@@ -128,46 +392,81 @@ class Task extends Entity {
   }
 }
 
+// Konstanta untuk validasi di controller
+Task.PRIORITIES = PRIORITIES;
+Task.DETAIL_FIELDS = DETAIL_FIELDS;
+Task.SORT_FIELDS = Object.keys(SORT_COLUMNS);
+
 /**
  * TaskRepository Class
  * Mengimplementasi IRepository interface untuk Task CRUD operations
  * Demonstrasi: Interface Implementation, Encapsulation
  */
 class TaskRepository extends IRepository {
+  /**
+   * Constructor
+   * @param {sqlite3.Database} connection - Database connection (default: db aplikasi)
+   */
+  constructor(connection = require("../database/db")) {
+    super();
+    this._db = connection;
+  }
+
   /**
    * Create Task (Overloading via flexible parameters)
-   * @param {Object} data - { title: string, position: number, board_id: number }
+   * Task disisipkan di position tujuan (0-based) dan task setelahnya digeser;
+   * tanpa position, task ditaruh di akhir column
+   * @param {Object} data - { title: string, position?: number, board_id: number,
+   *   description?, due_date?, priority?, estimate? }
    * @param {Function} callback - Callback(err, task)
    */
   create(data, callback) {
-    if (!data || !data.title || data.position === undefined || !data.board_id) {
-      return callback(
-        new Error("title, position, and board_id are required"),
-        null
+    if (!data || !data.title || !data.board_id) {
+      return toCallback(
+        Promise.reject(new ValidationError("title and board_id are required")),
+        callback
       );
     }
 
-    try {
-      const task = new Task(null, data.title, data.position, data.board_id);
+    const work = withTransaction(async (tx) => {
+      const task = new Task(null, "", data.position, data.board_id);
+      // setTitle men-trim judul, sama seperti patch
+      task.setTitle(data.title);
       if (!task.validate()) {
-        return callback(new Error("Invalid task data"), null);
-      }
-
-      db.run(
-        "INSERT INTO Task (title, position, board_id) VALUES (?, ?, ?)",
-        [task.getTitle(), task.getPosition(), task.getBoardId()],
-        function (err) {
-          if (err) {
-            callback(err, null);
-          } else {
-            task.setId(this.lastID);
-            callback(null, task);
-          }
-        }
+        throw new ValidationError("Invalid task data");
+      }
+      task.applyDetails(data);
+
+      await this._assertBoardExists(tx, task.getBoardId());
+
+      const now = new Date().toISOString();
+      const order = await this._loadOrder(tx, task.getBoardId());
+      const index = clampPosition(data.position, order.length);
+      const details = task.getDetails();
+      const { lastID } = await tx.run(
+        `INSERT INTO Task (title, position, board_id, ${DETAIL_FIELDS.join(
+          ", "
+        )}, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          task.getTitle(),
+          index,
+          task.getBoardId(),
+          ...DETAIL_FIELDS.map((field) => details[field]),
+          now,
+          now,
+        ]
       );
-    } catch (err) {
-      callback(err, null);
-    }
+
+      order.splice(index, 0, { id: lastID, position: index });
+      await this._writeOrder(tx, order, now);
+      await indexTask(tx, lastID);
+
+      const created = await this._getRow(tx, lastID);
+      await this._recordActivity(tx, "create", null, created, now);
+      return this._withRelations(Task.fromRow(created), tx);
+    }, this._db);
+
+    return toCallback(work, callback);
   }
 
   /**
@@ -175,16 +474,119 @@ class TaskRepository extends IRepository {
    * @param {Function} callback - Callback(err, tasks)
    */
   getAll(callback) {
-    db.all("SELECT * FROM Task ORDER BY position ASC", [], (err, rows) => {
-      if (err) {
-        callback(err, null);
-      } else {
-        const tasks = rows.map(
-          (row) => new Task(row.id, row.title, row.position, row.board_id)
-        );
-        callback(null, tasks);
-      }
+    const work = this._db
+      .allAsync(
+        "SELECT * FROM Task WHERE deleted_at IS NULL AND archived_at IS NULL ORDER BY position ASC"
+      )
+      .then((rows) =>
+        this._withRelations(rows.map((row) => Task.fromRow(row)))
+      );
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Find Tasks - filter, sort dan pagination (dipakai GET /api/tasks)
+   * Nilai null selalu ditaruh di akhir; urutan terakhir selalu id ASC
+   * sehingga halaman stabil
+   * @param {Object} query - { filters?: { board_id?,
+   *   project_id?: number|number[], assignee_id?, label_ids?: number[]
+   *   (task dengan salah satu label), title?, priority?: string[],
+   *   due_from?, due_to? },
+   *   sort?: [{ field: Task.SORT_FIELDS, direction: "asc"|"desc" }],
+   *   limit?: number, offset?: number }
+   * @param {Function} callback - Callback(err, { tasks, total })
+   */
+  find(query = {}, callback) {
+    const { filters = {}, sort = [], limit, offset = 0 } = query;
+    const { where, params } = this._buildFilter(filters);
+    const from = `FROM Task t JOIN Board b ON b.id = t.board_id ${where}`;
+    const orderBy = [
+      ...sort.flatMap(({ field, direction }) =>
+        SORT_COLUMNS[field].map(
+          (column) =>
+            `${column} ${direction === "desc" ? "DESC" : "ASC"} NULLS LAST`
+        )
+      ),
+      "t.id ASC",
+    ].join(", ");
+
+    const work = Promise.all([
+      this._db.getAsync(`SELECT COUNT(*) AS total ${from}`, params),
+      this._db.allAsync(
+        `SELECT t.* ${from} ORDER BY ${orderBy} LIMIT ? OFFSET ?`,
+        [...params, limit === undefined ? -1 : limit, offset]
+      ),
+    ]).then(async ([{ total }, rows]) => ({
+      tasks: await this._withRelations(rows.map((row) => Task.fromRow(row))),
+      total,
+    }));
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Search Tasks - pencarian full-text di title dan description (FTS5)
+   * Hasil diurutkan berdasarkan relevansi (bm25, kecocokan di title lebih
+   * berbobot); kata yang cocok ditandai dengan <mark>...</mark>
+   * @param {Object} query - { q: string, project_id?: number|number[],
+   *   include_archived?: boolean (default: false), limit?: number,
+   *   offset?: number }
+   * @param {Function} callback - Callback(err, { hits, total })
+   *   hits: [{ task: Task, boardTitle, highlight: { title, description } }]
+   */
+  search(query, callback) {
+    const {
+      q,
+      project_id,
+      include_archived = false,
+      limit,
+      offset = 0,
+    } = query || {};
+    const match = toMatchQuery(q || "");
+    if (!match) {
+      return toCallback(Promise.resolve({ hits: [], total: 0 }), callback);
+    }
+
+    const scope = projectCondition("b.project_id", project_id);
+    const params = scope ? [match, ...scope.params] : [match];
+    const from = `FROM TaskSearch
+      JOIN Task t ON t.id = TaskSearch.rowid
+      JOIN Board b ON b.id = t.board_id
+      WHERE TaskSearch MATCH ? AND t.deleted_at IS NULL ${
+        include_archived ? "" : "AND t.archived_at IS NULL"
+      } ${scope ? `AND ${scope.sql}` : ""}`;
+
+    const work = Promise.all([
+      this._db.getAsync(`SELECT COUNT(*) AS total ${from}`, params),
+      this._db.allAsync(
+        `SELECT t.*, b.title AS board_title,
+          highlight(TaskSearch, 0, '<mark>', '</mark>') AS title_highlight,
+          snippet(TaskSearch, 1, '<mark>', '</mark>', '…', 12)
+            AS description_snippet
+        ${from}
+        ORDER BY bm25(TaskSearch, 10.0, 1.0), t.id ASC
+        LIMIT ? OFFSET ?`,
+        [...params, limit === undefined ? -1 : limit, offset]
+      ),
+    ]).then(async ([{ total }, rows]) => {
+      const tasks = await this._withRelations(
+        rows.map((row) => Task.fromRow(row))
+      );
+      return {
+        hits: rows.map((row, index) => ({
+          task: tasks[index],
+          boardTitle: row.board_title,
+          highlight: {
+            title: row.title_highlight,
+            description: row.description_snippet || null,
+          },
+        })),
+        total,
+      };
     });
+
+    return toCallback(work, callback);
   }
 
   /**
@@ -193,16 +595,11 @@ class TaskRepository extends IRepository {
    * @param {Function} callback - Callback(err, task)
    */
   getById(id, callback) {
-    db.get("SELECT * FROM Task WHERE id = ?", [id], (err, row) => {
-      if (err) {
-        callback(err, null);
-      } else if (!row) {
-        callback(null, null);
-      } else {
-        const task = new Task(row.id, row.title, row.position, row.board_id);
-        callback(null, task);
-      }
-    });
+    const work = this._db
+      .getAsync("SELECT * FROM Task WHERE id = ? AND deleted_at IS NULL", [id])
+      .then((row) => this._withRelations(row ? Task.fromRow(row) : null));
+
+    return toCallback(work, callback);
   }
 
   /**
@@ -211,71 +608,407 @@ class TaskRepository extends IRepository {
    * @param {Function} callback - Callback(err, tasks)
    */
   getByBoardId(board_id, callback) {
-    db.all(
-      "SELECT * FROM Task WHERE board_id = ? ORDER BY position ASC",
-      [board_id],
-      (err, rows) => {
-        if (err) {
-          callback(err, null);
-        } else {
-          const tasks = rows.map(
-            (row) => new Task(row.id, row.title, row.position, row.board_id)
-          );
-          callback(null, tasks);
-        }
-      }
-    );
+    const work = this._db
+      .allAsync(
+        "SELECT * FROM Task WHERE board_id = ? AND deleted_at IS NULL AND archived_at IS NULL ORDER BY position ASC",
+        [board_id]
+      )
+      .then((rows) =>
+        this._withRelations(rows.map((row) => Task.fromRow(row)))
+      );
+
+    return toCallback(work, callback);
   }
 
   /**
    * Update Task
+   * title, position dan board_id wajib; detail opsional yang tidak dikirim
+   * tidak diubah (lihat patch)
    * @param {number} id - Task ID
-   * @param {Object} data - { title: string, position: number, board_id: number }
+   * @param {Object} data - { title: string, position: number, board_id: number,
+   *   description?, due_date?, priority?, estimate? }
    * @param {Function} callback - Callback(err, task)
    */
   update(id, data, callback) {
     if (!data || !data.title || data.position === undefined || !data.board_id) {
-      return callback(
-        new Error("title, position, and board_id are required"),
-        null
+      return toCallback(
+        Promise.reject(
+          new ValidationError("title, position, and board_id are required")
+        ),
+        callback
       );
     }
 
-    try {
-      const task = new Task(id, data.title, data.position, data.board_id);
-      if (!task.validate()) {
-        return callback(new Error("Invalid task data"), null);
-      }
+    return this.patch(id, data, callback);
+  }
 
-      db.run(
-        "UPDATE Task SET title = ?, position = ?, board_id = ? WHERE id = ?",
-        [task.getTitle(), task.getPosition(), task.getBoardId(), id],
-        function (err) {
-          if (err) {
-            callback(err, null);
-          } else {
-            callback(null, task);
-          }
-        }
+  /**
+   * Patch Task - Update sebagian field
+   * Hanya field yang dikirim yang diubah. Perubahan position/board_id memakai
+   * logika yang sama dengan reorder & move sehingga position di column asal
+   * dan tujuan tetap rapat; pindah board tanpa position menaruh task di akhir
+   * @param {number} id - Task ID
+   * @param {Object} data - Sebagian dari { title, position, board_id,
+   *   description, due_date, priority, estimate }
+   * @param {Function} callback - Callback(err, task)
+   */
+  patch(id, data, callback) {
+    if (!data || typeof data !== "object") {
+      return toCallback(
+        Promise.reject(new ValidationError("Patch data is required")),
+        callback
       );
-    } catch (err) {
-      callback(err, null);
     }
+
+    const work = withTransaction(async (tx) => {
+      const row = await tx.get(
+        "SELECT * FROM Task WHERE id = ? AND deleted_at IS NULL",
+        [id]
+      );
+      if (!row) {
+        throw new NotFoundError("Task not found");
+      }
+      if (data.board_id !== undefined || data.position !== undefined) {
+        this._assertNotArchived(row);
+      }
+
+      const task = Task.fromRow(row);
+      const changed = [];
+      if (data.title !== undefined) {
+        task.setTitle(data.title);
+        changed.push("title");
+      }
+      changed.push(...task.applyDetails(data));
+      if (data.board_id !== undefined) {
+        task.setBoardId(data.board_id);
+      }
+      if (data.position !== undefined) {
+        task.setPosition(data.position);
+      }
+
+      const now = new Date().toISOString();
+      if (changed.length > 0) {
+        const values = { title: task.getTitle(), ...task.getDetails() };
+        await tx.run(
+          `UPDATE Task SET ${[...changed, "updated_at"]
+            .map((column) => `${column} = ?`)
+            .join(", ")} WHERE id = ?`,
+          [...changed.map((field) => values[field]), now, row.id]
+        );
+      }
+      if (changed.includes("title") || changed.includes("description")) {
+        await indexTask(tx, row.id);
+      }
+
+      const boardChanged = task.getBoardId() !== row.board_id;
+      if (boardChanged) {
+        await this._assertBoardExists(tx, task.getBoardId());
+        await this._dropForeignLabels(tx, row.id, task.getBoardId(), now);
+        await this._dropForeignAssignees(tx, row.id, task.getBoardId(), now);
+      }
+      if (boardChanged || data.position !== undefined) {
+        await this._placeTask(tx, row, task.getBoardId(), data.position, now);
+      }
+
+      const updated = await this._getRow(tx, row.id);
+      await this._recordActivity(
+        tx,
+        boardChanged ? "move" : "update",
+        row,
+        updated,
+        now
+      );
+      return this._withRelations(Task.fromRow(updated), tx);
+    }, this._db);
+
+    return toCallback(work, callback);
   }
 
   /**
-   * Delete Task
+   * Delete Task - pindahkan ke trash (soft delete)
+   * Position task lain di column yang sama dirapatkan kembali; position task
+   * yang dihapus disimpan sebagai acuan saat restore
    * @param {number} id - Task ID
    * @param {Function} callback - Callback(err)
    */
   delete(id, callback) {
-    db.run("DELETE FROM Task WHERE id = ?", [id], function (err) {
-      if (err) {
-        callback(err);
+    const work = withTransaction(async (tx) => {
+      const row = await tx.get(
+        "SELECT * FROM Task WHERE id = ? AND deleted_at IS NULL",
+        [id]
+      );
+      if (!row) {
+        throw new NotFoundError("Task not found");
+      }
+
+      const now = new Date().toISOString();
+      await tx.run(
+        "UPDATE Task SET deleted_at = ?, updated_at = ? WHERE id = ?",
+        [now, now, row.id]
+      );
+      await this._writeOrder(tx, await this._loadOrder(tx, row.board_id), now);
+      await this._recordActivity(tx, "delete", row, null, now);
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Get Trash - semua task yang sedang di trash, terbaru lebih dulu
+   * @param {number|number[]} projectId - Hanya task di project ini (opsional)
+   * @param {Function} callback - Callback(err, tasks)
+   */
+  getTrash(projectId, callback) {
+    if (typeof projectId === "function") {
+      callback = projectId;
+      projectId = null;
+    }
+    const scope = this._boardScope(projectId);
+
+    const work = this._db
+      .allAsync(
+        `SELECT * FROM Task WHERE deleted_at IS NOT NULL ${
+          scope ? `AND ${scope.sql}` : ""
+        } ORDER BY deleted_at DESC, id DESC`,
+        scope ? scope.params : []
+      )
+      .then((rows) =>
+        this._withRelations(rows.map((row) => Task.fromRow(row)))
+      );
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Restore Task dari trash
+   * Tanpa options, task kembali ke column asal di position terakhirnya
+   * (atau akhir column jika column sudah lebih pendek). Column asal yang
+   * ikut di trash harus di-restore dulu, atau pilih board_id lain.
+   * Task yang diarsipkan sebelum dihapus kembali sebagai task aktif
+   * @param {number} id - Task ID
+   * @param {Object} options - { board_id?: number, position?: number } (opsional)
+   * @param {Function} callback - Callback(err, task)
+   */
+  restore(id, options, callback) {
+    if (typeof options === "function") {
+      callback = options;
+      options = {};
+    }
+    const { board_id, position } = options || {};
+
+    const work = withTransaction(async (tx) => {
+      const row = await tx.get(
+        "SELECT * FROM Task WHERE id = ? AND deleted_at IS NOT NULL",
+        [id]
+      );
+      if (!row) {
+        throw new NotFoundError("Task not found in trash");
+      }
+
+      const boardId = board_id || row.board_id;
+      const board = await tx.get("SELECT * FROM Board WHERE id = ?", [boardId]);
+      if (!board || (board.deleted_at && board_id)) {
+        throw new NotFoundError("Board not found");
+      }
+      if (board.deleted_at) {
+        throw new ConflictError(
+          "The task's board is in the trash; restore it first or choose board_id"
+        );
+      }
+
+      const now = new Date().toISOString();
+      if (boardId !== row.board_id) {
+        await this._dropForeignLabels(tx, row.id, boardId, now);
+        await this._dropForeignAssignees(tx, row.id, boardId, now);
+      }
+      const order = await this._loadOrder(tx, boardId);
+      const index = clampPosition(
+        position ?? (board_id ? null : row.position),
+        order.length
+      );
+      await tx.run(
+        "UPDATE Task SET board_id = ?, deleted_at = NULL, deleted_with_board = 0, archived_at = NULL, updated_at = ? WHERE id = ?",
+        [boardId, now, row.id]
+      );
+      order.splice(index, 0, { id: row.id, position: null });
+      await this._writeOrder(tx, order, now);
+
+      const restored = await this._getRow(tx, row.id);
+      await this._recordActivity(tx, "restore", row, restored, now);
+      return this._withRelations(Task.fromRow(restored), tx);
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Purge - hapus permanen task yang masuk trash sebelum waktu tertentu
+   * @param {Date} before - Batas waktu deleted_at
+   * @param {number|number[]} projectId - Hanya task di project ini (opsional)
+   * @param {Function} callback - Callback(err, purgedCount)
+   */
+  purge(before, projectId, callback) {
+    if (typeof projectId === "function") {
+      callback = projectId;
+      projectId = null;
+    }
+    const scope = this._boardScope(projectId);
+    const where = `deleted_at IS NOT NULL AND deleted_at < ? ${
+      scope ? `AND ${scope.sql}` : ""
+    }`;
+    const params = [before.toISOString(), ...(scope ? scope.params : [])];
+
+    const work = withTransaction(async (tx) => {
+      await removeFromIndex(tx, where, params);
+      const { changes } = await tx.run(
+        `DELETE FROM Task WHERE ${where}`,
+        params
+      );
+      return changes;
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Archive Task - keluarkan task dari column tanpa menghapusnya
+   * Position task lain di column dirapatkan kembali
+   * @param {number} id - Task ID
+   * @param {Function} callback - Callback(err, task)
+   */
+  archive(id, callback) {
+    const work = withTransaction(async (tx) => {
+      const row = await tx.get(
+        "SELECT * FROM Task WHERE id = ? AND deleted_at IS NULL",
+        [id]
+      );
+      if (!row) {
+        throw new NotFoundError("Task not found");
+      }
+      if (row.archived_at) {
+        throw new ConflictError("Task is already archived");
+      }
+
+      const now = new Date().toISOString();
+      await tx.run(
+        "UPDATE Task SET archived_at = ?, updated_at = ? WHERE id = ?",
+        [now, now, row.id]
+      );
+      await this._writeOrder(tx, await this._loadOrder(tx, row.board_id), now);
+
+      const archived = await this._getRow(tx, row.id);
+      await this._recordActivity(tx, "archive", row, archived, now);
+      return this._withRelations(Task.fromRow(archived), tx);
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Unarchive Task - kembalikan task ke akhir column asalnya atau column
+   * pilihan (board_id). Column asal yang ada di trash harus di-restore dulu,
+   * atau pilih board_id lain
+   * @param {number} id - Task ID
+   * @param {Object} options - { board_id?: number } (opsional)
+   * @param {Function} callback - Callback(err, task)
+   */
+  unarchive(id, options, callback) {
+    if (typeof options === "function") {
+      callback = options;
+      options = {};
+    }
+    const { board_id } = options || {};
+
+    const work = withTransaction(async (tx) => {
+      const row = await tx.get(
+        "SELECT * FROM Task WHERE id = ? AND deleted_at IS NULL",
+        [id]
+      );
+      if (!row) {
+        throw new NotFoundError("Task not found");
+      }
+      if (!row.archived_at) {
+        throw new ConflictError("Task is not archived");
+      }
+
+      const boardId = board_id || row.board_id;
+      if (board_id) {
+        await this._assertBoardExists(tx, boardId);
       } else {
-        callback(null);
+        const board = await tx.get(
+          "SELECT deleted_at FROM Board WHERE id = ?",
+          [boardId]
+        );
+        if (board.deleted_at) {
+          throw new ConflictError(
+            "The task's board is in the trash; restore it first or choose board_id"
+          );
+        }
       }
-    });
+
+      const now = new Date().toISOString();
+      if (boardId !== row.board_id) {
+        await this._dropForeignLabels(tx, row.id, boardId, now);
+        await this._dropForeignAssignees(tx, row.id, boardId, now);
+      }
+      const order = await this._loadOrder(tx, boardId);
+      await tx.run(
+        "UPDATE Task SET board_id = ?, position = ?, archived_at = NULL, updated_at = ? WHERE id = ?",
+        [boardId, order.length, now, row.id]
+      );
+
+      const unarchived = await this._getRow(tx, row.id);
+      await this._recordActivity(tx, "unarchive", row, unarchived, now);
+      return this._withRelations(Task.fromRow(unarchived), tx);
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Get Archived - task yang diarsipkan, terbaru lebih dulu
+   * archived_from/archived_to membandingkan bagian tanggal (YYYY-MM-DD)
+   * dari archived_at secara inklusif
+   * @param {Object} query - { filters?: { board_id?,
+   *   project_id?: number|number[], archived_from?, archived_to? },
+   *   limit?: number, offset?: number }
+   * @param {Function} callback - Callback(err, { tasks, total })
+   */
+  getArchived(query = {}, callback) {
+    const { filters = {}, limit, offset = 0 } = query;
+    const conditions = ["deleted_at IS NULL", "archived_at IS NOT NULL"];
+    const params = [];
+    if (filters.board_id !== undefined) {
+      conditions.push("board_id = ?");
+      params.push(filters.board_id);
+    }
+    const scope = this._boardScope(filters.project_id);
+    if (scope) {
+      conditions.push(scope.sql);
+      params.push(...scope.params);
+    }
+    if (filters.archived_from) {
+      conditions.push("substr(archived_at, 1, 10) >= ?");
+      params.push(filters.archived_from);
+    }
+    if (filters.archived_to) {
+      conditions.push("substr(archived_at, 1, 10) <= ?");
+      params.push(filters.archived_to);
+    }
+    const from = `FROM Task WHERE ${conditions.join(" AND ")}`;
+
+    const work = Promise.all([
+      this._db.getAsync(`SELECT COUNT(*) AS total ${from}`, params),
+      this._db.allAsync(
+        `SELECT * ${from} ORDER BY archived_at DESC, id DESC LIMIT ? OFFSET ?`,
+        [...params, limit === undefined ? -1 : limit, offset]
+      ),
+    ]).then(async ([{ total }, rows]) => ({
+      tasks: await this._withRelations(rows.map((row) => Task.fromRow(row))),
+      total,
+    }));
+
+    return toCallback(work, callback);
   }
 
   /**
@@ -286,277 +1019,714 @@ class TaskRepository extends IRepository {
    */
   reorder(taskId1, taskId2, callback) {
     if (!taskId1 || !taskId2) {
-      return callback(new Error("Both task IDs are required"), null);
+      return toCallback(
+        Promise.reject(new ValidationError("Both task IDs are required")),
+        callback
+      );
     }
 
-    // Get both tasks
-    db.get("SELECT * FROM Task WHERE id = ?", [taskId1], (err1, task1) => {
-      if (err1) {
-        return callback(err1);
-      }
+    const work = withTransaction(async (tx) => {
+      const task1 = await tx.get(
+        "SELECT * FROM Task WHERE id = ? AND deleted_at IS NULL",
+        [taskId1]
+      );
       if (!task1) {
-        return callback(new Error("Task 1 not found"));
+        throw new NotFoundError("Task 1 not found");
       }
+      this._assertNotArchived(task1);
 
-      db.get("SELECT * FROM Task WHERE id = ?", [taskId2], (err2, task2) => {
-        if (err2) {
-          return callback(err2);
-        }
-        if (!task2) {
-          return callback(new Error("Task 2 not found"));
-        }
-
-        // Swap positions
-        const tempPosition = task1.position;
-
-        db.run(
-          "UPDATE Task SET position = ? WHERE id = ?",
-          [task2.position, taskId1],
-          (err) => {
-            if (err) {
-              return callback(err);
-            }
-
-            db.run(
-              "UPDATE Task SET position = ? WHERE id = ?",
-              [tempPosition, taskId2],
-              (err) => {
-                if (err) {
-                  return callback(err);
-                }
-                callback(null);
-              }
-            );
-          }
+      const task2 = await tx.get(
+        "SELECT * FROM Task WHERE id = ? AND deleted_at IS NULL",
+        [taskId2]
+      );
+      if (!task2) {
+        throw new NotFoundError("Task 2 not found");
+      }
+      this._assertNotArchived(task2);
+      if (task1.board_id !== task2.board_id) {
+        throw new ValidationError(
+          "Tasks must be in the same board; use move to change boards"
         );
-      });
-    });
+      }
+
+      // Swap positions
+      const now = new Date().toISOString();
+      await tx.run(
+        "UPDATE Task SET position = ?, updated_at = ? WHERE id = ?",
+        [task2.position, now, taskId1]
+      );
+      await tx.run(
+        "UPDATE Task SET position = ?, updated_at = ? WHERE id = ?",
+        [task1.position, now, taskId2]
+      );
+      await this._recordActivity(
+        tx,
+        "reorder",
+        task1,
+        { ...task1, position: task2.position },
+        now
+      );
+      await this._recordActivity(
+        tx,
+        "reorder",
+        task2,
+        { ...task2, position: task1.position },
+        now
+      );
+    }, this._db);
+
+    return toCallback(work, callback);
   }
 
   /**
    * Reorder Task by Board - Change task position within a specific board
+   * Task lain di antara posisi lama dan baru digeser; position di luar
+   * jangkauan ditaruh di akhir column
    * @param {number} taskId - Task ID to reorder
    * @param {number} newPosition - New position in the board
    * @param {Function} callback - Callback(err)
    */
   reorderByPosition(taskId, newPosition, callback) {
     if (!taskId || newPosition === undefined) {
-      return callback(new Error("Task ID and new position are required"), null);
+      return toCallback(
+        Promise.reject(
+          new ValidationError("Task ID and new position are required")
+        ),
+        callback
+      );
     }
 
-    // Get the task
-    db.get("SELECT * FROM Task WHERE id = ?", [taskId], (err, task) => {
-      if (err) {
-        return callback(err);
-      }
+    const work = withTransaction(async (tx) => {
+      const task = await tx.get(
+        "SELECT * FROM Task WHERE id = ? AND deleted_at IS NULL",
+        [taskId]
+      );
       if (!task) {
-        return callback(new Error("Task not found"));
-      }
-
-      const boardId = task.board_id;
-      const oldPosition = task.position;
-
-      // If position is the same, no need to update
-      if (oldPosition === newPosition) {
-        return callback(null);
-      }
-
-      if (newPosition < oldPosition) {
-        // Moving up - increment positions between newPosition and oldPosition
-        db.run(
-          "UPDATE Task SET position = position + 1 WHERE board_id = ? AND position >= ? AND position < ?",
-          [boardId, newPosition, oldPosition],
-          (err) => {
-            if (err) {
-              return callback(err);
-            }
-
-            db.run(
-              "UPDATE Task SET position = ? WHERE id = ?",
-              [newPosition, taskId],
-              (err) => {
-                callback(err);
-              }
-            );
-          }
-        );
-      } else {
-        // Moving down - decrement positions between oldPosition and newPosition
-        db.run(
-          "UPDATE Task SET position = position - 1 WHERE board_id = ? AND position > ? AND position <= ?",
-          [boardId, oldPosition, newPosition],
-          (err) => {
-            if (err) {
-              return callback(err);
-            }
-
-            db.run(
-              "UPDATE Task SET position = ? WHERE id = ?",
-              [newPosition, taskId],
-              (err) => {
-                callback(err);
-              }
-            );
-          }
-        );
+        throw new NotFoundError("Task not found");
       }
-    });
+      this._assertNotArchived(task);
+
+      const now = new Date().toISOString();
+      await this._placeTask(tx, task, task.board_id, newPosition, now);
+      await this._recordActivity(
+        tx,
+        "reorder",
+        task,
+        await this._getRow(tx, task.id),
+        now
+      );
+    }, this._db);
+
+    return toCallback(work, callback);
   }
 
   /**
    * Move Task to Another Board
    * @param {number} taskId - Task ID to move
    * @param {number} newBoardId - New board ID
-   * @param {number} newPosition - Position in the new board (optional)
-   * @param {Function} callback - Callback(err, task)
+   * @param {number} newPosition - Position in the new board (optional, default: akhir column)
+   * @param {Function} callback - Callback(err, { task, source, target })
+   *   source/target: { boardId, tasks } urutan akhir kedua column
    */
   moveToBoard(taskId, newBoardId, newPosition, callback) {
     if (!taskId || !newBoardId) {
-      return callback(new Error("Task ID and new board ID are required"), null);
+      return toCallback(
+        Promise.reject(
+          new ValidationError("Task ID and new board ID are required")
+        ),
+        callback
+      );
     }
 
-    // Get the task
-    db.get("SELECT * FROM Task WHERE id = ?", [taskId], (err, task) => {
-      if (err) {
-        return callback(err, null);
-      }
+    const work = withTransaction(async (tx) => {
+      const task = await tx.get(
+        "SELECT * FROM Task WHERE id = ? AND deleted_at IS NULL",
+        [taskId]
+      );
       if (!task) {
-        return callback(new Error("Task not found"), null);
+        throw new NotFoundError("Task not found");
       }
-
-      const oldBoardId = task.board_id;
+      this._assertNotArchived(task);
 
       // If same board, no need to move
-      if (oldBoardId === newBoardId) {
-        return callback(new Error("Task is already in this board"), null);
-      }
-
-      // Get the max position in the new board
-      const positionToUse =
-        newPosition !== undefined
-          ? newPosition
-          : db.get(
-              "SELECT MAX(position) as maxPos FROM Task WHERE board_id = ?",
-              [newBoardId],
-              (err, row) => {
-                if (err) return callback(err, null);
-                return row ? row.maxPos + 1 : 1;
-              }
-            );
-
-      // Get max position if not provided
-      if (newPosition === undefined) {
-        db.get(
-          "SELECT COALESCE(MAX(position), 0) as maxPos FROM Task WHERE board_id = ?",
-          [newBoardId],
-          (err, row) => {
-            if (err) {
-              return callback(err, null);
-            }
-
-            const finalPosition = row.maxPos + 1;
-
-            // Update task with new board and position
-            db.run(
-              "UPDATE Task SET board_id = ?, position = ? WHERE id = ?",
-              [newBoardId, finalPosition, taskId],
-              (err) => {
-                if (err) {
-                  return callback(err, null);
-                }
-
-                // Recalculate positions in old board
-                db.all(
-                  "SELECT id FROM Task WHERE board_id = ? ORDER BY position ASC",
-                  [oldBoardId],
-                  (err, rows) => {
-                    if (err || !rows || rows.length === 0) {
-                      const updatedTask = new Task(
-                        task.id,
-                        task.title,
-                        finalPosition,
-                        newBoardId
-                      );
-                      return callback(null, updatedTask);
-                    }
-
-                    // Update positions sequentially
-                    let updateCount = 0;
-                    rows.forEach((row, index) => {
-                      db.run(
-                        "UPDATE Task SET position = ? WHERE id = ?",
-                        [index + 1, row.id],
-                        (err) => {
-                          updateCount++;
-                          if (updateCount === rows.length) {
-                            const updatedTask = new Task(
-                              task.id,
-                              task.title,
-                              finalPosition,
-                              newBoardId
-                            );
-                            callback(null, updatedTask);
-                          }
-                        }
-                      );
-                    });
-                  }
-                );
-              }
-            );
-          }
-        );
-      } else {
-        // If newPosition is provided, use it directly
-        db.run(
-          "UPDATE Task SET board_id = ?, position = ? WHERE id = ?",
-          [newBoardId, newPosition, taskId],
-          (err) => {
-            if (err) {
-              return callback(err, null);
-            }
-
-            // Recalculate positions in old board
-            db.all(
-              "SELECT id FROM Task WHERE board_id = ? ORDER BY position ASC",
-              [oldBoardId],
-              (err, rows) => {
-                if (err || !rows || rows.length === 0) {
-                  const updatedTask = new Task(
-                    task.id,
-                    task.title,
-                    newPosition,
-                    newBoardId
-                  );
-                  return callback(null, updatedTask);
-                }
-
-                // Update positions sequentially
-                let updateCount = 0;
-                rows.forEach((row, index) => {
-                  db.run(
-                    "UPDATE Task SET position = ? WHERE id = ?",
-                    [index + 1, row.id],
-                    (err) => {
-                      updateCount++;
-                      if (updateCount === rows.length) {
-                        const updatedTask = new Task(
-                          task.id,
-                          task.title,
-                          newPosition,
-                          newBoardId
-                        );
-                        callback(null, updatedTask);
-                      }
-                    }
-                  );
-                });
-              }
-            );
-          }
+      if (task.board_id === newBoardId) {
+        throw new ConflictError("Task is already in this board");
+      }
+
+      await this._assertBoardExists(tx, newBoardId);
+      const now = new Date().toISOString();
+      await this._dropForeignLabels(tx, task.id, newBoardId, now);
+      await this._dropForeignAssignees(tx, task.id, newBoardId, now);
+      await this._placeTask(tx, task, newBoardId, newPosition, now);
+
+      const moved = await this._getRow(tx, task.id);
+      await this._recordActivity(tx, "move", task, moved, now);
+      return {
+        task: await this._withRelations(Task.fromRow(moved), tx),
+        source: await this._loadColumn(tx, task.board_id),
+        target: await this._loadColumn(tx, newBoardId),
+      };
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Set Order - Tulis ulang urutan seluruh task dalam satu board
+   * taskIds harus berisi tepat semua task yang ada di board tersebut
+   * @param {number} boardId - Board ID
+   * @param {number[]} taskIds - Task ID dalam urutan baru
+   * @param {Function} callback - Callback(err, { boardId, tasks })
+   */
+  setOrder(boardId, taskIds, callback) {
+    if (!boardId || !Array.isArray(taskIds)) {
+      return toCallback(
+        Promise.reject(
+          new ValidationError("Board ID and task IDs are required")
+        ),
+        callback
+      );
+    }
+
+    const work = withTransaction(async (tx) => {
+      await this._assertBoardExists(tx, boardId);
+
+      const current = await this._loadOrder(tx, boardId);
+      if (!isSamePermutation(current, taskIds)) {
+        throw new ConflictError(
+          "taskIds must list every task in the board exactly once"
         );
       }
+
+      const byId = new Map(current.map((row) => [row.id, row]));
+      const now = new Date().toISOString();
+      await this._writeOrder(
+        tx,
+        taskIds.map((id) => byId.get(id)),
+        now
+      );
+      for (const [index, id] of taskIds.entries()) {
+        const { position } = byId.get(id);
+        if (position !== index) {
+          await this._recordActivity(
+            tx,
+            "reorder",
+            { id, board_id: boardId, position },
+            { id, board_id: boardId, position: index },
+            now
+          );
+        }
+      }
+      return this._loadColumn(tx, boardId);
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Add Assignee - tugaskan user ke task (task di trash dianggap tidak ada)
+   * @param {number} taskId - Task ID
+   * @param {number} userId - User ID
+   * @param {Function} callback - Callback(err, task)
+   */
+  addAssignee(taskId, userId, callback) {
+    const work = withTransaction(async (tx) => {
+      const row = await tx.get(
+        "SELECT * FROM Task WHERE id = ? AND deleted_at IS NULL",
+        [taskId]
+      );
+      if (!row) {
+        throw new NotFoundError("Task not found");
+      }
+      if (!(await tx.get("SELECT id FROM User WHERE id = ?", [userId]))) {
+        throw new NotFoundError("User not found");
+      }
+      const assigned = await tx.get(
+        "SELECT task_id FROM TaskAssignee WHERE task_id = ? AND user_id = ?",
+        [row.id, userId]
+      );
+      if (assigned) {
+        throw new ConflictError("User is already assigned to this task", {
+          code: "ALREADY_ASSIGNED",
+        });
+      }
+
+      const now = new Date().toISOString();
+      await tx.run(
+        "INSERT INTO TaskAssignee (task_id, user_id, created_at) VALUES (?, ?, ?)",
+        [row.id, userId, now]
+      );
+      await this._recordActivity(
+        tx,
+        "assign",
+        null,
+        { id: row.id, assignee_id: Number(userId) },
+        now
+      );
+      return this._withRelations(Task.fromRow(row), tx);
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Remove Assignee - lepaskan user dari task
+   * @param {number} taskId - Task ID
+   * @param {number} userId - User ID
+   * @param {Function} callback - Callback(err, task)
+   */
+  removeAssignee(taskId, userId, callback) {
+    const work = withTransaction(async (tx) => {
+      const row = await tx.get(
+        "SELECT * FROM Task WHERE id = ? AND deleted_at IS NULL",
+        [taskId]
+      );
+      if (!row) {
+        throw new NotFoundError("Task not found");
+      }
+      const { changes } = await tx.run(
+        "DELETE FROM TaskAssignee WHERE task_id = ? AND user_id = ?",
+        [row.id, userId]
+      );
+      if (changes === 0) {
+        throw new NotFoundError("Assignee not found");
+      }
+
+      await this._recordActivity(
+        tx,
+        "unassign",
+        { id: row.id, assignee_id: Number(userId) },
+        null,
+        new Date().toISOString()
+      );
+      return this._withRelations(Task.fromRow(row), tx);
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Add Label - pasang label ke task; label harus milik project task tersebut
+   * @param {number} taskId - Task ID
+   * @param {number} labelId - Label ID
+   * @param {Function} callback - Callback(err, task)
+   */
+  addLabel(taskId, labelId, callback) {
+    const work = withTransaction(async (tx) => {
+      const row = await tx.get(
+        `SELECT t.*, b.project_id AS board_project_id
+          FROM Task t JOIN Board b ON b.id = t.board_id
+          WHERE t.id = ? AND t.deleted_at IS NULL`,
+        [taskId]
+      );
+      if (!row) {
+        throw new NotFoundError("Task not found");
+      }
+      const label = await tx.get("SELECT project_id FROM Label WHERE id = ?", [
+        labelId,
+      ]);
+      if (!label) {
+        throw new NotFoundError("Label not found");
+      }
+      if (label.project_id !== row.board_project_id) {
+        throw new ValidationError("Label belongs to another project");
+      }
+      const labeled = await tx.get(
+        "SELECT task_id FROM TaskLabel WHERE task_id = ? AND label_id = ?",
+        [row.id, labelId]
+      );
+      if (labeled) {
+        throw new ConflictError("Label is already on this task", {
+          code: "ALREADY_LABELED",
+        });
+      }
+
+      const now = new Date().toISOString();
+      await tx.run(
+        "INSERT INTO TaskLabel (task_id, label_id, created_at) VALUES (?, ?, ?)",
+        [row.id, labelId, now]
+      );
+      await this._recordActivity(
+        tx,
+        "label",
+        null,
+        { id: row.id, label_id: Number(labelId) },
+        now
+      );
+      return this._withRelations(Task.fromRow(row), tx);
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Remove Label - lepaskan label dari task
+   * @param {number} taskId - Task ID
+   * @param {number} labelId - Label ID
+   * @param {Function} callback - Callback(err, task)
+   */
+  removeLabel(taskId, labelId, callback) {
+    const work = withTransaction(async (tx) => {
+      const row = await tx.get(
+        "SELECT * FROM Task WHERE id = ? AND deleted_at IS NULL",
+        [taskId]
+      );
+      if (!row) {
+        throw new NotFoundError("Task not found");
+      }
+      const { changes } = await tx.run(
+        "DELETE FROM TaskLabel WHERE task_id = ? AND label_id = ?",
+        [row.id, labelId]
+      );
+      if (changes === 0) {
+        throw new NotFoundError("Label is not on this task");
+      }
+
+      await this._recordActivity(
+        tx,
+        "unlabel",
+        { id: row.id, label_id: Number(labelId) },
+        null,
+        new Date().toISOString()
+      );
+      return this._withRelations(Task.fromRow(row), tx);
+    }, this._db);
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Get Assigned - task aktif milik satu assignee, dikelompokkan per column
+   * Urutan column dan task sama dengan tampilan board (sort "position")
+   * @param {number} userId - Assignee
+   * @param {number|number[]} projectId - Hanya project ini (opsional)
+   * @param {Function} callback - Callback(err, columns)
+   *   columns: [{ boardId, boardTitle, projectId, tasks: Task[] }]
+   */
+  getAssigned(userId, projectId, callback) {
+    if (typeof projectId === "function") {
+      callback = projectId;
+      projectId = null;
+    }
+
+    const { where, params } = this._buildFilter({
+      assignee_id: userId,
+      project_id: projectId ?? undefined,
     });
+    const work = this._db
+      .allAsync(
+        `SELECT t.*, b.title AS board_title, b.project_id AS board_project_id
+          FROM Task t JOIN Board b ON b.id = t.board_id ${where}
+          ORDER BY ${SORT_COLUMNS.position.join(", ")}, t.id ASC`,
+        params
+      )
+      .then(async (rows) => {
+        const tasks = await this._withRelations(
+          rows.map((row) => Task.fromRow(row))
+        );
+        const columns = new Map();
+        rows.forEach((row, index) => {
+          if (!columns.has(row.board_id)) {
+            columns.set(row.board_id, {
+              boardId: row.board_id,
+              boardTitle: row.board_title,
+              projectId: row.board_project_id,
+              tasks: [],
+            });
+          }
+          columns.get(row.board_id).tasks.push(tasks[index]);
+        });
+        return [...columns.values()];
+      });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Susun klausa WHERE untuk find
+   * Judul dicari sebagai substring (case-insensitive), due_from/due_to
+   * membandingkan bagian tanggal (YYYY-MM-DD) dari due_date secara inklusif
+   * @param {Object} filters - Lihat find
+   * @returns {Object} { where: string, params: Array }
+   */
+  _buildFilter(filters) {
+    const conditions = ["t.deleted_at IS NULL", "t.archived_at IS NULL"];
+    const params = [];
+
+    if (filters.board_id !== undefined) {
+      conditions.push("t.board_id = ?");
+      params.push(filters.board_id);
+    }
+    const scope = projectCondition("b.project_id", filters.project_id);
+    if (scope) {
+      conditions.push(scope.sql);
+      params.push(...scope.params);
+    }
+    if (filters.assignee_id !== undefined) {
+      conditions.push(
+        "t.id IN (SELECT task_id FROM TaskAssignee WHERE user_id = ?)"
+      );
+      params.push(filters.assignee_id);
+    }
+    if (filters.label_ids && filters.label_ids.length > 0) {
+      conditions.push(
+        `t.id IN (SELECT task_id FROM TaskLabel WHERE label_id IN (${filters.label_ids
+          .map(() => "?")
+          .join(", ")}))`
+      );
+      params.push(...filters.label_ids);
+    }
+    if (filters.title) {
+      conditions.push("t.title LIKE ? ESCAPE '\\'");
+      params.push(`%${filters.title.replace(/[\\%_]/g, "\\$&")}%`);
+    }
+    if (filters.priority && filters.priority.length > 0) {
+      conditions.push(
+        `t.priority IN (${filters.priority.map(() => "?").join(", ")})`
+      );
+      params.push(...filters.priority);
+    }
+    if (filters.due_from) {
+      conditions.push("substr(t.due_date, 1, 10) >= ?");
+      params.push(filters.due_from);
+    }
+    if (filters.due_to) {
+      conditions.push("substr(t.due_date, 1, 10) <= ?");
+      params.push(filters.due_to);
+    }
+
+    return { where: `WHERE ${conditions.join(" AND ")}`, params };
+  }
+
+  /**
+   * Filter task berdasarkan project column-nya (untuk query tanpa JOIN Board)
+   * @param {number|number[]|null} projectId - Project ID atau daftar project ID
+   * @returns {Object|null} { sql, params } atau null jika tanpa filter
+   */
+  _boardScope(projectId) {
+    const scope = projectCondition("project_id", projectId);
+    return scope
+      ? {
+          sql: `board_id IN (SELECT id FROM Board WHERE ${scope.sql})`,
+          params: scope.params,
+        }
+      : null;
+  }
+
+  /**
+   * Pastikan board tujuan ada (dipakai di dalam transaction)
+   * @param {Object} tx - Transaction dari withTransaction
+   * @param {number} boardId - Board ID
+   */
+  async _assertBoardExists(tx, boardId) {
+    const board = await tx.get(
+      "SELECT id FROM Board WHERE id = ? AND deleted_at IS NULL",
+      [boardId]
+    );
+    if (!board) {
+      throw new NotFoundError("Board not found");
+    }
+  }
+
+  /**
+   * Ambil row task apa adanya (termasuk yang di trash atau diarsipkan)
+   * @param {Object} tx - Transaction dari withTransaction
+   * @param {number} id - Task ID
+   * @returns {Promise<Object|undefined>} Row task
+   */
+  _getRow(tx, id) {
+    return tx.get("SELECT * FROM Task WHERE id = ?", [id]);
+  }
+
+  /**
+   * Lengkapi Task dengan assignee dan label (lihat taskRelations.js)
+   * @param {Task|Task[]|null} tasks - Task hasil query
+   * @param {Object} tx - Transaction (opsional; default: connection repository)
+   * @returns {Promise<Task|Task[]|null>} Input yang sama
+   */
+  _withRelations(tasks, tx) {
+    return attachRelations(
+      (sql, params) =>
+        tx ? tx.all(sql, params) : this._db.allAsync(sql, params),
+      tasks
+    );
+  }
+
+  /**
+   * Catat perubahan satu task di activity log (di dalam transaction)
+   * @param {Object} tx - Transaction dari withTransaction
+   * @param {string} action - create, update, delete, reorder, move, ...
+   * @param {Object|null} before - Row sebelum perubahan (null untuk create)
+   * @param {Object|null} after - Row setelah perubahan (null untuk delete)
+   * @param {string} now - Timestamp perubahan
+   */
+  _recordActivity(tx, action, before, after, now) {
+    return recordActivity(
+      tx,
+      {
+        entityType: "task",
+        entityId: (before || after).id,
+        action,
+        before,
+        after,
+      },
+      now
+    );
+  }
+
+  /**
+   * Lepaskan label dari project lain sebelum task pindah ke column boardId
+   * (label hanya berlaku di project-nya). Dipanggil sebelum task dipindah
+   * supaya entry unlabel tercatat di project asal.
+   * @param {Object} tx - Transaction dari withTransaction
+   * @param {number} taskId - Task ID
+   * @param {number} boardId - Column tujuan
+   * @param {string} now - Timestamp perubahan
+   */
+  async _dropForeignLabels(tx, taskId, boardId, now) {
+    const links = await tx.all(
+      `SELECT tl.label_id FROM TaskLabel tl JOIN Label l ON l.id = tl.label_id
+        WHERE tl.task_id = ?
+          AND l.project_id != (SELECT project_id FROM Board WHERE id = ?)
+        ORDER BY tl.label_id ASC`,
+      [taskId, boardId]
+    );
+    for (const { label_id } of links) {
+      await tx.run("DELETE FROM TaskLabel WHERE task_id = ? AND label_id = ?", [
+        taskId,
+        label_id,
+      ]);
+      await this._recordActivity(
+        tx,
+        "unlabel",
+        { id: taskId, label_id },
+        null,
+        now
+      );
+    }
+  }
+
+  /**
+   * Lepaskan assignee yang bukan member project column boardId sebelum task
+   * pindah ke sana (aturan sama dengan addAssignee); dicatat sebagai
+   * unassign di project asal
+   * @param {Object} tx - Transaction dari withTransaction
+   * @param {number} taskId - Task ID
+   * @param {number} boardId - Column tujuan
+   * @param {string} now - Timestamp perubahan
+   */
+  async _dropForeignAssignees(tx, taskId, boardId, now) {
+    const links = await tx.all(
+      `SELECT ta.user_id FROM TaskAssignee ta
+        WHERE ta.task_id = ? AND NOT EXISTS (
+          SELECT 1 FROM ProjectMember m
+          WHERE m.user_id = ta.user_id
+            AND m.project_id = (SELECT project_id FROM Board WHERE id = ?)
+        )
+        ORDER BY ta.user_id ASC`,
+      [taskId, boardId]
+    );
+    for (const { user_id } of links) {
+      await tx.run(
+        "DELETE FROM TaskAssignee WHERE task_id = ? AND user_id = ?",
+        [taskId, user_id]
+      );
+      await this._recordActivity(
+        tx,
+        "unassign",
+        { id: taskId, assignee_id: user_id },
+        null,
+        now
+      );
+    }
+  }
+
+  /**
+   * Tolak perubahan position/board untuk task yang diarsipkan
+   * @param {Object} row - Row task
+   */
+  _assertNotArchived(row) {
+    if (row.archived_at) {
+      throw new ConflictError("Task is archived; unarchive it first");
+    }
+  }
+
+  /**
+   * Ambil urutan task dalam satu board (tanpa task yang diarsipkan)
+   * @param {Object} tx - Transaction dari withTransaction
+   * @param {number} boardId - Board ID
+   * @returns {Promise<Object[]>} Row { id, position } urut berdasarkan position
+   */
+  _loadOrder(tx, boardId) {
+    return loadOrder(
+      tx,
+      "Task",
+      "board_id = ? AND deleted_at IS NULL AND archived_at IS NULL",
+      [boardId]
+    );
+  }
+
+  /**
+   * Ambil isi satu column lengkap (dipakai untuk response setelah move)
+   * @param {Object} tx - Transaction dari withTransaction
+   * @param {number} boardId - Board ID
+   * @returns {Promise<Object>} { boardId, tasks: Task[] }
+   */
+  async _loadColumn(tx, boardId) {
+    const rows = await tx.all(
+      "SELECT * FROM Task WHERE board_id = ? AND deleted_at IS NULL AND archived_at IS NULL ORDER BY position ASC",
+      [boardId]
+    );
+    return {
+      boardId,
+      tasks: await this._withRelations(
+        rows.map((row) => Task.fromRow(row)),
+        tx
+      ),
+    };
+  }
+
+  /**
+   * Tulis ulang position task sesuai urutan array (0..n-1)
+   * @param {Object} tx - Transaction dari withTransaction
+   * @param {Object[]} rows - Row { id, position } dalam urutan baru
+   * @param {string} now - Timestamp updated_at
+   */
+  _writeOrder(tx, rows, now) {
+    return writeOrder(tx, "Task", rows, now);
+  }
+
+  /**
+   * Taruh task di board dan position tujuan (di dalam transaction)
+   * Task dikeluarkan dari urutan column asal lalu disisipkan di column tujuan;
+   * kedua column di-resequence sehingga tidak ada position ganda atau bolong
+   * @param {Object} tx - Transaction dari withTransaction
+   * @param {Object} task - Row task saat ini
+   * @param {number} boardId - Board tujuan
+   * @param {number} position - Position tujuan (undefined/null: akhir column)
+   * @param {string} now - Timestamp updated_at
+   */
+  async _placeTask(tx, task, boardId, position, now) {
+    const sameBoard = task.board_id === boardId;
+    const source = (await this._loadOrder(tx, task.board_id)).filter(
+      (row) => row.id !== task.id
+    );
+    const target = sameBoard ? source : await this._loadOrder(tx, boardId);
+
+    const index = clampPosition(position, target.length);
+    target.splice(index, 0, {
+      id: task.id,
+      position: sameBoard ? task.position : null,
+    });
+
+    if (!sameBoard) {
+      await tx.run(
+        "UPDATE Task SET board_id = ?, updated_at = ? WHERE id = ?",
+        [boardId, now, task.id]
+      );
+      await this._writeOrder(tx, source, now);
+    }
+    await this._writeOrder(tx, target, now);
   }
 }
 
@@ -0,0 +1,256 @@
+const Entity = require("./Entity");
+const IRepository = require("../interfaces/IRepository");
+const { withTransaction, toCallback } = require("../database/transaction");
+const { hashPassword, verifyPassword } = require("../auth/password");
+const { ConflictError, ValidationError } = require("../errors");
+
+// Format email sederhana: ada "@" dan domain dengan titik
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * User Class
+ * Akun yang bisa login ke API. Password hash sengaja tidak disimpan di
+ * entity supaya tidak pernah ikut terkirim lewat toJSON.
+ * Demonstrasi: Inheritance, Encapsulation, Polymorphism
+ */
+class User extends Entity {
+  /**
+   * Constructor
+   * @param {number} id - User ID
+   * @param {string} email - Email (dipakai untuk login)
+   * @param {string|null} name - Nama tampilan
+   * @param {Date} createdAt - Created timestamp
+   * @param {Date} updatedAt - Updated timestamp
+   */
+  constructor(
+    id = null,
+    email = "",
+    name = null,
+    createdAt = new Date(),
+    updatedAt = new Date()
+  ) {
+    super(id, createdAt, updatedAt);
+    this._email = email;
+    this._name = name;
+  }
+
+  /**
+   * Buat User dari row database
+   * @param {Object} row - Row dari table User
+   * @returns {User} User instance
+   */
+  static fromRow(row) {
+    return new User(
+      row.id,
+      row.email,
+      row.name ?? null,
+      Entity.parseTimestamp(row.created_at),
+      Entity.parseTimestamp(row.updated_at)
+    );
+  }
+
+  /**
+   * Normalisasi email: trim dan huruf kecil
+   * @param {string} email - Email dari client
+   * @returns {string} Email yang disimpan
+   */
+  static normalizeEmail(email) {
+    return String(email).trim().toLowerCase();
+  }
+
+  /**
+   * Periksa data registrasi (dipakai repository SQLite maupun memory)
+   * @param {Object} data - { email, password, name? }
+   * @returns {Object} { email, password, name } yang sudah dinormalisasi
+   * @throws {ValidationError} Email atau password tidak valid
+   */
+  static checkRegistration(data) {
+    const { email, password, name = null } = data || {};
+    if (typeof email !== "string" || !EMAIL_PATTERN.test(email.trim())) {
+      throw new ValidationError("email must be a valid email address");
+    }
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+      throw new ValidationError(
+        `password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      );
+    }
+    if (name !== null && typeof name !== "string") {
+      throw new ValidationError("name must be a string");
+    }
+
+    return {
+      email: User.normalizeEmail(email),
+      password,
+      name: name && name.trim() !== "" ? name.trim() : null,
+    };
+  }
+
+  /**
+   * Get Email (Getter)
+   * @returns {string} Email
+   */
+  getEmail() {
+    return this._email;
+  }
+
+  /**
+   * Get Name (Getter)
+   * @returns {string|null} Nama tampilan
+   */
+  getName() {
+    return this._name;
+  }
+
+  /**
+   * Validate User (Polymorphism - override dari parent)
+   * @returns {boolean} Apakah user valid
+   */
+  validate() {
+    return EMAIL_PATTERN.test(this._email);
+  }
+
+  /**
+   * Convert ke JSON (Polymorphism - override dari parent)
+   * @returns {Object} User sebagai object (tanpa password hash)
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      email: this._email,
+      name: this._name,
+    };
+  }
+
+  /**
+   * String representation (Polymorphism - override dari parent)
+   * @returns {string} String representation
+   */
+  toString() {
+    return `${super.toString()} email: "${this._email}"`;
+  }
+}
+
+// Konstanta untuk validasi di controller
+User.EMAIL_PATTERN = EMAIL_PATTERN;
+User.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
+
+/**
+ * UserRepository Class
+ * Simpan akun user dan cocokkan password saat login
+ * Demonstrasi: Interface Implementation, Encapsulation
+ */
+class UserRepository extends IRepository {
+  /**
+   * Constructor
+   * @param {sqlite3.Database} connection - Database connection (default: db aplikasi)
+   */
+  constructor(connection = require("../database/db")) {
+    super();
+    this._db = connection;
+  }
+
+  /**
+   * Create User - password di-hash sebelum transaction dimulai, supaya
+   * scrypt tidak menahan antrian database
+   * @param {Object} data - { email: string, password: string, name?: string }
+   * @param {Function} callback - Callback(err, user)
+   */
+  create(data, callback) {
+    const work = Promise.resolve()
+      .then(() => User.checkRegistration(data))
+      .then(async ({ email, password, name }) => {
+        const passwordHash = await hashPassword(password);
+        const now = new Date().toISOString();
+        return withTransaction(async (tx) => {
+          const { lastID } = await tx
+            .run(
+              `INSERT INTO User (email, name, password_hash, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?)`,
+              [email, name, passwordHash, now, now]
+            )
+            .catch((err) => {
+              if (
+                err.code === "SQLITE_CONSTRAINT" &&
+                /UNIQUE/.test(err.message)
+              ) {
+                throw new ConflictError("Email is already registered", {
+                  code: "EMAIL_TAKEN",
+                });
+              }
+              throw err;
+            });
+          const { count } = await tx.get("SELECT COUNT(*) AS count FROM User");
+          if (count === 1) {
+            // User pertama menjadi owner project yang belum punya member
+            // (misal "Default Project"), lihat migration 016
+            await tx.run(
+              `INSERT INTO ProjectMember (project_id, user_id, role, created_at, updated_at)
+                SELECT p.id, ?, 'owner', ?, ? FROM Project p
+                WHERE NOT EXISTS (
+                  SELECT 1 FROM ProjectMember WHERE project_id = p.id
+                )`,
+              [lastID, now, now]
+            );
+          }
+          return User.fromRow(
+            await tx.get("SELECT * FROM User WHERE id = ?", [lastID])
+          );
+        }, this._db);
+      });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Get User by ID
+   * @param {number} id - User ID
+   * @param {Function} callback - Callback(err, user)
+   */
+  getById(id, callback) {
+    const work = this._db
+      .getAsync("SELECT * FROM User WHERE id = ?", [id])
+      .then((row) => (row ? User.fromRow(row) : null));
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Get User by email (tanpa membedakan huruf besar/kecil)
+   * @param {string} email - Email
+   * @param {Function} callback - Callback(err, user)
+   */
+  getByEmail(email, callback) {
+    const work = this._db
+      .getAsync("SELECT * FROM User WHERE email = ?", [
+        User.normalizeEmail(email),
+      ])
+      .then((row) => (row ? User.fromRow(row) : null));
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Cocokkan email dan password untuk login
+   * @param {string} email - Email
+   * @param {string} password - Password asli
+   * @param {Function} callback - Callback(err, user|null); null jika email
+   *   tidak terdaftar atau password salah
+   */
+  verifyCredentials(email, password, callback) {
+    const work = this._db
+      .getAsync("SELECT * FROM User WHERE email = ?", [
+        User.normalizeEmail(email),
+      ])
+      .then(async (row) =>
+        row && (await verifyPassword(password, row.password_hash))
+          ? User.fromRow(row)
+          : null
+      );
+
+    return toCallback(work, callback);
+  }
+}
+
+// Export both class dan repository untuk flexibility
+module.exports = { User, UserRepository };
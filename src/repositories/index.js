@@ -0,0 +1,65 @@
+const { config } = require("../config");
+const { ProjectRepository } = require("../models/Project");
+const { BoardRepository } = require("../models/Board");
+const { TaskRepository } = require("../models/Task");
+const { ActivityRepository } = require("../models/Activity");
+const { UserRepository } = require("../models/User");
+const { ProjectMemberRepository } = require("../models/ProjectMember");
+const { ApiTokenRepository } = require("../models/ApiToken");
+const { LabelRepository } = require("../models/Label");
+const MemoryStore = require("./memory/MemoryStore");
+const MemoryProjectRepository = require("./memory/MemoryProjectRepository");
+const MemoryBoardRepository = require("./memory/MemoryBoardRepository");
+const MemoryTaskRepository = require("./memory/MemoryTaskRepository");
+const MemoryActivityRepository = require("./memory/MemoryActivityRepository");
+const MemoryUserRepository = require("./memory/MemoryUserRepository");
+const MemoryProjectMemberRepository = require("./memory/MemoryProjectMemberRepository");
+const MemoryApiTokenRepository = require("./memory/MemoryApiTokenRepository");
+const MemoryLabelRepository = require("./memory/MemoryLabelRepository");
+
+/**
+ * Buat set repository sesuai storage backend
+ *
+ * - "sqlite" : repository SQLite (default: db aplikasi, lihat DB_PATH)
+ * - "memory" : repository in-memory tanpa SQLite, data hilang saat proses
+ *              berhenti (untuk unit test cepat dan mode demo)
+ *
+ * @param {Object} options - { storage?: string (default: config.storage),
+ *   connection?: sqlite3.Database (khusus sqlite) }
+ * @returns {Object} { storage, projects, boards, tasks, activity, users,
+ *   members, apiTokens, labels }
+ */
+const createRepositories = ({ storage = config.storage, connection } = {}) => {
+  if (storage === "memory") {
+    const store = new MemoryStore();
+    return {
+      storage,
+      projects: new MemoryProjectRepository(store),
+      boards: new MemoryBoardRepository(store),
+      tasks: new MemoryTaskRepository(store),
+      activity: new MemoryActivityRepository(store),
+      users: new MemoryUserRepository(store),
+      members: new MemoryProjectMemberRepository(store),
+      apiTokens: new MemoryApiTokenRepository(store),
+      labels: new MemoryLabelRepository(store),
+    };
+  }
+
+  if (storage === "sqlite") {
+    return {
+      storage,
+      projects: new ProjectRepository(connection),
+      boards: new BoardRepository(connection),
+      tasks: new TaskRepository(connection),
+      activity: new ActivityRepository(connection),
+      users: new UserRepository(connection),
+      members: new ProjectMemberRepository(connection),
+      apiTokens: new ApiTokenRepository(connection),
+      labels: new LabelRepository(connection),
+    };
+  }
+
+  throw new Error(`Unknown storage "${storage}". Use sqlite or memory.`);
+};
+
+module.exports = { createRepositories };
@@ -0,0 +1,66 @@
+const IRepository = require("../../interfaces/IRepository");
+const { Activity } = require("../../models/Activity");
+const { toCallback } = require("../../database/transaction");
+const { inProjectScope } = require("../../database/projectScope");
+
+/**
+ * MemoryActivityRepository Class
+ * Padanan ActivityRepository untuk MemoryStore; entry ditulis oleh
+ * MemoryTaskRepository dan MemoryBoardRepository
+ * Demonstrasi: Interface Implementation, Polymorphism
+ */
+class MemoryActivityRepository extends IRepository {
+  /**
+   * Constructor
+   * @param {MemoryStore} store - Store bersama untuk semua repository memory
+   */
+  constructor(store) {
+    super();
+    this._store = store;
+  }
+
+  /**
+   * Find Activity - terbaru lebih dulu, dengan filter dan pagination
+   * @param {Object} query - { filters?: { entity_type?, entity_id?, action?,
+   *   project_id? }, limit?, offset? }
+   * @param {Function} callback - Callback(err, { entries, total })
+   */
+  find(query = {}, callback) {
+    const { filters = {}, limit, offset = 0 } = query;
+    const rows = this._store
+      .all(
+        "Activity",
+        (row) =>
+          ["entity_type", "entity_id", "action"].every(
+            (field) =>
+              filters[field] === undefined || row[field] === filters[field]
+          ) && inProjectScope(filters.project_id, row.project_id)
+      )
+      .sort((a, b) => b.id - a.id);
+
+    const end = limit === undefined ? undefined : offset + limit;
+    return toCallback(
+      Promise.resolve({
+        entries: rows.slice(offset, end).map((row) => Activity.fromRow(row)),
+        total: rows.length,
+      }),
+      callback
+    );
+  }
+
+  /**
+   * Get Activity by ID
+   * @param {number} id - Activity ID
+   * @param {Function} callback - Callback(err, activity)
+   */
+  getById(id, callback) {
+    const row = this._store.get("Activity", id);
+
+    return toCallback(
+      Promise.resolve(row ? Activity.fromRow(row) : null),
+      callback
+    );
+  }
+}
+
+module.exports = MemoryActivityRepository;
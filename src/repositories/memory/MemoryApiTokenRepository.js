@@ -0,0 +1,117 @@
+const IRepository = require("../../interfaces/IRepository");
+const { ApiToken } = require("../../models/ApiToken");
+const { NotFoundError } = require("../../errors");
+const { toCallback } = require("../../database/transaction");
+const { generateApiToken, hashApiToken } = require("../../auth/apiTokens");
+
+/**
+ * MemoryApiTokenRepository Class
+ * Padanan ApiTokenRepository untuk MemoryStore (hanya hash yang disimpan)
+ * Demonstrasi: Interface Implementation, Polymorphism
+ */
+class MemoryApiTokenRepository extends IRepository {
+  /**
+   * Constructor
+   * @param {MemoryStore} store - Store bersama untuk semua repository memory
+   */
+  constructor(store) {
+    super();
+    this._store = store;
+  }
+
+  /**
+   * Create ApiToken - token asli hanya dikembalikan di sini
+   * @param {number} userId - Pemilik token
+   * @param {Object} data - { name, scope?, expires_at? }
+   * @param {Function} callback - Callback(err, { apiToken, token })
+   */
+  create(userId, data, callback) {
+    const work = this._store.transaction((store) => {
+      const { name, scope, expiresAt } = ApiToken.checkData(data);
+      if (!store.get("User", userId)) {
+        throw new NotFoundError("User not found");
+      }
+
+      const { token, prefix, hash } = generateApiToken();
+      const row = store.insert("ApiToken", {
+        user_id: Number(userId),
+        name,
+        token_hash: hash,
+        token_prefix: prefix,
+        scope,
+        expires_at: expiresAt,
+        last_used_at: null,
+        created_at: new Date().toISOString(),
+      });
+      return { apiToken: ApiToken.fromRow(row), token };
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Get semua token milik user (urut berdasarkan waktu dibuat)
+   * @param {number} userId - User ID
+   * @param {Function} callback - Callback(err, apiTokens)
+   */
+  getByUserId(userId, callback) {
+    const tokens = this._store
+      .all("ApiToken", (row) => row.user_id === Number(userId))
+      .map((row) => ApiToken.fromRow(row));
+
+    return toCallback(Promise.resolve(tokens), callback);
+  }
+
+  /**
+   * Cari token dari credential di header Authorization
+   * @param {string} token - API token asli
+   * @param {Function} callback - Callback(err, apiToken|null)
+   */
+  findByToken(token, callback) {
+    const hash = hashApiToken(token);
+    const [row] = this._store.all(
+      "ApiToken",
+      (item) => item.token_hash === hash
+    );
+
+    return toCallback(
+      Promise.resolve(row ? ApiToken.fromRow(row) : null),
+      callback
+    );
+  }
+
+  /**
+   * Catat waktu terakhir token dipakai
+   * @param {number} id - Token ID
+   * @param {Function} callback - Callback(err)
+   */
+  touch(id, callback) {
+    this._store.update("ApiToken", id, {
+      last_used_at: new Date().toISOString(),
+    });
+
+    return toCallback(Promise.resolve(), callback);
+  }
+
+  /**
+   * Cabut (hapus) token; hanya pemiliknya yang bisa
+   * @param {number} userId - Pemilik token
+   * @param {number} id - Token ID
+   * @param {Function} callback - Callback(err)
+   */
+  revoke(userId, id, callback) {
+    const work = this._store.transaction((store) => {
+      const removed = store.delete(
+        "ApiToken",
+        (row) => row.id === Number(id) && row.user_id === Number(userId)
+      );
+      if (removed === 0) {
+        throw new NotFoundError("API token not found");
+      }
+    });
+
+    return toCallback(work, callback);
+  }
+}
+
+module.exports = MemoryApiTokenRepository;
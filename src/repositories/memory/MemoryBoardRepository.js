@@ -0,0 +1,619 @@
+const IRepository = require("../../interfaces/IRepository");
+const { Board } = require("../../models/Board");
+const {
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+} = require("../../errors");
+const { toCallback } = require("../../database/transaction");
+const { recordActivity } = require("./activityLog");
+const { inProjectScope } = require("../../database/projectScope");
+const { clampPosition, isSamePermutation } = require("../../database/ordering");
+const { taskFromRow } = require("./taskRelations");
+
+/**
+ * MemoryBoardRepository Class
+ * Implementasi IRepository untuk Board tanpa SQLite (lihat MemoryStore)
+ * Position, reorder dan setOrder mengikuti aturan BoardRepository:
+ * position 0-based dan rapat (0..n-1) per project
+ * Demonstrasi: Interface Implementation, Polymorphism
+ */
+class MemoryBoardRepository extends IRepository {
+  /**
+   * Constructor
+   * @param {MemoryStore} store - Store bersama untuk Project, Board dan Task
+   */
+  constructor(store) {
+    super();
+    this._store = store;
+  }
+
+  /**
+   * Create Board - disisipkan di position tujuan, default di akhir project
+   * @param {Object} data - { title: string, position?: number, project_id?: number }
+   * @param {Function} callback - Callback(err, board)
+   */
+  create(data, callback) {
+    const work = this._store.transaction((store) => {
+      if (!data || !data.title) {
+        throw new ValidationError("title is required");
+      }
+      const board = new Board(null, data.title, data.position);
+      if (!board.validate()) {
+        throw new ValidationError("Invalid board data");
+      }
+
+      const projectId = this._resolveProjectId(data.project_id);
+      const now = new Date().toISOString();
+      const order = this._order(projectId);
+      const index = clampPosition(data.position, order.length);
+      const row = store.insert("Board", {
+        title: board.getTitle(),
+        position: index,
+        project_id: projectId,
+        created_at: now,
+        updated_at: now,
+      });
+
+      order.splice(index, 0, row);
+      store.writeOrder("Board", order, now);
+
+      const created = store.get("Board", row.id);
+      this._recordActivity("board", "create", null, created, now);
+      return Board.fromRow(created);
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Get all Boards dari semua project (urut per project lalu position)
+   * @param {Function} callback - Callback(err, boards)
+   */
+  getAll(callback) {
+    const boards = this._store
+      .all("Board", (row) => !row.deleted_at)
+      .sort(
+        (a, b) =>
+          a.project_id - b.project_id || a.position - b.position || a.id - b.id
+      )
+      .map((row) => Board.fromRow(row));
+
+    return toCallback(Promise.resolve(boards), callback);
+  }
+
+  /**
+   * Get Boards by Project ID (urut berdasarkan position)
+   * @param {number} project_id - Project ID
+   * @param {Function} callback - Callback(err, boards)
+   */
+  getByProjectId(project_id, callback) {
+    const boards = this._order(Number(project_id)).map((row) =>
+      Board.fromRow(row)
+    );
+
+    return toCallback(Promise.resolve(boards), callback);
+  }
+
+  /**
+   * Get Snapshot - semua column satu project beserta task-nya
+   * @param {number} projectId - Project ID (opsional, default: project default)
+   * @param {Function} callback - Callback(err, { projectId, columns })
+   */
+  getSnapshot(projectId, callback) {
+    const work = this._store.transaction((store) => {
+      const resolvedId = this._resolveProjectId(projectId);
+      const columns = this._order(resolvedId).map((row) => ({
+        board: Board.fromRow(row),
+        tasks: store
+          .order(
+            "Task",
+            (task) =>
+              task.board_id === row.id && !task.deleted_at && !task.archived_at
+          )
+          .map((task) => taskFromRow(store, task)),
+      }));
+      return { projectId: resolvedId, columns };
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Get Board by ID (board di trash hanya dengan includeDeleted)
+   * @param {number} id - Board ID
+   * @param {Object} options - { includeDeleted?: boolean } (opsional)
+   * @param {Function} callback - Callback(err, board)
+   */
+  getById(id, options, callback) {
+    if (typeof options === "function") {
+      callback = options;
+      options = {};
+    }
+    const row =
+      options && options.includeDeleted
+        ? this._store.get("Board", id)
+        : this._get(id);
+
+    return toCallback(
+      Promise.resolve(row ? Board.fromRow(row) : null),
+      callback
+    );
+  }
+
+  /**
+   * Update Board
+   * @param {number} id - Board ID
+   * @param {Object} data - { title: string }
+   * @param {Function} callback - Callback(err, board)
+   */
+  update(id, data, callback) {
+    if (!data || !data.title) {
+      return toCallback(
+        Promise.reject(new ValidationError("title is required")),
+        callback
+      );
+    }
+
+    return this.patch(id, { title: data.title }, callback);
+  }
+
+  /**
+   * Patch Board - Update sebagian field (title, position)
+   * @param {number} id - Board ID
+   * @param {Object} data - Sebagian dari { title, position }
+   * @param {Function} callback - Callback(err, board)
+   */
+  patch(id, data, callback) {
+    const work = this._store.transaction((store) => {
+      if (!data || typeof data !== "object") {
+        throw new ValidationError("Patch data is required");
+      }
+      const row = this._get(id);
+      if (!row) {
+        throw new NotFoundError("Board not found");
+      }
+
+      const board = Board.fromRow(row);
+      const now = new Date().toISOString();
+      if (data.title !== undefined) {
+        board.setTitle(data.title);
+        store.update("Board", row.id, {
+          title: board.getTitle(),
+          updated_at: now,
+        });
+      }
+      if (data.position !== undefined) {
+        board.setPosition(data.position);
+        this._placeBoard(row, data.position, now);
+      }
+
+      const updated = store.get("Board", row.id);
+      this._recordActivity(
+        "board",
+        data.title === undefined ? "reorder" : "update",
+        row,
+        updated,
+        now
+      );
+      return Board.fromRow(updated);
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Delete Board - pindahkan ke trash; board berisi task hanya dihapus
+   * dengan moveTo atau cascade (lihat BoardRepository.delete); position
+   * board lain dirapatkan
+   * @param {number} id - Board ID
+   * @param {Object} options - { moveTo?: number, cascade?: boolean } (opsional)
+   * @param {Function} callback - Callback(err, { movedTo, movedCount })
+   */
+  delete(id, options, callback) {
+    if (typeof options === "function") {
+      callback = options;
+      options = {};
+    }
+    const { moveTo, cascade = false } = options || {};
+
+    const work = this._store.transaction((store) => {
+      const board = this._get(id);
+      if (!board) {
+        throw new NotFoundError("Board not found");
+      }
+
+      const tasks = store.order(
+        "Task",
+        (row) =>
+          row.board_id === board.id && !row.deleted_at && !row.archived_at
+      );
+      const archived = store.all(
+        "Task",
+        (row) => row.board_id === board.id && !row.deleted_at && row.archived_at
+      );
+      const taskCount = tasks.length + archived.length;
+      const now = new Date().toISOString();
+      let movedTo = null;
+      if (moveTo !== undefined && moveTo !== null) {
+        movedTo = this._moveTasks(board, moveTo, tasks, archived, now);
+      } else if (taskCount > 0 && !cascade) {
+        throw new ConflictError(
+          `Board still contains ${taskCount} task(s); move them with moveTo or delete them with cascade`,
+          { details: { taskCount } }
+        );
+      }
+
+      if (!movedTo) {
+        [...tasks, ...archived].forEach((task) => {
+          store.update("Task", task.id, {
+            deleted_at: now,
+            deleted_with_board: 1,
+            updated_at: now,
+          });
+          this._recordActivity("task", "delete", task, null, now);
+        });
+      }
+      store.update("Board", board.id, { deleted_at: now, updated_at: now });
+      store.writeOrder("Board", this._order(board.project_id), now);
+      this._recordActivity("board", "delete", board, null, now);
+      return { movedTo, movedCount: movedTo ? taskCount : 0 };
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Get Trash - board yang sedang di trash, terbaru lebih dulu
+   * @param {number|number[]} projectId - Hanya board project ini (opsional)
+   * @param {Function} callback - Callback(err, boards)
+   */
+  getTrash(projectId, callback) {
+    const boards = this._store
+      .all(
+        "Board",
+        (row) =>
+          Boolean(row.deleted_at) &&
+          inProjectScope(projectId || null, row.project_id)
+      )
+      .sort((a, b) => b.deleted_at.localeCompare(a.deleted_at) || b.id - a.id)
+      .map((row) => Board.fromRow(row));
+
+    return toCallback(Promise.resolve(boards), callback);
+  }
+
+  /**
+   * Restore Board dari trash beserta task yang masuk trash bersamanya
+   * @param {number} id - Board ID
+   * @param {Function} callback - Callback(err, { board, restoredTasks })
+   */
+  restore(id, callback) {
+    const work = this._store.transaction((store) => {
+      const board = store.get("Board", id);
+      if (!board || !board.deleted_at) {
+        throw new NotFoundError("Board not found in trash");
+      }
+
+      const now = new Date().toISOString();
+      const order = this._order(board.project_id);
+      order.splice(clampPosition(board.position, order.length), 0, {
+        id: board.id,
+        position: null,
+      });
+      store.update("Board", board.id, { deleted_at: null, updated_at: now });
+      store.writeOrder("Board", order, now);
+
+      const restored = store.all(
+        "Task",
+        (row) => row.board_id === board.id && row.deleted_with_board === 1
+      );
+      restored.forEach((row) => {
+        store.update("Task", row.id, {
+          deleted_at: null,
+          deleted_with_board: 0,
+          updated_at: now,
+        });
+      });
+      store.writeOrder(
+        "Task",
+        store.order(
+          "Task",
+          (row) =>
+            row.board_id === board.id && !row.deleted_at && !row.archived_at
+        ),
+        now
+      );
+
+      restored.forEach((row) => {
+        this._recordActivity(
+          "task",
+          "restore",
+          row,
+          store.get("Task", row.id),
+          now
+        );
+      });
+
+      const restoredBoard = store.get("Board", board.id);
+      this._recordActivity("board", "restore", board, restoredBoard, now);
+      return {
+        board: Board.fromRow(restoredBoard),
+        restoredTasks: restored.length,
+      };
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Purge - hapus permanen board yang masuk trash sebelum waktu tertentu,
+   * beserta semua task di dalamnya
+   * @param {Date} before - Batas waktu deleted_at
+   * @param {number|number[]} projectId - Hanya board project ini (opsional)
+   * @param {Function} callback - Callback(err, purgedCount)
+   */
+  purge(before, projectId, callback) {
+    if (typeof projectId === "function") {
+      callback = projectId;
+      projectId = null;
+    }
+
+    const work = this._store.transaction((store) => {
+      const expired = (row) =>
+        Boolean(row.deleted_at) &&
+        row.deleted_at < before.toISOString() &&
+        inProjectScope(projectId || null, row.project_id);
+      const ids = store.all("Board", expired).map((row) => row.id);
+      store.delete("Task", (row) => ids.includes(row.board_id));
+      return store.delete("Board", expired);
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Reorder Boards - Swap positions between two boards
+   * @param {number} boardId1 - First board ID
+   * @param {number} boardId2 - Second board ID
+   * @param {Function} callback - Callback(err)
+   */
+  reorder(boardId1, boardId2, callback) {
+    const work = this._store.transaction((store) => {
+      if (!boardId1 || !boardId2) {
+        throw new ValidationError("Both board IDs are required");
+      }
+      const board1 = this._get(boardId1);
+      if (!board1) {
+        throw new NotFoundError("Board 1 not found");
+      }
+      const board2 = this._get(boardId2);
+      if (!board2) {
+        throw new NotFoundError("Board 2 not found");
+      }
+      if (board1.project_id !== board2.project_id) {
+        throw new ValidationError("Boards must belong to the same project");
+      }
+
+      const now = new Date().toISOString();
+      store.update("Board", board1.id, {
+        position: board2.position,
+        updated_at: now,
+      });
+      store.update("Board", board2.id, {
+        position: board1.position,
+        updated_at: now,
+      });
+      this._recordActivity(
+        "board",
+        "reorder",
+        board1,
+        { ...board1, position: board2.position },
+        now
+      );
+      this._recordActivity(
+        "board",
+        "reorder",
+        board2,
+        { ...board2, position: board1.position },
+        now
+      );
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Reorder Board by Position - Pindahkan board ke position baru
+   * @param {number} boardId - Board ID
+   * @param {number} newPosition - Position baru (0-based)
+   * @param {Function} callback - Callback(err)
+   */
+  reorderByPosition(boardId, newPosition, callback) {
+    const work = this._store.transaction((store) => {
+      if (!boardId || newPosition === undefined) {
+        throw new ValidationError("Board ID and new position are required");
+      }
+      const board = this._get(boardId);
+      if (!board) {
+        throw new NotFoundError("Board not found");
+      }
+
+      const now = new Date().toISOString();
+      this._placeBoard(board, newPosition, now);
+      this._recordActivity(
+        "board",
+        "reorder",
+        board,
+        store.get("Board", board.id),
+        now
+      );
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Set Order - Tulis ulang urutan seluruh board dalam satu project
+   * @param {number} projectId - Project ID (kosong: project default)
+   * @param {number[]} boardIds - Board ID dalam urutan baru
+   * @param {Function} callback - Callback(err, boards)
+   */
+  setOrder(projectId, boardIds, callback) {
+    const work = this._store.transaction((store) => {
+      if (!Array.isArray(boardIds)) {
+        throw new ValidationError("Board IDs are required");
+      }
+      const resolvedId = this._resolveProjectId(projectId);
+      const current = this._order(resolvedId);
+      if (!isSamePermutation(current, boardIds)) {
+        throw new ConflictError(
+          "boardIds must list every board in the project exactly once"
+        );
+      }
+
+      const byId = new Map(current.map((row) => [row.id, row]));
+      const now = new Date().toISOString();
+      store.writeOrder(
+        "Board",
+        boardIds.map((id) => byId.get(id)),
+        now
+      );
+      boardIds.forEach((id, index) => {
+        const row = byId.get(id);
+        if (row.position !== index) {
+          this._recordActivity(
+            "board",
+            "reorder",
+            row,
+            { ...row, position: index },
+            now
+          );
+        }
+      });
+      return this._order(resolvedId).map((row) => Board.fromRow(row));
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Tentukan project untuk board; tanpa project dipakai project default
+   * (project dengan ID terkecil)
+   * @param {number} projectId - Project ID (opsional)
+   * @returns {number} Project ID
+   */
+  _resolveProjectId(projectId) {
+    const project = projectId
+      ? this._store.get("Project", projectId)
+      : this._store.all("Project")[0];
+    if (!project) {
+      throw new NotFoundError("Project not found");
+    }
+    return project.id;
+  }
+
+  /**
+   * Pindahkan semua task board yang akan dihapus ke akhir board tujuan;
+   * task yang diarsipkan ikut pindah tanpa mendapat position
+   * @param {Object} board - Row board yang akan dihapus
+   * @param {number} targetId - Board tujuan (harus di project yang sama)
+   * @param {Object[]} tasks - Row task aktif board, urut berdasarkan position
+   * @param {Object[]} archived - Row task board yang diarsipkan
+   * @param {string} now - Timestamp updated_at
+   * @returns {number} ID board tujuan
+   */
+  _moveTasks(board, targetId, tasks, archived, now) {
+    if (targetId === board.id) {
+      throw new ValidationError("moveTo must be a different board");
+    }
+    const target = this._get(targetId);
+    if (!target) {
+      throw new NotFoundError("Target board not found");
+    }
+    if (target.project_id !== board.project_id) {
+      throw new ValidationError("Boards must belong to the same project");
+    }
+
+    const offset = this._store.all(
+      "Task",
+      (row) => row.board_id === target.id && !row.deleted_at && !row.archived_at
+    ).length;
+    const moves = [
+      ...tasks.map((task, index) => ({
+        task,
+        position: offset + index,
+      })),
+      ...archived.map((task) => ({ task, position: task.position })),
+    ];
+    moves.forEach(({ task, position }) => {
+      this._store.update("Task", task.id, {
+        board_id: target.id,
+        position,
+        updated_at: now,
+      });
+      this._recordActivity(
+        "task",
+        "move",
+        task,
+        this._store.get("Task", task.id),
+        now
+      );
+    });
+    return target.id;
+  }
+
+  /**
+   * Pindahkan board ke position baru di dalam project-nya
+   * @param {Object} board - Row board saat ini
+   * @param {number} position - Position tujuan (0-based)
+   * @param {string} now - Timestamp updated_at
+   */
+  _placeBoard(board, position, now) {
+    const order = this._order(board.project_id).filter(
+      (row) => row.id !== board.id
+    );
+    order.splice(clampPosition(position, order.length), 0, board);
+    this._store.writeOrder("Board", order, now);
+  }
+
+  /**
+   * Catat perubahan board atau task di activity log (padanan
+   * BoardRepository._recordActivity)
+   * @param {string} entityType - "board" atau "task"
+   * @param {string} action - create, update, delete, restore, reorder, move
+   * @param {Object|null} before - Row sebelum perubahan (null untuk create)
+   * @param {Object|null} after - Row setelah perubahan (null untuk delete)
+   * @param {string} now - Timestamp perubahan
+   */
+  _recordActivity(entityType, action, before, after, now) {
+    recordActivity(
+      this._store,
+      { entityType, entityId: (before || after).id, action, before, after },
+      now
+    );
+  }
+
+  /**
+   * Ambil satu board yang tidak ada di trash
+   * @param {number|string} id - Board ID
+   * @returns {Object|undefined} Row board
+   */
+  _get(id) {
+    const row = this._store.get("Board", id);
+    return row && !row.deleted_at ? row : undefined;
+  }
+
+  /**
+   * Ambil urutan board dalam satu project
+   * @param {number} projectId - Project ID
+   * @returns {Object[]} Row board urut berdasarkan position
+   */
+  _order(projectId) {
+    return this._store.order(
+      "Board",
+      (row) => row.project_id === projectId && !row.deleted_at
+    );
+  }
+}
+
+module.exports = MemoryBoardRepository;
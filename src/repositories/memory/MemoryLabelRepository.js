@@ -0,0 +1,170 @@
+const IRepository = require("../../interfaces/IRepository");
+const { Label } = require("../../models/Label");
+const { NotFoundError, ConflictError } = require("../../errors");
+const { toCallback } = require("../../database/transaction");
+const { recordActivity } = require("./activityLog");
+
+/**
+ * MemoryLabelRepository Class
+ * Padanan LabelRepository untuk MemoryStore (nama unik per project tanpa
+ * membedakan huruf besar/kecil)
+ * Demonstrasi: Interface Implementation, Polymorphism
+ */
+class MemoryLabelRepository extends IRepository {
+  /**
+   * Constructor
+   * @param {MemoryStore} store - Store bersama untuk semua repository memory
+   */
+  constructor(store) {
+    super();
+    this._store = store;
+  }
+
+  /**
+   * Get semua label project (urut berdasarkan nama)
+   * @param {number} projectId - Project ID
+   * @param {Function} callback - Callback(err, labels)
+   */
+  getByProjectId(projectId, callback) {
+    const labels = this._store
+      .all("Label", (row) => row.project_id === Number(projectId))
+      .sort(
+        (a, b) =>
+          a.name.toLowerCase().localeCompare(b.name.toLowerCase()) ||
+          a.id - b.id
+      )
+      .map((row) => Label.fromRow(row));
+
+    return toCallback(Promise.resolve(labels), callback);
+  }
+
+  /**
+   * Create Label
+   * @param {number} projectId - Project ID
+   * @param {Object} data - { name, color? }
+   * @param {Function} callback - Callback(err, label)
+   */
+  create(projectId, data, callback) {
+    const work = this._store.transaction((store) => {
+      const { name, color } = Label.checkData(data);
+      if (!store.get("Project", projectId)) {
+        throw new NotFoundError("Project not found");
+      }
+      this._assertUniqueName(projectId, name);
+
+      const now = new Date().toISOString();
+      const row = store.insert("Label", {
+        project_id: Number(projectId),
+        name,
+        color,
+        created_at: now,
+        updated_at: now,
+      });
+      return Label.fromRow(row);
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Update Label - hanya field yang dikirim yang diubah
+   * @param {number} projectId - Project ID
+   * @param {number} id - Label ID
+   * @param {Object} data - { name?, color? }
+   * @param {Function} callback - Callback(err, label)
+   */
+  update(projectId, id, data, callback) {
+    const work = this._store.transaction((store) => {
+      const changes = Label.checkData(data, { partial: true });
+      const row = this._get(projectId, id);
+      if (!row) {
+        throw new NotFoundError("Label not found");
+      }
+      if (changes.name !== undefined) {
+        this._assertUniqueName(projectId, changes.name, row.id);
+      }
+
+      store.update("Label", row.id, {
+        ...changes,
+        updated_at: new Date().toISOString(),
+      });
+      return Label.fromRow(store.get("Label", row.id));
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Delete Label - label ikut terlepas dari semua task (dicatat sebagai
+   * unlabel, sama dengan LabelRepository.delete)
+   * @param {number} projectId - Project ID
+   * @param {number} id - Label ID
+   * @param {Function} callback - Callback(err)
+   */
+  delete(projectId, id, callback) {
+    const work = this._store.transaction((store) => {
+      const row = this._get(projectId, id);
+      if (!row) {
+        throw new NotFoundError("Label not found");
+      }
+
+      const now = new Date().toISOString();
+      store
+        .all("TaskLabel", (link) => link.label_id === row.id)
+        .sort((a, b) => a.task_id - b.task_id)
+        .forEach((link) =>
+          recordActivity(
+            store,
+            {
+              entityType: "task",
+              entityId: link.task_id,
+              action: "unlabel",
+              before: { id: link.task_id, label_id: row.id },
+            },
+            now
+          )
+        );
+      store.delete("Label", (item) => item.id === row.id);
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Ambil row label milik project
+   * @param {number} projectId - Project ID
+   * @param {number} id - Label ID
+   * @returns {Object|undefined} Row label
+   */
+  _get(projectId, id) {
+    const row = this._store.get("Label", id);
+    return row && row.project_id === Number(projectId) ? row : undefined;
+  }
+
+  /**
+   * Tolak nama yang sudah dipakai label lain di project yang sama
+   * @param {number} projectId - Project ID
+   * @param {string} name - Nama label
+   * @param {number} exceptId - Label yang sedang diubah (opsional)
+   * @throws {ConflictError} Nama sudah dipakai
+   */
+  _assertUniqueName(projectId, name, exceptId = null) {
+    const [existing] = this._store.all(
+      "Label",
+      (row) =>
+        row.project_id === Number(projectId) &&
+        row.name.toLowerCase() === name.toLowerCase() &&
+        row.id !== exceptId
+    );
+    if (existing) {
+      throw new ConflictError(
+        `Label "${name}" already exists in this project`,
+        {
+          code: "LABEL_EXISTS",
+        }
+      );
+    }
+  }
+}
+
+module.exports = MemoryLabelRepository;
@@ -0,0 +1,246 @@
+const IRepository = require("../../interfaces/IRepository");
+const { ProjectMember } = require("../../models/ProjectMember");
+const { hasRole } = require("../../auth/roles");
+const { NotFoundError, ConflictError } = require("../../errors");
+const { toCallback } = require("../../database/transaction");
+
+/**
+ * MemoryProjectMemberRepository Class
+ * Padanan ProjectMemberRepository untuk MemoryStore
+ * Demonstrasi: Interface Implementation, Polymorphism
+ */
+class MemoryProjectMemberRepository extends IRepository {
+  /**
+   * Constructor
+   * @param {MemoryStore} store - Store bersama untuk semua repository memory
+   */
+  constructor(store) {
+    super();
+    this._store = store;
+  }
+
+  /**
+   * Get semua member project (urut berdasarkan waktu bergabung)
+   * @param {number} projectId - Project ID
+   * @param {Function} callback - Callback(err, members)
+   */
+  getByProjectId(projectId, callback) {
+    const members = this._members(projectId).map((row) => this._toMember(row));
+
+    return toCallback(Promise.resolve(members), callback);
+  }
+
+  /**
+   * Role user di sebuah project
+   * @param {number} projectId - Project ID
+   * @param {number} userId - User ID
+   * @param {Function} callback - Callback(err, role)
+   */
+  getRole(projectId, userId, callback) {
+    const row = this._find(projectId, userId);
+
+    return toCallback(Promise.resolve(row ? row.role : null), callback);
+  }
+
+  /**
+   * ID semua project yang bisa diakses user dengan role minimal tertentu
+   * @param {number} userId - User ID
+   * @param {string} role - Role minimal (default: viewer)
+   * @param {Function} callback - Callback(err, projectIds)
+   */
+  getProjectIds(userId, role, callback) {
+    if (typeof role === "function") {
+      callback = role;
+      role = "viewer";
+    }
+
+    const ids = this._store
+      .all(
+        "ProjectMember",
+        (row) =>
+          row.user_id === Number(userId) && hasRole(row.role, role || "viewer")
+      )
+      .map((row) => row.project_id)
+      .sort((a, b) => a - b);
+
+    return toCallback(Promise.resolve(ids), callback);
+  }
+
+  /**
+   * Tambah member ke project (aturan sama dengan ProjectMemberRepository.add)
+   * @param {number} projectId - Project ID
+   * @param {Object} data - { user_id: number, role: string }
+   * @param {Function} callback - Callback(err, member)
+   */
+  add(projectId, data, callback) {
+    const { user_id, role } = data || {};
+
+    const work = this._store.transaction((store) => {
+      ProjectMember.checkRole(role);
+      if (!store.get("Project", projectId)) {
+        throw new NotFoundError("Project not found");
+      }
+      if (!store.get("User", user_id)) {
+        throw new NotFoundError("User not found");
+      }
+      if (this._find(projectId, user_id)) {
+        throw new ConflictError("User is already a member of this project", {
+          code: "ALREADY_MEMBER",
+        });
+      }
+
+      const now = new Date().toISOString();
+      return this._toMember(
+        store.insert("ProjectMember", {
+          project_id: Number(projectId),
+          user_id,
+          role,
+          created_at: now,
+          updated_at: now,
+        })
+      );
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Ubah role member
+   * @param {number} projectId - Project ID
+   * @param {number} userId - User ID
+   * @param {string} role - Role baru
+   * @param {Function} callback - Callback(err, member)
+   */
+  updateRole(projectId, userId, role, callback) {
+    const work = this._store.transaction((store) => {
+      ProjectMember.checkRole(role);
+      const row = this._find(projectId, userId);
+      if (!row) {
+        throw new NotFoundError("Member not found");
+      }
+      if (row.role === "owner" && role !== "owner") {
+        this._assertAnotherOwner(projectId, row.user_id);
+      }
+
+      store.update("ProjectMember", row.id, {
+        role,
+        updated_at: new Date().toISOString(),
+      });
+      return this._toMember(store.get("ProjectMember", row.id));
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Keluarkan member dari project
+   * @param {number} projectId - Project ID
+   * @param {number} userId - User ID
+   * @param {Function} callback - Callback(err)
+   */
+  remove(projectId, userId, callback) {
+    const work = this._store.transaction((store) => {
+      const row = this._find(projectId, userId);
+      if (!row) {
+        throw new NotFoundError("Member not found");
+      }
+      if (row.role === "owner") {
+        this._assertAnotherOwner(projectId, row.user_id);
+      }
+      store.delete("ProjectMember", (member) => member.id === row.id);
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Project pemilik sebuah column (termasuk column di trash)
+   * @param {number} boardId - Board ID
+   * @param {Function} callback - Callback(err, projectId|null)
+   */
+  getProjectIdOfBoard(boardId, callback) {
+    const board = this._store.get("Board", boardId);
+
+    return toCallback(
+      Promise.resolve(board ? board.project_id : null),
+      callback
+    );
+  }
+
+  /**
+   * Project pemilik sebuah task (termasuk task di trash atau arsip)
+   * @param {number} taskId - Task ID
+   * @param {Function} callback - Callback(err, projectId|null)
+   */
+  getProjectIdOfTask(taskId, callback) {
+    const task = this._store.get("Task", taskId);
+
+    return this.getProjectIdOfBoard(task ? task.board_id : null, callback);
+  }
+
+  /**
+   * Project default, tujuan column baru tanpa project_id
+   * @param {Function} callback - Callback(err, projectId|null)
+   */
+  getDefaultProjectId(callback) {
+    const [project] = this._store.all("Project");
+
+    return toCallback(Promise.resolve(project ? project.id : null), callback);
+  }
+
+  /**
+   * Semua row membership satu project
+   * @param {number} projectId - Project ID
+   * @returns {Object[]} Row ProjectMember urut berdasarkan ID
+   */
+  _members(projectId) {
+    return this._store.all(
+      "ProjectMember",
+      (row) => row.project_id === Number(projectId)
+    );
+  }
+
+  /**
+   * Cari row membership satu user
+   * @param {number} projectId - Project ID
+   * @param {number} userId - User ID
+   * @returns {Object|undefined} Row ProjectMember
+   */
+  _find(projectId, userId) {
+    return this._members(projectId).find(
+      (row) => row.user_id === Number(userId)
+    );
+  }
+
+  /**
+   * Buat ProjectMember beserta email/name user (padanan JOIN User)
+   * @param {Object} row - Row ProjectMember
+   * @returns {ProjectMember} ProjectMember instance
+   */
+  _toMember(row) {
+    const user = this._store.get("User", row.user_id);
+    return ProjectMember.fromRow({
+      ...row,
+      email: user.email,
+      name: user.name,
+    });
+  }
+
+  /**
+   * Tolak perubahan yang membuat project tanpa owner
+   * @param {number} projectId - Project ID
+   * @param {number} userId - Owner yang akan diturunkan/dikeluarkan
+   */
+  _assertAnotherOwner(projectId, userId) {
+    const others = this._members(projectId).filter(
+      (row) => row.role === "owner" && row.user_id !== userId
+    );
+    if (others.length === 0) {
+      throw new ConflictError("A project must keep at least one owner", {
+        code: "LAST_OWNER",
+      });
+    }
+  }
+}
+
+module.exports = MemoryProjectMemberRepository;
@@ -0,0 +1,143 @@
+const IRepository = require("../../interfaces/IRepository");
+const { Project } = require("../../models/Project");
+const { NotFoundError, ValidationError } = require("../../errors");
+const { toCallback } = require("../../database/transaction");
+
+/**
+ * MemoryProjectRepository Class
+ * Implementasi IRepository untuk Project tanpa SQLite (lihat MemoryStore)
+ * Perilakunya sama dengan ProjectRepository
+ * Demonstrasi: Interface Implementation, Polymorphism
+ */
+class MemoryProjectRepository extends IRepository {
+  /**
+   * Constructor
+   * @param {MemoryStore} store - Store bersama untuk Project, Board dan Task
+   */
+  constructor(store) {
+    super();
+    this._store = store;
+  }
+
+  /**
+   * Create Project
+   * @param {Object} data - { title: string, owner_id?: number }
+   * @param {Function} callback - Callback(err, project)
+   */
+  create(data, callback) {
+    const work = this._store.transaction((store) => {
+      if (!data || !data.title) {
+        throw new ValidationError("title is required");
+      }
+      const project = new Project(null, data.title);
+      if (!project.validate()) {
+        throw new ValidationError("Invalid project data");
+      }
+
+      const now = new Date().toISOString();
+      const row = store.insert("Project", {
+        title: project.getTitle(),
+        created_at: now,
+        updated_at: now,
+      });
+      if (data.owner_id) {
+        if (!store.get("User", data.owner_id)) {
+          throw new NotFoundError("User not found");
+        }
+        store.insert("ProjectMember", {
+          project_id: row.id,
+          user_id: data.owner_id,
+          role: "owner",
+          created_at: now,
+          updated_at: now,
+        });
+      }
+      return Project.fromRow(row);
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Get all Projects
+   * @param {Function} callback - Callback(err, projects)
+   */
+  getAll(callback) {
+    const projects = this._store
+      .all("Project")
+      .map((row) => Project.fromRow(row));
+
+    return toCallback(Promise.resolve(projects), callback);
+  }
+
+  /**
+   * Get Project by ID
+   * @param {number} id - Project ID
+   * @param {Function} callback - Callback(err, project)
+   */
+  getById(id, callback) {
+    const row = this._store.get("Project", id);
+
+    return toCallback(
+      Promise.resolve(row ? Project.fromRow(row) : null),
+      callback
+    );
+  }
+
+  /**
+   * Update Project
+   * @param {number} id - Project ID
+   * @param {Object} data - { title: string }
+   * @param {Function} callback - Callback(err, project)
+   */
+  update(id, data, callback) {
+    const work = this._store.transaction((store) => {
+      if (!data || !data.title) {
+        throw new ValidationError("title is required");
+      }
+      const project = new Project(id, data.title);
+      if (!project.validate()) {
+        throw new ValidationError("Invalid project data");
+      }
+
+      const changes = store.update("Project", id, {
+        title: project.getTitle(),
+        updated_at: new Date().toISOString(),
+      });
+      if (changes === 0) {
+        throw new NotFoundError("Project not found");
+      }
+      return Project.fromRow(store.get("Project", id));
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Delete Project beserta semua Board dan Task di dalamnya
+   * @param {number} id - Project ID
+   * @param {Function} callback - Callback(err)
+   */
+  delete(id, callback) {
+    const work = this._store.transaction((store) => {
+      const project = store.get("Project", id);
+      if (!project) {
+        throw new NotFoundError("Project not found");
+      }
+
+      const boardIds = new Set(
+        store
+          .all("Board", (row) => row.project_id === project.id)
+          .map((row) => row.id)
+      );
+      store.delete("Task", (row) => boardIds.has(row.board_id));
+      store.delete("Board", (row) => boardIds.has(row.id));
+      store.delete("ProjectMember", (row) => row.project_id === project.id);
+      store.delete("Project", (row) => row.id === project.id);
+    });
+
+    return toCallback(work, callback);
+  }
+}
+
+module.exports = MemoryProjectRepository;
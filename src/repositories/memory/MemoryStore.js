@@ -0,0 +1,203 @@
+// Table yang disimpan, sama dengan table SQLite
+const TABLES = [
+  "Project",
+  "Board",
+  "Task",
+  "Activity",
+  "User",
+  "ProjectMember",
+  "ApiToken",
+  "TaskAssignee",
+  "Label",
+  "TaskLabel",
+];
+
+// Row anak yang ikut terhapus bersama row induknya, padanan
+// FOREIGN KEY ... ON DELETE CASCADE: table induk => [[table anak, kolom]]
+const CASCADES = {
+  Project: [["Label", "project_id"]],
+  Task: [
+    ["TaskAssignee", "task_id"],
+    ["TaskLabel", "task_id"],
+  ],
+  User: [["TaskAssignee", "user_id"]],
+  Label: [["TaskLabel", "label_id"]],
+};
+
+/**
+ * MemoryStore Class
+ * Penyimpanan in-memory bersama untuk repository memory
+ *
+ * Row disimpan dengan bentuk yang sama seperti row SQLite (snake_case,
+ * timestamp ISO string) sehingga Entity.fromRow bisa dipakai apa adanya.
+ * Row selalu dikembalikan sebagai salinan, jadi perubahan hanya terjadi
+ * lewat method store.
+ * Demonstrasi: Encapsulation
+ */
+class MemoryStore {
+  /**
+   * Constructor - store baru selalu berisi project default
+   * (sama seperti migration 004_create_projects)
+   */
+  constructor() {
+    this._tables = {};
+    this._nextIds = {};
+    TABLES.forEach((table) => {
+      this._tables[table] = new Map();
+      this._nextIds[table] = 1;
+    });
+
+    const now = new Date().toISOString();
+    this.insert("Project", {
+      title: "Default Project",
+      created_at: now,
+      updated_at: now,
+    });
+  }
+
+  /**
+   * Simpan row baru dengan ID auto increment
+   * @param {string} table - Nama table
+   * @param {Object} row - Data row (tanpa id)
+   * @returns {Object} Salinan row yang tersimpan
+   */
+  insert(table, row) {
+    const id = this._nextIds[table]++;
+    const stored = { ...row, id };
+    this._tables[table].set(id, stored);
+    return { ...stored };
+  }
+
+  /**
+   * Ambil satu row berdasarkan ID (ID string dari URL ikut dicocokkan)
+   * @param {string} table - Nama table
+   * @param {number|string} id - Row ID
+   * @returns {Object|undefined} Salinan row
+   */
+  get(table, id) {
+    const row = this._tables[table].get(Number(id));
+    return row ? { ...row } : undefined;
+  }
+
+  /**
+   * Ambil semua row yang cocok dengan filter
+   * @param {string} table - Nama table
+   * @param {Function} predicate - (row) => boolean (opsional)
+   * @returns {Object[]} Salinan row, urut berdasarkan ID
+   */
+  all(table, predicate = () => true) {
+    return [...this._tables[table].values()]
+      .filter(predicate)
+      .map((row) => ({ ...row }));
+  }
+
+  /**
+   * Ubah sebagian field satu row
+   * @param {string} table - Nama table
+   * @param {number|string} id - Row ID
+   * @param {Object} changes - Field yang diubah
+   * @returns {number} Jumlah row yang berubah (0 atau 1)
+   */
+  update(table, id, changes) {
+    const row = this._tables[table].get(Number(id));
+    if (!row) {
+      return 0;
+    }
+    Object.assign(row, changes);
+    return 1;
+  }
+
+  /**
+   * Hapus semua row yang cocok dengan filter (row anak ikut terhapus,
+   * lihat CASCADES)
+   * @param {string} table - Nama table
+   * @param {Function} predicate - (row) => boolean
+   * @returns {number} Jumlah row yang dihapus
+   */
+  delete(table, predicate) {
+    const removed = new Set();
+    for (const [id, row] of this._tables[table]) {
+      if (predicate(row)) {
+        this._tables[table].delete(id);
+        removed.add(id);
+      }
+    }
+    if (removed.size > 0) {
+      (CASCADES[table] || []).forEach(([child, column]) =>
+        this.delete(child, (row) => removed.has(row[column]))
+      );
+    }
+    return removed.size;
+  }
+
+  /**
+   * Ambil urutan row dalam satu scope (padanan loadOrder di ordering.js)
+   * @param {string} table - Nama table
+   * @param {Function} predicate - Filter scope, misal row.board_id === 1
+   * @returns {Object[]} Salinan row urut berdasarkan position lalu ID
+   */
+  order(table, predicate) {
+    return this.all(table, predicate).sort(
+      (a, b) => a.position - b.position || a.id - b.id
+    );
+  }
+
+  /**
+   * Tulis ulang position sesuai urutan array sehingga menjadi 0..n-1
+   * (padanan writeOrder di ordering.js)
+   * @param {string} table - Nama table
+   * @param {Object[]} rows - Row { id, position } dalam urutan baru
+   * @param {string} now - Timestamp updated_at
+   */
+  writeOrder(table, rows, now) {
+    rows.forEach((row, index) => {
+      if (row.position !== index) {
+        this.update(table, row.id, { position: index, updated_at: now });
+      }
+    });
+  }
+
+  /**
+   * Jalankan beberapa perubahan secara atomik
+   * Jika work melempar error, seluruh store dikembalikan ke kondisi awal
+   * (padanan withTransaction untuk SQLite)
+   * @param {Function} work - (store) => result, harus synchronous
+   * @returns {Promise<*>} Hasil dari work
+   */
+  transaction(work) {
+    return Promise.resolve().then(() => {
+      const snapshot = this._snapshot();
+      try {
+        return work(this);
+      } catch (err) {
+        this._restore(snapshot);
+        throw err;
+      }
+    });
+  }
+
+  /**
+   * Salin seluruh isi store (dipakai untuk rollback)
+   * @returns {Object} { tables, nextIds }
+   */
+  _snapshot() {
+    const tables = {};
+    TABLES.forEach((table) => {
+      tables[table] = new Map(
+        [...this._tables[table]].map(([id, row]) => [id, { ...row }])
+      );
+    });
+    return { tables, nextIds: { ...this._nextIds } };
+  }
+
+  /**
+   * Kembalikan isi store dari snapshot
+   * @param {Object} snapshot - Hasil _snapshot
+   */
+  _restore(snapshot) {
+    this._tables = snapshot.tables;
+    this._nextIds = snapshot.nextIds;
+  }
+}
+
+module.exports = MemoryStore;
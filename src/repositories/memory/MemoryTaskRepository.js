@@ -0,0 +1,1212 @@
+const IRepository = require("../../interfaces/IRepository");
+const { Task } = require("../../models/Task");
+const {
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+} = require("../../errors");
+const { toCallback } = require("../../database/transaction");
+const { searchTerms } = require("../../database/searchIndex");
+const { recordActivity } = require("./activityLog");
+const { inProjectScope } = require("../../database/projectScope");
+const { clampPosition, isSamePermutation } = require("../../database/ordering");
+const { taskFromRow } = require("./taskRelations");
+
+/**
+ * Bandingkan dua daftar nilai sort; null selalu di akhir (NULLS LAST)
+ * @param {Array} a - Nilai task pertama
+ * @param {Array} b - Nilai task kedua
+ * @param {boolean} descending - Urutan menurun
+ * @returns {number} Negatif, nol atau positif
+ */
+const compareKeys = (a, b, descending) => {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) {
+      continue;
+    }
+    if (a[i] === null) {
+      return 1;
+    }
+    if (b[i] === null) {
+      return -1;
+    }
+    const result = a[i] < b[i] ? -1 : 1;
+    return descending ? -result : result;
+  }
+  return 0;
+};
+
+/**
+ * Tandai kata yang diawali salah satu term dengan <mark>...</mark>
+ * @param {string} text - Teks asli
+ * @param {string[]} terms - Kata pencarian (huruf kecil)
+ * @returns {Object} { text: string, hits: number }
+ */
+const highlightTerms = (text, terms) => {
+  let hits = 0;
+  const marked = text.replace(/[\p{L}\p{N}_]+/gu, (word) => {
+    if (!terms.some((term) => word.toLowerCase().startsWith(term))) {
+      return word;
+    }
+    hits++;
+    return `<mark>${word}</mark>`;
+  });
+  return { text: marked, hits };
+};
+
+/**
+ * Potong teks yang sudah di-highlight menjadi +-12 kata di sekitar
+ * kecocokan pertama (padanan snippet() FTS5)
+ * @param {string} text - Teks hasil highlightTerms
+ * @returns {string} Potongan teks dengan "…" di bagian yang dibuang
+ */
+const snippetOf = (text) => {
+  const words = text.split(/\s+/);
+  const first = Math.max(
+    words.findIndex((word) => word.includes("<mark>")),
+    0
+  );
+  const start = Math.max(Math.min(first - 2, words.length - 12), 0);
+  const end = start + 12;
+  return `${start > 0 ? "…" : ""}${words.slice(start, end).join(" ")}${
+    end < words.length ? "…" : ""
+  }`;
+};
+
+/**
+ * MemoryTaskRepository Class
+ * Implementasi IRepository untuk Task tanpa SQLite (lihat MemoryStore)
+ * Insert, reorder, move dan setOrder mengikuti aturan TaskRepository:
+ * position 0-based dan rapat (0..n-1) per board
+ * Demonstrasi: Interface Implementation, Polymorphism
+ */
+class MemoryTaskRepository extends IRepository {
+  /**
+   * Constructor
+   * @param {MemoryStore} store - Store bersama untuk Project, Board dan Task
+   */
+  constructor(store) {
+    super();
+    this._store = store;
+  }
+
+  /**
+   * Create Task - disisipkan di position tujuan, default di akhir column
+   * @param {Object} data - { title: string, position?: number, board_id: number,
+   *   description?, due_date?, priority?, estimate? }
+   * @param {Function} callback - Callback(err, task)
+   */
+  create(data, callback) {
+    const work = this._store.transaction((store) => {
+      if (!data || !data.title || !data.board_id) {
+        throw new ValidationError("title and board_id are required");
+      }
+      const task = new Task(null, "", data.position, data.board_id);
+      // setTitle men-trim judul, sama seperti patch
+      task.setTitle(data.title);
+      if (!task.validate()) {
+        throw new ValidationError("Invalid task data");
+      }
+      task.applyDetails(data);
+      this._assertBoardExists(task.getBoardId());
+
+      const now = new Date().toISOString();
+      const order = this._order(task.getBoardId());
+      const index = clampPosition(data.position, order.length);
+      const row = store.insert("Task", {
+        title: task.getTitle(),
+        position: index,
+        board_id: task.getBoardId(),
+        ...task.getDetails(),
+        created_at: now,
+        updated_at: now,
+      });
+
+      order.splice(index, 0, row);
+      store.writeOrder("Task", order, now);
+
+      const created = store.get("Task", row.id);
+      this._recordActivity("create", null, created, now);
+      return this._toTask(created);
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Get all Tasks
+   * @param {Function} callback - Callback(err, tasks)
+   */
+  getAll(callback) {
+    const tasks = this._store
+      .all("Task", (row) => !row.deleted_at && !row.archived_at)
+      .sort((a, b) => a.position - b.position || a.id - b.id)
+      .map((row) => this._toTask(row));
+
+    return toCallback(Promise.resolve(tasks), callback);
+  }
+
+  /**
+   * Find Tasks - filter, sort dan pagination (padanan TaskRepository.find)
+   * @param {Object} query - { filters?, sort?, limit?, offset? }
+   * @param {Function} callback - Callback(err, { tasks, total })
+   */
+  find(query = {}, callback) {
+    const { filters = {}, sort = [], limit, offset = 0 } = query;
+    const boards = new Map(
+      this._store.all("Board").map((board) => [board.id, board])
+    );
+    const rows = this._store
+      .all("Task", (row) =>
+        this._matches(row, boards.get(row.board_id), filters)
+      )
+      .map((row) => ({
+        row,
+        keys: sort.map(({ field }) =>
+          this._sortKey(row, boards.get(row.board_id), field)
+        ),
+      }))
+      .sort(
+        (a, b) =>
+          sort.reduce(
+            (result, { direction }, index) =>
+              result ||
+              compareKeys(a.keys[index], b.keys[index], direction === "desc"),
+            0
+          ) || a.row.id - b.row.id
+      );
+
+    const end = limit === undefined ? undefined : offset + limit;
+    return toCallback(
+      Promise.resolve({
+        tasks: rows.slice(offset, end).map(({ row }) => this._toTask(row)),
+        total: rows.length,
+      }),
+      callback
+    );
+  }
+
+  /**
+   * Search Tasks - padanan TaskRepository.search tanpa FTS5
+   * Semua kata harus cocok (prefix) di title atau description; kecocokan di
+   * title diberi bobot lebih tinggi
+   * @param {Object} query - { q: string, project_id?: number|number[],
+   *   include_archived?: boolean, limit?, offset? }
+   * @param {Function} callback - Callback(err, { hits, total })
+   */
+  search(query, callback) {
+    const {
+      q,
+      project_id,
+      include_archived = false,
+      limit,
+      offset = 0,
+    } = query || {};
+    const terms = searchTerms(q || "");
+    const boards = new Map(
+      this._store.all("Board").map((board) => [board.id, board])
+    );
+
+    const hits = this._store
+      .all(
+        "Task",
+        (row) =>
+          !row.deleted_at &&
+          (include_archived || !row.archived_at) &&
+          inProjectScope(project_id, boards.get(row.board_id).project_id)
+      )
+      .map((row) => {
+        const title = highlightTerms(row.title, terms);
+        const description = highlightTerms(row.description || "", terms);
+        const words = searchTerms(`${row.title} ${row.description || ""}`);
+        return {
+          row,
+          matched:
+            terms.length > 0 &&
+            terms.every((term) => words.some((word) => word.startsWith(term))),
+          score: title.hits * 10 + description.hits,
+          highlight: {
+            title: title.text,
+            description: description.hits ? snippetOf(description.text) : null,
+          },
+        };
+      })
+      .filter((hit) => hit.matched)
+      .sort((a, b) => b.score - a.score || a.row.id - b.row.id);
+
+    const end = limit === undefined ? undefined : offset + limit;
+    return toCallback(
+      Promise.resolve({
+        hits: hits.slice(offset, end).map(({ row, highlight }) => ({
+          task: this._toTask(row),
+          boardTitle: boards.get(row.board_id).title,
+          highlight,
+        })),
+        total: hits.length,
+      }),
+      callback
+    );
+  }
+
+  /**
+   * Get Task by ID
+   * @param {number} id - Task ID
+   * @param {Function} callback - Callback(err, task)
+   */
+  getById(id, callback) {
+    const row = this._get(id);
+
+    return toCallback(
+      Promise.resolve(row ? this._toTask(row) : null),
+      callback
+    );
+  }
+
+  /**
+   * Get Tasks by Board ID (urut berdasarkan position)
+   * @param {number} board_id - Board ID
+   * @param {Function} callback - Callback(err, tasks)
+   */
+  getByBoardId(board_id, callback) {
+    const tasks = this._order(Number(board_id)).map((row) => this._toTask(row));
+
+    return toCallback(Promise.resolve(tasks), callback);
+  }
+
+  /**
+   * Update Task - title, position dan board_id wajib (lihat patch)
+   * @param {number} id - Task ID
+   * @param {Object} data - { title, position, board_id, ...detail }
+   * @param {Function} callback - Callback(err, task)
+   */
+  update(id, data, callback) {
+    if (!data || !data.title || data.position === undefined || !data.board_id) {
+      return toCallback(
+        Promise.reject(
+          new ValidationError("title, position, and board_id are required")
+        ),
+        callback
+      );
+    }
+
+    return this.patch(id, data, callback);
+  }
+
+  /**
+   * Patch Task - Update sebagian field
+   * Pindah board tanpa position menaruh task di akhir column tujuan
+   * @param {number} id - Task ID
+   * @param {Object} data - Sebagian dari { title, position, board_id,
+   *   description, due_date, priority, estimate }
+   * @param {Function} callback - Callback(err, task)
+   */
+  patch(id, data, callback) {
+    const work = this._store.transaction((store) => {
+      if (!data || typeof data !== "object") {
+        throw new ValidationError("Patch data is required");
+      }
+      const row = this._get(id);
+      if (!row) {
+        throw new NotFoundError("Task not found");
+      }
+      if (data.board_id !== undefined || data.position !== undefined) {
+        this._assertNotArchived(row);
+      }
+
+      const task = this._toTask(row);
+      const changed = [];
+      if (data.title !== undefined) {
+        task.setTitle(data.title);
+        changed.push("title");
+      }
+      changed.push(...task.applyDetails(data));
+      if (data.board_id !== undefined) {
+        task.setBoardId(data.board_id);
+      }
+      if (data.position !== undefined) {
+        task.setPosition(data.position);
+      }
+
+      const now = new Date().toISOString();
+      if (changed.length > 0) {
+        const values = { title: task.getTitle(), ...task.getDetails() };
+        const changes = { updated_at: now };
+        changed.forEach((field) => {
+          changes[field] = values[field];
+        });
+        store.update("Task", row.id, changes);
+      }
+
+      const boardChanged = task.getBoardId() !== row.board_id;
+      if (boardChanged) {
+        this._assertBoardExists(task.getBoardId());
+        this._dropForeignLabels(row.id, task.getBoardId(), now);
+        this._dropForeignAssignees(row.id, task.getBoardId(), now);
+      }
+      if (boardChanged || data.position !== undefined) {
+        this._placeTask(row, task.getBoardId(), data.position, now);
+      }
+
+      const updated = store.get("Task", row.id);
+      this._recordActivity(boardChanged ? "move" : "update", row, updated, now);
+      return this._toTask(updated);
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Delete Task - pindahkan ke trash, position task lain dirapatkan kembali
+   * @param {number} id - Task ID
+   * @param {Function} callback - Callback(err)
+   */
+  delete(id, callback) {
+    const work = this._store.transaction((store) => {
+      const task = this._get(id);
+      if (!task) {
+        throw new NotFoundError("Task not found");
+      }
+
+      const now = new Date().toISOString();
+      store.update("Task", task.id, { deleted_at: now, updated_at: now });
+      store.writeOrder("Task", this._order(task.board_id), now);
+      this._recordActivity("delete", task, null, now);
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Get Trash - semua task yang sedang di trash, terbaru lebih dulu
+   * @param {number|number[]} projectId - Hanya task di project ini (opsional)
+   * @param {Function} callback - Callback(err, tasks)
+   */
+  getTrash(projectId, callback) {
+    if (typeof projectId === "function") {
+      callback = projectId;
+      projectId = null;
+    }
+    const tasks = this._store
+      .all(
+        "Task",
+        (row) => Boolean(row.deleted_at) && this._inProject(row, projectId)
+      )
+      .sort((a, b) => b.deleted_at.localeCompare(a.deleted_at) || b.id - a.id)
+      .map((row) => this._toTask(row));
+
+    return toCallback(Promise.resolve(tasks), callback);
+  }
+
+  /**
+   * Restore Task dari trash (aturan sama dengan TaskRepository.restore)
+   * @param {number} id - Task ID
+   * @param {Object} options - { board_id?: number, position?: number } (opsional)
+   * @param {Function} callback - Callback(err, task)
+   */
+  restore(id, options, callback) {
+    if (typeof options === "function") {
+      callback = options;
+      options = {};
+    }
+    const { board_id, position } = options || {};
+
+    const work = this._store.transaction((store) => {
+      const row = store.get("Task", id);
+      if (!row || !row.deleted_at) {
+        throw new NotFoundError("Task not found in trash");
+      }
+
+      const boardId = board_id || row.board_id;
+      const board = store.get("Board", boardId);
+      if (!board || (board.deleted_at && board_id)) {
+        throw new NotFoundError("Board not found");
+      }
+      if (board.deleted_at) {
+        throw new ConflictError(
+          "The task's board is in the trash; restore it first or choose board_id"
+        );
+      }
+
+      const now = new Date().toISOString();
+      if (boardId !== row.board_id) {
+        this._dropForeignLabels(row.id, boardId, now);
+        this._dropForeignAssignees(row.id, boardId, now);
+      }
+      const order = this._order(boardId);
+      const index = clampPosition(
+        position ?? (board_id ? null : row.position),
+        order.length
+      );
+      store.update("Task", row.id, {
+        board_id: boardId,
+        deleted_at: null,
+        deleted_with_board: 0,
+        archived_at: null,
+        updated_at: now,
+      });
+      order.splice(index, 0, { id: row.id, position: null });
+      store.writeOrder("Task", order, now);
+
+      const restored = store.get("Task", row.id);
+      this._recordActivity("restore", row, restored, now);
+      return this._toTask(restored);
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Purge - hapus permanen task yang masuk trash sebelum waktu tertentu
+   * @param {Date} before - Batas waktu deleted_at
+   * @param {number|number[]} projectId - Hanya task di project ini (opsional)
+   * @param {Function} callback - Callback(err, purgedCount)
+   */
+  purge(before, projectId, callback) {
+    if (typeof projectId === "function") {
+      callback = projectId;
+      projectId = null;
+    }
+
+    const work = this._store.transaction((store) =>
+      store.delete(
+        "Task",
+        (row) =>
+          row.deleted_at &&
+          row.deleted_at < before.toISOString() &&
+          this._inProject(row, projectId)
+      )
+    );
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Archive Task - keluarkan task dari column, position task lain dirapatkan
+   * @param {number} id - Task ID
+   * @param {Function} callback - Callback(err, task)
+   */
+  archive(id, callback) {
+    const work = this._store.transaction((store) => {
+      const row = this._get(id);
+      if (!row) {
+        throw new NotFoundError("Task not found");
+      }
+      if (row.archived_at) {
+        throw new ConflictError("Task is already archived");
+      }
+
+      const now = new Date().toISOString();
+      store.update("Task", row.id, { archived_at: now, updated_at: now });
+      store.writeOrder("Task", this._order(row.board_id), now);
+
+      const archived = store.get("Task", row.id);
+      this._recordActivity("archive", row, archived, now);
+      return this._toTask(archived);
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Unarchive Task - kembalikan ke akhir column asal atau column pilihan
+   * (aturan sama dengan TaskRepository.unarchive)
+   * @param {number} id - Task ID
+   * @param {Object} options - { board_id?: number } (opsional)
+   * @param {Function} callback - Callback(err, task)
+   */
+  unarchive(id, options, callback) {
+    if (typeof options === "function") {
+      callback = options;
+      options = {};
+    }
+    const { board_id } = options || {};
+
+    const work = this._store.transaction((store) => {
+      const row = this._get(id);
+      if (!row) {
+        throw new NotFoundError("Task not found");
+      }
+      if (!row.archived_at) {
+        throw new ConflictError("Task is not archived");
+      }
+
+      const boardId = board_id || row.board_id;
+      if (board_id) {
+        this._assertBoardExists(boardId);
+      } else if (store.get("Board", boardId).deleted_at) {
+        throw new ConflictError(
+          "The task's board is in the trash; restore it first or choose board_id"
+        );
+      }
+
+      const now = new Date().toISOString();
+      if (boardId !== row.board_id) {
+        this._dropForeignLabels(row.id, boardId, now);
+        this._dropForeignAssignees(row.id, boardId, now);
+      }
+      store.update("Task", row.id, {
+        board_id: boardId,
+        position: this._order(boardId).length,
+        archived_at: null,
+        updated_at: now,
+      });
+
+      const unarchived = store.get("Task", row.id);
+      this._recordActivity("unarchive", row, unarchived, now);
+      return this._toTask(unarchived);
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Get Archived - task yang diarsipkan, terbaru lebih dulu
+   * (filter sama dengan TaskRepository.getArchived)
+   * @param {Object} query - { filters?: { board_id?, project_id?,
+   *   archived_from?, archived_to? }, limit?, offset? }
+   * @param {Function} callback - Callback(err, { tasks, total })
+   */
+  getArchived(query = {}, callback) {
+    const { filters = {}, limit, offset = 0 } = query;
+    const rows = this._store
+      .all("Task", (row) => {
+        if (row.deleted_at || !row.archived_at) {
+          return false;
+        }
+        const archivedOn = row.archived_at.slice(0, 10);
+        return (
+          (filters.board_id === undefined ||
+            row.board_id === filters.board_id) &&
+          this._inProject(row, filters.project_id) &&
+          (!filters.archived_from || archivedOn >= filters.archived_from) &&
+          (!filters.archived_to || archivedOn <= filters.archived_to)
+        );
+      })
+      .sort(
+        (a, b) => b.archived_at.localeCompare(a.archived_at) || b.id - a.id
+      );
+
+    const end = limit === undefined ? undefined : offset + limit;
+    return toCallback(
+      Promise.resolve({
+        tasks: rows.slice(offset, end).map((row) => this._toTask(row)),
+        total: rows.length,
+      }),
+      callback
+    );
+  }
+
+  /**
+   * Reorder Tasks - Swap positions between two tasks
+   * @param {number} taskId1 - First task ID
+   * @param {number} taskId2 - Second task ID
+   * @param {Function} callback - Callback(err)
+   */
+  reorder(taskId1, taskId2, callback) {
+    const work = this._store.transaction((store) => {
+      if (!taskId1 || !taskId2) {
+        throw new ValidationError("Both task IDs are required");
+      }
+      const task1 = this._get(taskId1);
+      if (!task1) {
+        throw new NotFoundError("Task 1 not found");
+      }
+      this._assertNotArchived(task1);
+      const task2 = this._get(taskId2);
+      if (!task2) {
+        throw new NotFoundError("Task 2 not found");
+      }
+      this._assertNotArchived(task2);
+      if (task1.board_id !== task2.board_id) {
+        throw new ValidationError(
+          "Tasks must be in the same board; use move to change boards"
+        );
+      }
+
+      const now = new Date().toISOString();
+      store.update("Task", task1.id, {
+        position: task2.position,
+        updated_at: now,
+      });
+      store.update("Task", task2.id, {
+        position: task1.position,
+        updated_at: now,
+      });
+      this._recordActivity(
+        "reorder",
+        task1,
+        { ...task1, position: task2.position },
+        now
+      );
+      this._recordActivity(
+        "reorder",
+        task2,
+        { ...task2, position: task1.position },
+        now
+      );
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Reorder Task by Position - Pindahkan task di dalam board-nya
+   * @param {number} taskId - Task ID
+   * @param {number} newPosition - Position baru (0-based)
+   * @param {Function} callback - Callback(err)
+   */
+  reorderByPosition(taskId, newPosition, callback) {
+    const work = this._store.transaction((store) => {
+      if (!taskId || newPosition === undefined) {
+        throw new ValidationError("Task ID and new position are required");
+      }
+      const task = this._get(taskId);
+      if (!task) {
+        throw new NotFoundError("Task not found");
+      }
+      this._assertNotArchived(task);
+
+      const now = new Date().toISOString();
+      this._placeTask(task, task.board_id, newPosition, now);
+      this._recordActivity("reorder", task, store.get("Task", task.id), now);
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Move Task to Another Board
+   * @param {number} taskId - Task ID to move
+   * @param {number} newBoardId - New board ID
+   * @param {number} newPosition - Position in the new board (optional, default: akhir column)
+   * @param {Function} callback - Callback(err, { task, source, target })
+   */
+  moveToBoard(taskId, newBoardId, newPosition, callback) {
+    const work = this._store.transaction((store) => {
+      if (!taskId || !newBoardId) {
+        throw new ValidationError("Task ID and new board ID are required");
+      }
+      const task = this._get(taskId);
+      if (!task) {
+        throw new NotFoundError("Task not found");
+      }
+      this._assertNotArchived(task);
+      if (task.board_id === newBoardId) {
+        throw new ConflictError("Task is already in this board");
+      }
+
+      this._assertBoardExists(newBoardId);
+      const now = new Date().toISOString();
+      this._dropForeignLabels(task.id, newBoardId, now);
+      this._dropForeignAssignees(task.id, newBoardId, now);
+      this._placeTask(task, newBoardId, newPosition, now);
+
+      const moved = store.get("Task", task.id);
+      this._recordActivity("move", task, moved, now);
+      return {
+        task: this._toTask(moved),
+        source: this._column(task.board_id),
+        target: this._column(newBoardId),
+      };
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Set Order - Tulis ulang urutan seluruh task dalam satu board
+   * @param {number} boardId - Board ID
+   * @param {number[]} taskIds - Task ID dalam urutan baru
+   * @param {Function} callback - Callback(err, { boardId, tasks })
+   */
+  setOrder(boardId, taskIds, callback) {
+    const work = this._store.transaction((store) => {
+      if (!boardId || !Array.isArray(taskIds)) {
+        throw new ValidationError("Board ID and task IDs are required");
+      }
+      this._assertBoardExists(boardId);
+
+      const current = this._order(boardId);
+      if (!isSamePermutation(current, taskIds)) {
+        throw new ConflictError(
+          "taskIds must list every task in the board exactly once"
+        );
+      }
+
+      const byId = new Map(current.map((row) => [row.id, row]));
+      const now = new Date().toISOString();
+      store.writeOrder(
+        "Task",
+        taskIds.map((id) => byId.get(id)),
+        now
+      );
+      taskIds.forEach((id, index) => {
+        const row = byId.get(id);
+        if (row.position !== index) {
+          this._recordActivity(
+            "reorder",
+            row,
+            { ...row, position: index },
+            now
+          );
+        }
+      });
+      return this._column(boardId);
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Add Assignee - tugaskan user ke task (task di trash dianggap tidak ada)
+   * @param {number} taskId - Task ID
+   * @param {number} userId - User ID
+   * @param {Function} callback - Callback(err, task)
+   */
+  addAssignee(taskId, userId, callback) {
+    const work = this._store.transaction((store) => {
+      const row = this._get(taskId);
+      if (!row) {
+        throw new NotFoundError("Task not found");
+      }
+      if (!store.get("User", userId)) {
+        throw new NotFoundError("User not found");
+      }
+      if (this._assignment(row.id, userId)) {
+        throw new ConflictError("User is already assigned to this task", {
+          code: "ALREADY_ASSIGNED",
+        });
+      }
+
+      const now = new Date().toISOString();
+      store.insert("TaskAssignee", {
+        task_id: row.id,
+        user_id: Number(userId),
+        created_at: now,
+      });
+      this._recordActivity(
+        "assign",
+        null,
+        { id: row.id, assignee_id: Number(userId) },
+        now
+      );
+      return this._toTask(row);
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Remove Assignee - lepaskan user dari task
+   * @param {number} taskId - Task ID
+   * @param {number} userId - User ID
+   * @param {Function} callback - Callback(err, task)
+   */
+  removeAssignee(taskId, userId, callback) {
+    const work = this._store.transaction((store) => {
+      const row = this._get(taskId);
+      if (!row) {
+        throw new NotFoundError("Task not found");
+      }
+      const link = this._assignment(row.id, userId);
+      if (!link) {
+        throw new NotFoundError("Assignee not found");
+      }
+
+      store.delete("TaskAssignee", (item) => item.id === link.id);
+      this._recordActivity(
+        "unassign",
+        { id: row.id, assignee_id: Number(userId) },
+        null,
+        new Date().toISOString()
+      );
+      return this._toTask(row);
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Add Label - pasang label ke task; label harus milik project task tersebut
+   * @param {number} taskId - Task ID
+   * @param {number} labelId - Label ID
+   * @param {Function} callback - Callback(err, task)
+   */
+  addLabel(taskId, labelId, callback) {
+    const work = this._store.transaction((store) => {
+      const row = this._get(taskId);
+      if (!row) {
+        throw new NotFoundError("Task not found");
+      }
+      const label = store.get("Label", labelId);
+      if (!label) {
+        throw new NotFoundError("Label not found");
+      }
+      if (!this._inProject(row, label.project_id)) {
+        throw new ValidationError("Label belongs to another project");
+      }
+      if (this._labeling(row.id, labelId)) {
+        throw new ConflictError("Label is already on this task", {
+          code: "ALREADY_LABELED",
+        });
+      }
+
+      const now = new Date().toISOString();
+      store.insert("TaskLabel", {
+        task_id: row.id,
+        label_id: label.id,
+        created_at: now,
+      });
+      this._recordActivity(
+        "label",
+        null,
+        { id: row.id, label_id: label.id },
+        now
+      );
+      return this._toTask(row);
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Remove Label - lepaskan label dari task
+   * @param {number} taskId - Task ID
+   * @param {number} labelId - Label ID
+   * @param {Function} callback - Callback(err, task)
+   */
+  removeLabel(taskId, labelId, callback) {
+    const work = this._store.transaction((store) => {
+      const row = this._get(taskId);
+      if (!row) {
+        throw new NotFoundError("Task not found");
+      }
+      const link = this._labeling(row.id, labelId);
+      if (!link) {
+        throw new NotFoundError("Label is not on this task");
+      }
+
+      store.delete("TaskLabel", (item) => item.id === link.id);
+      this._recordActivity(
+        "unlabel",
+        { id: row.id, label_id: Number(labelId) },
+        null,
+        new Date().toISOString()
+      );
+      return this._toTask(row);
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Get Assigned - task aktif milik satu assignee, dikelompokkan per column
+   * (urutan sama dengan find sort "position")
+   * @param {number} userId - Assignee
+   * @param {number|number[]} projectId - Hanya project ini (opsional)
+   * @param {Function} callback - Callback(err, columns)
+   *   columns: [{ boardId, boardTitle, projectId, tasks: Task[] }]
+   */
+  getAssigned(userId, projectId, callback) {
+    if (typeof projectId === "function") {
+      callback = projectId;
+      projectId = null;
+    }
+
+    const work = this.find({
+      filters: {
+        assignee_id: Number(userId),
+        project_id: projectId ?? undefined,
+      },
+      sort: [{ field: "position", direction: "asc" }],
+    }).then(({ tasks }) => {
+      const columns = new Map();
+      tasks.forEach((task) => {
+        if (!columns.has(task.getBoardId())) {
+          const board = this._store.get("Board", task.getBoardId());
+          columns.set(board.id, {
+            boardId: board.id,
+            boardTitle: board.title,
+            projectId: board.project_id,
+            tasks: [],
+          });
+        }
+        columns.get(task.getBoardId()).tasks.push(task);
+      });
+      return [...columns.values()];
+    });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Row TaskAssignee untuk satu task dan user
+   * @param {number} taskId - Task ID
+   * @param {number} userId - User ID
+   * @returns {Object|undefined} Row TaskAssignee
+   */
+  _assignment(taskId, userId) {
+    const [link] = this._store.all(
+      "TaskAssignee",
+      (item) => item.task_id === taskId && item.user_id === Number(userId)
+    );
+    return link;
+  }
+
+  /**
+   * Row TaskLabel untuk satu task dan label
+   * @param {number} taskId - Task ID
+   * @param {number} labelId - Label ID
+   * @returns {Object|undefined} Row TaskLabel
+   */
+  _labeling(taskId, labelId) {
+    const [link] = this._store.all(
+      "TaskLabel",
+      (item) => item.task_id === taskId && item.label_id === Number(labelId)
+    );
+    return link;
+  }
+
+  /**
+   * Cek apakah task ada di project tertentu (lewat column-nya)
+   * @param {Object} row - Row task
+   * @param {number|number[]|null} projectId - Project ID atau daftar project ID
+   * @returns {boolean} True jika lolos filter (selalu true tanpa filter)
+   */
+  _inProject(row, projectId) {
+    return inProjectScope(
+      projectId,
+      this._store.get("Board", row.board_id).project_id
+    );
+  }
+
+  /**
+   * Cek apakah row task lolos filter find (aturan sama dengan _buildFilter)
+   * @param {Object} row - Row task
+   * @param {Object} board - Row board milik task
+   * @param {Object} filters - Lihat TaskRepository.find
+   * @returns {boolean} True jika task ikut di hasil
+   */
+  _matches(row, board, filters) {
+    const dueDate = row.due_date ? row.due_date.slice(0, 10) : null;
+    return (
+      !row.deleted_at &&
+      !row.archived_at &&
+      (filters.board_id === undefined || row.board_id === filters.board_id) &&
+      (filters.assignee_id === undefined ||
+        Boolean(this._assignment(row.id, filters.assignee_id))) &&
+      (!filters.label_ids ||
+        filters.label_ids.length === 0 ||
+        filters.label_ids.some((labelId) =>
+          Boolean(this._labeling(row.id, labelId))
+        )) &&
+      inProjectScope(filters.project_id, board.project_id) &&
+      (!filters.title ||
+        row.title.toLowerCase().includes(filters.title.toLowerCase())) &&
+      (!filters.priority ||
+        filters.priority.length === 0 ||
+        filters.priority.includes(row.priority)) &&
+      (!filters.due_from ||
+        (dueDate !== null && dueDate >= filters.due_from)) &&
+      (!filters.due_to || (dueDate !== null && dueDate <= filters.due_to))
+    );
+  }
+
+  /**
+   * Buat Task dari row beserta assignee-nya
+   * @param {Object} row - Row Task
+   * @returns {Task} Task instance
+   */
+  _toTask(row) {
+    return taskFromRow(this._store, row);
+  }
+
+  /**
+   * Nilai pembanding untuk satu sort key (padanan SORT_COLUMNS di Task.js)
+   * @param {Object} row - Row task
+   * @param {Object} board - Row board milik task
+   * @param {string} field - Salah satu Task.SORT_FIELDS
+   * @returns {Array} Nilai yang dibandingkan berurutan
+   */
+  _sortKey(row, board, field) {
+    switch (field) {
+      case "position":
+        return [board.project_id, board.position, row.position];
+      case "title":
+        return [row.title.toLowerCase()];
+      case "priority":
+        return [row.priority ? Task.PRIORITIES.indexOf(row.priority) : null];
+      default:
+        return [row[field] ?? null];
+    }
+  }
+
+  /**
+   * Pastikan board tujuan ada
+   * @param {number} boardId - Board ID
+   */
+  _assertBoardExists(boardId) {
+    const board = this._store.get("Board", boardId);
+    if (!board || board.deleted_at) {
+      throw new NotFoundError("Board not found");
+    }
+  }
+
+  /**
+   * Ambil satu task yang tidak ada di trash
+   * @param {number|string} id - Task ID
+   * @returns {Object|undefined} Row task
+   */
+  _get(id) {
+    const row = this._store.get("Task", id);
+    return row && !row.deleted_at ? row : undefined;
+  }
+
+  /**
+   * Catat perubahan satu task di activity log (padanan
+   * TaskRepository._recordActivity)
+   * @param {string} action - create, update, delete, reorder, move, ...
+   * @param {Object|null} before - Row sebelum perubahan (null untuk create)
+   * @param {Object|null} after - Row setelah perubahan (null untuk delete)
+   * @param {string} now - Timestamp perubahan
+   */
+  _recordActivity(action, before, after, now) {
+    recordActivity(
+      this._store,
+      {
+        entityType: "task",
+        entityId: (before || after).id,
+        action,
+        before,
+        after,
+      },
+      now
+    );
+  }
+
+  /**
+   * Lepaskan label dari project lain sebelum task pindah ke column boardId
+   * (padanan TaskRepository._dropForeignLabels)
+   * @param {number} taskId - Task ID
+   * @param {number} boardId - Column tujuan
+   * @param {string} now - Timestamp perubahan
+   */
+  _dropForeignLabels(taskId, boardId, now) {
+    const projectId = this._store.get("Board", boardId).project_id;
+    this._store
+      .all(
+        "TaskLabel",
+        (link) =>
+          link.task_id === taskId &&
+          this._store.get("Label", link.label_id).project_id !== projectId
+      )
+      .sort((a, b) => a.label_id - b.label_id)
+      .forEach((link) => {
+        this._store.delete("TaskLabel", (item) => item.id === link.id);
+        this._recordActivity(
+          "unlabel",
+          { id: taskId, label_id: link.label_id },
+          null,
+          now
+        );
+      });
+  }
+
+  /**
+   * Lepaskan assignee yang bukan member project column boardId sebelum task
+   * pindah ke sana (padanan TaskRepository._dropForeignAssignees)
+   * @param {number} taskId - Task ID
+   * @param {number} boardId - Column tujuan
+   * @param {string} now - Timestamp perubahan
+   */
+  _dropForeignAssignees(taskId, boardId, now) {
+    const projectId = this._store.get("Board", boardId).project_id;
+    this._store
+      .all(
+        "TaskAssignee",
+        (link) =>
+          link.task_id === taskId &&
+          this._store.all(
+            "ProjectMember",
+            (member) =>
+              member.project_id === projectId && member.user_id === link.user_id
+          ).length === 0
+      )
+      .sort((a, b) => a.user_id - b.user_id)
+      .forEach((link) => {
+        this._store.delete("TaskAssignee", (item) => item.id === link.id);
+        this._recordActivity(
+          "unassign",
+          { id: taskId, assignee_id: link.user_id },
+          null,
+          now
+        );
+      });
+  }
+
+  /**
+   * Tolak perubahan position/board untuk task yang diarsipkan
+   * @param {Object} row - Row task
+   */
+  _assertNotArchived(row) {
+    if (row.archived_at) {
+      throw new ConflictError("Task is archived; unarchive it first");
+    }
+  }
+
+  /**
+   * Ambil urutan task dalam satu board (tanpa task yang diarsipkan)
+   * @param {number} boardId - Board ID
+   * @returns {Object[]} Row task urut berdasarkan position
+   */
+  _order(boardId) {
+    return this._store.order(
+      "Task",
+      (row) => row.board_id === boardId && !row.deleted_at && !row.archived_at
+    );
+  }
+
+  /**
+   * Ambil isi satu column lengkap (dipakai untuk response move/setOrder)
+   * @param {number} boardId - Board ID
+   * @returns {Object} { boardId, tasks: Task[] }
+   */
+  _column(boardId) {
+    return {
+      boardId,
+      tasks: this._order(boardId).map((row) => this._toTask(row)),
+    };
+  }
+
+  /**
+   * Taruh task di board dan position tujuan; column asal dan tujuan
+   * di-resequence sehingga tidak ada position ganda atau bolong
+   * @param {Object} task - Row task saat ini
+   * @param {number} boardId - Board tujuan
+   * @param {number} position - Position tujuan (undefined/null: akhir column)
+   * @param {string} now - Timestamp updated_at
+   */
+  _placeTask(task, boardId, position, now) {
+    const sameBoard = task.board_id === boardId;
+    const source = this._order(task.board_id).filter(
+      (row) => row.id !== task.id
+    );
+    const target = sameBoard ? source : this._order(boardId);
+
+    target.splice(clampPosition(position, target.length), 0, {
+      id: task.id,
+      position: sameBoard ? task.position : null,
+    });
+
+    if (!sameBoard) {
+      this._store.update("Task", task.id, {
+        board_id: boardId,
+        updated_at: now,
+      });
+      this._store.writeOrder("Task", source, now);
+    }
+    this._store.writeOrder("Task", target, now);
+  }
+}
+
+module.exports = MemoryTaskRepository;
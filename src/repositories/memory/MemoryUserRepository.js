@@ -0,0 +1,129 @@
+const IRepository = require("../../interfaces/IRepository");
+const { User } = require("../../models/User");
+const { ConflictError } = require("../../errors");
+const { toCallback } = require("../../database/transaction");
+const { hashPassword, verifyPassword } = require("../../auth/password");
+
+/**
+ * MemoryUserRepository Class
+ * Padanan UserRepository untuk MemoryStore (email unik, password di-hash)
+ * Demonstrasi: Interface Implementation, Polymorphism
+ */
+class MemoryUserRepository extends IRepository {
+  /**
+   * Constructor
+   * @param {MemoryStore} store - Store bersama untuk semua repository memory
+   */
+  constructor(store) {
+    super();
+    this._store = store;
+  }
+
+  /**
+   * Create User - password di-hash sebelum disimpan
+   * @param {Object} data - { email: string, password: string, name?: string }
+   * @param {Function} callback - Callback(err, user)
+   */
+  create(data, callback) {
+    const work = Promise.resolve()
+      .then(() => User.checkRegistration(data))
+      .then(async ({ email, password, name }) => {
+        const passwordHash = await hashPassword(password);
+
+        return this._store.transaction((store) => {
+          if (this._findRow(email)) {
+            throw new ConflictError("Email is already registered", {
+              code: "EMAIL_TAKEN",
+            });
+          }
+          const now = new Date().toISOString();
+          const row = store.insert("User", {
+            email,
+            name,
+            password_hash: passwordHash,
+            created_at: now,
+            updated_at: now,
+          });
+          // User pertama menjadi owner project yang belum punya member
+          if (store.all("User").length === 1) {
+            store
+              .all(
+                "Project",
+                (project) =>
+                  store.all(
+                    "ProjectMember",
+                    (member) => member.project_id === project.id
+                  ).length === 0
+              )
+              .forEach((project) =>
+                store.insert("ProjectMember", {
+                  project_id: project.id,
+                  user_id: row.id,
+                  role: "owner",
+                  created_at: now,
+                  updated_at: now,
+                })
+              );
+          }
+          return User.fromRow(row);
+        });
+      });
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Get User by ID
+   * @param {number} id - User ID
+   * @param {Function} callback - Callback(err, user)
+   */
+  getById(id, callback) {
+    const row = this._store.get("User", id);
+
+    return toCallback(
+      Promise.resolve(row ? User.fromRow(row) : null),
+      callback
+    );
+  }
+
+  /**
+   * Get User by email (tanpa membedakan huruf besar/kecil)
+   * @param {string} email - Email
+   * @param {Function} callback - Callback(err, user)
+   */
+  getByEmail(email, callback) {
+    const row = this._findRow(email);
+
+    return toCallback(
+      Promise.resolve(row ? User.fromRow(row) : null),
+      callback
+    );
+  }
+
+  /**
+   * Cocokkan email dan password untuk login
+   * @param {string} email - Email
+   * @param {string} password - Password asli
+   * @param {Function} callback - Callback(err, user|null)
+   */
+  verifyCredentials(email, password, callback) {
+    const row = this._findRow(email);
+    const work = Promise.resolve(
+      row ? verifyPassword(password, row.password_hash) : false
+    ).then((valid) => (valid ? User.fromRow(row) : null));
+
+    return toCallback(work, callback);
+  }
+
+  /**
+   * Cari row User berdasarkan email yang sudah dinormalisasi
+   * @param {string} email - Email
+   * @returns {Object|undefined} Row User
+   */
+  _findRow(email) {
+    const normalized = User.normalizeEmail(email);
+    return this._store.all("User", (row) => row.email === normalized)[0];
+  }
+}
+
+module.exports = MemoryUserRepository;
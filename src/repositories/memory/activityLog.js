@@ -0,0 +1,26 @@
+const { activityRow, activityBoardId } = require("../../database/activityLog");
+
+/**
+ * Padanan recordActivity untuk MemoryStore: tambah satu entry Activity
+ * dengan project_id dari column entry atau column task saat ini
+ * @param {MemoryStore} store - Store bersama
+ * @param {Object} entry - Lihat activityRow
+ * @param {string} now - Timestamp created_at
+ * @returns {Object} Row Activity yang ditambahkan
+ */
+const recordActivity = (store, entry, now) => {
+  const row = activityRow(entry, now);
+  const task =
+    row.entity_type === "task" ? store.get("Task", row.entity_id) : null;
+  const board = store.get(
+    "Board",
+    activityBoardId(row) ?? (task ? task.board_id : null)
+  );
+
+  return store.insert("Activity", {
+    ...row,
+    project_id: row.project_id ?? (board ? board.project_id : null),
+  });
+};
+
+module.exports = { recordActivity };
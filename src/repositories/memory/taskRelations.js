@@ -0,0 +1,35 @@
+const { Task } = require("../../models/Task");
+
+/**
+ * Padanan src/database/taskRelations.js untuk MemoryStore: buat Task dari
+ * row beserta assignee dan label-nya
+ * @param {MemoryStore} store - Store bersama
+ * @param {Object} row - Row Task
+ * @returns {Task} Task instance
+ */
+const taskFromRow = (store, row) => {
+  const task = Task.fromRow(row);
+  task.setAssignees(
+    store
+      .all("TaskAssignee", (link) => link.task_id === row.id)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id - b.id)
+      .map((link) => {
+        const user = store.get("User", link.user_id);
+        return { id: user.id, email: user.email, name: user.name };
+      })
+  );
+  task.setLabels(
+    store
+      .all("TaskLabel", (link) => link.task_id === row.id)
+      .map((link) => store.get("Label", link.label_id))
+      .sort(
+        (a, b) =>
+          a.name.toLowerCase().localeCompare(b.name.toLowerCase()) ||
+          a.id - b.id
+      )
+      .map(({ id, name, color }) => ({ id, name, color }))
+  );
+  return task;
+};
+
+module.exports = { taskFromRow };
@@ -0,0 +1,17 @@
+const express = require("express");
+
+/**
+ * Buat router untuk /api/activity
+ * @param {Object} controllers - { activityController }
+ * @returns {express.Router} Router
+ */
+const createActivityRoutes = ({ activityController }) => {
+  const router = express.Router();
+
+  // Feed global: ?entity_type=&action=&limit=&offset=
+  router.get("/", activityController.getFeed);
+
+  return router;
+};
+
+module.exports = createActivityRoutes;
@@ -0,0 +1,23 @@
+const express = require("express");
+
+/**
+ * Buat router untuk /api/tokens (personal API token milik user yang login)
+ * @param {Object} controllers - { apiTokenController }
+ * @returns {express.Router} Router
+ */
+const createApiTokenRoutes = ({ apiTokenController }) => {
+  const router = express.Router();
+
+  // Buat token: { name, scope?: "read"|"write", expires_at? }
+  router.post("/", apiTokenController.create);
+
+  // Daftar token (tanpa token asli)
+  router.get("/", apiTokenController.getAll);
+
+  // Cabut token
+  router.delete("/:id", apiTokenController.revoke);
+
+  return router;
+};
+
+module.exports = createApiTokenRoutes;
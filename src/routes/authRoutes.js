@@ -0,0 +1,23 @@
+const express = require("express");
+
+/**
+ * Buat router untuk /api/auth (public, tanpa token)
+ * @param {Object} controllers - { authController }
+ * @returns {express.Router} Router
+ */
+const createAuthRoutes = ({ authController }) => {
+  const router = express.Router();
+
+  // Buat akun baru: { email, password, name? }
+  router.post("/register", authController.register);
+
+  // Login: { email, password }
+  router.post("/login", authController.login);
+
+  // Tukar refresh token: { refreshToken }
+  router.post("/refresh", authController.refresh);
+
+  return router;
+};
+
+module.exports = createAuthRoutes;
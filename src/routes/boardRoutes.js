@@ -1,20 +1,58 @@
 const express = require("express");
-const router = express.Router();
-const boardController = require("../controllers/boardController");
 
-// Create Board
-router.post("/", boardController.create);
+/**
+ * Buat router untuk Board (/api/columns dan /api/projects/:projectId/columns)
+ * @param {Object} controllers - { boardController, taskController }
+ * @returns {express.Router} Router
+ */
+const createBoardRoutes = ({ boardController, taskController }) => {
+  // mergeParams supaya :projectId dari /api/projects/:projectId/columns terbaca
+  const router = express.Router({ mergeParams: true });
 
-// Get all Boards
-router.get("/", boardController.getAll);
+  // Pada route nested, pastikan Board :id milik project di URL
+  router.param("id", boardController.checkProjectScope);
 
-// Get Board by ID
-router.get("/:id", boardController.getById);
+  // Create Board
+  router.post("/", boardController.create);
 
-// Update Board
-router.put("/:id", boardController.update);
+  // Get all Boards
+  router.get("/", boardController.getAll);
 
-// Delete Board
-router.delete("/:id", boardController.delete);
+  // Snapshot semua column beserta task-nya (must come before /:id routes)
+  router.get("/snapshot", boardController.getSnapshot);
 
-module.exports = router;
+  // Trash - daftar column terhapus & purge permanen (must come before /:id routes)
+  router.get("/trash", boardController.getTrash);
+  router.delete("/trash", boardController.purgeTrash);
+
+  // Reorder - Swap positions between two boards (must come before /:id routes)
+  router.post("/reorder", boardController.reorder);
+
+  // Set urutan lengkap semua Board (must come before /:id routes)
+  router.put("/order", boardController.setOrder);
+
+  // Reorder by position - Pindahkan board ke position baru
+  router.put("/:id/reorder-position", boardController.reorderByPosition);
+
+  // Restore Board dari trash
+  router.post("/:id/restore", boardController.restore);
+
+  // Get Board by ID
+  router.get("/:id", boardController.getById);
+
+  // Set urutan lengkap task dalam Board (drag-and-drop)
+  router.put("/:id/order", taskController.setColumnOrder);
+
+  // Update Board
+  router.put("/:id", boardController.update);
+
+  // Partial update Board
+  router.patch("/:id", boardController.patch);
+
+  // Delete Board
+  router.delete("/:id", boardController.delete);
+
+  return router;
+};
+
+module.exports = createBoardRoutes;
@@ -0,0 +1,27 @@
+const express = require("express");
+
+/**
+ * Buat router untuk /api/projects/:projectId/labels
+ * @param {Object} controllers - { labelController }
+ * @returns {express.Router} Router
+ */
+const createLabelRoutes = ({ labelController }) => {
+  // mergeParams supaya :projectId dari route induk terbaca
+  const router = express.Router({ mergeParams: true });
+
+  // Daftar label project
+  router.get("/", labelController.getAll);
+
+  // Buat label: { name, color? }
+  router.post("/", labelController.create);
+
+  // Ubah label: { name?, color? }
+  router.patch("/:labelId", labelController.update);
+
+  // Hapus label (ikut dilepas dari semua task)
+  router.delete("/:labelId", labelController.delete);
+
+  return router;
+};
+
+module.exports = createLabelRoutes;
@@ -0,0 +1,17 @@
+const express = require("express");
+
+/**
+ * Buat router untuk /api/me (data milik user yang login)
+ * @param {Object} controllers - { taskController }
+ * @returns {express.Router} Router
+ */
+const createMeRoutes = ({ taskController }) => {
+  const router = express.Router();
+
+  // Task yang ditugaskan ke user, dikelompokkan per column: ?project_id=
+  router.get("/tasks", taskController.getMine);
+
+  return router;
+};
+
+module.exports = createMeRoutes;
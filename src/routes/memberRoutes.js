@@ -0,0 +1,27 @@
+const express = require("express");
+
+/**
+ * Buat router untuk /api/projects/:projectId/members
+ * @param {Object} controllers - { memberController }
+ * @returns {express.Router} Router
+ */
+const createMemberRoutes = ({ memberController }) => {
+  // mergeParams supaya :projectId dari route induk terbaca
+  const router = express.Router({ mergeParams: true });
+
+  // Daftar member project
+  router.get("/", memberController.getAll);
+
+  // Tambah member: { email | user_id, role }
+  router.post("/", memberController.add);
+
+  // Ubah role member: { role }
+  router.patch("/:userId", memberController.updateRole);
+
+  // Keluarkan member (atau keluar sendiri)
+  router.delete("/:userId", memberController.remove);
+
+  return router;
+};
+
+module.exports = createMemberRoutes;
@@ -0,0 +1,55 @@
+const express = require("express");
+const createBoardRoutes = require("./boardRoutes");
+const createMemberRoutes = require("./memberRoutes");
+const createLabelRoutes = require("./labelRoutes");
+
+/**
+ * Buat router untuk /api/projects (termasuk column, member dan label nested)
+ * @param {Object} controllers - { projectController, boardController,
+ *   taskController, memberController, labelController }
+ * @returns {express.Router} Router
+ */
+const createProjectRoutes = (controllers) => {
+  const { projectController } = controllers;
+  const router = express.Router();
+
+  // Create Project
+  router.post("/", projectController.create);
+
+  // Get all Projects
+  router.get("/", projectController.getAll);
+
+  // Columns (Board) milik Project
+  router.use(
+    "/:projectId/columns",
+    projectController.requireProject,
+    createBoardRoutes(controllers)
+  );
+
+  // Member Project beserta role-nya
+  router.use(
+    "/:projectId/members",
+    projectController.requireProject,
+    createMemberRoutes(controllers)
+  );
+
+  // Label Project untuk task
+  router.use(
+    "/:projectId/labels",
+    projectController.requireProject,
+    createLabelRoutes(controllers)
+  );
+
+  // Get Project by ID
+  router.get("/:id", projectController.getById);
+
+  // Update Project (khusus owner)
+  router.put("/:id", projectController.update);
+
+  // Delete Project (khusus owner, ikut menghapus semua column dan task di dalamnya)
+  router.delete("/:id", projectController.delete);
+
+  return router;
+};
+
+module.exports = createProjectRoutes;
@@ -0,0 +1,17 @@
+const express = require("express");
+
+/**
+ * Buat router untuk /api/search
+ * @param {Object} controllers - { taskController }
+ * @returns {express.Router} Router
+ */
+const createSearchRoutes = ({ taskController }) => {
+  const router = express.Router();
+
+  // Full-text search task: ?q=...&project_id=&limit=&offset=
+  router.get("/", taskController.search);
+
+  return router;
+};
+
+module.exports = createSearchRoutes;
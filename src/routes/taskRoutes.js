@@ -1,32 +1,69 @@
 const express = require("express");
-const router = express.Router();
-const taskController = require("../controllers/taskController");
 
-// Create Task
-router.post("/", taskController.create);
+/**
+ * Buat router untuk /api/tasks
+ * @param {Object} controllers - { taskController, activityController }
+ * @returns {express.Router} Router
+ */
+const createTaskRoutes = ({ taskController, activityController }) => {
+  const router = express.Router();
 
-// Get all Tasks
-router.get("/", taskController.getAll);
+  // Create Task
+  router.post("/", taskController.create);
 
-// Reorder - Swap positions between two tasks (must come before /:id routes)
-router.post("/reorder", taskController.reorder);
+  // Get all Tasks
+  router.get("/", taskController.getAll);
 
-// Move - Move task to different board (must come before /:id routes)
-router.post("/move", taskController.move);
+  // Trash - daftar task terhapus & purge permanen (must come before /:id routes)
+  router.get("/trash", taskController.getTrash);
+  router.delete("/trash", taskController.purgeTrash);
 
-// Reorder by position - Change task position within a board (must come before /:id routes)
-router.put("/:id/reorder-position", taskController.reorderByPosition);
+  // Archived - daftar task yang diarsipkan (must come before /:id routes)
+  router.get("/archived", taskController.getArchived);
 
-// Get Tasks by Board ID
-router.get("/board/:board_id", taskController.getByBoardId);
+  // Reorder - Swap positions between two tasks (must come before /:id routes)
+  router.post("/reorder", taskController.reorder);
 
-// Get Task by ID
-router.get("/:id", taskController.getById);
+  // Move - Move task to different board (must come before /:id routes)
+  router.post("/move", taskController.move);
 
-// Update Task
-router.put("/:id", taskController.update);
+  // Reorder by position - Change task position within a board (must come before /:id routes)
+  router.put("/:id/reorder-position", taskController.reorderByPosition);
 
-// Delete Task
-router.delete("/:id", taskController.delete);
+  // Restore Task dari trash
+  router.post("/:id/restore", taskController.restore);
 
-module.exports = router;
+  // Archive / unarchive Task
+  router.post("/:id/archive", taskController.archive);
+  router.post("/:id/unarchive", taskController.unarchive);
+
+  // Assignee Task: tambah { user_id } & lepaskan
+  router.post("/:id/assignees", taskController.addAssignee);
+  router.delete("/:id/assignees/:userId", taskController.removeAssignee);
+
+  // Label Task: pasang { label_id } & lepaskan
+  router.post("/:id/labels", taskController.addLabel);
+  router.delete("/:id/labels/:labelId", taskController.removeLabel);
+
+  // Riwayat perubahan Task (activity log)
+  router.get("/:id/activity", activityController.getByTask);
+
+  // Get Tasks by Board ID
+  router.get("/board/:board_id", taskController.getByBoardId);
+
+  // Get Task by ID
+  router.get("/:id", taskController.getById);
+
+  // Update Task
+  router.put("/:id", taskController.update);
+
+  // Partial update Task
+  router.patch("/:id", taskController.patch);
+
+  // Delete Task
+  router.delete("/:id", taskController.delete);
+
+  return router;
+};
+
+module.exports = createTaskRoutes;
@@ -0,0 +1,93 @@
+/**
+ * Configuration & Connection Tests
+ * Test pembacaan environment dan isolasi connection dari createConnection
+ */
+
+const path = require("path");
+const { loadConfig } = require("../src/config");
+const {
+  createConnection,
+  closeConnection,
+} = require("../src/database/connection");
+
+describe("Configuration", () => {
+  it("should default to data/tasks.db, port 3000 and any origin", () => {
+    const config = loadConfig({});
+
+    expect(config.database.path).toBe(
+      path.join(__dirname, "../data", "tasks.db")
+    );
+    expect(config.port).toBe(3000);
+    expect(config.cors.origin).toBe("*");
+  });
+
+  it("should read DB_PATH, PORT and CORS_ORIGIN from the environment", () => {
+    const config = loadConfig({
+      DB_PATH: "tmp/other.db",
+      PORT: "4000",
+      CORS_ORIGIN: "http://a.test, http://b.test",
+    });
+
+    expect(config.database.path).toBe(path.resolve("tmp/other.db"));
+    expect(config.port).toBe(4000);
+    expect(config.cors.origin).toEqual(["http://a.test", "http://b.test"]);
+  });
+
+  it("should read the trash retention from TRASH_RETENTION_DAYS", () => {
+    expect(loadConfig({}).trash.retentionDays).toBe(30);
+    expect(loadConfig({ TRASH_RETENTION_DAYS: "7" }).trash.retentionDays).toBe(
+      7
+    );
+    expect(
+      loadConfig({ TRASH_RETENTION_DAYS: "never" }).trash.retentionDays
+    ).toBe(30);
+  });
+
+  it("should read the token secret and lifetimes", () => {
+    const defaults = loadConfig({});
+    const custom = loadConfig({
+      JWT_SECRET: "shh",
+      ACCESS_TOKEN_TTL: "60",
+      REFRESH_TOKEN_TTL: "3600",
+    });
+
+    expect(defaults.auth.secret).toEqual(expect.any(String));
+    expect(defaults.auth.secret).not.toBe(loadConfig({}).auth.secret);
+    expect(defaults.auth.accessTokenTtl).toBe(900);
+    expect(defaults.auth.refreshTokenTtl).toBe(604800);
+    expect(custom.auth).toEqual({
+      secret: "shh",
+      accessTokenTtl: 60,
+      refreshTokenTtl: 3600,
+    });
+  });
+
+  it("should keep :memory: as is", () => {
+    expect(loadConfig({ DB_PATH: ":memory:" }).database.path).toBe(":memory:");
+  });
+});
+
+describe("createConnection", () => {
+  it("should create isolated in-memory connections", async () => {
+    const first = createConnection(":memory:");
+    const second = createConnection(":memory:");
+
+    await first.runAsync("CREATE TABLE Only (id INTEGER)");
+    const rows = await second.allAsync(
+      "SELECT name FROM sqlite_master WHERE name = 'Only'"
+    );
+
+    expect(rows).toEqual([]);
+    await closeConnection(first);
+    await closeConnection(second);
+  });
+
+  it("should enable foreign keys on every connection", async () => {
+    const connection = createConnection(":memory:");
+
+    const row = await connection.getAsync("PRAGMA foreign_keys");
+
+    expect(row.foreign_keys).toBe(1);
+    await closeConnection(connection);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Error Handling Tests
+ * Test pemetaan error bertipe ke HTTP status dan envelope JSON
+ */
+
+const BaseController = require("../src/controllers/BaseController");
+const {
+  AppError,
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  toAppError,
+} = require("../src/errors");
+const {
+  notFoundHandler,
+  errorHandler,
+} = require("../src/middleware/errorHandler");
+
+// Response Express palsu yang mencatat status dan body
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn((body) => {
+    res.body = JSON.parse(JSON.stringify(body));
+    return res;
+  });
+  return res;
+};
+
+// Repository palsu: setiap method resolve/reject sesuai [err, result]
+const stubRepository = ([err, result]) => {
+  const respond = () => (err ? Promise.reject(err) : Promise.resolve(result));
+  return {
+    create: respond,
+    getAll: respond,
+    getById: respond,
+    update: respond,
+    patch: respond,
+    delete: respond,
+  };
+};
+
+describe("Error Handling", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should give each error type its status and code", () => {
+    expect(new NotFoundError("Task not found")).toMatchObject({
+      statusCode: 404,
+      code: "NOT_FOUND",
+    });
+    expect(new ValidationError("Bad")).toMatchObject({
+      statusCode: 400,
+      code: "VALIDATION_ERROR",
+    });
+    expect(new ConflictError("Busy", { code: "BUSY" })).toMatchObject({
+      statusCode: 409,
+      code: "BUSY",
+    });
+    expect(new NotFoundError()).toBeInstanceOf(AppError);
+  });
+
+  it("should hide unknown errors behind a 500", () => {
+    const err = toAppError(new Error("SQLITE_BUSY: database is locked"));
+
+    expect(err.statusCode).toBe(500);
+    expect(err.toJSON()).toEqual({
+      error: "Internal server error",
+      code: "INTERNAL_ERROR",
+    });
+  });
+
+  it("should respond 404 when getById finds nothing", async () => {
+    const controller = new BaseController(stubRepository([null, null]), "Task");
+    const res = mockResponse();
+
+    await controller.getById({ params: { id: "1" } }, res);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toEqual({ error: "Task not found", code: "NOT_FOUND" });
+  });
+
+  it("should respond 404 when updating or deleting a missing row", async () => {
+    const controller = new BaseController(
+      stubRepository([new NotFoundError("Task not found"), null]),
+      "Task"
+    );
+
+    const updated = mockResponse();
+    await controller.update(
+      { params: { id: "1" }, body: { title: "x" } },
+      updated
+    );
+    const deleted = mockResponse();
+    await controller.delete({ params: { id: "1" } }, deleted);
+
+    expect(updated.statusCode).toBe(404);
+    expect(deleted.statusCode).toBe(404);
+    expect(deleted.body.code).toBe("NOT_FOUND");
+  });
+
+  it("should respond 409 for conflicts", async () => {
+    const controller = new BaseController(
+      stubRepository([new ConflictError("Task is already in this board")]),
+      "Task"
+    );
+    const res = mockResponse();
+
+    await controller.patch({ params: { id: "1" }, body: {} }, res);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body).toEqual({
+      error: "Task is already in this board",
+      code: "CONFLICT",
+    });
+  });
+
+  it("should derive the code from the status in sendError", () => {
+    const controller = new BaseController(stubRepository([]));
+    const res = mockResponse();
+
+    controller.sendError(res, 400, "Title harus berupa string");
+
+    expect(res.body).toEqual({
+      error: "Title harus berupa string",
+      code: "VALIDATION_ERROR",
+    });
+  });
+
+  it("should report unknown routes and malformed JSON through middleware", () => {
+    const next = jest.fn();
+    notFoundHandler({ method: "GET", path: "/api/nope" }, {}, next);
+    const res = mockResponse();
+    errorHandler(next.mock.calls[0][0], {}, res, () => {});
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe("Route GET /api/nope not found");
+
+    const parseError = Object.assign(new SyntaxError("Unexpected token"), {
+      type: "entity.parse.failed",
+    });
+    const invalid = mockResponse();
+    errorHandler(parseError, {}, invalid, () => {});
+
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.body.code).toBe("INVALID_JSON");
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Migration System Tests
+ * Test migrate/rollback terhadap database SQLite in-memory
+ */
+
+const sqlite3 = require("sqlite3").verbose();
+const {
+  migrate,
+  rollback,
+  loadMigrations,
+  getAppliedMigrations,
+} = require("../src/database/migrator");
+
+const openDb = () => {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(":memory:", (err) =>
+      err ? reject(err) : resolve(db)
+    );
+  });
+};
+
+const query = (db, sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+};
+
+const tableNames = async (db) => {
+  const rows = await query(
+    db,
+    "SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name"
+  );
+  return rows.map((row) => row.name);
+};
+
+describe("Database Migrations", () => {
+  let db;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    db = await openDb();
+  });
+
+  afterEach((done) => {
+    db.close(() => done());
+  });
+
+  it("should load migration files ordered by version", () => {
+    const migrations = loadMigrations();
+    const versions = migrations.map((m) => Number(m.version));
+
+    expect(migrations.length).toBeGreaterThan(0);
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    expect(migrations[0].name).toBe("001_create_board_and_task");
+  });
+
+  it("should apply all migrations and record them", async () => {
+    const executed = await migrate(db);
+    const applied = await getAppliedMigrations(db);
+
+    expect(executed).toEqual(loadMigrations().map((m) => m.name));
+    expect(applied.map((row) => row.name)).toEqual(executed);
+    expect(await tableNames(db)).toEqual(
+      expect.arrayContaining(["Board", "Task", "schema_migrations"])
+    );
+  });
+
+  it("should be idempotent when run twice", async () => {
+    await migrate(db);
+    const executed = await migrate(db);
+
+    expect(executed).toEqual([]);
+  });
+
+  it("should adopt an existing database created before migrations", async () => {
+    await query(
+      db,
+      "CREATE TABLE Board (id INTEGER PRIMARY KEY AUTOINCREMENT, title TEXT NOT NULL)"
+    );
+    await query(db, "INSERT INTO Board (title) VALUES (?)", ["Legacy"]);
+
+    await migrate(db);
+    const rows = await query(db, "SELECT title FROM Board");
+
+    expect(rows).toEqual([{ title: "Legacy" }]);
+  });
+
+  it("should rollback applied migrations in reverse order", async () => {
+    await migrate(db);
+    const all = loadMigrations();
+
+    const reverted = await rollback(db, { steps: all.length });
+    const applied = await getAppliedMigrations(db);
+
+    expect(reverted).toEqual(all.map((m) => m.name).reverse());
+    expect(applied).toEqual([]);
+    expect(await tableNames(db)).not.toContain("Task");
+  });
+
+  it("should rollback a failed migration without recording it", async () => {
+    const migrations = [
+      ...loadMigrations(),
+      {
+        version: "999",
+        name: "999_broken",
+        up: "CREATE TABLE Broken (id INTEGER); INSERT INTO Missing VALUES (1);",
+        down: "DROP TABLE Broken;",
+      },
+    ];
+
+    await expect(migrate(db, { migrations })).rejects.toThrow(/Missing/);
+
+    const applied = await getAppliedMigrations(db);
+    expect(applied.map((row) => row.version)).not.toContain("999");
+    expect(await tableNames(db)).not.toContain("Broken");
+  });
+
+  it("should refuse to rollback a migration without down", async () => {
+    const migrations = [
+      {
+        version: "001",
+        name: "001_no_down",
+        up: "CREATE TABLE A (id INTEGER);",
+      },
+    ];
+    await migrate(db, { migrations });
+
+    await expect(rollback(db, { migrations })).rejects.toThrow(
+      /cannot be rolled back/
+    );
+  });
+});
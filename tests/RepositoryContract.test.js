@@ -0,0 +1,1314 @@
+/**
+ * Repository Contract Tests
+ * Skenario yang sama dijalankan terhadap storage SQLite dan memory,
+ * sehingga kedua implementasi IRepository berperilaku identik
+ */
+
+const request = require("supertest");
+const { createRepositories } = require("../src/repositories");
+const {
+  createConnection,
+  closeConnection,
+} = require("../src/database/connection");
+const { migrate } = require("../src/database/migrator");
+const { createApp } = require("../src/app");
+const { runAsUser } = require("../src/auth/context");
+const {
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+} = require("../src/errors");
+
+// Buat repository baru yang terisolasi untuk setiap backend
+// setup() => { repositories, close }
+const backends = [
+  [
+    "sqlite",
+    async () => {
+      const connection = createConnection(":memory:");
+      await migrate(connection);
+      return {
+        repositories: createRepositories({ storage: "sqlite", connection }),
+        close: () => closeConnection(connection),
+      };
+    },
+  ],
+  [
+    "memory",
+    async () => ({
+      repositories: createRepositories({ storage: "memory" }),
+      close: async () => {},
+    }),
+  ],
+];
+
+describe.each(backends)("%s repositories", (storage, setup) => {
+  let repos;
+  let close;
+
+  // Buat board berisi beberapa task dengan position 0..n-1
+  const seedBoard = async (title, count) => {
+    const board = await repos.boards.create({ title });
+    const ids = [];
+    for (let i = 0; i < count; i++) {
+      const task = await repos.tasks.create({
+        title: `${title} ${i}`,
+        board_id: board.getId(),
+      });
+      ids.push(task.getId());
+    }
+    return { boardId: board.getId(), ids };
+  };
+
+  const idsOf = async (boardId) =>
+    (await repos.tasks.getByBoardId(boardId)).map((task) => task.getId());
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    ({ repositories: repos, close } = await setup());
+  });
+
+  afterEach(() => close());
+
+  it("should put boards without project into the default project", async () => {
+    const board = await repos.boards.create({ title: "Legacy" });
+    const [project] = await repos.projects.getAll();
+
+    expect(board.getProjectId()).toBe(project.getId());
+    expect(project.getTitle()).toBe("Default Project");
+  });
+
+  it("should insert tasks with shift and keep positions dense", async () => {
+    const { boardId, ids } = await seedBoard("Shift", 3);
+
+    const inserted = await repos.tasks.create({
+      title: "Inserted",
+      board_id: boardId,
+      position: 1,
+    });
+    const tasks = await repos.tasks.getByBoardId(boardId);
+
+    expect(tasks.map((task) => task.getId())).toEqual([
+      ids[0],
+      inserted.getId(),
+      ids[1],
+      ids[2],
+    ]);
+    expect(tasks.map((task) => task.getPosition())).toEqual([0, 1, 2, 3]);
+  });
+
+  it("should trim titles the same way on create and patch", async () => {
+    const { boardId } = await seedBoard("Trim", 0);
+
+    const created = await repos.tasks.create({
+      title: "  Padded  ",
+      board_id: boardId,
+    });
+    const patched = await repos.tasks.patch(created.getId(), {
+      title: "  Padded again ",
+    });
+
+    expect(created.getTitle()).toBe("Padded");
+    expect((await repos.tasks.getById(created.getId())).getTitle()).toBe(
+      "Padded again"
+    );
+    expect(patched.getTitle()).toBe("Padded again");
+    await expect(
+      repos.tasks.create({ title: "   ", board_id: boardId })
+    ).rejects.toThrow(ValidationError);
+  });
+
+  it("should reorder by position within a board", async () => {
+    const { boardId, ids } = await seedBoard("Reorder", 3);
+
+    await repos.tasks.reorderByPosition(ids[2], 0);
+
+    expect(await idsOf(boardId)).toEqual([ids[2], ids[0], ids[1]]);
+  });
+
+  it("should swap two tasks", async () => {
+    const { boardId, ids } = await seedBoard("Swap", 2);
+
+    await repos.tasks.reorder(ids[0], ids[1]);
+
+    expect(await idsOf(boardId)).toEqual([ids[1], ids[0]]);
+  });
+
+  it("should refuse to swap tasks from different boards", async () => {
+    const a = await seedBoard("A", 1);
+    const b = await seedBoard("B", 3);
+
+    await expect(repos.tasks.reorder(a.ids[0], b.ids[2])).rejects.toThrow(
+      ValidationError
+    );
+
+    expect(await idsOf(a.boardId)).toEqual(a.ids);
+    expect(await idsOf(b.boardId)).toEqual(b.ids);
+    const positions = (await repos.tasks.getByBoardId(b.boardId)).map((task) =>
+      task.getPosition()
+    );
+    expect(positions).toEqual([0, 1, 2]);
+  });
+
+  it("should move a task and resequence both columns", async () => {
+    const source = await seedBoard("From", 3);
+    const target = await seedBoard("To", 2);
+
+    const result = await repos.tasks.moveToBoard(
+      source.ids[0],
+      target.boardId,
+      1
+    );
+
+    expect(result.task.getBoardId()).toBe(target.boardId);
+    expect(result.source.tasks.map((t) => t.getPosition())).toEqual([0, 1]);
+    expect(result.target.tasks.map((t) => t.getId())).toEqual([
+      target.ids[0],
+      source.ids[0],
+      target.ids[1],
+    ]);
+  });
+
+  it("should report typed errors", async () => {
+    const { boardId, ids } = await seedBoard("Errors", 1);
+
+    await expect(
+      repos.tasks.moveToBoard(99999, boardId)
+    ).rejects.toBeInstanceOf(NotFoundError);
+    await expect(
+      repos.tasks.moveToBoard(ids[0], boardId)
+    ).rejects.toBeInstanceOf(ConflictError);
+    await expect(
+      repos.tasks.create({ title: "x", board_id: 99999 })
+    ).rejects.toBeInstanceOf(NotFoundError);
+    await expect(
+      repos.tasks.create({ title: "x", board_id: boardId, priority: "soon" })
+    ).rejects.toBeInstanceOf(ValidationError);
+    await expect(repos.tasks.delete(99999)).rejects.toBeInstanceOf(
+      NotFoundError
+    );
+  });
+
+  it("should set a full column order and reject incomplete lists", async () => {
+    const { boardId, ids } = await seedBoard("Order", 3);
+
+    const column = await repos.tasks.setOrder(boardId, [
+      ids[1],
+      ids[2],
+      ids[0],
+    ]);
+
+    expect(column.tasks.map((task) => task.getId())).toEqual([
+      ids[1],
+      ids[2],
+      ids[0],
+    ]);
+    await expect(
+      repos.tasks.setOrder(boardId, [ids[0]])
+    ).rejects.toBeInstanceOf(ConflictError);
+  });
+
+  it("should append when patching only board_id", async () => {
+    const source = await seedBoard("PatchFrom", 1);
+    const target = await seedBoard("PatchTo", 2);
+
+    const patched = await repos.tasks.patch(source.ids[0], {
+      board_id: target.boardId,
+      priority: "high",
+    });
+
+    expect(patched.getPosition()).toBe(2);
+    expect(patched.getPriority()).toBe("high");
+  });
+
+  it("should leave data untouched when a patch fails", async () => {
+    const { ids } = await seedBoard("Atomic", 1);
+
+    await expect(
+      repos.tasks.patch(ids[0], { title: "Changed", board_id: 99999 })
+    ).rejects.toBeInstanceOf(NotFoundError);
+
+    expect((await repos.tasks.getById(ids[0])).getTitle()).toBe("Atomic 0");
+  });
+
+  it("should reorder boards and compact them after delete", async () => {
+    const first = await repos.boards.create({ title: "First" });
+    const second = await repos.boards.create({ title: "Second" });
+    const third = await repos.boards.create({ title: "Third" });
+
+    await repos.boards.reorderByPosition(third.getId(), 0);
+    await repos.boards.delete(first.getId());
+    const boards = await repos.boards.getByProjectId(first.getProjectId());
+
+    expect(boards.map((board) => board.getId())).toEqual([
+      third.getId(),
+      second.getId(),
+    ]);
+    expect(boards.map((board) => board.getPosition())).toEqual([0, 1]);
+  });
+
+  it("should refuse to delete a non-empty board without moveTo or cascade", async () => {
+    const source = await seedBoard("Source", 2);
+    const target = await seedBoard("Target", 1);
+
+    const error = await repos.boards.delete(source.boardId).catch((err) => err);
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error.details).toEqual({ taskCount: 2 });
+    expect(await idsOf(source.boardId)).toEqual(source.ids);
+
+    await expect(
+      repos.boards.delete(source.boardId, { moveTo: source.boardId })
+    ).rejects.toBeInstanceOf(ValidationError);
+    await expect(
+      repos.boards.delete(source.boardId, { moveTo: 99999 })
+    ).rejects.toBeInstanceOf(NotFoundError);
+
+    const result = await repos.boards.delete(source.boardId, {
+      moveTo: target.boardId,
+    });
+    expect(result).toEqual({ movedTo: target.boardId, movedCount: 2 });
+    expect(await repos.boards.getById(source.boardId)).toBeNull();
+    const moved = await repos.tasks.getByBoardId(target.boardId);
+    expect(moved.map((task) => task.getId())).toEqual([
+      ...target.ids,
+      ...source.ids,
+    ]);
+    expect(moved.map((task) => task.getPosition())).toEqual([0, 1, 2]);
+
+    await repos.boards.delete(target.boardId, { cascade: true });
+    expect(await repos.tasks.getById(source.ids[0])).toBeNull();
+  });
+
+  it("should move deleted tasks to the trash and restore them in place", async () => {
+    const { boardId, ids } = await seedBoard("Trash", 3);
+
+    await repos.tasks.delete(ids[1]);
+    expect(await idsOf(boardId)).toEqual([ids[0], ids[2]]);
+    expect(await repos.tasks.getById(ids[1])).toBeNull();
+    expect((await repos.tasks.find({})).total).toBe(2);
+    await expect(repos.tasks.delete(ids[1])).rejects.toBeInstanceOf(
+      NotFoundError
+    );
+
+    const trash = await repos.tasks.getTrash();
+    expect(trash.map((task) => task.getId())).toEqual([ids[1]]);
+    expect(trash[0].getDeletedAt()).toBeInstanceOf(Date);
+
+    const restored = await repos.tasks.restore(ids[1]);
+    expect(restored.getDeletedAt()).toBeNull();
+    expect(restored.getPosition()).toBe(1);
+    expect(await idsOf(boardId)).toEqual(ids);
+    expect(await repos.tasks.getTrash()).toEqual([]);
+    await expect(repos.tasks.restore(ids[1])).rejects.toBeInstanceOf(
+      NotFoundError
+    );
+  });
+
+  it("should trash a board with its tasks and restore them together", async () => {
+    const first = await seedBoard("First", 1);
+    const second = await seedBoard("Second", 2);
+    await repos.tasks.delete(second.ids[0]);
+
+    await repos.boards.delete(second.boardId, { cascade: true });
+    expect(await repos.boards.getById(second.boardId)).toBeNull();
+    expect(
+      await repos.boards.getById(second.boardId, { includeDeleted: true })
+    ).not.toBeNull();
+    expect(
+      (await repos.boards.getTrash()).map((board) => board.getId())
+    ).toEqual([second.boardId]);
+    await expect(repos.tasks.restore(second.ids[1])).rejects.toBeInstanceOf(
+      ConflictError
+    );
+
+    const { board, restoredTasks } = await repos.boards.restore(second.boardId);
+    expect(board.getPosition()).toBe(1);
+    expect(restoredTasks).toBe(1);
+    expect(await idsOf(second.boardId)).toEqual([second.ids[1]]);
+
+    // Task yang dihapus lebih dulu tetap di trash, bisa dipindah ke column lain
+    const moved = await repos.tasks.restore(second.ids[0], {
+      board_id: first.boardId,
+    });
+    expect(moved.getBoardId()).toBe(first.boardId);
+    expect(await idsOf(first.boardId)).toEqual([...first.ids, second.ids[0]]);
+  });
+
+  it("should purge only trash items older than the cutoff", async () => {
+    const { boardId, ids } = await seedBoard("Purge", 2);
+    await repos.tasks.delete(ids[0]);
+
+    expect(await repos.tasks.purge(new Date(Date.now() - 60000))).toBe(0);
+    expect(await repos.tasks.purge(new Date(Date.now() + 60000))).toBe(1);
+    expect(await repos.tasks.getTrash()).toEqual([]);
+
+    await repos.boards.delete(boardId, { cascade: true });
+    expect(await repos.boards.purge(new Date(Date.now() + 60000))).toBe(1);
+    expect(await repos.boards.getTrash()).toEqual([]);
+    await expect(repos.tasks.restore(ids[1])).rejects.toBeInstanceOf(
+      NotFoundError
+    );
+  });
+
+  it("should archive tasks out of the column and unarchive them to the end", async () => {
+    const source = await seedBoard("Archive", 3);
+    const target = await seedBoard("Elsewhere", 1);
+
+    const archived = await repos.tasks.archive(source.ids[0]);
+    expect(archived.getArchivedAt()).toBeInstanceOf(Date);
+    expect(await idsOf(source.boardId)).toEqual(source.ids.slice(1));
+    expect((await repos.tasks.find({})).total).toBe(3);
+    expect((await repos.tasks.getById(source.ids[0])).getArchivedAt()).toEqual(
+      archived.getArchivedAt()
+    );
+    await expect(repos.tasks.archive(source.ids[0])).rejects.toBeInstanceOf(
+      ConflictError
+    );
+    await expect(
+      repos.tasks.reorderByPosition(source.ids[0], 0)
+    ).rejects.toBeInstanceOf(ConflictError);
+    await expect(repos.tasks.unarchive(source.ids[1])).rejects.toBeInstanceOf(
+      ConflictError
+    );
+
+    await repos.tasks.archive(source.ids[1]);
+    const today = new Date().toISOString().slice(0, 10);
+    const { tasks, total } = await repos.tasks.getArchived({
+      filters: { board_id: source.boardId, archived_from: today },
+    });
+    expect(total).toBe(2);
+    expect(tasks.map((task) => task.getId())).toEqual(
+      expect.arrayContaining([source.ids[0], source.ids[1]])
+    );
+    expect(
+      (
+        await repos.tasks.getArchived({
+          filters: { archived_to: "2000-01-01" },
+        })
+      ).total
+    ).toBe(0);
+
+    const back = await repos.tasks.unarchive(source.ids[0]);
+    expect(back.getArchivedAt()).toBeNull();
+    expect(await idsOf(source.boardId)).toEqual([source.ids[2], source.ids[0]]);
+
+    const moved = await repos.tasks.unarchive(source.ids[1], {
+      board_id: target.boardId,
+    });
+    expect(moved.getPosition()).toBe(1);
+    expect(await idsOf(target.boardId)).toEqual([...target.ids, source.ids[1]]);
+    expect((await repos.tasks.getArchived()).total).toBe(0);
+  });
+
+  it("should count archived tasks when deleting a board", async () => {
+    const source = await seedBoard("Done", 2);
+    const target = await seedBoard("Kept", 1);
+    await repos.tasks.archive(source.ids[0]);
+
+    await expect(repos.boards.delete(source.boardId)).rejects.toMatchObject({
+      details: { taskCount: 2 },
+    });
+    const { movedCount } = await repos.boards.delete(source.boardId, {
+      moveTo: target.boardId,
+    });
+    expect(movedCount).toBe(2);
+    expect(await idsOf(target.boardId)).toEqual([...target.ids, source.ids[1]]);
+    expect((await repos.tasks.getById(source.ids[0])).getBoardId()).toBe(
+      target.boardId
+    );
+  });
+
+  it("should record an activity entry for every task mutation", async () => {
+    const source = await seedBoard("Log", 2);
+    const target = await seedBoard("Log target", 0);
+    const taskId = source.ids[0];
+
+    await repos.tasks.patch(taskId, { title: "Renamed", priority: "high" });
+    await repos.tasks.reorderByPosition(taskId, 1);
+    await repos.tasks.moveToBoard(taskId, target.boardId, 0);
+    await repos.tasks.delete(taskId);
+
+    const { entries, total } = await repos.activity.find({
+      filters: { entity_type: "task", entity_id: taskId },
+    });
+    expect(total).toBe(5);
+    expect(entries.map((entry) => entry.getAction())).toEqual([
+      "delete",
+      "move",
+      "reorder",
+      "update",
+      "create",
+    ]);
+
+    const [deleted, moved, reordered, updated, created] = entries.map((entry) =>
+      entry.toJSON()
+    );
+    expect(created.before).toBeNull();
+    expect(created.after).toMatchObject({ title: "Log 0", position: 0 });
+    expect(updated.before).toEqual({ title: "Log 0", priority: null });
+    expect(updated.after).toEqual({ title: "Renamed", priority: "high" });
+    expect(reordered).toMatchObject({
+      from_position: 0,
+      to_position: 1,
+      before: { position: 0 },
+      after: { position: 1 },
+    });
+    expect(moved).toMatchObject({
+      from_board_id: source.boardId,
+      to_board_id: target.boardId,
+      from_position: 1,
+      to_position: 0,
+      actor_id: null,
+    });
+    expect(deleted).toMatchObject({
+      after: null,
+      from_board_id: target.boardId,
+    });
+  });
+
+  it("should record column changes and the tasks they carry along", async () => {
+    const source = await seedBoard("Old", 2);
+    const target = await seedBoard("New", 1);
+
+    await repos.boards.update(source.boardId, { title: "Old column" });
+    await repos.boards.delete(source.boardId, { moveTo: target.boardId });
+
+    const boardLog = await repos.activity.find({
+      filters: { entity_type: "board", entity_id: source.boardId },
+    });
+    expect(boardLog.entries.map((entry) => entry.getAction())).toEqual([
+      "delete",
+      "update",
+      "create",
+    ]);
+
+    const moves = await repos.activity.find({
+      filters: { entity_type: "task", action: "move" },
+    });
+    expect(moves.total).toBe(2);
+    expect(
+      moves.entries.map((entry) => entry.toJSON().to_position).sort()
+    ).toEqual([1, 2]);
+
+    const page = await repos.activity.find({ limit: 2, offset: 1 });
+    expect(page.entries).toHaveLength(2);
+    expect(page.total).toBeGreaterThan(3);
+  });
+
+  it("should register users with hashed passwords and unique emails", async () => {
+    const user = await repos.users.create({
+      email: " Ana@Example.com ",
+      password: "correct-horse",
+      name: "Ana",
+    });
+
+    expect(user.toJSON()).toMatchObject({
+      email: "ana@example.com",
+      name: "Ana",
+    });
+    expect(user.toJSON().password_hash).toBeUndefined();
+    expect((await repos.users.getByEmail("ANA@example.com")).getId()).toBe(
+      user.getId()
+    );
+    expect(
+      (
+        await repos.users.verifyCredentials("ana@example.com", "correct-horse")
+      ).getId()
+    ).toBe(user.getId());
+    expect(
+      await repos.users.verifyCredentials("ana@example.com", "wrong-horse")
+    ).toBeNull();
+    expect(
+      await repos.users.verifyCredentials("bob@example.com", "correct-horse")
+    ).toBeNull();
+
+    await expect(
+      repos.users.create({ email: "ANA@example.com", password: "other-pass" })
+    ).rejects.toThrow(ConflictError);
+    await expect(
+      repos.users.create({ email: "not-an-email", password: "other-pass" })
+    ).rejects.toThrow(ValidationError);
+    await expect(
+      repos.users.create({ email: "bob@example.com", password: "short" })
+    ).rejects.toThrow(ValidationError);
+  });
+
+  it("should record the current user as the activity actor", async () => {
+    const user = await repos.users.create({
+      email: "actor@example.com",
+      password: "actor-pass",
+    });
+    const { boardId } = await seedBoard("Actor", 0);
+
+    const task = await runAsUser(user.getId(), () =>
+      repos.tasks.create({ title: "Mine", board_id: boardId })
+    );
+    const { entries } = await repos.activity.find({
+      filters: { entity_type: "task", entity_id: task.getId() },
+    });
+    const boardLog = await repos.activity.find({
+      filters: { entity_type: "board", entity_id: boardId },
+    });
+
+    expect(entries[0].toJSON().actor_id).toBe(user.getId());
+    expect(boardLog.entries[0].toJSON().actor_id).toBeNull();
+  });
+
+  it("should manage project members and keep at least one owner", async () => {
+    const owner = await repos.users.create({
+      email: "owner@example.com",
+      password: "owner-pass",
+    });
+    const guest = await repos.users.create({
+      email: "guest@example.com",
+      password: "guest-pass",
+    });
+    const project = await repos.projects.create({
+      title: "Team",
+      owner_id: owner.getId(),
+    });
+    const board = await repos.boards.create({
+      title: "Board",
+      project_id: project.getId(),
+    });
+    const task = await repos.tasks.create({
+      title: "Task",
+      board_id: board.getId(),
+    });
+    const projectId = project.getId();
+    const defaultId = await repos.members.getDefaultProjectId();
+
+    expect(await repos.members.getRole(projectId, owner.getId())).toBe("owner");
+    expect(await repos.members.getRole(projectId, guest.getId())).toBeNull();
+    expect(await repos.members.getRole(defaultId, guest.getId())).toBeNull();
+    expect(await repos.members.getProjectIds(guest.getId())).toEqual([]);
+
+    const member = await repos.members.add(projectId, {
+      user_id: guest.getId(),
+      role: "viewer",
+    });
+    expect(member.toJSON()).toMatchObject({
+      project_id: projectId,
+      user_id: guest.getId(),
+      role: "viewer",
+      email: "guest@example.com",
+    });
+    expect(await repos.members.getProjectIds(guest.getId())).toEqual([
+      projectId,
+    ]);
+    expect(await repos.members.getProjectIds(guest.getId(), "editor")).toEqual(
+      []
+    );
+    expect(await repos.members.getProjectIdOfBoard(board.getId())).toBe(
+      projectId
+    );
+    expect(await repos.members.getProjectIdOfTask(task.getId())).toBe(
+      projectId
+    );
+
+    await expect(
+      repos.members.add(projectId, { user_id: guest.getId(), role: "editor" })
+    ).rejects.toThrow(ConflictError);
+    await expect(
+      repos.members.add(projectId, { user_id: 999, role: "viewer" })
+    ).rejects.toThrow(NotFoundError);
+    await expect(
+      repos.members.updateRole(projectId, guest.getId(), "admin")
+    ).rejects.toThrow(ValidationError);
+    await expect(
+      repos.members.updateRole(projectId, owner.getId(), "editor")
+    ).rejects.toThrow(ConflictError);
+    await expect(
+      repos.members.remove(projectId, owner.getId())
+    ).rejects.toThrow(ConflictError);
+
+    await repos.members.updateRole(projectId, guest.getId(), "owner");
+    await repos.members.remove(projectId, owner.getId());
+    expect(
+      (await repos.members.getByProjectId(projectId)).map((row) => row.toJSON())
+    ).toEqual([
+      expect.objectContaining({ user_id: guest.getId(), role: "owner" }),
+    ]);
+  });
+
+  it("should give projects without members to the first user only", async () => {
+    const defaultId = await repos.members.getDefaultProjectId();
+    const first = await repos.users.create({
+      email: "first@example.com",
+      password: "first-pass",
+    });
+    const second = await repos.users.create({
+      email: "second@example.com",
+      password: "second-pass",
+    });
+    const project = await repos.projects.create({ title: "Open" });
+
+    expect(await repos.members.getRole(defaultId, first.getId())).toBe("owner");
+    expect(await repos.members.getRole(defaultId, second.getId())).toBeNull();
+    // Project tanpa member tertutup, juga untuk user pertama
+    expect(await repos.members.getRole(project.getId(), first.getId())).toBe(
+      null
+    );
+    expect(await repos.members.getProjectIds(first.getId())).toEqual([
+      defaultId,
+    ]);
+
+    await repos.members.add(project.getId(), {
+      user_id: second.getId(),
+      role: "editor",
+    });
+    expect(
+      (await repos.members.getByProjectId(project.getId())).map((row) => [
+        row.toJSON().user_id,
+        row.toJSON().role,
+      ])
+    ).toEqual([[second.getId(), "editor"]]);
+  });
+
+  it("should scope trash, archive and activity lists to projects", async () => {
+    const project = await repos.projects.create({ title: "Scoped" });
+    const board = await repos.boards.create({
+      title: "Scoped board",
+      project_id: project.getId(),
+    });
+    const { ids } = await seedBoard("Default", 1);
+    const task = await repos.tasks.create({
+      title: "Scoped task",
+      board_id: board.getId(),
+    });
+    await repos.tasks.delete(ids[0]);
+    await repos.tasks.delete(task.getId());
+    const projectId = project.getId();
+
+    const trash = await repos.tasks.getTrash([projectId]);
+    const feed = await repos.activity.find({
+      filters: { entity_type: "task", project_id: [projectId] },
+    });
+
+    expect(trash.map((row) => row.getId())).toEqual([task.getId()]);
+    expect(
+      feed.entries.every((entry) => entry.getEntityId() === task.getId())
+    ).toBe(true);
+    expect(await repos.tasks.getTrash([])).toEqual([]);
+    expect(
+      await repos.tasks.purge(new Date(Date.now() + 1000), [projectId])
+    ).toBe(1);
+    expect((await repos.tasks.getTrash()).map((row) => row.getId())).toEqual([
+      ids[0],
+    ]);
+  });
+
+  it("should keep activity in the project it was recorded in", async () => {
+    const { boardId } = await seedBoard("Default", 0);
+    const project = await repos.projects.create({ title: "Elsewhere" });
+    const board = await repos.boards.create({
+      title: "Elsewhere board",
+      project_id: project.getId(),
+    });
+    const task = await repos.tasks.create({
+      title: "Mover",
+      board_id: boardId,
+    });
+    await repos.tasks.patch(task.getId(), { title: "Mover v2" });
+    await repos.tasks.moveToBoard(task.getId(), board.getId());
+    await repos.tasks.patch(task.getId(), { title: "Mover v3" });
+
+    const history = async (projectId) => {
+      const { entries } = await repos.activity.find({
+        filters: {
+          entity_type: "task",
+          entity_id: task.getId(),
+          project_id: [projectId],
+        },
+      });
+      return entries.map((entry) => entry.getAction());
+    };
+
+    expect(await history(project.getId())).toEqual(["update", "move"]);
+    expect(await history(1)).toEqual(["update", "create"]);
+  });
+
+  it("should store only a hash of personal API tokens", async () => {
+    const user = await repos.users.create({
+      email: "script@example.com",
+      password: "script-pass",
+    });
+    const { apiToken, token } = await repos.apiTokens.create(user.getId(), {
+      name: " Deploy ",
+      scope: "write",
+    });
+
+    expect(apiToken.toJSON()).toMatchObject({
+      name: "Deploy",
+      scope: "write",
+      prefix: token.slice(0, 10),
+      expiresAt: null,
+      lastUsedAt: null,
+    });
+    const found = await repos.apiTokens.findByToken(token);
+    expect(found.getId()).toBe(apiToken.getId());
+    expect(found.allows("POST")).toBe(true);
+    expect(await repos.apiTokens.findByToken(`${token}x`)).toBeNull();
+
+    await repos.apiTokens.touch(apiToken.getId());
+    const [listed] = await repos.apiTokens.getByUserId(user.getId());
+    expect(listed.toJSON().lastUsedAt).toBeInstanceOf(Date);
+
+    const { apiToken: readOnly } = await repos.apiTokens.create(user.getId(), {
+      name: "Read",
+      expires_at: new Date(Date.now() + 60000).toISOString(),
+    });
+    expect(readOnly.getScope()).toBe("read");
+    expect(readOnly.allows("GET")).toBe(true);
+    expect(readOnly.allows("DELETE")).toBe(false);
+    expect(readOnly.isExpired()).toBe(false);
+    expect(readOnly.isExpired(new Date(Date.now() + 120000))).toBe(true);
+
+    await expect(
+      repos.apiTokens.create(user.getId(), { name: "Bad", scope: "admin" })
+    ).rejects.toThrow(ValidationError);
+    await expect(
+      repos.apiTokens.revoke(user.getId() + 1, apiToken.getId())
+    ).rejects.toThrow(NotFoundError);
+    await repos.apiTokens.revoke(user.getId(), apiToken.getId());
+    expect(await repos.apiTokens.findByToken(token)).toBeNull();
+  });
+
+  it("should assign users to tasks and group their tasks by column", async () => {
+    const ana = await repos.users.create({
+      email: "ana@example.com",
+      password: "ana-pass-1",
+    });
+    const bob = await repos.users.create({
+      email: "bob@example.com",
+      password: "bob-pass-1",
+    });
+    const todo = await seedBoard("Todo", 2);
+    const done = await seedBoard("Done", 1);
+
+    const task = await repos.tasks.addAssignee(todo.ids[1], ana.getId());
+    await repos.tasks.addAssignee(todo.ids[1], bob.getId());
+    await repos.tasks.addAssignee(done.ids[0], ana.getId());
+    await repos.tasks.addAssignee(todo.ids[0], bob.getId());
+
+    expect(task.getAssignees()).toEqual([
+      { id: ana.getId(), email: "ana@example.com", name: null },
+    ]);
+    expect(
+      (await repos.tasks.getById(todo.ids[1]))
+        .getAssignees()
+        .map((user) => user.id)
+    ).toEqual([ana.getId(), bob.getId()]);
+    await expect(
+      repos.tasks.addAssignee(todo.ids[1], ana.getId())
+    ).rejects.toMatchObject({ code: "ALREADY_ASSIGNED" });
+    await expect(repos.tasks.addAssignee(todo.ids[1], 9999)).rejects.toThrow(
+      NotFoundError
+    );
+    await expect(repos.tasks.addAssignee(9999, ana.getId())).rejects.toThrow(
+      NotFoundError
+    );
+
+    const mine = await repos.tasks.find({
+      filters: { assignee_id: ana.getId() },
+      sort: [{ field: "position", direction: "asc" }],
+    });
+    expect(mine.tasks.map((t) => t.getId())).toEqual([
+      todo.ids[1],
+      done.ids[0],
+    ]);
+
+    const grouped = await repos.tasks.getAssigned(ana.getId());
+    expect(
+      grouped.map(({ boardTitle, tasks }) => [
+        boardTitle,
+        tasks.map((t) => t.getId()),
+      ])
+    ).toEqual([
+      ["Todo", [todo.ids[1]]],
+      ["Done", [done.ids[0]]],
+    ]);
+
+    const removed = await repos.tasks.removeAssignee(todo.ids[1], ana.getId());
+    expect(removed.getAssignees().map((user) => user.id)).toEqual([
+      bob.getId(),
+    ]);
+    await expect(
+      repos.tasks.removeAssignee(todo.ids[1], ana.getId())
+    ).rejects.toThrow(NotFoundError);
+    await repos.tasks.archive(done.ids[0]);
+    expect(await repos.tasks.getAssigned(ana.getId())).toEqual([]);
+  });
+
+  it("should manage project labels and attach them to tasks", async () => {
+    const project = await repos.projects.create({ title: "Labels" });
+    const other = await repos.projects.create({ title: "Elsewhere" });
+    const board = await repos.boards.create({
+      title: "Board",
+      project_id: project.getId(),
+    });
+    const first = await repos.tasks.create({
+      title: "First",
+      board_id: board.getId(),
+    });
+    const second = await repos.tasks.create({
+      title: "Second",
+      board_id: board.getId(),
+    });
+
+    const bug = await repos.labels.create(project.getId(), {
+      name: " bug ",
+      color: "#FF0000",
+    });
+    const blocked = await repos.labels.create(project.getId(), {
+      name: "Blocked",
+    });
+    const foreign = await repos.labels.create(other.getId(), { name: "bug" });
+    expect(bug.toJSON()).toMatchObject({ name: "bug", color: "#ff0000" });
+    expect(blocked.getColor()).toMatch(/^#[0-9a-f]{6}$/);
+    await expect(
+      repos.labels.create(project.getId(), { name: "BUG" })
+    ).rejects.toMatchObject({ code: "LABEL_EXISTS" });
+    await expect(
+      repos.labels.create(project.getId(), { name: "Red", color: "red" })
+    ).rejects.toThrow(ValidationError);
+    expect(
+      (await repos.labels.getByProjectId(project.getId())).map((label) =>
+        label.getName()
+      )
+    ).toEqual(["Blocked", "bug"]);
+
+    await repos.tasks.addLabel(first.getId(), bug.getId());
+    const labeled = await repos.tasks.addLabel(first.getId(), blocked.getId());
+    await repos.tasks.addLabel(second.getId(), blocked.getId());
+    expect(labeled.getLabels()).toEqual([
+      { id: blocked.getId(), name: "Blocked", color: blocked.getColor() },
+      { id: bug.getId(), name: "bug", color: "#ff0000" },
+    ]);
+    await expect(
+      repos.tasks.addLabel(first.getId(), bug.getId())
+    ).rejects.toMatchObject({ code: "ALREADY_LABELED" });
+    await expect(
+      repos.tasks.addLabel(first.getId(), foreign.getId())
+    ).rejects.toThrow(ValidationError);
+    await expect(repos.tasks.addLabel(first.getId(), 9999)).rejects.toThrow(
+      NotFoundError
+    );
+
+    const idsWith = async (labelIds) =>
+      (await repos.tasks.find({ filters: { label_ids: labelIds } })).tasks.map(
+        (task) => task.getId()
+      );
+    expect(await idsWith([bug.getId()])).toEqual([first.getId()]);
+    expect(await idsWith([bug.getId(), blocked.getId()])).toEqual([
+      first.getId(),
+      second.getId(),
+    ]);
+
+    const renamed = await repos.labels.update(project.getId(), bug.getId(), {
+      name: "Bug",
+    });
+    expect(renamed.toJSON()).toMatchObject({ name: "Bug", color: "#ff0000" });
+    await expect(
+      repos.labels.update(project.getId(), bug.getId(), { name: "blocked" })
+    ).rejects.toMatchObject({ code: "LABEL_EXISTS" });
+    await expect(
+      repos.labels.update(other.getId(), bug.getId(), { color: "#000000" })
+    ).rejects.toThrow(NotFoundError);
+
+    const unlabeled = await repos.tasks.removeLabel(
+      second.getId(),
+      blocked.getId()
+    );
+    expect(unlabeled.getLabels()).toEqual([]);
+    await expect(
+      repos.tasks.removeLabel(second.getId(), blocked.getId())
+    ).rejects.toThrow(NotFoundError);
+
+    await repos.labels.delete(project.getId(), blocked.getId());
+    expect(
+      (await repos.tasks.getById(first.getId())).getLabels().map((l) => l.id)
+    ).toEqual([bug.getId()]);
+    const { entries } = await repos.activity.find({
+      filters: { entity_type: "task", entity_id: first.getId() },
+    });
+    expect(entries[0].toJSON()).toMatchObject({
+      action: "unlabel",
+      before: { label_id: blocked.getId() },
+      after: null,
+    });
+    await expect(
+      repos.labels.delete(project.getId(), blocked.getId())
+    ).rejects.toThrow(NotFoundError);
+    await repos.projects.delete(project.getId());
+    expect(await repos.labels.getByProjectId(project.getId())).toEqual([]);
+  });
+
+  it("should unassign non-members when a task changes project", async () => {
+    const ana = await repos.users.create({
+      email: "ana@example.com",
+      password: "ana-pass",
+    });
+    const bob = await repos.users.create({
+      email: "bob@example.com",
+      password: "bob-pass",
+    });
+    const project = await repos.projects.create({
+      title: "Team",
+      owner_id: ana.getId(),
+    });
+    const other = await repos.projects.create({
+      title: "Elsewhere",
+      owner_id: ana.getId(),
+    });
+    await repos.members.add(project.getId(), {
+      user_id: bob.getId(),
+      role: "editor",
+    });
+    const board = await repos.boards.create({
+      title: "Board",
+      project_id: project.getId(),
+    });
+    const sibling = await repos.boards.create({
+      title: "Sibling",
+      project_id: project.getId(),
+    });
+    const away = await repos.boards.create({
+      title: "Away",
+      project_id: other.getId(),
+    });
+    const tasks = [];
+    for (const title of ["Moved", "Patched"]) {
+      const task = await repos.tasks.create({ title, board_id: board.getId() });
+      await repos.tasks.addAssignee(task.getId(), ana.getId());
+      await repos.tasks.addAssignee(task.getId(), bob.getId());
+      tasks.push(task.getId());
+    }
+    const assigneesOf = async (id) =>
+      (await repos.tasks.getById(id)).getAssignees().map((user) => user.id);
+
+    // Pindah column di project yang sama tidak menyentuh assignee
+    await repos.tasks.moveToBoard(tasks[0], sibling.getId());
+    expect(await assigneesOf(tasks[0])).toEqual([ana.getId(), bob.getId()]);
+
+    await repos.tasks.moveToBoard(tasks[0], away.getId());
+    await repos.tasks.patch(tasks[1], { board_id: away.getId() });
+    expect(await assigneesOf(tasks[0])).toEqual([ana.getId()]);
+    expect(await assigneesOf(tasks[1])).toEqual([ana.getId()]);
+
+    const { entries } = await repos.activity.find({
+      filters: { entity_id: tasks[0], entity_type: "task" },
+    });
+    expect(entries.slice(0, 2).map((entry) => entry.toJSON())).toEqual([
+      expect.objectContaining({ action: "move" }),
+      expect.objectContaining({
+        action: "unassign",
+        before: { assignee_id: bob.getId() },
+      }),
+    ]);
+  });
+
+  it("should drop labels of the old project when a task changes project", async () => {
+    const project = await repos.projects.create({ title: "Labels" });
+    const other = await repos.projects.create({ title: "Elsewhere" });
+    const board = await repos.boards.create({
+      title: "Board",
+      project_id: project.getId(),
+    });
+    const sibling = await repos.boards.create({
+      title: "Sibling",
+      project_id: project.getId(),
+    });
+    const away = await repos.boards.create({
+      title: "Away",
+      project_id: other.getId(),
+    });
+    const bug = await repos.labels.create(project.getId(), { name: "bug" });
+    const tasks = [];
+    for (const title of ["Moved", "Patched"]) {
+      const task = await repos.tasks.create({ title, board_id: board.getId() });
+      await repos.tasks.addLabel(task.getId(), bug.getId());
+      tasks.push(task.getId());
+    }
+    const labelsOf = async (id) =>
+      (await repos.tasks.getById(id)).getLabels().map((label) => label.id);
+
+    // Pindah column di project yang sama tidak menyentuh label
+    await repos.tasks.moveToBoard(tasks[0], sibling.getId());
+    expect(await labelsOf(tasks[0])).toEqual([bug.getId()]);
+
+    const { task } = await repos.tasks.moveToBoard(tasks[0], away.getId());
+    const updated = await repos.tasks.patch(tasks[1], {
+      board_id: away.getId(),
+    });
+    expect(task.getLabels()).toEqual([]);
+    expect(updated.getLabels()).toEqual([]);
+    expect(
+      (await repos.tasks.find({ filters: { label_ids: [bug.getId()] } })).tasks
+    ).toEqual([]);
+
+    const { entries } = await repos.activity.find({
+      filters: { entity_id: tasks[0], entity_type: "task" },
+    });
+    expect(entries.slice(0, 2).map((entry) => entry.getAction())).toEqual([
+      "move",
+      "unlabel",
+    ]);
+  });
+
+  it("should drop old-project labels on restore or unarchive elsewhere", async () => {
+    const project = await repos.projects.create({ title: "Labels" });
+    const other = await repos.projects.create({ title: "Elsewhere" });
+    const board = await repos.boards.create({
+      title: "Board",
+      project_id: project.getId(),
+    });
+    const away = await repos.boards.create({
+      title: "Away",
+      project_id: other.getId(),
+    });
+    const bug = await repos.labels.create(project.getId(), { name: "bug" });
+    const tasks = [];
+    for (const title of ["Archived", "Deleted"]) {
+      const task = await repos.tasks.create({ title, board_id: board.getId() });
+      await repos.tasks.addLabel(task.getId(), bug.getId());
+      tasks.push(task.getId());
+    }
+    await repos.tasks.archive(tasks[0]);
+    await repos.tasks.delete(tasks[1]);
+
+    const unarchived = await repos.tasks.unarchive(tasks[0], {
+      board_id: away.getId(),
+    });
+    const restored = await repos.tasks.restore(tasks[1], {
+      board_id: away.getId(),
+    });
+
+    expect(unarchived.getLabels()).toEqual([]);
+    expect(restored.getLabels()).toEqual([]);
+    expect(
+      (
+        await repos.tasks.find({
+          filters: { label_ids: [bug.getId()], project_id: other.getId() },
+        })
+      ).tasks
+    ).toEqual([]);
+    for (const [id, action] of [
+      [tasks[0], "unarchive"],
+      [tasks[1], "restore"],
+    ]) {
+      const { entries } = await repos.activity.find({
+        filters: { entity_id: id, entity_type: "task" },
+      });
+      expect(entries.slice(0, 2).map((entry) => entry.getAction())).toEqual([
+        action,
+        "unlabel",
+      ]);
+      expect(entries[1].toJSON().before).toEqual({ label_id: bug.getId() });
+    }
+  });
+
+  it("should cascade project deletes to boards and tasks", async () => {
+    const project = await repos.projects.create({ title: "Cascade" });
+    const board = await repos.boards.create({
+      title: "Board",
+      project_id: project.getId(),
+    });
+    const task = await repos.tasks.create({
+      title: "Task",
+      board_id: board.getId(),
+    });
+
+    await repos.projects.delete(project.getId());
+
+    expect(await repos.boards.getById(board.getId())).toBeNull();
+    expect(await repos.tasks.getById(task.getId())).toBeNull();
+  });
+
+  it("should filter, sort and paginate tasks with find", async () => {
+    const todo = await seedBoard("Todo", 2);
+    const done = await seedBoard("Done", 1);
+    await repos.tasks.patch(todo.ids[0], {
+      priority: "low",
+      due_date: "2024-03-10",
+    });
+    await repos.tasks.patch(todo.ids[1], {
+      priority: "urgent",
+      due_date: "2024-03-01T09:00:00Z",
+    });
+    const idsFrom = ({ tasks }) => tasks.map((task) => task.getId());
+
+    const all = await repos.tasks.find({
+      sort: [{ field: "position", direction: "asc" }],
+    });
+    expect(all.total).toBe(3);
+    expect(idsFrom(all)).toEqual([...todo.ids, ...done.ids]);
+
+    const page = await repos.tasks.find({
+      sort: [{ field: "position", direction: "asc" }],
+      limit: 2,
+      offset: 1,
+    });
+    expect(page.total).toBe(3);
+    expect(idsFrom(page)).toEqual([todo.ids[1], done.ids[0]]);
+
+    const byBoard = await repos.tasks.find({
+      filters: { board_id: done.boardId },
+    });
+    expect(idsFrom(byBoard)).toEqual(done.ids);
+
+    const byTitle = await repos.tasks.find({ filters: { title: "todo 1" } });
+    expect(idsFrom(byTitle)).toEqual([todo.ids[1]]);
+
+    const byPriority = await repos.tasks.find({
+      sort: [{ field: "priority", direction: "desc" }],
+    });
+    expect(idsFrom(byPriority)).toEqual([
+      todo.ids[1],
+      todo.ids[0],
+      done.ids[0],
+    ]);
+
+    const byDue = await repos.tasks.find({
+      filters: { due_from: "2024-03-01", due_to: "2024-03-05" },
+      sort: [{ field: "due_date", direction: "asc" }],
+    });
+    expect(byDue.total).toBe(1);
+    expect(idsFrom(byDue)).toEqual([todo.ids[1]]);
+
+    const literal = await repos.tasks.find({ filters: { title: "%" } });
+    expect(literal.total).toBe(0);
+  });
+
+  it("should search titles and descriptions and keep the index in sync", async () => {
+    const board = await repos.boards.create({ title: "Backlog" });
+    const login = await repos.tasks.create({
+      title: "Fix login page",
+      board_id: board.getId(),
+    });
+    const docs = await repos.tasks.create({
+      title: "Write docs",
+      description: "Explain how the login flow works",
+      board_id: board.getId(),
+    });
+    const search = async (q) =>
+      (await repos.tasks.search({ q })).hits.map((hit) => hit.task.getId());
+
+    const result = await repos.tasks.search({ q: "log" });
+    expect(result.total).toBe(2);
+    expect(result.hits.map((hit) => hit.task.getId())).toEqual([
+      login.getId(),
+      docs.getId(),
+    ]);
+    expect(result.hits[0].boardTitle).toBe("Backlog");
+    expect(result.hits[0].highlight.title).toBe("Fix <mark>login</mark> page");
+    expect(result.hits[1].highlight.description).toContain(
+      "<mark>login</mark>"
+    );
+
+    expect(await search("login docs")).toEqual([docs.getId()]);
+    expect(await search('"login*')).toEqual([login.getId(), docs.getId()]);
+    expect(await search("!!!")).toEqual([]);
+
+    await repos.tasks.patch(login.getId(), { title: "Fix signup page" });
+    expect(await search("signup")).toEqual([login.getId()]);
+    expect(await search("login")).toEqual([docs.getId()]);
+
+    await repos.tasks.archive(docs.getId());
+    expect(await search("login")).toEqual([]);
+    const archived = await repos.tasks.search({
+      q: "login",
+      include_archived: true,
+    });
+    expect(archived.hits.map((hit) => hit.task.getId())).toEqual([
+      docs.getId(),
+    ]);
+
+    await repos.tasks.delete(docs.getId());
+    expect(await search("login")).toEqual([]);
+
+    await repos.boards.delete(board.getId(), { cascade: true });
+    expect(await search("signup")).toEqual([]);
+  });
+
+  it("should return a project snapshot with ordered columns and tasks", async () => {
+    const project = await repos.projects.create({ title: "Snapshot" });
+    const first = await repos.boards.create({
+      title: "First",
+      project_id: project.getId(),
+    });
+    const second = await repos.boards.create({
+      title: "Second",
+      project_id: project.getId(),
+      position: 0,
+    });
+    const a = await repos.tasks.create({ title: "A", board_id: first.getId() });
+    const b = await repos.tasks.create({
+      title: "B",
+      board_id: first.getId(),
+      position: 0,
+    });
+    await seedBoard("Other project", 1);
+
+    const snapshot = await repos.boards.getSnapshot(project.getId());
+
+    expect(snapshot.projectId).toBe(project.getId());
+    expect(snapshot.columns.map(({ board }) => board.getId())).toEqual([
+      second.getId(),
+      first.getId(),
+    ]);
+    expect(snapshot.columns.map(({ tasks }) => tasks.length)).toEqual([0, 2]);
+    expect(snapshot.columns[1].tasks.map((task) => task.getId())).toEqual([
+      b.getId(),
+      a.getId(),
+    ]);
+    await expect(repos.boards.getSnapshot(99999)).rejects.toBeInstanceOf(
+      NotFoundError
+    );
+  });
+
+  it("should keep supporting callbacks", (done) => {
+    repos.boards.create({ title: "Callback" }, (err, board) => {
+      expect(err).toBeNull();
+      expect(board.getTitle()).toBe("Callback");
+      done();
+    });
+  });
+});
+
+describe("Storage selection", () => {
+  it("should reject an unknown storage", () => {
+    expect(() => createRepositories({ storage: "redis" })).toThrow(
+      /Unknown storage/
+    );
+  });
+
+  it("should serve the HTTP API from memory storage", async () => {
+    const app = createApp({
+      repositories: createRepositories({ storage: "memory" }),
+    });
+
+    const health = await request(app).get("/api/health").expect(200);
+    const session = await request(app)
+      .post("/api/auth/register")
+      .send({ email: "demo@example.com", password: "demo-pass" })
+      .expect(201);
+    const api = request
+      .agent(app)
+      .auth(session.body.accessToken, { type: "bearer" });
+    const column = await api
+      .post("/api/columns")
+      .send({ title: "Demo" })
+      .expect(201);
+    await api
+      .post("/api/tasks")
+      .send({ title: "Demo task", board_id: column.body.id })
+      .expect(201);
+    const tasks = await api
+      .get(`/api/tasks/board/${column.body.id}`)
+      .expect(200);
+
+    expect(health.body.storage).toBe("memory");
+    expect(tasks.body.map((task) => task.title)).toEqual(["Demo task"]);
+  });
+});
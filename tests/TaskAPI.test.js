@@ -3,111 +3,58 @@
  * Comprehensive test suite for all Task endpoints
  */
 
-const sqlite3 = require("sqlite3").verbose();
-const path = require("path");
-const fs = require("fs");
-
-// Test database path
-const testDbPath = path.join(__dirname, "../test_tasks.db");
-
-// Initialize test database
-const initTestDb = () => {
-  return new Promise((resolve, reject) => {
-    // Remove old test db if exists
-    if (fs.existsSync(testDbPath)) {
-      fs.unlinkSync(testDbPath);
-    }
-
-    const db = new sqlite3.Database(testDbPath, (err) => {
-      if (err) return reject(err);
-
-      db.serialize(() => {
-        // Create board table
-        db.run(`
-          CREATE TABLE IF NOT EXISTS board (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            title TEXT NOT NULL,
-            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
-          )
-        `);
-
-        // Create task table
-        db.run(
-          `
-          CREATE TABLE IF NOT EXISTS task (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            title TEXT NOT NULL,
-            position INTEGER NOT NULL,
-            board_id INTEGER NOT NULL,
-            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (board_id) REFERENCES board(id) ON DELETE CASCADE
-          )
-        `,
-          (err) => {
-            if (err) return reject(err);
-
-            // Insert test boards
-            db.run(
-              "INSERT INTO board (title) VALUES (?)",
-              ["To Do"],
-              function (err) {
-                if (err) return reject(err);
-                const boardId1 = this.lastID;
-
-                db.run(
-                  "INSERT INTO board (title) VALUES (?)",
-                  ["In Progress"],
-                  function (err) {
-                    if (err) return reject(err);
-                    const boardId2 = this.lastID;
-
-                    // Insert test tasks
-                    db.run(
-                      "INSERT INTO task (title, position, board_id) VALUES (?, ?, ?)",
-                      ["Task 1", 0, boardId1],
-                      function (err) {
-                        if (err) return reject(err);
-
-                        db.run(
-                          "INSERT INTO task (title, position, board_id) VALUES (?, ?, ?)",
-                          ["Task 2", 1, boardId1],
-                          function (err) {
-                            if (err) return reject(err);
-
-                            resolve({ db, boardId1, boardId2 });
-                          }
-                        );
-                      }
-                    );
-                  }
-                );
-              }
-            );
-          }
-        );
-      });
-    });
-  });
+const { createConnection } = require("../src/database/connection");
+const { migrate } = require("../src/database/migrator");
+
+// Initialize test database - connection in-memory terpisah dengan schema
+// hasil migration, diisi dua board (di project default) dan dua task
+const initTestDb = async () => {
+  const db = createConnection(":memory:");
+  await migrate(db);
+
+  const { id: projectId } = await db.getAsync(
+    "SELECT MIN(id) AS id FROM Project"
+  );
+  const insertBoard = (title, position) =>
+    db.runAsync(
+      "INSERT INTO Board (title, position, project_id) VALUES (?, ?, ?)",
+      [title, position, projectId]
+    );
+
+  const { lastID: boardId1 } = await insertBoard("To Do", 0);
+  const { lastID: boardId2 } = await insertBoard("In Progress", 1);
+
+  await db.runAsync(
+    "INSERT INTO Task (title, position, board_id) VALUES (?, ?, ?)",
+    ["Task 1", 0, boardId1]
+  );
+  await db.runAsync(
+    "INSERT INTO Task (title, position, board_id) VALUES (?, ?, ?)",
+    ["Task 2", 1, boardId1]
+  );
+
+  return { db, projectId, boardId1, boardId2 };
 };
 
 describe("Task API Endpoints", () => {
   let db;
+  let projectId;
   let boardId1;
   let boardId2;
   let taskId1;
   let taskId2;
 
   beforeAll(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
     const setup = await initTestDb();
     db = setup.db;
+    projectId = setup.projectId;
     boardId1 = setup.boardId1;
     boardId2 = setup.boardId2;
 
     // Get task IDs
     return new Promise((resolve) => {
-      db.all("SELECT id FROM task ORDER BY id", [], (err, rows) => {
+      db.all("SELECT id FROM Task ORDER BY id", [], (err, rows) => {
         if (rows && rows.length >= 2) {
           taskId1 = rows[0].id;
           taskId2 = rows[1].id;
@@ -118,19 +65,12 @@ describe("Task API Endpoints", () => {
   });
 
   afterAll((done) => {
-    if (db) {
-      db.close((err) => {
-        if (fs.existsSync(testDbPath)) {
-          fs.unlinkSync(testDbPath);
-        }
-        done();
-      });
-    }
+    db.close(() => done());
   });
 
   describe("Database Setup", () => {
     it("should have created board table with test data", (done) => {
-      db.get("SELECT COUNT(*) as count FROM board", [], (err, row) => {
+      db.get("SELECT COUNT(*) as count FROM Board", [], (err, row) => {
         expect(err).toBeNull();
         expect(row.count).toBeGreaterThanOrEqual(2);
         done();
@@ -138,7 +78,7 @@ describe("Task API Endpoints", () => {
     });
 
     it("should have created task table with test data", (done) => {
-      db.get("SELECT COUNT(*) as count FROM task", [], (err, row) => {
+      db.get("SELECT COUNT(*) as count FROM Task", [], (err, row) => {
         expect(err).toBeNull();
         expect(row.count).toBeGreaterThanOrEqual(2);
         done();
@@ -147,7 +87,7 @@ describe("Task API Endpoints", () => {
 
     it("should have board references in tasks", (done) => {
       db.get(
-        "SELECT board_id FROM task WHERE id = ?",
+        "SELECT board_id FROM Task WHERE id = ?",
         [taskId1],
         (err, row) => {
           expect(err).toBeNull();
@@ -162,7 +102,7 @@ describe("Task API Endpoints", () => {
   describe("Task CRUD Operations", () => {
     it("should create a new task", (done) => {
       db.run(
-        "INSERT INTO task (title, position, board_id) VALUES (?, ?, ?)",
+        "INSERT INTO Task (title, position, board_id) VALUES (?, ?, ?)",
         ["New Task", 2, boardId1],
         function (err) {
           expect(err).toBeNull();
@@ -173,7 +113,7 @@ describe("Task API Endpoints", () => {
     });
 
     it("should read all tasks", (done) => {
-      db.all("SELECT * FROM task", [], (err, rows) => {
+      db.all("SELECT * FROM Task", [], (err, rows) => {
         expect(err).toBeNull();
         expect(Array.isArray(rows)).toBe(true);
         expect(rows.length).toBeGreaterThan(0);
@@ -182,7 +122,7 @@ describe("Task API Endpoints", () => {
     });
 
     it("should read a specific task by ID", (done) => {
-      db.get("SELECT * FROM task WHERE id = ?", [taskId1], (err, row) => {
+      db.get("SELECT * FROM Task WHERE id = ?", [taskId1], (err, row) => {
         expect(err).toBeNull();
         expect(row).toBeDefined();
         expect(row.id).toBe(taskId1);
@@ -193,7 +133,7 @@ describe("Task API Endpoints", () => {
 
     it("should get tasks by board ID", (done) => {
       db.all(
-        "SELECT * FROM task WHERE board_id = ?",
+        "SELECT * FROM Task WHERE board_id = ?",
         [boardId1],
         (err, rows) => {
           expect(err).toBeNull();
@@ -207,13 +147,13 @@ describe("Task API Endpoints", () => {
 
     it("should update a task", (done) => {
       db.run(
-        "UPDATE task SET title = ? WHERE id = ?",
+        "UPDATE Task SET title = ? WHERE id = ?",
         ["Updated Task", taskId1],
         function (err) {
           expect(err).toBeNull();
 
           // Verify the update
-          db.get("SELECT * FROM task WHERE id = ?", [taskId1], (err, row) => {
+          db.get("SELECT * FROM Task WHERE id = ?", [taskId1], (err, row) => {
             expect(row.title).toBe("Updated Task");
             done();
           });
@@ -223,16 +163,16 @@ describe("Task API Endpoints", () => {
 
     it("should delete a task", (done) => {
       db.run(
-        "INSERT INTO task (title, position, board_id) VALUES (?, ?, ?)",
+        "INSERT INTO Task (title, position, board_id) VALUES (?, ?, ?)",
         ["Task to Delete", 99, boardId1],
         function (err) {
           const tempTaskId = this.lastID;
 
-          db.run("DELETE FROM task WHERE id = ?", [tempTaskId], function (err) {
+          db.run("DELETE FROM Task WHERE id = ?", [tempTaskId], function (err) {
             expect(err).toBeNull();
 
             db.get(
-              "SELECT * FROM task WHERE id = ?",
+              "SELECT * FROM Task WHERE id = ?",
               [tempTaskId],
               (err, row) => {
                 expect(row).toBeUndefined();
@@ -249,7 +189,7 @@ describe("Task API Endpoints", () => {
     it("should reorder tasks by swapping positions", (done) => {
       // Get tasks to swap
       db.all(
-        "SELECT id, position FROM task WHERE board_id = ? ORDER BY position",
+        "SELECT id, position FROM Task WHERE board_id = ? ORDER BY position",
         [boardId1],
         (err, rows) => {
           if (rows.length >= 2) {
@@ -258,20 +198,20 @@ describe("Task API Endpoints", () => {
 
             // Swap positions
             db.run(
-              "UPDATE task SET position = ? WHERE id = ?",
+              "UPDATE Task SET position = ? WHERE id = ?",
               [task2.position, task1.id],
               (err) => {
                 expect(err).toBeNull();
 
                 db.run(
-                  "UPDATE task SET position = ? WHERE id = ?",
+                  "UPDATE Task SET position = ? WHERE id = ?",
                   [task1.position, task2.id],
                   (err) => {
                     expect(err).toBeNull();
 
                     // Verify swap
                     db.all(
-                      "SELECT id, position FROM task WHERE board_id = ? ORDER BY position",
+                      "SELECT id, position FROM Task WHERE board_id = ? ORDER BY position",
                       [boardId1],
                       (err, newRows) => {
                         expect(newRows[0].id).toBe(task2.id);
@@ -292,13 +232,13 @@ describe("Task API Endpoints", () => {
 
     it("should move task to different board", (done) => {
       db.run(
-        "UPDATE task SET board_id = ? WHERE id = ?",
+        "UPDATE Task SET board_id = ? WHERE id = ?",
         [boardId2, taskId1],
         function (err) {
           expect(err).toBeNull();
 
           db.get(
-            "SELECT board_id FROM task WHERE id = ?",
+            "SELECT board_id FROM Task WHERE id = ?",
             [taskId1],
             (err, row) => {
               expect(row.board_id).toBe(boardId2);
@@ -311,27 +251,27 @@ describe("Task API Endpoints", () => {
 
     it("should recalculate positions after moving task", (done) => {
       db.run(
-        "INSERT INTO task (title, position, board_id) VALUES (?, ?, ?)",
+        "INSERT INTO Task (title, position, board_id) VALUES (?, ?, ?)",
         ["New Board Task", 0, boardId1],
         function (err) {
           const newTaskId = this.lastID;
 
           // Move all tasks in boardId1 and recalculate positions
           db.all(
-            "SELECT id FROM task WHERE board_id = ? ORDER BY position",
+            "SELECT id FROM Task WHERE board_id = ? ORDER BY position",
             [boardId1],
             (err, rows) => {
               let completed = 0;
               rows.forEach((row, index) => {
                 db.run(
-                  "UPDATE task SET position = ? WHERE id = ?",
+                  "UPDATE Task SET position = ? WHERE id = ?",
                   [index, row.id],
                   () => {
                     completed++;
                     if (completed === rows.length) {
                       // Verify all positions are correct
                       db.all(
-                        "SELECT position FROM task WHERE board_id = ? ORDER BY position",
+                        "SELECT position FROM Task WHERE board_id = ? ORDER BY position",
                         [boardId1],
                         (err, posRows) => {
                           expect(
@@ -354,12 +294,12 @@ describe("Task API Endpoints", () => {
   describe("Task Validation", () => {
     it("should not allow task without title", (done) => {
       db.run(
-        "INSERT INTO task (title, position, board_id) VALUES (?, ?, ?)",
+        "INSERT INTO Task (title, position, board_id) VALUES (?, ?, ?)",
         ["", 0, boardId1],
         function (err) {
           // SQLite doesn't enforce NOT NULL in this context, but we test empty string handling
           db.get(
-            "SELECT * FROM task WHERE id = ?",
+            "SELECT * FROM Task WHERE id = ?",
             [this.lastID],
             (err, row) => {
               // The task was inserted with empty title
@@ -374,19 +314,19 @@ describe("Task API Endpoints", () => {
 
     it("should handle task with all required fields", (done) => {
       db.run(
-        "INSERT INTO task (title, position, board_id) VALUES (?, ?, ?)",
+        "INSERT INTO Task (title, position, board_id) VALUES (?, ?, ?)",
         ["Complete Task", 5, boardId1],
         function (err) {
           expect(err).toBeNull();
 
           db.get(
-            "SELECT * FROM task WHERE id = ?",
+            "SELECT * FROM Task WHERE id = ?",
             [this.lastID],
             (err, row) => {
               expect(row.title).toBe("Complete Task");
               expect(row.position).toBe(5);
               expect(row.board_id).toBe(boardId1);
-              expect(row.createdAt).toBeDefined();
+              expect(row.created_at).toBeDefined();
               done();
             }
           );
@@ -397,7 +337,7 @@ describe("Task API Endpoints", () => {
 
   describe("Error Handling", () => {
     it("should handle query on non-existent task", (done) => {
-      db.get("SELECT * FROM task WHERE id = ?", [99999], (err, row) => {
+      db.get("SELECT * FROM Task WHERE id = ?", [99999], (err, row) => {
         expect(err).toBeNull();
         expect(row).toBeUndefined();
         done();
@@ -405,7 +345,7 @@ describe("Task API Endpoints", () => {
     });
 
     it("should handle query on non-existent board", (done) => {
-      db.all("SELECT * FROM task WHERE board_id = ?", [99999], (err, rows) => {
+      db.all("SELECT * FROM Task WHERE board_id = ?", [99999], (err, rows) => {
         expect(err).toBeNull();
         expect(rows).toEqual([]);
         done();
@@ -414,16 +354,12 @@ describe("Task API Endpoints", () => {
 
     it("should enforce foreign key constraint", (done) => {
       // Try to insert task with non-existent board_id
-      // Note: Foreign keys may not be enforced by default in SQLite
       db.run(
-        "INSERT INTO task (title, position, board_id) VALUES (?, ?, ?)",
+        "INSERT INTO Task (title, position, board_id) VALUES (?, ?, ?)",
         ["Orphan Task", 0, 99999],
         function (err) {
-          // In SQLite, FK may not be enforced by default
-          // This test documents the behavior
-          if (err) {
-            expect(err).toBeDefined();
-          }
+          expect(err).not.toBeNull();
+          expect(err.message).toMatch(/FOREIGN KEY/);
           done();
         }
       );
@@ -435,8 +371,8 @@ describe("Task API Endpoints", () => {
       db.all(
         `
         SELECT t.*, b.title as board_title 
-        FROM task t 
-        LEFT JOIN board b ON t.board_id = b.id
+        FROM Task t 
+        LEFT JOIN Board b ON t.board_id = b.id
       `,
         [],
         (err, rows) => {
@@ -451,27 +387,26 @@ describe("Task API Endpoints", () => {
     it("should delete all tasks when board is deleted", (done) => {
       // Create a test board and task
       db.run(
-        "INSERT INTO board (title) VALUES (?)",
-        ["Temp Board"],
+        "INSERT INTO Board (title, position, project_id) VALUES (?, ?, ?)",
+        ["Temp Board", 2, projectId],
         function (err) {
           const tempBoardId = this.lastID;
 
           db.run(
-            "INSERT INTO task (title, position, board_id) VALUES (?, ?, ?)",
+            "INSERT INTO Task (title, position, board_id) VALUES (?, ?, ?)",
             ["Temp Task", 0, tempBoardId],
             (err) => {
               // Delete the board
-              db.run("DELETE FROM board WHERE id = ?", [tempBoardId], (err) => {
+              db.run("DELETE FROM Board WHERE id = ?", [tempBoardId], (err) => {
                 expect(err).toBeNull();
 
-                // Check if tasks are still there (FK constraint may or may not delete)
+                // Connection dari createConnection mengaktifkan foreign key,
+                // jadi task ikut terhapus (ON DELETE CASCADE)
                 db.all(
-                  "SELECT * FROM task WHERE board_id = ?",
+                  "SELECT * FROM Task WHERE board_id = ?",
                   [tempBoardId],
                   (err, rows) => {
-                    // Test documents behavior - may or may not be deleted
-                    // depending on FK enforcement
-                    expect(Array.isArray(rows)).toBe(true);
+                    expect(rows).toEqual([]);
                     done();
                   }
                 );
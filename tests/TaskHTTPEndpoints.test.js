@@ -1,663 +1,1313 @@
 /**
  * Task HTTP Endpoints Tests
  * Comprehensive test suite for Task API HTTP endpoints
- * Tests actual Express routes with real database
+ * Tests the real Express app against the real migrated schema
+ * (DB_PATH=":memory:" dari tests/setup.js)
  */
 
 const request = require("supertest");
-const express = require("express");
-const cors = require("cors");
-const sqlite3 = require("sqlite3").verbose();
-const path = require("path");
-const fs = require("fs");
-
-// Create test app
-const createApp = (db) => {
-  const app = express();
-  app.use(cors());
-  app.use(express.json());
-
-  // Board routes
-  app.get("/api/columns", (req, res) => {
-    db.all("SELECT * FROM board", [], (err, rows) => {
-      if (err)
-        return res.status(500).json({ success: false, message: err.message });
-      res.json({ success: true, data: rows });
-    });
+const app = require("../src/index");
+const db = require("../src/database/db");
+const { initializeDatabase } = require("../src/database/init");
+const { config } = require("../src/config");
+const { signToken } = require("../src/auth/tokens");
+
+describe("Task HTTP Endpoints", () => {
+  // Agent yang mengirim access token di setiap request
+  let api;
+  let userId;
+  let boardId1;
+  let boardId2;
+  let taskId1;
+  let taskId2;
+
+  beforeAll(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    await initializeDatabase();
+
+    const session = await request(app)
+      .post("/api/auth/register")
+      .send({ email: "tester@example.com", password: "s3cret-pass" });
+    userId = session.body.user.id;
+    api = request.agent(app).auth(session.body.accessToken, { type: "bearer" });
+
+    const todo = await api.post("/api/columns").send({ title: "To Do" });
+    const progress = await api
+      .post("/api/columns")
+      .send({ title: "In Progress" });
+    boardId1 = todo.body.id;
+    boardId2 = progress.body.id;
+
+    const task1 = await api
+      .post("/api/tasks")
+      .send({ title: "Task 1", position: 0, board_id: boardId1 });
+    const task2 = await api
+      .post("/api/tasks")
+      .send({ title: "Task 2", position: 1, board_id: boardId1 });
+    taskId1 = task1.body.id;
+    taskId2 = task2.body.id;
   });
 
-  app.post("/api/columns", (req, res) => {
-    const { title } = req.body;
-    if (!title)
-      return res
-        .status(400)
-        .json({ success: false, message: "Title required" });
+  afterAll((done) => {
+    db.close(() => done());
+  });
 
-    db.run("INSERT INTO board (title) VALUES (?)", [title], function (err) {
-      if (err)
-        return res.status(500).json({ success: false, message: err.message });
-      res.status(201).json({ success: true, data: { id: this.lastID, title } });
+  describe("Authentication", () => {
+    it("should keep the health check public", async () => {
+      await request(app).get("/api/health").expect(200);
     });
-  });
 
-  app.get("/api/columns/:id", (req, res) => {
-    db.get("SELECT * FROM board WHERE id = ?", [req.params.id], (err, row) => {
-      if (err)
-        return res.status(500).json({ success: false, message: err.message });
-      if (!row)
-        return res
-          .status(404)
-          .json({ success: false, message: "Board not found" });
-      res.json({ success: true, data: row });
+    it("should return 401 without a token", async () => {
+      const tasks = await request(app).get("/api/tasks").expect(401);
+      const columns = await request(app).get("/api/columns").expect(401);
+
+      expect(tasks.body.code).toBe("AUTH_REQUIRED");
+      expect(columns.body.code).toBe("AUTH_REQUIRED");
     });
-  });
 
-  app.put("/api/columns/:id", (req, res) => {
-    const { title } = req.body;
-    if (!title)
-      return res
-        .status(400)
-        .json({ success: false, message: "Title required" });
-
-    db.run(
-      "UPDATE board SET title = ? WHERE id = ?",
-      [title, req.params.id],
-      function (err) {
-        if (err)
-          return res.status(500).json({ success: false, message: err.message });
-        res.json({ success: true, data: { id: req.params.id, title } });
-      }
-    );
-  });
+    it("should reject tampered and expired tokens", async () => {
+      const tampered = await request(app)
+        .get("/api/tasks")
+        .auth("abc.def.ghi", { type: "bearer" })
+        .expect(401);
+      const expired = signToken(
+        { sub: userId, type: "access" },
+        { secret: config.auth.secret, ttl: -1 }
+      );
+      const late = await request(app)
+        .get("/api/tasks")
+        .auth(expired, { type: "bearer" })
+        .expect(401);
 
-  app.delete("/api/columns/:id", (req, res) => {
-    db.run("DELETE FROM board WHERE id = ?", [req.params.id], function (err) {
-      if (err)
-        return res.status(500).json({ success: false, message: err.message });
-      res.json({ success: true, message: "Board deleted" });
+      expect(tampered.body.code).toBe("INVALID_TOKEN");
+      expect(late.body.code).toBe("TOKEN_EXPIRED");
     });
-  });
 
-  // Task routes
-  app.post("/api/tasks", (req, res) => {
-    const { title, position, board_id } = req.body;
-
-    if (!title)
-      return res
-        .status(400)
-        .json({ success: false, message: "Title required" });
-    if (position === undefined)
-      return res
-        .status(400)
-        .json({ success: false, message: "Position required" });
-    if (!board_id)
-      return res
-        .status(400)
-        .json({ success: false, message: "Board ID required" });
-
-    db.run(
-      "INSERT INTO task (title, position, board_id) VALUES (?, ?, ?)",
-      [title, position, board_id],
-      function (err) {
-        if (err)
-          return res.status(500).json({ success: false, message: err.message });
-        res.status(201).json({
-          success: true,
-          data: { id: this.lastID, title, position, board_id },
-        });
-      }
-    );
-  });
+    it("should log in and never expose the password hash", async () => {
+      const res = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "Tester@Example.com", password: "s3cret-pass" })
+        .expect(200);
 
-  app.get("/api/tasks", (req, res) => {
-    db.all("SELECT * FROM task ORDER BY position", [], (err, rows) => {
-      if (err)
-        return res.status(500).json({ success: false, message: err.message });
-      res.json({ success: true, data: rows });
+      expect(res.body.user).toMatchObject({
+        id: userId,
+        email: "tester@example.com",
+      });
+      expect(res.body.user.password_hash).toBeUndefined();
+      expect(res.body.tokenType).toBe("Bearer");
+      await request(app)
+        .get("/api/columns")
+        .auth(res.body.accessToken, { type: "bearer" })
+        .expect(200);
     });
-  });
 
-  app.get("/api/tasks/:id", (req, res) => {
-    db.get("SELECT * FROM task WHERE id = ?", [req.params.id], (err, row) => {
-      if (err)
-        return res.status(500).json({ success: false, message: err.message });
-      if (!row)
-        return res
-          .status(404)
-          .json({ success: false, message: "Task not found" });
-      res.json({ success: true, data: row });
+    it("should reject a wrong password and a taken email", async () => {
+      const login = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "tester@example.com", password: "wrong-pass" })
+        .expect(401);
+      const register = await request(app)
+        .post("/api/auth/register")
+        .send({ email: "TESTER@example.com", password: "another-pass" })
+        .expect(409);
+
+      expect(login.body.code).toBe("INVALID_CREDENTIALS");
+      expect(register.body.code).toBe("EMAIL_TAKEN");
+      await request(app)
+        .post("/api/auth/register")
+        .send({ email: "short@example.com", password: "short" })
+        .expect(400);
     });
-  });
 
-  app.get("/api/tasks/board/:board_id", (req, res) => {
-    db.all(
-      "SELECT * FROM task WHERE board_id = ? ORDER BY position",
-      [req.params.board_id],
-      (err, rows) => {
-        if (err)
-          return res.status(500).json({ success: false, message: err.message });
-        res.json({ success: true, data: rows });
-      }
-    );
+    it("should exchange a refresh token but not an access token", async () => {
+      const session = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "tester@example.com", password: "s3cret-pass" });
+
+      const res = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: session.body.refreshToken })
+        .expect(200);
+      expect(res.body.accessToken).toEqual(expect.any(String));
+      expect(res.body.user.id).toBe(userId);
+
+      const misuse = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: session.body.accessToken })
+        .expect(401);
+      expect(misuse.body.code).toBe("INVALID_TOKEN");
+    });
   });
 
-  app.put("/api/tasks/:id", (req, res) => {
-    const { title, position, board_id } = req.body;
-
-    if (!title)
-      return res
-        .status(400)
-        .json({ success: false, message: "Title required" });
-    if (position === undefined)
-      return res
-        .status(400)
-        .json({ success: false, message: "Position required" });
-    if (!board_id)
-      return res
-        .status(400)
-        .json({ success: false, message: "Board ID required" });
-
-    db.run(
-      "UPDATE task SET title = ?, position = ?, board_id = ? WHERE id = ?",
-      [title, position, board_id, req.params.id],
-      function (err) {
-        if (err)
-          return res.status(500).json({ success: false, message: err.message });
-        res.json({
-          success: true,
-          data: { id: req.params.id, title, position, board_id },
-        });
-      }
-    );
-  });
+  describe("Project Members & Roles", () => {
+    // Agent per user: editor, viewer dan user yang bukan member
+    let editor;
+    let viewer;
+    let outsider;
+    let editorId;
+    let viewerId;
+    let outsiderId;
+    let projectId;
+    let columnId;
+    let taskId;
+
+    const login = async (email) => {
+      const session = await request(app)
+        .post("/api/auth/register")
+        .send({ email, password: "member-pass" });
+      return {
+        id: session.body.user.id,
+        agent: request
+          .agent(app)
+          .auth(session.body.accessToken, { type: "bearer" }),
+      };
+    };
+
+    beforeAll(async () => {
+      ({ id: editorId, agent: editor } = await login("editor@example.com"));
+      ({ id: viewerId, agent: viewer } = await login("viewer@example.com"));
+      ({ id: outsiderId, agent: outsider } = await login(
+        "outsider@example.com"
+      ));
+
+      const project = await api.post("/api/projects").send({ title: "Team" });
+      projectId = project.body.id;
+      const column = await api
+        .post(`/api/projects/${projectId}/columns`)
+        .send({ title: "Backlog" });
+      columnId = column.body.id;
+      const task = await api
+        .post("/api/tasks")
+        .send({ title: "Team task", board_id: columnId });
+      taskId = task.body.id;
+    });
 
-  app.delete("/api/tasks/:id", (req, res) => {
-    db.run("DELETE FROM task WHERE id = ?", [req.params.id], function (err) {
-      if (err)
-        return res.status(500).json({ success: false, message: err.message });
-      res.json({ success: true, message: "Task deleted" });
+    it("should make the creator the project owner", async () => {
+      const res = await api
+        .get(`/api/projects/${projectId}/members`)
+        .expect(200);
+
+      expect(res.body).toEqual([
+        expect.objectContaining({
+          user_id: userId,
+          role: "owner",
+          email: "tester@example.com",
+        }),
+      ]);
     });
-  });
 
-  app.post("/api/tasks/reorder", (req, res) => {
-    const { taskId1, taskId2 } = req.body;
-
-    if (!taskId1 || !taskId2) {
-      return res
-        .status(400)
-        .json({ success: false, message: "Both task IDs required" });
-    }
-
-    db.get(
-      "SELECT position FROM task WHERE id = ?",
-      [taskId1],
-      (err, task1) => {
-        if (err || !task1) {
-          return res
-            .status(404)
-            .json({ success: false, message: "Task 1 not found" });
-        }
-
-        db.get(
-          "SELECT position FROM task WHERE id = ?",
-          [taskId2],
-          (err, task2) => {
-            if (err || !task2) {
-              return res
-                .status(404)
-                .json({ success: false, message: "Task 2 not found" });
-            }
-
-            db.run(
-              "UPDATE task SET position = ? WHERE id = ?",
-              [task2.position, taskId1],
-              () => {
-                db.run(
-                  "UPDATE task SET position = ? WHERE id = ?",
-                  [task1.position, taskId2],
-                  (err) => {
-                    if (err) {
-                      return res
-                        .status(500)
-                        .json({ success: false, message: err.message });
-                    }
-                    res.json({ success: true, message: "Tasks reordered" });
-                  }
-                );
-              }
-            );
-          }
-        );
-      }
-    );
-  });
+    it("should let the owner add members by email or user_id", async () => {
+      await api
+        .post(`/api/projects/${projectId}/members`)
+        .send({ email: "Viewer@example.com", role: "viewer" })
+        .expect(201);
+      const added = await api
+        .post(`/api/projects/${projectId}/members`)
+        .send({ user_id: editorId, role: "editor" })
+        .expect(201);
+      const duplicate = await api
+        .post(`/api/projects/${projectId}/members`)
+        .send({ user_id: viewerId, role: "editor" })
+        .expect(409);
+      await api
+        .post(`/api/projects/${projectId}/members`)
+        .send({ email: "nobody@example.com", role: "viewer" })
+        .expect(404);
+      await api
+        .post(`/api/projects/${projectId}/members`)
+        .send({ user_id: viewerId, role: "admin" })
+        .expect(400);
+
+      expect(added.body).toMatchObject({ user_id: editorId, role: "editor" });
+      expect(duplicate.body.code).toBe("ALREADY_MEMBER");
+    });
 
-  app.post("/api/tasks/move", (req, res) => {
-    const { taskId, targetBoardId } = req.body;
-
-    if (!taskId || !targetBoardId) {
-      return res
-        .status(400)
-        .json({ success: false, message: "Task ID and Board ID required" });
-    }
-
-    db.run(
-      "UPDATE task SET board_id = ? WHERE id = ?",
-      [targetBoardId, taskId],
-      function (err) {
-        if (err)
-          return res.status(500).json({ success: false, message: err.message });
-        res.json({ success: true, message: "Task moved" });
-      }
-    );
+    it("should give viewers read-only access", async () => {
+      await viewer.get(`/api/tasks/${taskId}`).expect(200);
+      await viewer.get(`/api/projects/${projectId}/columns`).expect(200);
+      await viewer.get(`/api/projects/${projectId}/members`).expect(200);
+      const list = await viewer
+        .get(`/api/tasks?project_id=${projectId}`)
+        .expect(200);
+
+      const patch = await viewer
+        .patch(`/api/tasks/${taskId}`)
+        .send({ title: "Nope" })
+        .expect(403);
+      await viewer
+        .post("/api/tasks")
+        .send({ title: "Nope", board_id: columnId })
+        .expect(403);
+      await viewer
+        .put(`/api/tasks/${taskId}/reorder-position`)
+        .send({ newPosition: 0 })
+        .expect(403);
+      await viewer
+        .post("/api/tasks/move")
+        .send({ taskId, newBoardId: columnId })
+        .expect(403);
+      await viewer
+        .post(`/api/projects/${projectId}/columns`)
+        .send({ title: "Nope" })
+        .expect(403);
+      await viewer.delete(`/api/columns/${columnId}`).expect(403);
+
+      expect(list.body.data.map((task) => task.id)).toEqual([taskId]);
+      expect(patch.body.code).toBe("FORBIDDEN");
+    });
+
+    it("should let editors change tasks but not the project", async () => {
+      await editor
+        .patch(`/api/tasks/${taskId}`)
+        .send({ title: "Edited" })
+        .expect(200);
+      await editor
+        .put(`/api/projects/${projectId}`)
+        .send({ title: "Renamed" })
+        .expect(403);
+      await editor
+        .post(`/api/projects/${projectId}/members`)
+        .send({ email: "outsider@example.com", role: "viewer" })
+        .expect(403);
+      // Task tidak boleh dipindah ke project yang tidak bisa diubah editor
+      const other = await outsider
+        .post("/api/projects")
+        .send({ title: "Private" });
+      const otherColumn = await outsider
+        .post(`/api/projects/${other.body.id}/columns`)
+        .send({ title: "Private column" });
+      await editor
+        .patch(`/api/tasks/${taskId}`)
+        .send({ board_id: otherColumn.body.id })
+        .expect(403);
+    });
+
+    it("should hide projects from non-members", async () => {
+      const project = await outsider
+        .get(`/api/projects/${projectId}`)
+        .expect(403);
+      await outsider.get(`/api/tasks/${taskId}`).expect(403);
+      await outsider.get(`/api/projects/${projectId}/columns`).expect(403);
+      await outsider.get(`/api/tasks?project_id=${projectId}`).expect(403);
+      const projects = await outsider.get("/api/projects").expect(200);
+      const tasks = await outsider.get("/api/tasks").expect(200);
+      const history = await outsider
+        .get(`/api/tasks/${taskId}/activity`)
+        .expect(403);
+      const feed = await outsider.get("/api/activity?entity_type=task");
+
+      expect(project.body.code).toBe("NOT_A_MEMBER");
+      expect(history.body.code).toBe("NOT_A_MEMBER");
+      expect(projects.body.map((row) => row.id)).not.toContain(projectId);
+      expect(tasks.body.data.map((task) => task.id)).not.toContain(taskId);
+      expect(feed.body.data.map((entry) => entry.entity_id)).not.toContain(
+        taskId
+      );
+    });
+
+    it("should keep later users out of the default project", async () => {
+      const snapshot = await api.get("/api/columns/snapshot").expect(200);
+      const defaultId = snapshot.body.project_id;
+      const trashed = await api
+        .post("/api/tasks")
+        .send({ title: "Recoverable", board_id: boardId1 });
+      await api.delete(`/api/tasks/${trashed.body.id}`).expect(200);
+
+      await outsider.get("/api/columns/snapshot").expect(403);
+      await outsider
+        .post(`/api/projects/${defaultId}/members`)
+        .send({ user_id: outsiderId, role: "owner" })
+        .expect(403);
+      await outsider
+        .delete("/api/tasks/trash")
+        .query({ olderThanDays: 0 })
+        .expect(200);
+      const assign = await api
+        .post(`/api/tasks/${taskId1}/assignees`)
+        .send({ user_id: outsiderId })
+        .expect(400);
+      const trash = await api.get("/api/tasks/trash").expect(200);
+      const members = await api
+        .get(`/api/projects/${defaultId}/members`)
+        .expect(200);
+
+      expect(assign.body.error).toMatch(/member/);
+      expect(trash.body.map((task) => task.id)).toContain(trashed.body.id);
+      expect(
+        members.body.map((member) => [member.user_id, member.role])
+      ).toEqual([[userId, "owner"]]);
+    });
+
+    it("should not show history from before a move to another project", async () => {
+      const task = await api
+        .post("/api/tasks")
+        .send({ title: "Secret plan", board_id: columnId });
+      await api
+        .patch(`/api/tasks/${task.body.id}`)
+        .send({ description: "Only for the team" });
+      const shared = await api.post("/api/projects").send({ title: "Shared" });
+      await api
+        .post(`/api/projects/${shared.body.id}/members`)
+        .send({ email: "outsider@example.com", role: "viewer" })
+        .expect(201);
+      const column = await api
+        .post(`/api/projects/${shared.body.id}/columns`)
+        .send({ title: "Shared column" });
+      await api
+        .patch(`/api/tasks/${task.body.id}`)
+        .send({ board_id: column.body.id })
+        .expect(200);
+
+      const history = await outsider
+        .get(`/api/tasks/${task.body.id}/activity`)
+        .expect(200);
+      const feed = await outsider.get("/api/activity?entity_type=task");
+
+      expect(history.body.data.map((entry) => entry.action)).toEqual(["move"]);
+      expect(
+        feed.body.data
+          .filter((entry) => entry.entity_id === task.body.id)
+          .map((entry) => entry.action)
+      ).toEqual(["move"]);
+    });
+
+    it("should change roles and keep at least one owner", async () => {
+      const promoted = await api
+        .patch(`/api/projects/${projectId}/members/${viewerId}`)
+        .send({ role: "editor" })
+        .expect(200);
+      const demoted = await api
+        .patch(`/api/projects/${projectId}/members/${userId}`)
+        .send({ role: "viewer" })
+        .expect(409);
+      await viewer
+        .delete(`/api/projects/${projectId}/members/${editorId}`)
+        .expect(403);
+      // Member boleh keluar sendiri
+      await viewer
+        .delete(`/api/projects/${projectId}/members/${viewerId}`)
+        .expect(200);
+      await viewer.get(`/api/tasks/${taskId}`).expect(403);
+
+      expect(promoted.body.role).toBe("editor");
+      expect(demoted.body.code).toBe("LAST_OWNER");
+    });
   });
 
-  return app;
-};
-
-// Initialize test database
-const initTestDb = () => {
-  return new Promise((resolve, reject) => {
-    const testDbPath = path.join(__dirname, "../test_http.db");
-
-    if (fs.existsSync(testDbPath)) {
-      fs.unlinkSync(testDbPath);
-    }
-
-    const db = new sqlite3.Database(testDbPath, (err) => {
-      if (err) return reject(err);
-
-      db.serialize(() => {
-        db.run(`
-          CREATE TABLE IF NOT EXISTS board (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            title TEXT NOT NULL,
-            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
-          )
-        `);
-
-        db.run(
-          `
-          CREATE TABLE IF NOT EXISTS task (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            title TEXT NOT NULL,
-            position INTEGER NOT NULL,
-            board_id INTEGER NOT NULL,
-            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (board_id) REFERENCES board(id) ON DELETE CASCADE
-          )
-        `,
-          (err) => {
-            if (err) return reject(err);
-
-            db.run(
-              "INSERT INTO board (title) VALUES (?)",
-              ["To Do"],
-              function (err) {
-                if (err) return reject(err);
-                const boardId1 = this.lastID;
-
-                db.run(
-                  "INSERT INTO board (title) VALUES (?)",
-                  ["In Progress"],
-                  function (err) {
-                    if (err) return reject(err);
-                    const boardId2 = this.lastID;
-
-                    db.run(
-                      "INSERT INTO task (title, position, board_id) VALUES (?, ?, ?)",
-                      ["Task 1", 0, boardId1],
-                      function (err) {
-                        if (err) return reject(err);
-                        const taskId1 = this.lastID;
-
-                        db.run(
-                          "INSERT INTO task (title, position, board_id) VALUES (?, ?, ?)",
-                          ["Task 2", 1, boardId1],
-                          function (err) {
-                            if (err) return reject(err);
-                            const taskId2 = this.lastID;
-
-                            resolve({
-                              db,
-                              boardId1,
-                              boardId2,
-                              taskId1,
-                              taskId2,
-                              testDbPath,
-                            });
-                          }
-                        );
-                      }
-                    );
-                  }
-                );
-              }
-            );
-          }
-        );
+  describe("API Tokens", () => {
+    // Buat token lewat login biasa; hasilnya agent yang memakai token itu
+    const createToken = async (body) => {
+      const res = await api.post("/api/tokens").send(body).expect(201);
+      return {
+        body: res.body,
+        agent: request.agent(app).auth(res.body.token, { type: "bearer" }),
+      };
+    };
+
+    it("should create a token that works like a login", async () => {
+      const { body, agent } = await createToken({
+        name: "CI",
+        scope: "write",
       });
+      const created = await agent
+        .post("/api/tasks")
+        .send({ title: "From CI", board_id: boardId1 })
+        .expect(201);
+      const list = await api.get("/api/tokens").expect(200);
+      const stored = list.body.find((token) => token.id === body.id);
+
+      expect(body.token).toMatch(/^tm_/);
+      expect(body.token.startsWith(body.prefix)).toBe(true);
+      expect(body).toMatchObject({ name: "CI", scope: "write" });
+      expect(stored.token).toBeUndefined();
+      expect(stored.token_hash).toBeUndefined();
+      expect(stored.lastUsedAt).not.toBeNull();
+
+      const history = await api
+        .get(`/api/tasks/${created.body.id}/activity`)
+        .expect(200);
+      expect(history.body.data[0].actor_id).toBe(userId);
+      await api.delete(`/api/tasks/${created.body.id}`).expect(200);
     });
-  });
-};
 
-describe("Task HTTP Endpoints", () => {
-  let app;
-  let db;
-  let boardId1;
-  let boardId2;
-  let taskId1;
-  let taskId2;
-  let testDbPath;
+    it("should limit read-only tokens to reads", async () => {
+      const { body, agent } = await createToken({ name: "Dashboard" });
+      await agent.get("/api/tasks").expect(200);
+      const write = await agent
+        .post("/api/tasks")
+        .send({ title: "Nope", board_id: boardId1 })
+        .expect(403);
+      const manage = await agent.get("/api/tokens").expect(403);
 
-  beforeAll(async () => {
-    const setup = await initTestDb();
-    db = setup.db;
-    boardId1 = setup.boardId1;
-    boardId2 = setup.boardId2;
-    taskId1 = setup.taskId1;
-    taskId2 = setup.taskId2;
-    testDbPath = setup.testDbPath;
-
-    app = createApp(db);
-  });
+      expect(body.scope).toBe("read");
+      expect(write.body.code).toBe("INSUFFICIENT_SCOPE");
+      expect(manage.body.code).toBe("SESSION_REQUIRED");
+    });
 
-  afterAll((done) => {
-    if (db) {
-      db.close((err) => {
-        if (fs.existsSync(testDbPath)) {
-          fs.unlinkSync(testDbPath);
-        }
-        done();
+    it("should reject revoked and expired tokens", async () => {
+      const revoked = await createToken({ name: "Old script" });
+      await api.delete(`/api/tokens/${revoked.body.id}`).expect(200);
+      await api.delete(`/api/tokens/${revoked.body.id}`).expect(404);
+      const afterRevoke = await revoked.agent.get("/api/tasks").expect(401);
+
+      const expiring = await createToken({
+        name: "Short lived",
+        expires_at: new Date(Date.now() + 60000).toISOString(),
       });
-    }
+      await db.runAsync("UPDATE ApiToken SET expires_at = ? WHERE id = ?", [
+        new Date(Date.now() - 1000).toISOString(),
+        expiring.body.id,
+      ]);
+      const expired = await expiring.agent.get("/api/tasks").expect(401);
+
+      expect(afterRevoke.body.code).toBe("INVALID_TOKEN");
+      expect(expired.body.code).toBe("TOKEN_EXPIRED");
+    });
+
+    it("should validate new tokens", async () => {
+      await api.post("/api/tokens").send({ scope: "write" }).expect(400);
+      await api
+        .post("/api/tokens")
+        .send({ name: "Admin", scope: "admin" })
+        .expect(400);
+      await api
+        .post("/api/tokens")
+        .send({ name: "Past", expires_at: "2000-01-01T00:00:00Z" })
+        .expect(400);
+    });
   });
 
   describe("POST /api/tasks - Create Task", () => {
-    it("should create task successfully", (done) => {
-      request(app)
+    it("should create task successfully", async () => {
+      const res = await api
         .post("/api/tasks")
         .send({ title: "New Task", position: 2, board_id: boardId1 })
-        .expect(201)
-        .end((err, res) => {
-          expect(err).toBeNull();
-          expect(res.body.success).toBe(true);
-          expect(res.body.data.title).toBe("New Task");
-          done();
-        });
+        .expect(201);
+
+      expect(res.body.title).toBe("New Task");
+      expect(res.body.position).toBe(2);
+      expect(res.body.board_id).toBe(boardId1);
     });
 
-    it("should return 400 when title is missing", (done) => {
-      request(app)
+    it("should return 400 when title is missing", async () => {
+      const res = await api
         .post("/api/tasks")
         .send({ position: 0, board_id: boardId1 })
-        .expect(400)
-        .end((err, res) => {
-          expect(err).toBeNull();
-          expect(res.body.success).toBe(false);
-          done();
-        });
+        .expect(400);
+
+      expect(res.body.code).toBe("VALIDATION_ERROR");
     });
 
-    it("should return 400 when board_id is missing", (done) => {
-      request(app)
+    it("should return 400 when board_id is missing", async () => {
+      const res = await api
         .post("/api/tasks")
         .send({ title: "Task", position: 0 })
-        .expect(400)
-        .end((err, res) => {
-          expect(err).toBeNull();
-          expect(res.body.success).toBe(false);
-          done();
-        });
+        .expect(400);
+
+      expect(res.body.code).toBe("VALIDATION_ERROR");
+    });
+
+    it("should return 404 when the board does not exist", async () => {
+      const res = await api
+        .post("/api/tasks")
+        .send({ title: "Orphan", board_id: 99999 })
+        .expect(404);
+
+      expect(res.body).toEqual({ error: "Board not found", code: "NOT_FOUND" });
     });
   });
 
   describe("GET /api/tasks - Get All Tasks", () => {
-    it("should get all tasks", (done) => {
-      request(app)
+    it("should get all tasks", async () => {
+      const res = await api.get("/api/tasks").expect(200);
+
+      expect(Array.isArray(res.body.data)).toBe(true);
+      expect(res.body.data.length).toBeGreaterThan(0);
+      expect(res.body.pagination).toEqual({
+        total: res.body.data.length,
+        limit: 50,
+        offset: 0,
+        nextOffset: null,
+      });
+    });
+
+    it("should paginate, filter and sort through the query string", async () => {
+      const res = await api
         .get("/api/tasks")
-        .expect(200)
-        .end((err, res) => {
-          expect(err).toBeNull();
-          expect(res.body.success).toBe(true);
-          expect(Array.isArray(res.body.data)).toBe(true);
-          expect(res.body.data.length).toBeGreaterThan(0);
-          done();
-        });
+        .query({ board_id: boardId1, sort: "-title", limit: 1 })
+        .expect(200);
+
+      expect(res.body.data.map((t) => t.title)).toEqual(["Task 2"]);
+      expect(res.body.pagination.total).toBeGreaterThanOrEqual(2);
+      expect(res.body.pagination.nextOffset).toBe(1);
+
+      const byTitle = await api
+        .get("/api/tasks")
+        .query({ title: "task 1" })
+        .expect(200);
+      expect(byTitle.body.data.map((t) => t.id)).toEqual([taskId1]);
+    });
+
+    it("should return 400 for invalid query parameters", async () => {
+      const res = await api
+        .get("/api/tasks")
+        .query({ limit: 0, sort: "color", priority: "soon" })
+        .expect(400);
+
+      expect(res.body.code).toBe("VALIDATION_ERROR");
+      expect(res.body.error).toMatch(/limit/);
+      expect(res.body.error).toMatch(/sort/);
+      expect(res.body.error).toMatch(/priority/);
     });
   });
 
   describe("GET /api/tasks/:id - Get Task by ID", () => {
-    it("should get task by ID", (done) => {
-      request(app)
-        .get(`/api/tasks/${taskId1}`)
-        .expect(200)
-        .end((err, res) => {
-          expect(err).toBeNull();
-          expect(res.body.success).toBe(true);
-          expect(res.body.data.id).toBe(taskId1);
-          done();
-        });
-    });
-
-    it("should return 404 for non-existent task", (done) => {
-      request(app)
-        .get("/api/tasks/99999")
-        .expect(404)
-        .end((err, res) => {
-          expect(err).toBeNull();
-          expect(res.body.success).toBe(false);
-          done();
-        });
+    it("should get task by ID", async () => {
+      const res = await api.get(`/api/tasks/${taskId1}`).expect(200);
+
+      expect(res.body.id).toBe(taskId1);
+    });
+
+    it("should return 404 for non-existent task", async () => {
+      const res = await api.get("/api/tasks/99999").expect(404);
+
+      expect(res.body).toEqual({ error: "Task not found", code: "NOT_FOUND" });
     });
   });
 
   describe("GET /api/tasks/board/:board_id - Get Tasks by Board", () => {
-    it("should get all tasks in a board", (done) => {
-      request(app)
-        .get(`/api/tasks/board/${boardId1}`)
-        .expect(200)
-        .end((err, res) => {
-          expect(err).toBeNull();
-          expect(res.body.success).toBe(true);
-          expect(Array.isArray(res.body.data)).toBe(true);
-          expect(res.body.data.every((t) => t.board_id === boardId1)).toBe(
-            true
-          );
-          done();
-        });
-    });
-
-    it("should return empty array for board with no tasks", (done) => {
-      request(app)
-        .get(`/api/tasks/board/99999`)
-        .expect(200)
-        .end((err, res) => {
-          expect(err).toBeNull();
-          expect(res.body.success).toBe(true);
-          expect(res.body.data).toEqual([]);
-          done();
-        });
+    it("should get all tasks in a board", async () => {
+      const res = await api.get(`/api/tasks/board/${boardId1}`).expect(200);
+
+      expect(Array.isArray(res.body)).toBe(true);
+      expect(res.body.every((t) => t.board_id === boardId1)).toBe(true);
+    });
+
+    it("should return empty array for board with no tasks", async () => {
+      const res = await api.get(`/api/tasks/board/${boardId2}`).expect(200);
+
+      expect(res.body).toEqual([]);
     });
   });
 
   describe("PUT /api/tasks/:id - Update Task", () => {
-    it("should update task successfully", (done) => {
-      request(app)
+    it("should update task successfully", async () => {
+      const res = await api
         .put(`/api/tasks/${taskId1}`)
         .send({ title: "Updated Task", position: 0, board_id: boardId1 })
-        .expect(200)
-        .end((err, res) => {
-          expect(err).toBeNull();
-          expect(res.body.success).toBe(true);
-          expect(res.body.data.title).toBe("Updated Task");
-          done();
-        });
+        .expect(200);
+
+      expect(res.body.title).toBe("Updated Task");
     });
 
-    it("should return 400 when title is missing", (done) => {
-      request(app)
+    it("should return 400 when title is missing", async () => {
+      await api
         .put(`/api/tasks/${taskId1}`)
         .send({ position: 0, board_id: boardId1 })
-        .expect(400)
-        .end((err, res) => {
-          expect(err).toBeNull();
-          expect(res.body.success).toBe(false);
-          done();
-        });
+        .expect(400);
+    });
+
+    it("should return 404 for non-existent task", async () => {
+      await api
+        .put("/api/tasks/99999")
+        .send({ title: "Ghost", position: 0, board_id: boardId1 })
+        .expect(404);
     });
   });
 
   describe("DELETE /api/tasks/:id - Delete Task", () => {
-    it("should delete task successfully", (done) => {
-      request(app)
+    it("should delete task successfully", async () => {
+      const created = await api
         .post("/api/tasks")
-        .send({ title: "Task to Delete", position: 5, board_id: boardId1 })
-        .end((err, res) => {
-          const taskId = res.body.data.id;
-
-          request(app)
-            .delete(`/api/tasks/${taskId}`)
-            .expect(200)
-            .end((err, res) => {
-              expect(err).toBeNull();
-              expect(res.body.success).toBe(true);
-              done();
-            });
-        });
+        .send({ title: "Task to Delete", position: 5, board_id: boardId1 });
+
+      const res = await api.delete(`/api/tasks/${created.body.id}`).expect(200);
+
+      expect(res.body.message).toBe("Task deleted successfully");
+      await api.get(`/api/tasks/${created.body.id}`).expect(404);
+    });
+
+    it("should return 404 for non-existent task", async () => {
+      await api.delete("/api/tasks/99999").expect(404);
+    });
+  });
+
+  describe("Trash - Soft Delete, Restore & Purge", () => {
+    it("should list deleted tasks and restore them", async () => {
+      const created = await api
+        .post("/api/tasks")
+        .send({ title: "Oops", board_id: boardId1 });
+      await api.delete(`/api/tasks/${created.body.id}`).expect(200);
+
+      const trash = await api.get("/api/tasks/trash").expect(200);
+      const trashed = trash.body.find((t) => t.id === created.body.id);
+      expect(trashed.deletedAt).toBeDefined();
+
+      const res = await api
+        .post(`/api/tasks/${created.body.id}/restore`)
+        .expect(200);
+      expect(res.body.id).toBe(created.body.id);
+      expect(res.body.deletedAt).toBeUndefined();
+      await api.get(`/api/tasks/${created.body.id}`).expect(200);
+    });
+
+    it("should list and restore deleted columns", async () => {
+      const column = await api
+        .post("/api/columns")
+        .send({ title: "Restorable" });
+      await api.delete(`/api/columns/${column.body.id}`).expect(200);
+      await api.get(`/api/columns/${column.body.id}`).expect(404);
+
+      const trash = await api.get("/api/columns/trash").expect(200);
+      expect(trash.body.map((c) => c.id)).toContain(column.body.id);
+
+      const res = await api
+        .post(`/api/columns/${column.body.id}/restore`)
+        .expect(200);
+      expect(res.body).toMatchObject({
+        id: column.body.id,
+        restored_tasks: 0,
+      });
+    });
+
+    it("should purge trash older than the requested age", async () => {
+      const created = await api
+        .post("/api/tasks")
+        .send({ title: "Gone for good", board_id: boardId1 });
+      await api.delete(`/api/tasks/${created.body.id}`);
+
+      const kept = await api.delete("/api/tasks/trash").expect(200);
+      expect(kept.body.purged).toBe(0);
+
+      const res = await api
+        .delete("/api/tasks/trash")
+        .query({ olderThanDays: 0 })
+        .expect(200);
+      expect(res.body.purged).toBeGreaterThanOrEqual(1);
+      await api.post(`/api/tasks/${created.body.id}/restore`).expect(404);
+      await api
+        .delete("/api/tasks/trash")
+        .query({ olderThanDays: "soon" })
+        .expect(400);
+    });
+  });
+
+  describe("Archive - Archive, Unarchive & Archived Listing", () => {
+    it("should archive a task and list it as archived", async () => {
+      const created = await api
+        .post("/api/tasks")
+        .send({ title: "Shipped", board_id: boardId1 });
+
+      const res = await api
+        .post(`/api/tasks/${created.body.id}/archive`)
+        .expect(200);
+      expect(res.body.archivedAt).toBeDefined();
+      await api.post(`/api/tasks/${created.body.id}/archive`).expect(409);
+
+      const column = await api.get(`/api/tasks/board/${boardId1}`).expect(200);
+      expect(column.body.map((t) => t.id)).not.toContain(created.body.id);
+
+      const archived = await api
+        .get("/api/tasks/archived")
+        .query({ board_id: boardId1 })
+        .expect(200);
+      expect(archived.body.data.map((t) => t.id)).toContain(created.body.id);
+      expect(archived.body.pagination.total).toBeGreaterThanOrEqual(1);
+
+      await api
+        .get("/api/tasks/archived")
+        .query({ archived_from: "yesterday" })
+        .expect(400);
+    });
+
+    it("should unarchive a task to the end of a chosen column", async () => {
+      const target = await api.post("/api/columns").send({ title: "Reopened" });
+      await api
+        .post("/api/tasks")
+        .send({ title: "Already here", board_id: target.body.id });
+      const created = await api
+        .post("/api/tasks")
+        .send({ title: "Reopened", board_id: boardId1 });
+      await api.post(`/api/tasks/${created.body.id}/archive`);
+
+      await api
+        .post(`/api/tasks/${created.body.id}/unarchive`)
+        .send({ board_id: "two" })
+        .expect(400);
+      const res = await api
+        .post(`/api/tasks/${created.body.id}/unarchive`)
+        .send({ board_id: target.body.id })
+        .expect(200);
+      expect(res.body).toMatchObject({ board_id: target.body.id, position: 1 });
+      expect(res.body.archivedAt).toBeUndefined();
+      await api.post(`/api/tasks/${created.body.id}/unarchive`).expect(409);
+    });
+  });
+
+  describe("Assignees", () => {
+    let memberId;
+    let projectId;
+    let columnId;
+
+    beforeAll(async () => {
+      const session = await request(app)
+        .post("/api/auth/register")
+        .send({ email: "assignee@example.com", password: "member-pass" });
+      memberId = session.body.user.id;
+
+      const project = await api.post("/api/projects").send({ title: "Sprint" });
+      projectId = project.body.id;
+      const column = await api
+        .post(`/api/projects/${projectId}/columns`)
+        .send({ title: "Doing" });
+      columnId = column.body.id;
+    });
+
+    it("should assign and unassign project members", async () => {
+      const created = await api
+        .post("/api/tasks")
+        .send({ title: "Pair on it", board_id: columnId });
+      expect(created.body.assignees).toEqual([]);
+
+      const outsider = await api
+        .post(`/api/tasks/${created.body.id}/assignees`)
+        .send({ user_id: memberId })
+        .expect(400);
+      expect(outsider.body.error).toMatch(/member/);
+
+      await api
+        .post(`/api/projects/${projectId}/members`)
+        .send({ user_id: memberId, role: "viewer" })
+        .expect(201);
+      await api
+        .post(`/api/tasks/${created.body.id}/assignees`)
+        .send({ user_id: userId })
+        .expect(200);
+      const res = await api
+        .post(`/api/tasks/${created.body.id}/assignees`)
+        .send({ user_id: memberId })
+        .expect(200);
+      expect(res.body.assignees).toEqual([
+        expect.objectContaining({ id: userId, email: "tester@example.com" }),
+        expect.objectContaining({
+          id: memberId,
+          email: "assignee@example.com",
+        }),
+      ]);
+
+      const duplicate = await api
+        .post(`/api/tasks/${created.body.id}/assignees`)
+        .send({ user_id: memberId })
+        .expect(409);
+      expect(duplicate.body.code).toBe("ALREADY_ASSIGNED");
+      await api
+        .post(`/api/tasks/${created.body.id}/assignees`)
+        .send({ user_id: "me" })
+        .expect(400);
+
+      const removed = await api
+        .delete(`/api/tasks/${created.body.id}/assignees/${memberId}`)
+        .expect(200);
+      expect(removed.body.assignees.map((user) => user.id)).toEqual([userId]);
+      await api
+        .delete(`/api/tasks/${created.body.id}/assignees/${memberId}`)
+        .expect(404);
+
+      const history = await api
+        .get(`/api/tasks/${created.body.id}/activity`)
+        .expect(200);
+      expect(history.body.data.map((entry) => entry.action)).toEqual([
+        "unassign",
+        "assign",
+        "assign",
+        "create",
+      ]);
+    });
+
+    it("should filter tasks by assignee", async () => {
+      const mine = await api
+        .post("/api/tasks")
+        .send({ title: "Mine", board_id: columnId });
+      await api
+        .post("/api/tasks")
+        .send({ title: "Nobody's", board_id: columnId });
+      await api
+        .post(`/api/tasks/${mine.body.id}/assignees`)
+        .send({ user_id: userId });
+
+      const res = await api
+        .get("/api/tasks")
+        .query({ assignee: "me", board_id: columnId })
+        .expect(200);
+      const byId = await api
+        .get("/api/tasks")
+        .query({ assignee: userId, board_id: columnId })
+        .expect(200);
+
+      expect(res.body.data.map((task) => task.title)).toEqual(
+        expect.arrayContaining(["Mine"])
+      );
+      expect(res.body.data.map((task) => task.title)).not.toContain("Nobody's");
+      expect(byId.body.data).toEqual(res.body.data);
+      await api.get("/api/tasks").query({ assignee: "you" }).expect(400);
+    });
+
+    it("should list my tasks grouped by column", async () => {
+      const review = await api
+        .post(`/api/projects/${projectId}/columns`)
+        .send({ title: "Review" });
+      const task = await api
+        .post("/api/tasks")
+        .send({ title: "Check PR", board_id: review.body.id });
+      await api
+        .post(`/api/tasks/${task.body.id}/assignees`)
+        .send({ user_id: userId });
+
+      const res = await api
+        .get("/api/me/tasks")
+        .query({ project_id: projectId })
+        .expect(200);
+
+      expect(res.body.columns.map((column) => column.title)).toEqual([
+        "Doing",
+        "Review",
+      ]);
+      expect(res.body.columns[1]).toMatchObject({
+        id: review.body.id,
+        project_id: projectId,
+        task_count: 1,
+        tasks: [expect.objectContaining({ title: "Check PR" })],
+      });
+      expect(res.body.total).toBe(
+        res.body.columns.reduce((sum, column) => sum + column.task_count, 0)
+      );
+
+      await api.get("/api/me/tasks").query({ project_id: "x" }).expect(400);
+      await request(app).get("/api/me/tasks").expect(401);
+    });
+  });
+
+  describe("Labels", () => {
+    let projectId;
+    let columnId;
+
+    beforeAll(async () => {
+      const project = await api.post("/api/projects").send({ title: "Labels" });
+      projectId = project.body.id;
+      const column = await api
+        .post(`/api/projects/${projectId}/columns`)
+        .send({ title: "Triage" });
+      columnId = column.body.id;
+    });
+
+    it("should create, list, update and delete project labels", async () => {
+      const created = await api
+        .post(`/api/projects/${projectId}/labels`)
+        .send({ name: "frontend", color: "#00AAFF" })
+        .expect(201);
+      expect(created.body).toMatchObject({
+        project_id: projectId,
+        name: "frontend",
+        color: "#00aaff",
+      });
+
+      await api
+        .post(`/api/projects/${projectId}/labels`)
+        .send({ name: "Frontend" })
+        .expect(409);
+      await api
+        .post(`/api/projects/${projectId}/labels`)
+        .send({ name: "", color: "blue" })
+        .expect(400);
+
+      const updated = await api
+        .patch(`/api/projects/${projectId}/labels/${created.body.id}`)
+        .send({ color: "#123456" })
+        .expect(200);
+      expect(updated.body).toMatchObject({
+        name: "frontend",
+        color: "#123456",
+      });
+      await api
+        .patch(`/api/projects/${projectId}/labels/${created.body.id}`)
+        .send({})
+        .expect(400);
+
+      const list = await api
+        .get(`/api/projects/${projectId}/labels`)
+        .expect(200);
+      expect(list.body.map((label) => label.name)).toEqual(["frontend"]);
+
+      await api
+        .delete(`/api/projects/${projectId}/labels/${created.body.id}`)
+        .expect(200);
+      await api
+        .delete(`/api/projects/${projectId}/labels/${created.body.id}`)
+        .expect(404);
+    });
+
+    it("should attach and detach labels and filter tasks by them", async () => {
+      const [bug, blocked] = await Promise.all(
+        ["bug", "blocked"].map((name) =>
+          api.post(`/api/projects/${projectId}/labels`).send({ name })
+        )
+      );
+      const created = [];
+      for (const title of ["Crash", "Waiting", "Plain"]) {
+        created.push(
+          await api.post("/api/tasks").send({ title, board_id: columnId })
+        );
+      }
+      const [crash, waiting, plain] = created;
+      expect(plain.body.labels).toEqual([]);
+
+      const res = await api
+        .post(`/api/tasks/${crash.body.id}/labels`)
+        .send({ label_id: bug.body.id })
+        .expect(200);
+      expect(res.body.labels).toEqual([
+        { id: bug.body.id, name: "bug", color: bug.body.color },
+      ]);
+      await api
+        .post(`/api/tasks/${waiting.body.id}/labels`)
+        .send({ label_id: blocked.body.id })
+        .expect(200);
+      const duplicate = await api
+        .post(`/api/tasks/${crash.body.id}/labels`)
+        .send({ label_id: bug.body.id })
+        .expect(409);
+      expect(duplicate.body.code).toBe("ALREADY_LABELED");
+      await api
+        .post(`/api/tasks/${taskId1}/labels`)
+        .send({ label_id: bug.body.id })
+        .expect(400);
+
+      const one = await api
+        .get("/api/tasks")
+        .query({ label: `${bug.body.id}` })
+        .expect(200);
+      const either = await api
+        .get("/api/tasks")
+        .query({ label: `${bug.body.id},${blocked.body.id}` })
+        .expect(200);
+      expect(one.body.data.map((task) => task.title)).toEqual(["Crash"]);
+      expect(either.body.data.map((task) => task.title)).toEqual([
+        "Crash",
+        "Waiting",
+      ]);
+      await api.get("/api/tasks").query({ label: "bug" }).expect(400);
+
+      const detached = await api
+        .delete(`/api/tasks/${crash.body.id}/labels/${bug.body.id}`)
+        .expect(200);
+      expect(detached.body.labels).toEqual([]);
+      await api
+        .delete(`/api/tasks/${crash.body.id}/labels/${bug.body.id}`)
+        .expect(404);
+
+      const history = await api
+        .get(`/api/tasks/${crash.body.id}/activity`)
+        .expect(200);
+      expect(history.body.data.map((entry) => entry.action)).toEqual([
+        "unlabel",
+        "label",
+        "create",
+      ]);
+    });
+  });
+
+  describe("Activity Log", () => {
+    it("should return the history of a task, newest first", async () => {
+      const created = await api
+        .post("/api/tasks")
+        .send({ title: "Tracked", board_id: boardId1 });
+      await api
+        .patch(`/api/tasks/${created.body.id}`)
+        .send({ title: "Tracked card" });
+
+      const res = await api
+        .get(`/api/tasks/${created.body.id}/activity`)
+        .expect(200);
+      expect(res.body.data.map((entry) => entry.action)).toEqual([
+        "update",
+        "create",
+      ]);
+      expect(res.body.data[0]).toMatchObject({
+        entity_type: "task",
+        entity_id: created.body.id,
+        actor_id: userId,
+        before: { title: "Tracked" },
+        after: { title: "Tracked card" },
+      });
+      expect(res.body.pagination.total).toBe(2);
+
+      await api.get("/api/tasks/99999/activity").expect(404);
+    });
+
+    it("should serve a paginated global feed", async () => {
+      const res = await api
+        .get("/api/activity")
+        .query({ entity_type: "task", limit: 1 })
+        .expect(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].entity_type).toBe("task");
+      expect(res.body.pagination.nextOffset).toBe(1);
+
+      await api.get("/api/activity").query({ action: "teleport" }).expect(400);
     });
   });
 
   describe("POST /api/tasks/reorder - Reorder Tasks", () => {
-    it("should reorder two tasks", (done) => {
-      request(app)
+    it("should reorder two tasks", async () => {
+      await api
         .post("/api/tasks/reorder")
         .send({ taskId1: taskId1, taskId2: taskId2 })
-        .expect(200)
-        .end((err, res) => {
-          expect(err).toBeNull();
-          expect(res.body.success).toBe(true);
-          done();
-        });
+        .expect(200);
     });
 
-    it("should return 400 when taskId1 is missing", (done) => {
-      request(app)
+    it("should return 400 when taskId1 is missing", async () => {
+      await api
         .post("/api/tasks/reorder")
         .send({ taskId2: taskId2 })
-        .expect(400)
-        .end((err, res) => {
-          expect(err).toBeNull();
-          expect(res.body.success).toBe(false);
-          done();
-        });
+        .expect(400);
     });
 
-    it("should return 404 for non-existent task", (done) => {
-      request(app)
+    it("should return 404 for non-existent task", async () => {
+      await api
         .post("/api/tasks/reorder")
         .send({ taskId1: 99999, taskId2: taskId2 })
-        .expect(404)
-        .end((err, res) => {
-          expect(err).toBeNull();
-          expect(res.body.success).toBe(false);
-          done();
-        });
+        .expect(404);
     });
   });
 
   describe("POST /api/tasks/move - Move Task to Different Board", () => {
-    it("should move task to different board", (done) => {
-      request(app)
+    it("should move task to different board", async () => {
+      const res = await api
+        .post("/api/tasks/move")
+        .send({ taskId: taskId1, newBoardId: boardId2, newPosition: 0 })
+        .expect(200);
+
+      expect(res.body.task.board_id).toBe(boardId2);
+      expect(res.body.target.tasks.map((t) => t.id)).toEqual([taskId1]);
+    });
+
+    it("should return 400 when taskId is missing", async () => {
+      await api
+        .post("/api/tasks/move")
+        .send({ newBoardId: boardId2 })
+        .expect(400);
+    });
+
+    it("should return 404 for non-existent task", async () => {
+      const res = await api
         .post("/api/tasks/move")
-        .send({ taskId: taskId1, targetBoardId: boardId2 })
-        .expect(200)
-        .end((err, res) => {
-          expect(err).toBeNull();
-          expect(res.body.success).toBe(true);
-          done();
-        });
+        .send({ taskId: 99999, newBoardId: boardId2 })
+        .expect(404);
+
+      expect(res.body.code).toBe("NOT_FOUND");
     });
 
-    it("should return 400 when taskId is missing", (done) => {
-      request(app)
+    it("should return 409 when the task is already in the board", async () => {
+      const res = await api
         .post("/api/tasks/move")
-        .send({ targetBoardId: boardId2 })
-        .expect(400)
-        .end((err, res) => {
-          expect(err).toBeNull();
-          expect(res.body.success).toBe(false);
-          done();
-        });
+        .send({ taskId: taskId1, newBoardId: boardId2 })
+        .expect(409);
+
+      expect(res.body.code).toBe("CONFLICT");
+    });
+  });
+
+  describe("GET /api/search - Full-text Search", () => {
+    it("should return ranked hits with their column title", async () => {
+      await api
+        .post("/api/tasks")
+        .send({
+          title: "Searchable card",
+          description: "Needs a quick review",
+          board_id: boardId2,
+        })
+        .expect(201);
+
+      const res = await api
+        .get("/api/search")
+        .query({ q: "review" })
+        .expect(200);
+
+      expect(res.body.pagination.total).toBe(1);
+      expect(res.body.data[0]).toMatchObject({
+        title: "Searchable card",
+        board_title: "In Progress",
+        highlight: {
+          title: "Searchable card",
+          description: "Needs a quick <mark>review</mark>",
+        },
+      });
+    });
+
+    it("should leave archived tasks out unless include_archived is set", async () => {
+      const created = await api
+        .post("/api/tasks")
+        .send({ title: "Shelved zeppelin", board_id: boardId2 });
+      await api.post(`/api/tasks/${created.body.id}/archive`).expect(200);
+
+      const hidden = await api
+        .get("/api/search")
+        .query({ q: "zeppelin" })
+        .expect(200);
+      const shown = await api
+        .get("/api/search")
+        .query({ q: "zeppelin", include_archived: "true" })
+        .expect(200);
+
+      expect(hidden.body.pagination.total).toBe(0);
+      expect(shown.body.data.map((hit) => hit.id)).toEqual([created.body.id]);
+      await api
+        .get("/api/search")
+        .query({ q: "zeppelin", include_archived: "yes" })
+        .expect(400);
+    });
+
+    it("should return 400 when q is missing", async () => {
+      const res = await api.get("/api/search").expect(400);
+
+      expect(res.body.code).toBe("VALIDATION_ERROR");
     });
   });
 
   describe("Board Endpoints", () => {
-    it("should get all boards", (done) => {
-      request(app)
-        .get("/api/columns")
-        .expect(200)
-        .end((err, res) => {
-          expect(err).toBeNull();
-          expect(res.body.success).toBe(true);
-          expect(Array.isArray(res.body.data)).toBe(true);
-          done();
-        });
+    it("should get all boards", async () => {
+      const res = await api.get("/api/columns").expect(200);
+
+      expect(Array.isArray(res.body)).toBe(true);
+    });
+
+    it("should return every column with its tasks in one snapshot", async () => {
+      const res = await api.get("/api/columns/snapshot").expect(200);
+      const columns = await api.get("/api/columns");
+
+      expect(res.body.columns.map((c) => c.id)).toEqual(
+        columns.body
+          .filter((c) => c.project_id === res.body.project_id)
+          .map((c) => c.id)
+      );
+      res.body.columns.forEach((column) => {
+        expect(column.task_count).toBe(column.tasks.length);
+        expect(column.tasks.map((t) => t.position)).toEqual(
+          column.tasks.map((t, index) => index)
+        );
+        expect(column.tasks.every((t) => t.board_id === column.id)).toBe(true);
+      });
     });
 
-    it("should create new board", (done) => {
-      request(app)
+    it("should return 404 for the snapshot of a missing project", async () => {
+      await api
+        .get("/api/columns/snapshot")
+        .query({ project_id: 99999 })
+        .expect(404);
+      await api.get("/api/projects/99999/columns/snapshot").expect(404);
+    });
+
+    it("should create new board", async () => {
+      const res = await api
         .post("/api/columns")
         .send({ title: "New Board" })
-        .expect(201)
-        .end((err, res) => {
-          expect(err).toBeNull();
-          expect(res.body.success).toBe(true);
-          done();
-        });
-    });
-
-    it("should get board by ID", (done) => {
-      request(app)
-        .get(`/api/columns/${boardId1}`)
-        .expect(200)
-        .end((err, res) => {
-          expect(err).toBeNull();
-          expect(res.body.success).toBe(true);
-          done();
-        });
-    });
-
-    it("should update board", (done) => {
-      request(app)
+        .expect(201);
+
+      expect(res.body.title).toBe("New Board");
+    });
+
+    it("should get board by ID", async () => {
+      const res = await api.get(`/api/columns/${boardId1}`).expect(200);
+
+      expect(res.body.id).toBe(boardId1);
+    });
+
+    it("should update board", async () => {
+      const res = await api
         .put(`/api/columns/${boardId1}`)
         .send({ title: "Updated Board" })
-        .expect(200)
-        .end((err, res) => {
-          expect(err).toBeNull();
-          expect(res.body.success).toBe(true);
-          done();
-        });
+        .expect(200);
+
+      expect(res.body.title).toBe("Updated Board");
+    });
+
+    it("should return 404 when updating a missing board", async () => {
+      await api.put("/api/columns/99999").send({ title: "Ghost" }).expect(404);
+    });
+
+    it("should delete board", async () => {
+      const created = await api
+        .post("/api/columns")
+        .send({ title: "Board to Delete" });
+
+      await api.delete(`/api/columns/${created.body.id}`).expect(200);
+      await api.delete(`/api/columns/${created.body.id}`).expect(404);
+    });
+
+    it("should refuse to delete a column that still has tasks", async () => {
+      const res = await api.delete(`/api/columns/${boardId2}`).expect(409);
+
+      expect(res.body.code).toBe("CONFLICT");
+      expect(res.body.details.taskCount).toBeGreaterThan(0);
     });
 
-    it("should delete board", (done) => {
-      request(app)
+    it("should move tasks to another column before deleting", async () => {
+      const column = await api
         .post("/api/columns")
-        .send({ title: "Board to Delete" })
-        .end((err, res) => {
-          const boardId = res.body.data.id;
-
-          request(app)
-            .delete(`/api/columns/${boardId}`)
-            .expect(200)
-            .end((err, res) => {
-              expect(err).toBeNull();
-              expect(res.body.success).toBe(true);
-              done();
-            });
-        });
+        .send({ title: "Temporary" });
+      const task = await api
+        .post("/api/tasks")
+        .send({ title: "Keep me", board_id: column.body.id });
+
+      const res = await api
+        .delete(`/api/columns/${column.body.id}`)
+        .query({ moveTo: boardId1 })
+        .expect(200);
+
+      expect(res.body).toEqual({
+        message: "Board deleted successfully",
+        moved_to: boardId1,
+        moved_count: 1,
+      });
+      const moved = await api.get(`/api/tasks/${task.body.id}`);
+      expect(moved.body.board_id).toBe(boardId1);
+    });
+
+    it("should cascade only with an explicit flag", async () => {
+      const column = await api
+        .post("/api/columns")
+        .send({ title: "Throwaway" });
+      const task = await api
+        .post("/api/tasks")
+        .send({ title: "Drop me", board_id: column.body.id });
+
+      await api
+        .delete(`/api/columns/${column.body.id}`)
+        .query({ cascade: "yes" })
+        .expect(400);
+      await api
+        .delete(`/api/columns/${column.body.id}`)
+        .query({ cascade: "true" })
+        .expect(200);
+      await api.get(`/api/tasks/${task.body.id}`).expect(404);
+    });
+  });
+
+  describe("Error responses", () => {
+    it("should return 404 for unknown routes", async () => {
+      const res = await api.get("/api/unknown").expect(404);
+
+      expect(res.body.code).toBe("NOT_FOUND");
+    });
+
+    it("should return 400 for malformed JSON", async () => {
+      const res = await api
+        .post("/api/tasks")
+        .set("Content-Type", "application/json")
+        .send("{ not json")
+        .expect(400);
+
+      expect(res.body.code).toBe("INVALID_JSON");
     });
   });
 });
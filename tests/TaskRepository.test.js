@@ -0,0 +1,768 @@
+/**
+ * Task & Board Repository Tests
+ * Test repository terhadap schema hasil migration
+ * (DB_PATH=":memory:" dari tests/setup.js)
+ */
+
+const db = require("../src/database/db");
+const { migrate } = require("../src/database/migrator");
+const { BoardRepository } = require("../src/models/Board");
+const { Task, TaskRepository } = require("../src/models/Task");
+const { ProjectRepository } = require("../src/models/Project");
+const { withTransaction } = require("../src/database/transaction");
+const {
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  toAppError,
+} = require("../src/errors");
+
+const boards = new BoardRepository();
+const tasks = new TaskRepository();
+const projects = new ProjectRepository();
+
+// Ubah method callback repository menjadi Promise
+const call = (repository, method, ...args) => {
+  return new Promise((resolve, reject) => {
+    repository[method](...args, (err, result) =>
+      err ? reject(err) : resolve(result)
+    );
+  });
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Ambil urutan task dalam board langsung dari database
+// Task di trash (deleted_at terisi) tidak ikut urutan column
+const positionsOf = (boardId) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      "SELECT id, position FROM Task WHERE board_id = ? AND deleted_at IS NULL ORDER BY position ASC",
+      [boardId],
+      (err, rows) => (err ? reject(err) : resolve(rows))
+    );
+  });
+};
+
+// Buat board berisi beberapa task dengan position 0..n-1
+const seedBoard = async (title, count) => {
+  const board = await call(boards, "create", { title });
+  const ids = [];
+  for (let i = 0; i < count; i++) {
+    const task = await call(tasks, "create", {
+      title: `${title} ${i}`,
+      position: i,
+      board_id: board.getId(),
+    });
+    ids.push(task.getId());
+  }
+  return { boardId: board.getId(), ids };
+};
+
+describe("Task & Board Repository", () => {
+  beforeAll(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    await migrate(db);
+  });
+
+  afterAll((done) => {
+    db.close(() => done());
+  });
+
+  describe("Timestamps", () => {
+    it("should persist createdAt and updatedAt for a new board", async () => {
+      const created = await call(boards, "create", { title: "To Do" });
+      await sleep(5);
+      const fetched = await call(boards, "getById", created.getId());
+
+      expect(fetched.getCreatedAt().toISOString()).toBe(
+        created.getCreatedAt().toISOString()
+      );
+      expect(fetched.getUpdatedAt().toISOString()).toBe(
+        created.getUpdatedAt().toISOString()
+      );
+    });
+
+    it("should bump updatedAt but keep createdAt on board update", async () => {
+      const created = await call(boards, "create", { title: "Doing" });
+      await sleep(5);
+      const updated = await call(boards, "update", created.getId(), {
+        title: "In Progress",
+      });
+
+      expect(updated.getTitle()).toBe("In Progress");
+      expect(updated.getCreatedAt().toISOString()).toBe(
+        created.getCreatedAt().toISOString()
+      );
+      expect(updated.getUpdatedAt().getTime()).toBeGreaterThan(
+        created.getUpdatedAt().getTime()
+      );
+    });
+
+    it("should persist task timestamps and bump them on reorder", async () => {
+      const board = await call(boards, "create", { title: "Backlog" });
+      const first = await call(tasks, "create", {
+        title: "First",
+        position: 0,
+        board_id: board.getId(),
+      });
+      const second = await call(tasks, "create", {
+        title: "Second",
+        position: 1,
+        board_id: board.getId(),
+      });
+      await sleep(5);
+
+      await call(tasks, "reorder", first.getId(), second.getId());
+      const reordered = await call(tasks, "getById", first.getId());
+
+      expect(reordered.getCreatedAt().toISOString()).toBe(
+        first.getCreatedAt().toISOString()
+      );
+      expect(reordered.getUpdatedAt().getTime()).toBeGreaterThan(
+        first.getUpdatedAt().getTime()
+      );
+    });
+
+    it("should bump task updatedAt when moved to another board", async () => {
+      const from = await call(boards, "create", { title: "From" });
+      const to = await call(boards, "create", { title: "To" });
+      const task = await call(tasks, "create", {
+        title: "Traveller",
+        position: 0,
+        board_id: from.getId(),
+      });
+      await sleep(5);
+
+      const moved = await call(
+        tasks,
+        "moveToBoard",
+        task.getId(),
+        to.getId(),
+        undefined
+      );
+      const fetched = await call(tasks, "getById", task.getId());
+
+      expect(moved.task.getBoardId()).toBe(to.getId());
+      expect(fetched.getUpdatedAt().getTime()).toBeGreaterThan(
+        task.getUpdatedAt().getTime()
+      );
+      expect(fetched.getCreatedAt().toISOString()).toBe(
+        task.getCreatedAt().toISOString()
+      );
+    });
+
+    it("should report a missing task on update", async () => {
+      await expect(
+        call(tasks, "update", 99999, {
+          title: "Ghost",
+          position: 0,
+          board_id: 1,
+        })
+      ).rejects.toThrow("Task not found");
+    });
+  });
+
+  describe("Transactional ordering", () => {
+    it("should shift tasks when reordering by position", async () => {
+      const { boardId, ids } = await seedBoard("Shift", 4);
+
+      await call(tasks, "reorderByPosition", ids[3], 1);
+
+      const rows = await positionsOf(boardId);
+      expect(rows.map((row) => row.id)).toEqual([
+        ids[0],
+        ids[3],
+        ids[1],
+        ids[2],
+      ]);
+      expect(rows.map((row) => row.position)).toEqual([0, 1, 2, 3]);
+    });
+
+    it("should keep both columns dense after a move", async () => {
+      const source = await seedBoard("Source", 3);
+      const target = await seedBoard("Target", 2);
+
+      await call(tasks, "moveToBoard", source.ids[0], target.boardId, 1);
+
+      const sourceRows = await positionsOf(source.boardId);
+      const targetRows = await positionsOf(target.boardId);
+      expect(sourceRows.map((row) => row.position)).toEqual([0, 1]);
+      expect(targetRows.map((row) => row.id)).toEqual([
+        target.ids[0],
+        source.ids[0],
+        target.ids[1],
+      ]);
+      expect(targetRows.map((row) => row.position)).toEqual([0, 1, 2]);
+    });
+
+    it("should compact positions after delete", async () => {
+      const { boardId, ids } = await seedBoard("Compact", 3);
+
+      await call(tasks, "delete", ids[0]);
+
+      const rows = await positionsOf(boardId);
+      expect(rows).toEqual([
+        { id: ids[1], position: 0 },
+        { id: ids[2], position: 1 },
+      ]);
+    });
+
+    it("should roll back every statement when a transaction fails", async () => {
+      const { boardId, ids } = await seedBoard("Rollback", 2);
+      const before = await positionsOf(boardId);
+
+      await expect(
+        withTransaction(async (tx) => {
+          await tx.run("UPDATE Task SET position = 7 WHERE id = ?", [ids[0]]);
+          throw new Error("boom");
+        })
+      ).rejects.toThrow("boom");
+
+      expect(await positionsOf(boardId)).toEqual(before);
+    });
+
+    it("should keep writes outside a failing transaction out of it", async () => {
+      const { boardId, ids } = await seedBoard("Outside", 1);
+
+      const failing = withTransaction(async (tx) => {
+        await tx.run("UPDATE Task SET position = 7 WHERE id = ?", [ids[0]]);
+        await sleep(20);
+        throw new Error("boom");
+      });
+      await sleep(5);
+      const write = db.runAsync("UPDATE Board SET title = ? WHERE id = ?", [
+        "Renamed",
+        boardId,
+      ]);
+
+      await expect(failing).rejects.toThrow("boom");
+      expect((await write).changes).toBe(1);
+      const board = await db.getAsync("SELECT title FROM Board WHERE id = ?", [
+        boardId,
+      ]);
+      expect(board.title).toBe("Renamed");
+      expect(await positionsOf(boardId)).toEqual([{ id: ids[0], position: 0 }]);
+    });
+
+    it("should reject a move into a missing board without side effects", async () => {
+      const { boardId, ids } = await seedBoard("Missing", 2);
+      const before = await positionsOf(boardId);
+
+      await expect(
+        call(tasks, "moveToBoard", ids[0], 99999, 0)
+      ).rejects.toThrow("Board not found");
+
+      expect(await positionsOf(boardId)).toEqual(before);
+    });
+
+    it("should stay dense under concurrent reorders and moves", async () => {
+      const source = await seedBoard("Busy", 5);
+      const target = await seedBoard("Quiet", 1);
+
+      await Promise.all([
+        call(tasks, "reorderByPosition", source.ids[4], 0),
+        call(tasks, "moveToBoard", source.ids[1], target.boardId, 0),
+        call(tasks, "reorderByPosition", source.ids[0], 3),
+        call(tasks, "reorder", source.ids[2], source.ids[3]),
+        call(tasks, "moveToBoard", source.ids[2], target.boardId, undefined),
+      ]);
+
+      const sourceRows = await positionsOf(source.boardId);
+      const targetRows = await positionsOf(target.boardId);
+      expect(sourceRows.map((row) => row.position)).toEqual([0, 1, 2]);
+      expect(targetRows.map((row) => row.position)).toEqual([0, 1, 2]);
+    });
+  });
+
+  describe("Insert-with-shift positions", () => {
+    it("should shift later tasks when creating at a position", async () => {
+      const { boardId, ids } = await seedBoard("Insert", 3);
+
+      const created = await call(tasks, "create", {
+        title: "Inserted",
+        position: 1,
+        board_id: boardId,
+      });
+
+      const rows = await positionsOf(boardId);
+      expect(created.getPosition()).toBe(1);
+      expect(rows.map((row) => row.id)).toEqual([
+        ids[0],
+        created.getId(),
+        ids[1],
+        ids[2],
+      ]);
+      expect(rows.map((row) => row.position)).toEqual([0, 1, 2, 3]);
+    });
+
+    it("should append when position is omitted or out of range", async () => {
+      const { boardId } = await seedBoard("Append", 2);
+
+      const omitted = await call(tasks, "create", {
+        title: "No position",
+        board_id: boardId,
+      });
+      const beyond = await call(tasks, "create", {
+        title: "Far away",
+        position: 50,
+        board_id: boardId,
+      });
+
+      expect(omitted.getPosition()).toBe(2);
+      expect(beyond.getPosition()).toBe(3);
+    });
+
+    it("should return the ordering of both columns after a move", async () => {
+      const source = await seedBoard("Left", 2);
+      const target = await seedBoard("Right", 2);
+
+      const result = await call(
+        tasks,
+        "moveToBoard",
+        source.ids[1],
+        target.boardId,
+        0
+      );
+
+      expect(result.task.getPosition()).toBe(0);
+      expect(result.source.boardId).toBe(source.boardId);
+      expect(result.source.tasks.map((task) => task.getId())).toEqual([
+        source.ids[0],
+      ]);
+      expect(result.target.tasks.map((task) => task.getId())).toEqual([
+        source.ids[1],
+        target.ids[0],
+        target.ids[1],
+      ]);
+      expect(result.target.tasks.map((task) => task.getPosition())).toEqual([
+        0, 1, 2,
+      ]);
+    });
+
+    it("should append to the target column when no position is given", async () => {
+      const source = await seedBoard("Origin", 1);
+      const target = await seedBoard("Destination", 2);
+
+      const result = await call(
+        tasks,
+        "moveToBoard",
+        source.ids[0],
+        target.boardId,
+        undefined
+      );
+
+      expect(result.task.getPosition()).toBe(2);
+      expect(result.source.tasks).toEqual([]);
+    });
+
+    it("should reject creating a task in a missing board", async () => {
+      await expect(
+        call(tasks, "create", { title: "Orphan", board_id: 99999 })
+      ).rejects.toThrow("Board not found");
+    });
+  });
+
+  describe("Bulk column order", () => {
+    it("should rewrite all positions from the given order", async () => {
+      const { boardId, ids } = await seedBoard("Bulk", 4);
+      const order = [ids[2], ids[0], ids[3], ids[1]];
+
+      const column = await call(tasks, "setOrder", boardId, order);
+
+      expect(column.tasks.map((task) => task.getId())).toEqual(order);
+      expect(column.tasks.map((task) => task.getPosition())).toEqual([
+        0, 1, 2, 3,
+      ]);
+      expect((await positionsOf(boardId)).map((row) => row.id)).toEqual(order);
+    });
+
+    it("should reject an order missing or adding tasks", async () => {
+      const { boardId, ids } = await seedBoard("Strict", 3);
+      const other = await seedBoard("Other", 1);
+      const before = await positionsOf(boardId);
+
+      await expect(
+        call(tasks, "setOrder", boardId, [ids[0], ids[1]])
+      ).rejects.toThrow(/exactly once/);
+      await expect(
+        call(tasks, "setOrder", boardId, [ids[0], ids[1], other.ids[0]])
+      ).rejects.toThrow(/exactly once/);
+      await expect(
+        call(tasks, "setOrder", boardId, [ids[0], ids[0], ids[1]])
+      ).rejects.toThrow(/exactly once/);
+
+      expect(await positionsOf(boardId)).toEqual(before);
+    });
+  });
+
+  describe("Board ordering", () => {
+    const boardPositions = async () =>
+      (await call(boards, "getAll")).map((board) => board.getPosition());
+
+    it("should append new boards and list them by position", async () => {
+      const before = await call(boards, "getAll");
+      const created = await call(boards, "create", { title: "Last" });
+      const after = await call(boards, "getAll");
+
+      expect(created.getPosition()).toBe(before.length);
+      expect(after[after.length - 1].getId()).toBe(created.getId());
+      expect(await boardPositions()).toEqual(after.map((_, index) => index));
+    });
+
+    it("should move a board to a new position", async () => {
+      const created = await call(boards, "create", { title: "Promoted" });
+
+      await call(boards, "reorderByPosition", created.getId(), 0);
+
+      const all = await call(boards, "getAll");
+      expect(all[0].getId()).toBe(created.getId());
+      expect(await boardPositions()).toEqual(all.map((_, index) => index));
+    });
+
+    it("should compact board positions after delete", async () => {
+      const all = await call(boards, "getAll");
+
+      await call(boards, "delete", all[1].getId());
+
+      const remaining = await call(boards, "getAll");
+      expect(remaining.length).toBe(all.length - 1);
+      expect(await boardPositions()).toEqual(
+        remaining.map((_, index) => index)
+      );
+    });
+
+    it("should rewrite the full board order", async () => {
+      const ids = (await call(boards, "getAll")).map((board) => board.getId());
+      const reversed = [...ids].reverse();
+
+      const ordered = await call(boards, "setOrder", undefined, reversed);
+
+      expect(ordered.map((board) => board.getId())).toEqual(reversed);
+      await expect(
+        call(boards, "setOrder", undefined, reversed.slice(1))
+      ).rejects.toThrow(/exactly once/);
+    });
+  });
+
+  describe("Projects", () => {
+    it("should place legacy boards in the default project", async () => {
+      const all = await call(projects, "getAll");
+      const board = await call(boards, "create", { title: "Legacy" });
+
+      expect(all[0].getTitle()).toBe("Default Project");
+      expect(board.getProjectId()).toBe(all[0].getId());
+    });
+
+    it("should keep board positions separate per project", async () => {
+      const project = await call(projects, "create", { title: "Side" });
+      const first = await call(boards, "create", {
+        title: "Side A",
+        project_id: project.getId(),
+      });
+      const second = await call(boards, "create", {
+        title: "Side B",
+        project_id: project.getId(),
+      });
+
+      const scoped = await call(boards, "getByProjectId", project.getId());
+
+      expect(first.getPosition()).toBe(0);
+      expect(second.getPosition()).toBe(1);
+      expect(scoped.map((board) => board.getId())).toEqual([
+        first.getId(),
+        second.getId(),
+      ]);
+    });
+
+    it("should refuse to swap boards from different projects", async () => {
+      const project = await call(projects, "create", { title: "Elsewhere" });
+      const foreign = await call(boards, "create", {
+        title: "Foreign",
+        project_id: project.getId(),
+      });
+      const local = await call(boards, "create", { title: "Local" });
+
+      await expect(
+        call(boards, "reorder", foreign.getId(), local.getId())
+      ).rejects.toThrow(/same project/);
+    });
+
+    it("should reject boards for a missing project", async () => {
+      await expect(
+        call(boards, "create", { title: "Nowhere", project_id: 99999 })
+      ).rejects.toThrow("Project not found");
+    });
+
+    it("should cascade project deletion to boards and tasks", async () => {
+      const project = await call(projects, "create", { title: "Doomed" });
+      const board = await call(boards, "create", {
+        title: "Doomed column",
+        project_id: project.getId(),
+      });
+      const task = await call(tasks, "create", {
+        title: "Doomed task",
+        board_id: board.getId(),
+      });
+
+      await call(projects, "delete", project.getId());
+
+      expect(await call(boards, "getById", board.getId())).toBeNull();
+      expect(await call(tasks, "getById", task.getId())).toBeNull();
+    });
+  });
+
+  describe("Task details", () => {
+    it("should persist description, due date, priority and estimate", async () => {
+      const { boardId } = await seedBoard("Details", 0);
+
+      const created = await call(tasks, "create", {
+        title: "Write docs",
+        board_id: boardId,
+        description: "## Notes\n- cover the API",
+        due_date: "2026-11-01",
+        priority: "high",
+        estimate: 3,
+      });
+      const fetched = await call(tasks, "getById", created.getId());
+
+      expect(fetched.toJSON()).toMatchObject({
+        description: "## Notes\n- cover the API",
+        due_date: "2026-11-01",
+        priority: "high",
+        estimate: 3,
+      });
+    });
+
+    it("should keep omitted details and clear null ones on update", async () => {
+      const { boardId } = await seedBoard("Keep", 0);
+      const created = await call(tasks, "create", {
+        title: "Keep me",
+        board_id: boardId,
+        description: "still here",
+        priority: "low",
+      });
+
+      const updated = await call(tasks, "update", created.getId(), {
+        title: "Kept",
+        position: 0,
+        board_id: boardId,
+        priority: null,
+        estimate: 0.5,
+      });
+
+      expect(updated.getDescription()).toBe("still here");
+      expect(updated.getPriority()).toBeNull();
+      expect(updated.getEstimate()).toBe(0.5);
+    });
+
+    it("should reject invalid detail values", async () => {
+      const { boardId } = await seedBoard("Invalid", 0);
+
+      await expect(
+        call(tasks, "create", {
+          title: "Bad",
+          board_id: boardId,
+          priority: "critical",
+        })
+      ).rejects.toThrow(/Priority/);
+      await expect(
+        call(tasks, "create", {
+          title: "Bad",
+          board_id: boardId,
+          due_date: "next week",
+        })
+      ).rejects.toThrow(/Due date/);
+      await expect(
+        call(tasks, "create", { title: "Bad", board_id: boardId, estimate: -1 })
+      ).rejects.toThrow(/Estimate/);
+    });
+
+    it("should normalize due dates with a time to UTC", () => {
+      const task = new Task();
+      task.setDueDate("2026-11-01T10:00:00+07:00");
+
+      expect(task.getDueDate()).toBe("2026-11-01T03:00:00.000Z");
+    });
+  });
+
+  describe("Partial updates", () => {
+    it("should rename a task without touching its position", async () => {
+      const { boardId, ids } = await seedBoard("Rename", 3);
+
+      const patched = await call(tasks, "patch", ids[1], { title: "Renamed" });
+
+      expect(patched.getTitle()).toBe("Renamed");
+      expect(patched.getPosition()).toBe(1);
+      expect((await positionsOf(boardId)).map((row) => row.id)).toEqual(ids);
+    });
+
+    it("should shift tasks when patching only the position", async () => {
+      const { boardId, ids } = await seedBoard("PatchShift", 3);
+
+      await call(tasks, "patch", ids[0], { position: 2 });
+
+      expect((await positionsOf(boardId)).map((row) => row.id)).toEqual([
+        ids[1],
+        ids[2],
+        ids[0],
+      ]);
+    });
+
+    it("should append to the new column when patching only board_id", async () => {
+      const source = await seedBoard("PatchFrom", 2);
+      const target = await seedBoard("PatchTo", 2);
+
+      const patched = await call(tasks, "patch", source.ids[0], {
+        board_id: target.boardId,
+      });
+
+      expect(patched.getPosition()).toBe(2);
+      expect(
+        (await positionsOf(source.boardId)).map((row) => row.position)
+      ).toEqual([0]);
+    });
+
+    it("should patch a board title and position", async () => {
+      const board = await call(boards, "create", { title: "Patch me" });
+
+      const patched = await call(boards, "patch", board.getId(), {
+        title: "Patched",
+        position: 0,
+      });
+
+      expect(patched.getTitle()).toBe("Patched");
+      expect(patched.getPosition()).toBe(0);
+    });
+
+    it("should report missing rows", async () => {
+      await expect(
+        call(tasks, "patch", 99999, { title: "Ghost" })
+      ).rejects.toThrow("Task not found");
+      await expect(
+        call(boards, "patch", 99999, { title: "Ghost" })
+      ).rejects.toThrow("Board not found");
+    });
+  });
+
+  describe("Typed errors", () => {
+    it("should reject deleting missing rows with NotFoundError", async () => {
+      await expect(call(tasks, "delete", 99999)).rejects.toBeInstanceOf(
+        NotFoundError
+      );
+      await expect(call(boards, "delete", 99999)).rejects.toBeInstanceOf(
+        NotFoundError
+      );
+      await expect(call(projects, "delete", 99999)).rejects.toBeInstanceOf(
+        NotFoundError
+      );
+    });
+
+    it("should reject updating a missing board with NotFoundError", async () => {
+      await expect(
+        call(boards, "update", 99999, { title: "Ghost" })
+      ).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    it("should report a missing task on move as NotFoundError", async () => {
+      const { boardId } = await seedBoard("MoveErr", 0);
+
+      const err = await call(tasks, "moveToBoard", 99999, boardId, 0).catch(
+        (e) => e
+      );
+
+      expect(err).toBeInstanceOf(NotFoundError);
+      expect(err.statusCode).toBe(404);
+      expect(err.code).toBe("NOT_FOUND");
+    });
+
+    it("should report moving into the same board as ConflictError", async () => {
+      const { boardId, ids } = await seedBoard("MoveSame", 1);
+
+      await expect(
+        call(tasks, "moveToBoard", ids[0], boardId, 0)
+      ).rejects.toBeInstanceOf(ConflictError);
+    });
+
+    it("should report invalid field values as ValidationError", async () => {
+      const { boardId } = await seedBoard("Invalid", 0);
+
+      const err = await call(tasks, "create", {
+        title: "Bad priority",
+        board_id: boardId,
+        priority: "whenever",
+      }).catch((e) => e);
+
+      expect(err).toBeInstanceOf(ValidationError);
+      expect(err.statusCode).toBe(400);
+    });
+
+    it("should report a task for a missing board as NotFoundError", async () => {
+      await expect(
+        call(tasks, "create", { title: "Orphan", board_id: 99999 })
+      ).rejects.toThrow(NotFoundError);
+    });
+
+    it("should map raw foreign key violations to a 409 conflict", async () => {
+      const raw = await new Promise((resolve) => {
+        db.run(
+          "INSERT INTO Task (title, position, board_id) VALUES ('Raw', 0, 99999)",
+          (err) => resolve(err)
+        );
+      });
+
+      const err = toAppError(raw);
+
+      expect(err).toBeInstanceOf(ConflictError);
+      expect(err.toJSON()).toEqual({
+        error: "Referenced record does not exist",
+        code: "FOREIGN_KEY_VIOLATION",
+      });
+    });
+  });
+
+  describe("Promise API", () => {
+    it("should return a promise when no callback is given", async () => {
+      const board = await boards.create({ title: "Awaited" });
+      const task = await tasks.create({
+        title: "Awaited task",
+        board_id: board.getId(),
+      });
+
+      expect(await tasks.getById(task.getId())).toBeInstanceOf(Task);
+      expect(await tasks.getByBoardId(board.getId())).toHaveLength(1);
+      expect((await boards.getById(board.getId())).getTitle()).toBe("Awaited");
+    });
+
+    it("should reject the promise instead of calling back", async () => {
+      await expect(tasks.create({ title: "" })).rejects.toBeInstanceOf(
+        ValidationError
+      );
+      await expect(projects.update(99999, { title: "Ghost" })).rejects.toThrow(
+        NotFoundError
+      );
+    });
+
+    it("should not return a promise when a callback is given", (done) => {
+      const returned = tasks.getAll((err, all) => {
+        expect(err).toBeNull();
+        expect(Array.isArray(all)).toBe(true);
+        done();
+      });
+
+      expect(returned).toBeUndefined();
+    });
+
+    it("should expose promise helpers on the connection", async () => {
+      const { changes } = await db.runAsync(
+        "UPDATE Project SET title = title WHERE id = ?",
+        [1]
+      );
+      const row = await db.getAsync("SELECT COUNT(*) AS total FROM Project");
+      const rows = await db.allAsync("SELECT id FROM Project");
+
+      expect(changes).toBe(1);
+      expect(rows).toHaveLength(row.total);
+    });
+  });
+});
@@ -0,0 +1,6 @@
+/**
+ * Jest setup - dijalankan sebelum setiap file test
+ * Semua test memakai database SQLite in-memory (terisolasi per file test),
+ * sehingga data/tasks.db tidak pernah tersentuh
+ */
+process.env.DB_PATH = ":memory:";